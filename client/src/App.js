@@ -5,6 +5,7 @@ import Footer from './components/Footer';
 import MainLayout from './components/MainLayout';
 import ImageViewerModal from './components/ImageViewerModal';
 import ImageMaskingModal from './components/ImageMaskingModal';
+import SettingsModal from './components/SettingsModal';
 import StorageManager from './components/StorageManager';
 import { UIProvider } from './contexts/UIContext';
 import { ChatProvider } from './contexts/ChatContext';
@@ -26,6 +27,7 @@ function App() {
               {/* Modals */}
               <ImageViewerModal />
               <ImageMaskingModal />
+              <SettingsModal />
             </div>
           </ImageProvider>
         </ChatProvider>
@@ -1,12 +1,13 @@
 import React, { useContext, useEffect, useRef } from 'react';
 import './ChatContainer.css';
 import MessageList from './MessageList';
+import LoginForm from './LoginForm';
 import { ChatContext } from '../contexts/ChatContext';
 import { AuthContext } from '../contexts/AuthContext';
 
 const ChatContainer = () => {
   const { messages, isLoading, error, hasMoreMessages, fetchChatHistory } = useContext(ChatContext);
-  const { isAuthenticated } = useContext(AuthContext);
+  const { isAuthenticated, isLoading: isCheckingAuth } = useContext(AuthContext);
   const containerRef = useRef(null);
   const observerRef = useRef(null);
 
@@ -69,6 +70,7 @@ const ChatContainer = () => {
         <div className="auth-prompt">
           <h2>Welcome to GPT Image UI</h2>
           <p>Please log in to start chatting and generating images.</p>
+          {!isCheckingAuth && <LoginForm />}
         </div>
       )}
     </div>
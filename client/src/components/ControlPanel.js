@@ -2,18 +2,31 @@ import React, { useContext } from 'react';
 import './ControlPanel.css';
 import MessageInput from './MessageInput';
 import ImageUpload from './ImageUpload';
+import OutputOptions from './OutputOptions';
+import StylePresetPicker from './StylePresetPicker';
 import { ChatContext } from '../contexts/ChatContext';
+import { ImageContext } from '../contexts/ImageContext';
 import { UIContext } from '../contexts/UIContext';
 
 const ControlPanel = () => {
-  const { sendMessage, isLoading } = useContext(ChatContext);
+  const { sendMessage, isLoading, maskedImages, imageOutput, setImageOutput, stylePreset, setStylePreset } = useContext(ChatContext);
+  const { enhancePrompt } = useContext(ImageContext);
   const { isMobile } = useContext(UIContext);
   
   return (
     <div className={`control-panel ${isMobile ? 'mobile' : 'desktop'}`}>
       <div className="control-panel-content">
         <ImageUpload />
-        <MessageInput onSend={sendMessage} isLoading={isLoading} />
+        <div className="control-panel-options">
+          <StylePresetPicker value={stylePreset} onChange={setStylePreset} disabled={isLoading} />
+          <OutputOptions value={imageOutput} onChange={setImageOutput} disabled={isLoading} />
+        </div>
+        <MessageInput
+          onSend={sendMessage}
+          onEnhance={enhancePrompt}
+          isLoading={isLoading}
+          placeholder={maskedImages.length > 0 ? 'Describe what to paint in the masked area...' : undefined}
+        />
       </div>
     </div>
   );
@@ -1,9 +1,11 @@
 import React, { useContext } from 'react';
 import './Header.css';
 import { UIContext } from '../contexts/UIContext';
+import { AuthContext } from '../contexts/AuthContext';
 
 const Header = () => {
   const { theme, toggleTheme, openSettingsModal } = useContext(UIContext);
+  const { user, logout } = useContext(AuthContext);
 
   return (
     <header className="header">
@@ -12,6 +14,15 @@ const Header = () => {
       </div>
       
       <div className="header-controls">
+        {user && (
+          <div className="user-controls">
+            <span className="user-name">{user.username}</span>
+            <button className="logout-button" onClick={logout}>
+              Log out
+            </button>
+          </div>
+        )}
+        
         <button
           className="theme-toggle"
           onClick={toggleTheme}
@@ -2,7 +2,10 @@ import React, { useContext, useRef, useState, useEffect } from 'react';
 import './ImageMaskingModal.css';
 import { UIContext } from '../contexts/UIContext';
 import { ChatContext } from '../contexts/ChatContext';
-import { createImageFromUrl, canvasToDataUrl } from '../utils/imageUtils';
+import { createImageFromUrl, createAlphaMask } from '../utils/imageUtils';
+
+// Brush color on the stroke layer, which is shown half transparent over the image
+const BRUSH_COLOR = 'rgb(255, 64, 64)';
 
 const ImageMaskingModal = () => {
   const { modalState, closeMaskingModal } = useContext(UIContext);
@@ -10,8 +13,11 @@ const ImageMaskingModal = () => {
   
   const { isOpen, image } = modalState.masking;
   
+  // The image and the brush strokes live on separate canvases, so the mask can be exported without the image
   const canvasRef = useRef(null);
+  const maskCanvasRef = useRef(null);
   const [isDrawing, setIsDrawing] = useState(false);
+  const [hasStrokes, setHasStrokes] = useState(false);
   const [brushSize, setBrushSize] = useState(20);
   const [originalImage, setOriginalImage] = useState(null);
   const [canvasSize, setCanvasSize] = useState({ width: 0, height: 0 });
@@ -46,6 +52,7 @@ const ImageMaskingModal = () => {
         }
         
         setCanvasSize({ width, height });
+        setHasStrokes(false);
         
         // Initialize canvas with image
         const canvas = canvasRef.current;
@@ -56,6 +63,12 @@ const ImageMaskingModal = () => {
         
         // Draw image on canvas
         ctx.drawImage(img, 0, 0, width, height);
+        
+        // Start with an empty stroke layer of the same size
+        const maskCanvas = maskCanvasRef.current;
+        maskCanvas.width = width;
+        maskCanvas.height = height;
+        maskCanvas.getContext('2d').clearRect(0, 0, width, height);
       } catch (error) {
         console.error('Error loading image for masking:', error);
       }
@@ -64,22 +77,33 @@ const ImageMaskingModal = () => {
     loadImage();
   }, [isOpen, image]);
   
-  // Handle drawing on canvas
+  // Get the pointer position in canvas pixels, which differ from CSS pixels when the canvas is scaled down to fit
+  const getCanvasPoint = (canvas, e) => {
+    const rect = canvas.getBoundingClientRect();
+    const scaleX = rect.width ? canvas.width / rect.width : 1;
+    const scaleY = rect.height ? canvas.height / rect.height : 1;
+    return {
+      x: (e.clientX - rect.left) * scaleX,
+      y: (e.clientY - rect.top) * scaleY
+    };
+  };
+  
+  // Handle drawing on the stroke layer
   const startDrawing = (e) => {
-    const canvas = canvasRef.current;
+    const canvas = maskCanvasRef.current;
     const ctx = canvas.getContext('2d');
     
     setIsDrawing(true);
+    setHasStrokes(true);
     
-    // Set drawing style
-    ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+    // Strokes are drawn opaque; the layer itself is shown half transparent
+    ctx.strokeStyle = BRUSH_COLOR;
     ctx.lineWidth = brushSize;
     ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
     
     // Get mouse position relative to canvas
-    const rect = canvas.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const y = e.clientY - rect.top;
+    const { x, y } = getCanvasPoint(canvas, e);
     
     // Start new path
     ctx.beginPath();
@@ -91,13 +115,11 @@ const ImageMaskingModal = () => {
   const draw = (e) => {
     if (!isDrawing) return;
     
-    const canvas = canvasRef.current;
+    const canvas = maskCanvasRef.current;
     const ctx = canvas.getContext('2d');
     
     // Get mouse position relative to canvas
-    const rect = canvas.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const y = e.clientY - rect.top;
+    const { x, y } = getCanvasPoint(canvas, e);
     
     // Continue path
     ctx.lineTo(x, y);
@@ -131,35 +153,34 @@ const ImageMaskingModal = () => {
     stopDrawing();
   };
   
-  // Reset canvas to original image
+  // Clear the strokes, leaving the image untouched
   const handleReset = () => {
-    if (!originalImage || !canvasRef.current) return;
+    if (!originalImage || !maskCanvasRef.current) return;
     
-    const canvas = canvasRef.current;
+    const canvas = maskCanvasRef.current;
     const ctx = canvas.getContext('2d');
     
-    // Clear canvas
     ctx.clearRect(0, 0, canvas.width, canvas.height);
-    
-    // Redraw original image
-    ctx.drawImage(originalImage, 0, 0, canvas.width, canvas.height);
+    setHasStrokes(false);
   };
   
   // Apply mask and close modal
   const handleApply = () => {
-    if (!canvasRef.current || !originalImage) return;
+    if (!maskCanvasRef.current || !originalImage || !hasStrokes) return;
     
-    const canvas = canvasRef.current;
+    // The mask must match the original image, not its downscaled on-screen size
+    const width = originalImage.naturalWidth || originalImage.width;
+    const height = originalImage.naturalHeight || originalImage.height;
     
-    // Get mask data URL
-    const maskDataUrl = canvasToDataUrl(canvas);
+    // Painted areas become transparent, which marks them for replacement
+    const maskDataUrl = createAlphaMask(maskCanvasRef.current, width, height);
     
     // Add masked image to chat context
     addMaskedImage({
       originalImage: image,
       maskDataUrl,
-      width: canvas.width,
-      height: canvas.height
+      width,
+      height
     });
     
     // Close modal
@@ -189,18 +210,30 @@ const ImageMaskingModal = () => {
         </div>
         
         <div className="canvas-container">
-          <canvas
-            ref={canvasRef}
-            width={canvasSize.width}
-            height={canvasSize.height}
-            onMouseDown={startDrawing}
-            onMouseMove={draw}
-            onMouseUp={stopDrawing}
-            onMouseLeave={stopDrawing}
-            onTouchStart={handleTouchStart}
-            onTouchMove={handleTouchMove}
-            onTouchEnd={handleTouchEnd}
-          />
+          <div className="canvas-stack">
+            <canvas
+              ref={canvasRef}
+              className="image-layer"
+              width={canvasSize.width}
+              height={canvasSize.height}
+              aria-hidden="true"
+            />
+            <canvas
+              ref={maskCanvasRef}
+              className="mask-layer"
+              role="img"
+              aria-label="Mask drawing area"
+              width={canvasSize.width}
+              height={canvasSize.height}
+              onMouseDown={startDrawing}
+              onMouseMove={draw}
+              onMouseUp={stopDrawing}
+              onMouseLeave={stopDrawing}
+              onTouchStart={handleTouchStart}
+              onTouchMove={handleTouchMove}
+              onTouchEnd={handleTouchEnd}
+            />
+          </div>
         </div>
         
         <div className="masking-controls">
@@ -228,6 +261,7 @@ const ImageMaskingModal = () => {
             <button 
               className="apply-button"
               onClick={handleApply}
+              disabled={!hasStrokes}
               aria-label="Apply mask"
             >
               Apply Mask
@@ -1,12 +1,18 @@
 import React, { useContext, useState } from 'react';
 import './ImageMessage.css';
 import { UIContext } from '../contexts/UIContext';
+import { resolveImageUrl } from '../utils/imageUtils';
 
 const ImageMessage = ({ image }) => {
   const { openImageViewer, openMaskingModal } = useContext(UIContext);
   const [isLoaded, setIsLoaded] = useState(false);
   const [error, setError] = useState(false);
   
+  // Partial images are blurred previews of an image that is still rendering
+  const isPartial = !!image.partial;
+  // A finished image that was streamed keeps its last preview on screen until it loads
+  const showPreview = !!image.previewUrl && !isLoaded && !error;
+  
   const handleImageClick = () => {
     // Open the image viewer modal
     openImageViewer([image], 0);
@@ -18,6 +24,12 @@ const ImageMessage = ({ image }) => {
     openMaskingModal(image);
   };
   
+  const handleSourceClick = (e) => {
+    e.stopPropagation();
+    // Show the image this one was edited from, so the chain of refinements can be followed back
+    openImageViewer([{ id: image.sourceImageId, url: `/api/images/${image.sourceImageId}`, alt: 'Source image' }], 0);
+  };
+  
   const handleImageLoad = () => {
     setIsLoaded(true);
   };
@@ -29,9 +41,9 @@ const ImageMessage = ({ image }) => {
   };
   
   return (
-    <div className={`image-message ${isLoaded ? 'loaded' : 'loading'}`}>
-      {!isLoaded && !error && (
-        <div className="image-loading">
+    <div className={`image-message ${isLoaded ? 'loaded' : 'loading'}${isPartial ? ' partial' : ''}`}>
+      {!isLoaded && !error && !showPreview && (
+        <div className="image-loading" role="status" aria-label="Loading image">
           <div className="spinner"></div>
         </div>
       )}
@@ -41,28 +53,52 @@ const ImageMessage = ({ image }) => {
           <span>Failed to load image</span>
         </div>
       ) : (
-        <div className="image-container" onClick={handleImageClick}>
+        <div className="image-container" onClick={isPartial ? undefined : handleImageClick}>
+          {showPreview && (
+            <img
+              className="image-preview"
+              src={image.previewUrl}
+              alt=""
+              aria-hidden="true"
+            />
+          )}
           <img
-            src={image.url}
+            className={isPartial ? 'image-partial' : ''}
+            src={resolveImageUrl(image.url)}
             alt={image.alt || "Generated image"}
             onLoad={handleImageLoad}
             onError={handleImageError}
             style={{ maxWidth: '100%', maxHeight: '100%' }}
           />
+          {isPartial && (
+            <div className="image-progress">Rendering...</div>
+          )}
+          {!isPartial && image.sourceImageId && (
+            <button
+              className="image-source"
+              onClick={handleSourceClick}
+              aria-label="View the image this was edited from"
+            >
+              <img src={resolveImageUrl(`/api/images/${image.sourceImageId}`)} alt="" />
+              <span>Edited</span>
+            </button>
+          )}
           {/* Debug info - remove in production */}
           <div className="image-debug" style={{ position: 'absolute', bottom: 0, left: 0, fontSize: '10px', background: 'rgba(0,0,0,0.5)', color: 'white', padding: '2px', display: 'none' }}>
             {image.url ? image.url.substring(0, 20) + '...' : 'No URL'}
           </div>
           
-          <div className="image-actions">
-            <button 
-              className="edit-button" 
-              onClick={handleEditClick}
-              aria-label="Edit image"
-            >
-              Edit
-            </button>
-          </div>
+          {!isPartial && (
+            <div className="image-actions">
+              <button 
+                className="edit-button" 
+                onClick={handleEditClick}
+                aria-label="Edit image"
+              >
+                Edit
+              </button>
+            </div>
+          )}
         </div>
       )}
     </div>
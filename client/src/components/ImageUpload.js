@@ -1,12 +1,12 @@
 import React, { useState, useRef, useContext } from 'react';
 import './ImageUpload.css';
 import { ChatContext } from '../contexts/ChatContext';
-import { fileToBase64, isImageFile, validateImageSize } from '../utils/imageUtils';
+import { fileToBase64, isImageFile, validateImageSize, resolveImageUrl } from '../utils/imageUtils';
 
 const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
 
 const ImageUpload = () => {
-  const { uploadImage, uploadedImages, removeUploadedImage } = useContext(ChatContext);
+  const { uploadImage, uploadedImages, removeUploadedImage, maskedImages, removeMaskedImage } = useContext(ChatContext);
   const [isDragging, setIsDragging] = useState(false);
   const [error, setError] = useState(null);
   const fileInputRef = useRef(null);
@@ -128,6 +128,25 @@ const ImageUpload = () => {
           ))}
         </div>
       )}
+      
+      {/* Masked image waiting for an edit instruction */}
+      {maskedImages.length > 0 && (
+        <div className="uploaded-images">
+          {maskedImages.map((image) => (
+            <div key={image.id} className="uploaded-image masked-image">
+              <img src={resolveImageUrl(image.originalImage.url)} alt="To be edited with the mask" />
+              <span className="masked-image-label">Mask</span>
+              <button 
+                className="remove-image" 
+                onClick={() => removeMaskedImage(image.id)}
+                aria-label="Cancel mask edit"
+              >
+                ×
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
     </div>
   );
 };
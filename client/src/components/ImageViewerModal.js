@@ -1,16 +1,47 @@
-import React, { useContext, useEffect } from 'react';
+import React, { useContext, useEffect, useState } from 'react';
 import './ImageViewerModal.css';
 import { UIContext } from '../contexts/UIContext';
+import { ImageContext } from '../contexts/ImageContext';
+import { resolveImageUrl, getStoredImageId } from '../utils/imageUtils';
+
+// Format effective generation parameters as "size 1024x1024 · quality high"
+const formatParams = (params) => Object.entries(params || {})
+  .map(([key, value]) => `${key} ${value}`)
+  .join(' · ');
 
 const ImageViewerModal = () => {
   const { 
     modalState, 
     closeImageViewer, 
     navigateImage, 
+    openImageViewer,
     openMaskingModal 
   } = useContext(UIContext);
+  const { getImageMetadata } = useContext(ImageContext);
+  const [details, setDetails] = useState(null);
   
   const { isOpen, images, currentIndex } = modalState.imageViewer;
+  const storedImageId = isOpen && images && images[currentIndex]
+    ? getStoredImageId(images[currentIndex].url)
+    : null;
+  
+  // Load how the current image was made, if the server stored it
+  useEffect(() => {
+    let cancelled = false;
+    setDetails(null);
+    
+    if (storedImageId) {
+      getImageMetadata(storedImageId).then(record => {
+        if (!cancelled) {
+          setDetails(record);
+        }
+      });
+    }
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [storedImageId, getImageMetadata]);
   
   // Close modal on escape key
   useEffect(() => {
@@ -44,6 +75,12 @@ const ImageViewerModal = () => {
     openMaskingModal(currentImage);
   };
   
+  const handleParentClick = (parentId) => {
+    openImageViewer([{ id: parentId, url: `/api/images/${parentId}`, alt: 'Source image' }], 0);
+  };
+  
+  const metadata = details && details.metadata;
+  
   const handleBackdropClick = (e) => {
     // Close only if clicking the backdrop, not the content
     if (e.target.classList.contains('image-viewer-modal')) {
@@ -64,7 +101,7 @@ const ImageViewerModal = () => {
         
         <div className="image-display">
           <img 
-            src={currentImage.url} 
+            src={resolveImageUrl(currentImage.url)} 
             alt={currentImage.alt || "Viewed image"} 
           />
         </div>
@@ -93,6 +130,45 @@ const ImageViewerModal = () => {
           </button>
         </div>
         
+        {metadata && (
+          <div className="image-viewer-details" data-testid="image-details">
+            {metadata.prompt && (
+              <p className="image-details-prompt">{metadata.prompt}</p>
+            )}
+            <dl>
+              {formatParams(metadata.params) && (
+                <>
+                  <dt>Parameters</dt>
+                  <dd>{formatParams(metadata.params)}</dd>
+                </>
+              )}
+              <dt>Model</dt>
+              <dd>{metadata.model || metadata.provider}</dd>
+              {metadata.usage && metadata.usage.total_tokens !== undefined && (
+                <>
+                  <dt>Tokens</dt>
+                  <dd>{metadata.usage.total_tokens}</dd>
+                </>
+              )}
+            </dl>
+            {metadata.parentIds && metadata.parentIds.length > 0 && (
+              <div className="image-details-parents">
+                <span>Edited from</span>
+                {metadata.parentIds.map(parentId => (
+                  <button
+                    key={parentId}
+                    className="image-details-parent"
+                    onClick={() => handleParentClick(parentId)}
+                    aria-label="View source image"
+                  >
+                    <img src={resolveImageUrl(`/api/images/${parentId}`)} alt="Source" />
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+        
         <div className="image-viewer-actions">
           <button 
             className="edit-image-button"
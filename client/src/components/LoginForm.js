@@ -0,0 +1,72 @@
+import React, { useContext, useState } from 'react';
+import './LoginForm.css';
+import { AuthContext } from '../contexts/AuthContext';
+
+const LoginForm = () => {
+  const { login, register, error, registrationOpen } = useContext(AuthContext);
+  const [mode, setMode] = useState('login');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  
+  const isRegistering = mode === 'register' && registrationOpen;
+  
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!username || !password || isSubmitting) return;
+    
+    setIsSubmitting(true);
+    const succeeded = isRegistering
+      ? await register(username, password)
+      : await login(username, password);
+    
+    // On success the form unmounts, so only reset it after a failure
+    if (!succeeded) {
+      setPassword('');
+      setIsSubmitting(false);
+    }
+  };
+  
+  return (
+    <form className="login-form" onSubmit={handleSubmit}>
+      {error && <div className="login-error" role="alert">{error}</div>}
+      
+      <label htmlFor="login-username">Username</label>
+      <input
+        id="login-username"
+        type="text"
+        value={username}
+        onChange={(e) => setUsername(e.target.value)}
+        autoComplete="username"
+        disabled={isSubmitting}
+      />
+      
+      <label htmlFor="login-password">Password</label>
+      <input
+        id="login-password"
+        type="password"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        autoComplete={isRegistering ? 'new-password' : 'current-password'}
+        disabled={isSubmitting}
+      />
+      
+      <button type="submit" className="login-submit" disabled={!username || !password || isSubmitting}>
+        {isRegistering ? 'Create account' : 'Log in'}
+      </button>
+      
+      {registrationOpen && (
+        <button
+          type="button"
+          className="login-mode-toggle"
+          onClick={() => setMode(isRegistering ? 'login' : 'register')}
+          disabled={isSubmitting}
+        >
+          {isRegistering ? 'Already have an account? Log in' : 'New here? Create an account'}
+        </button>
+      )}
+    </form>
+  );
+};
+
+export default LoginForm;
@@ -1,8 +1,11 @@
 import React, { useState, useRef, useEffect } from 'react';
 import './MessageInput.css';
 
-const MessageInput = ({ onSend, isLoading }) => {
+const MessageInput = ({ onSend, onEnhance, isLoading, placeholder = 'Type a message...' }) => {
   const [message, setMessage] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+  const [isEnhancing, setIsEnhancing] = useState(false);
+  const [enhanceError, setEnhanceError] = useState(null);
   const textareaRef = useRef(null);
   
   // Auto-resize textarea based on content
@@ -31,33 +34,140 @@ const MessageInput = ({ onSend, isLoading }) => {
     if (message.trim() && !isLoading) {
       onSend(message);
       setMessage('');
+      clearSuggestions();
     }
   };
   
+  const clearSuggestions = () => {
+    setSuggestions([]);
+    setEnhanceError(null);
+  };
+  
+  // Ask for detailed rewrites of the message for the user to review
+  const handleEnhance = async () => {
+    if (!message.trim() || isLoading || isEnhancing) {
+      return;
+    }
+    
+    setIsEnhancing(true);
+    clearSuggestions();
+    try {
+      const enhanced = await onEnhance(message.trim());
+      setSuggestions(enhanced || []);
+    } catch (err) {
+      setEnhanceError(err.message || 'Prompt enhancement failed');
+    } finally {
+      setIsEnhancing(false);
+    }
+  };
+  
+  // Send a suggestion as it is
+  const handleSendSuggestion = (suggestion) => {
+    if (!isLoading) {
+      onSend(suggestion);
+      setMessage('');
+      clearSuggestions();
+    }
+  };
+  
+  // Put a suggestion in the input to edit it before sending
+  const handleEditSuggestion = (suggestion) => {
+    setMessage(suggestion);
+    clearSuggestions();
+    if (textareaRef.current) {
+      textareaRef.current.focus();
+    }
+  };
+  
+  const handleDiscardSuggestion = (index) => {
+    setSuggestions(prev => prev.filter((_, i) => i !== index));
+  };
+  
   return (
-    <div className="message-input">
-      <textarea
-        ref={textareaRef}
-        value={message}
-        onChange={handleChange}
-        onKeyDown={handleKeyDown}
-        placeholder="Type a message..."
-        disabled={isLoading}
-        rows={1}
-      />
+    <div className="message-input-container">
+      {(suggestions.length > 0 || enhanceError) && (
+        <div className="prompt-suggestions" role="region" aria-label="Prompt suggestions">
+          <div className="prompt-suggestions-header">
+            <span>{enhanceError ? 'Could not enhance the prompt' : 'Suggested prompts'}</span>
+            <button type="button" className="prompt-suggestions-dismiss" onClick={clearSuggestions}>
+              {enhanceError ? 'Dismiss' : 'Discard all'}
+            </button>
+          </div>
+          
+          {enhanceError && <p className="prompt-suggestions-error">{enhanceError}</p>}
+          
+          {suggestions.map((suggestion, index) => (
+            <div key={suggestion} className="prompt-suggestion">
+              <p>{suggestion}</p>
+              <div className="prompt-suggestion-actions">
+                <button
+                  type="button"
+                  onClick={() => handleSendSuggestion(suggestion)}
+                  disabled={isLoading}
+                  aria-label={`Send suggestion ${index + 1}`}
+                >
+                  Send
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleEditSuggestion(suggestion)}
+                  aria-label={`Edit suggestion ${index + 1}`}
+                >
+                  Edit
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDiscardSuggestion(index)}
+                  aria-label={`Discard suggestion ${index + 1}`}
+                >
+                  Discard
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
       
-      <button 
-        className={`send-button ${isLoading ? 'loading' : ''}`}
-        onClick={handleSend}
-        disabled={!message.trim() || isLoading}
-        aria-label="Send message"
-      >
-        {isLoading ? (
-          <div className="spinner small"></div>
-        ) : (
-          <span>Send</span>
+      <div className="message-input">
+        <textarea
+          ref={textareaRef}
+          value={message}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          placeholder={placeholder}
+          disabled={isLoading}
+          rows={1}
+        />
+        
+        {onEnhance && (
+          <button
+            className={`enhance-button ${isEnhancing ? 'loading' : ''}`}
+            onClick={handleEnhance}
+            disabled={!message.trim() || isLoading || isEnhancing}
+            aria-label="Enhance prompt"
+            title="Suggest a more detailed prompt"
+          >
+            {isEnhancing ? (
+              <div className="spinner small"></div>
+            ) : (
+              <span>Enhance</span>
+            )}
+          </button>
         )}
-      </button>
+        
+        <button 
+          className={`send-button ${isLoading ? 'loading' : ''}`}
+          onClick={handleSend}
+          disabled={!message.trim() || isLoading}
+          aria-label="Send message"
+        >
+          {isLoading ? (
+            <div className="spinner small"></div>
+          ) : (
+            <span>Send</span>
+          )}
+        </button>
+      </div>
     </div>
   );
 };
@@ -56,6 +56,13 @@ const MessageItem = ({ message }) => {
           </div>
         )}
         
+        {status === 'STREAMING' && (
+          <div className="message-status streaming">
+            {!content && <div className="spinner small"></div>}
+            <span>{content ? 'Writing...' : 'Thinking...'}</span>
+          </div>
+        )}
+        
         {status === 'FAILED' && (
           <div className="message-status failed">
             <span>Failed to send. Tap to retry.</span>
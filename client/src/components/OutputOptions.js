@@ -0,0 +1,54 @@
+import React from 'react';
+import './OutputOptions.css';
+
+// Formats images can be generated in
+const OUTPUT_FORMATS = [
+  { value: 'png', label: 'PNG' },
+  { value: 'jpeg', label: 'JPEG' },
+  { value: 'webp', label: 'WebP' }
+];
+
+const OutputOptions = ({ value, onChange, disabled }) => {
+  const handleFormatChange = (e) => {
+    onChange({ ...value, format: e.target.value });
+  };
+  
+  const handleCompressionChange = (e) => {
+    onChange({ ...value, compression: Number(e.target.value) });
+  };
+  
+  return (
+    <div className="output-options">
+      <label htmlFor="output-format">Format</label>
+      <select
+        id="output-format"
+        value={value.format}
+        onChange={handleFormatChange}
+        disabled={disabled}
+      >
+        {OUTPUT_FORMATS.map(format => (
+          <option key={format.value} value={format.value}>{format.label}</option>
+        ))}
+      </select>
+      
+      {/* PNG is lossless, so only JPEG and WebP take a compression level */}
+      {value.format !== 'png' && (
+        <>
+          <label htmlFor="output-compression">Compression</label>
+          <input
+            id="output-compression"
+            type="range"
+            min="0"
+            max="100"
+            value={value.compression}
+            onChange={handleCompressionChange}
+            disabled={disabled}
+          />
+          <span className="output-compression-value">{value.compression}%</span>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default OutputOptions;
\ No newline at end of file
@@ -0,0 +1,144 @@
+import React, { useContext, useEffect, useState } from 'react';
+import './SettingsModal.css';
+import { UIContext } from '../contexts/UIContext';
+import { AuthContext } from '../contexts/AuthContext';
+
+const SettingsModal = () => {
+  const { modalState, closeSettingsModal } = useContext(UIContext);
+  const { user, apiKeyStatus, loadApiKeyStatus, saveApiKey, removeApiKey } = useContext(AuthContext);
+  const [apiKey, setApiKey] = useState('');
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  
+  const { isOpen } = modalState.settings;
+  
+  // Refresh the API key settings each time the modal opens
+  useEffect(() => {
+    if (isOpen && user) {
+      loadApiKeyStatus();
+    }
+    setApiKey('');
+    setError(null);
+  }, [isOpen, user, loadApiKeyStatus]);
+  
+  // Close modal on escape key
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        closeSettingsModal();
+      }
+    };
+    
+    if (isOpen) {
+      window.addEventListener('keydown', handleKeyDown);
+    }
+    
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [isOpen, closeSettingsModal]);
+  
+  if (!isOpen) {
+    return null;
+  }
+  
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!apiKey || isSaving) return;
+    
+    setIsSaving(true);
+    const saveError = await saveApiKey(apiKey.trim());
+    setError(saveError);
+    if (!saveError) {
+      setApiKey('');
+    }
+    setIsSaving(false);
+  };
+  
+  const handleRemove = async () => {
+    setIsSaving(true);
+    setError(await removeApiKey());
+    setIsSaving(false);
+  };
+  
+  const handleBackdropClick = (e) => {
+    // Close only if clicking the backdrop, not the content
+    if (e.target.classList.contains('settings-modal')) {
+      closeSettingsModal();
+    }
+  };
+  
+  const renderApiKeySettings = () => {
+    if (!user) {
+      return <p className="settings-note">Log in to use your own OpenAI API key.</p>;
+    }
+    
+    if (!apiKeyStatus) {
+      return <p className="settings-note">Loading…</p>;
+    }
+    
+    return (
+      <>
+        {apiKeyStatus.configured ? (
+          <div className="settings-api-key-current">
+            <span>Using your key ending in <code>{apiKeyStatus.last4}</code></span>
+            <button type="button" className="settings-remove-button" onClick={handleRemove} disabled={isSaving}>
+              Remove
+            </button>
+          </div>
+        ) : (
+          <p className="settings-note">
+            {apiKeyStatus.serverKeyAllowed
+              ? 'Requests use the server\'s key. Add your own to be billed on your OpenAI account instead.'
+              : 'Add your own OpenAI API key to generate images and chat.'}
+          </p>
+        )}
+        
+        {apiKeyStatus.storageEnabled ? (
+          <form className="settings-api-key-form" onSubmit={handleSave}>
+            <label htmlFor="settings-api-key">{apiKeyStatus.configured ? 'Replace key' : 'API key'}</label>
+            <input
+              id="settings-api-key"
+              type="password"
+              value={apiKey}
+              onChange={(e) => setApiKey(e.target.value)}
+              placeholder="sk-..."
+              autoComplete="off"
+              disabled={isSaving}
+            />
+            <button type="submit" className="settings-save-button" disabled={!apiKey || isSaving}>
+              Save
+            </button>
+          </form>
+        ) : (
+          <p className="settings-note">This server does not store personal API keys.</p>
+        )}
+      </>
+    );
+  };
+  
+  return (
+    <div className="settings-modal" onClick={handleBackdropClick}>
+      <div className="settings-content" role="dialog" aria-labelledby="settings-title">
+        <button 
+          className="close-button" 
+          onClick={closeSettingsModal}
+          aria-label="Close settings"
+        >
+          ×
+        </button>
+        
+        <h2 id="settings-title">Settings</h2>
+        
+        <section className="settings-section">
+          <h3>OpenAI API key</h3>
+          {error && <div className="settings-error" role="alert">{error}</div>}
+          {renderApiKeySettings()}
+          <p className="settings-hint">Your key is stored encrypted on the server and is never shown again.</p>
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default SettingsModal;
@@ -0,0 +1,50 @@
+import React, { useContext, useEffect, useState } from 'react';
+import './StylePresetPicker.css';
+import { ImageContext } from '../contexts/ImageContext';
+
+const StylePresetPicker = ({ value, onChange, disabled }) => {
+  const { getStylePresets } = useContext(ImageContext);
+  const [presets, setPresets] = useState([]);
+  
+  // Load the presets the server offers once
+  useEffect(() => {
+    let cancelled = false;
+    
+    getStylePresets().then(loaded => {
+      if (!cancelled && loaded) {
+        setPresets(loaded);
+      }
+    });
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [getStylePresets]);
+  
+  // Nothing to pick from when the server offers no presets
+  if (presets.length === 0) {
+    return null;
+  }
+  
+  const selected = presets.find(preset => preset.id === value);
+  
+  return (
+    <div className="style-preset-picker">
+      <label htmlFor="style-preset">Style</label>
+      <select
+        id="style-preset"
+        value={selected ? value : ''}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+        title={selected ? selected.template : undefined}
+      >
+        <option value="">None</option>
+        {presets.map(preset => (
+          <option key={preset.id} value={preset.id}>{preset.name}</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default StylePresetPicker;
\ No newline at end of file
@@ -5,24 +5,17 @@ import { UIContext } from '../../contexts/UIContext';
 import { ChatContext } from '../../contexts/ChatContext';
 import * as imageUtils from '../../utils/imageUtils';
 
+// ChatContext pulls in the API client, which is not needed here
+jest.mock('../../utils/api', () => ({}));
+
 // Mock the imageUtils functions
 jest.mock('../../utils/imageUtils', () => ({
   createCanvasWithImage: jest.fn(),
   createImageFromUrl: jest.fn(),
-  canvasToDataUrl: jest.fn()
+  createAlphaMask: jest.fn()
 }));
 
-// Mock canvas and context
-const mockCanvas = {
-  getContext: jest.fn(),
-  width: 500,
-  height: 300,
-  getBoundingClientRect: jest.fn(() => ({
-    left: 0,
-    top: 0
-  }))
-};
-
+// Mock canvas context (jsdom does not implement canvas drawing)
 const mockContext = {
   drawImage: jest.fn(),
   clearRect: jest.fn(),
@@ -55,9 +48,9 @@ describe('ImageMaskingModal', () => {
   beforeEach(() => {
     jest.clearAllMocks();
     
-    // Mock canvas ref
-    mockCanvas.getContext.mockReturnValue(mockContext);
-    jest.spyOn(React, 'useRef').mockReturnValue({ current: mockCanvas });
+    // Mock canvas drawing and layout
+    jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(mockContext);
+    jest.spyOn(HTMLCanvasElement.prototype, 'getBoundingClientRect').mockReturnValue({ left: 0, top: 0 });
     
     // Mock window dimensions
     global.innerWidth = 1024;
@@ -66,10 +59,12 @@ describe('ImageMaskingModal', () => {
     // Mock image loading
     const mockImage = {
       width: 800,
-      height: 600
+      height: 600,
+      naturalWidth: 1600,
+      naturalHeight: 1200
     };
     imageUtils.createImageFromUrl.mockResolvedValue(mockImage);
-    imageUtils.canvasToDataUrl.mockReturnValue('data:image/png;base64,test-mask-data');
+    imageUtils.createAlphaMask.mockReturnValue('data:image/png;base64,test-mask-data');
   });
   
   it('should render the modal when open', async () => {
@@ -282,12 +277,17 @@ describe('ImageMaskingModal', () => {
       await Promise.resolve();
     });
     
-    // Click the reset button
+    // Draw a stroke, then click the reset button
+    fireEvent.mouseDown(screen.getByRole('img'), { clientX: 100, clientY: 100 });
+    fireEvent.mouseUp(screen.getByRole('img'));
+    mockContext.clearRect.mockClear();
     fireEvent.click(screen.getByText('Reset'));
     
-    // Check that the canvas was reset
-    expect(mockContext.clearRect).toHaveBeenCalledWith(0, 0, mockCanvas.width, mockCanvas.height);
-    expect(mockContext.drawImage).toHaveBeenCalledTimes(2); // Once on init, once on reset
+    // Check that only the strokes were cleared; the image is left as it was
+    const maskCanvas = screen.getByRole('img');
+    expect(mockContext.clearRect).toHaveBeenCalledWith(0, 0, maskCanvas.width, maskCanvas.height);
+    expect(mockContext.drawImage).toHaveBeenCalledTimes(1); // Only on init
+    expect(screen.getByText('Apply Mask')).toBeDisabled();
   });
   
   it('should apply mask and close modal when apply button is clicked', async () => {
@@ -304,16 +304,21 @@ describe('ImageMaskingModal', () => {
       await Promise.resolve();
     });
     
-    // Click the apply button
+    // Nothing can be applied before something is painted
+    expect(screen.getByText('Apply Mask')).toBeDisabled();
+    
+    // Paint a stroke and click the apply button
+    fireEvent.mouseDown(screen.getByRole('img'), { clientX: 100, clientY: 100 });
+    fireEvent.mouseUp(screen.getByRole('img'));
     fireEvent.click(screen.getByText('Apply Mask'));
     
-    // Check that the mask was applied
-    expect(imageUtils.canvasToDataUrl).toHaveBeenCalledWith(mockCanvas);
+    // Check that the mask was exported from the stroke layer at the original image resolution
+    expect(imageUtils.createAlphaMask).toHaveBeenCalledWith(screen.getByRole('img'), 1600, 1200);
     expect(mockChatContext.addMaskedImage).toHaveBeenCalledWith({
       originalImage: mockUIContext.modalState.masking.image,
       maskDataUrl: 'data:image/png;base64,test-mask-data',
-      width: mockCanvas.width,
-      height: mockCanvas.height
+      width: 1600,
+      height: 1200
     });
     
     // Check that the modal was closed
@@ -0,0 +1,65 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import ImageMessage from '../ImageMessage';
+import { UIContext } from '../../contexts/UIContext';
+
+describe('ImageMessage Component', () => {
+  const openImageViewer = jest.fn();
+  const openMaskingModal = jest.fn();
+  
+  const renderImage = (image) => render(
+    <UIContext.Provider value={{ openImageViewer, openMaskingModal }}>
+      <ImageMessage image={image} />
+    </UIContext.Provider>
+  );
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+  
+  it('should render a blurred partial image without actions', () => {
+    renderImage({ id: 'preview', url: 'data:image/png;base64,cHJldmlldw==', alt: 'Image preview', partial: true });
+    
+    const img = screen.getByAltText('Image preview');
+    expect(img).toHaveClass('image-partial');
+    expect(screen.getByText('Rendering...')).toBeInTheDocument();
+    expect(screen.queryByLabelText('Edit image')).not.toBeInTheDocument();
+    
+    fireEvent.click(img);
+    expect(openImageViewer).not.toHaveBeenCalled();
+  });
+  
+  it('should show the preview until the final image loads', () => {
+    renderImage({
+      id: 'final',
+      url: 'data:image/png;base64,ZmluYWw=',
+      previewUrl: 'data:image/png;base64,cHJldmlldw==',
+      alt: 'Generated image'
+    });
+    
+    // The preview is decorative: it has no name and is hidden from assistive technology
+    expect(screen.getByRole('img', { name: '', hidden: true })).toHaveAttribute('src', 'data:image/png;base64,cHJldmlldw==');
+    expect(screen.queryByRole('status')).not.toBeInTheDocument();
+    
+    fireEvent.load(screen.getByAltText('Generated image'));
+    
+    expect(screen.queryByRole('img', { name: '', hidden: true })).not.toBeInTheDocument();
+    expect(screen.getByLabelText('Edit image')).toBeInTheDocument();
+  });
+  
+  it('should link an edited image to the image it was edited from', () => {
+    renderImage({ id: 'img_darker', url: '/api/images/img_darker', alt: 'Edited image', sourceImageId: 'img_cat' });
+    
+    fireEvent.click(screen.getByLabelText('View the image this was edited from'));
+    
+    expect(openImageViewer).toHaveBeenCalledTimes(1);
+    expect(openImageViewer).toHaveBeenCalledWith([expect.objectContaining({ id: 'img_cat', url: '/api/images/img_cat' })], 0);
+  });
+  
+  it('should not show a source for images that were not edited', () => {
+    renderImage({ id: 'img_cat', url: '/api/images/img_cat', alt: 'Generated image' });
+    
+    expect(screen.queryByLabelText('View the image this was edited from')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,62 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import ImageViewerModal from '../ImageViewerModal';
+import { UIContext } from '../../contexts/UIContext';
+import { ImageContext } from '../../contexts/ImageContext';
+
+// The image context is provided directly, so the API client is never used
+jest.mock('../../utils/api', () => ({}));
+
+describe('ImageViewerModal Component', () => {
+  const openImageViewer = jest.fn();
+  const getImageMetadata = jest.fn();
+  
+  const renderViewer = (images) => render(
+    <UIContext.Provider value={{
+      modalState: { imageViewer: { isOpen: true, images, currentIndex: 0 } },
+      closeImageViewer: jest.fn(),
+      navigateImage: jest.fn(),
+      openImageViewer,
+      openMaskingModal: jest.fn()
+    }}>
+      <ImageContext.Provider value={{ getImageMetadata }}>
+        <ImageViewerModal />
+      </ImageContext.Provider>
+    </UIContext.Provider>
+  );
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+  
+  it('should show how a stored image was made', async () => {
+    getImageMetadata.mockResolvedValue({
+      id: 'img_2',
+      metadata: {
+        prompt: 'Add a boat',
+        params: { size: '1024x1024', quality: 'low' },
+        model: 'gpt-image-1',
+        usage: { total_tokens: 20 },
+        parentIds: ['img_1']
+      }
+    });
+    
+    renderViewer([{ id: 'img_2', url: '/api/images/img_2' }]);
+    
+    expect(await screen.findByText('Add a boat')).toBeInTheDocument();
+    expect(getImageMetadata).toHaveBeenCalledWith('img_2');
+    expect(screen.getByText('size 1024x1024 · quality low')).toBeInTheDocument();
+    expect(screen.getByText('gpt-image-1')).toBeInTheDocument();
+    
+    fireEvent.click(screen.getByLabelText('View source image'));
+    expect(openImageViewer).toHaveBeenCalledWith([expect.objectContaining({ id: 'img_1', url: '/api/images/img_1' })], 0);
+  });
+  
+  it('should not look up images that are not stored on the server', () => {
+    renderViewer([{ id: 'local', url: 'data:image/png;base64,aGk=' }]);
+    
+    expect(getImageMetadata).not.toHaveBeenCalled();
+    expect(screen.queryByTestId('image-details')).not.toBeInTheDocument();
+  });
+});
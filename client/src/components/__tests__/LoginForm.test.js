@@ -0,0 +1,73 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import LoginForm from '../LoginForm';
+import { AuthContext } from '../../contexts/AuthContext';
+
+// Mock api
+jest.mock('../../utils/api', () => ({}));
+
+describe('LoginForm Component', () => {
+  const renderWithContext = (overrides = {}) => {
+    const value = {
+      login: jest.fn().mockResolvedValue(true),
+      register: jest.fn().mockResolvedValue(true),
+      error: null,
+      registrationOpen: true,
+      ...overrides
+    };
+    
+    render(
+      <AuthContext.Provider value={value}>
+        <LoginForm />
+      </AuthContext.Provider>
+    );
+    return value;
+  };
+  
+  const fillIn = () => {
+    fireEvent.change(screen.getByLabelText('Username'), { target: { value: 'alice' } });
+    fireEvent.change(screen.getByLabelText('Password'), { target: { value: 'correct horse' } });
+  };
+  
+  it('should log in with the entered credentials', async () => {
+    const { login, register } = renderWithContext();
+    
+    expect(screen.getByText('Log in')).toBeDisabled();
+    fillIn();
+    fireEvent.click(screen.getByText('Log in'));
+    
+    expect(await screen.findByLabelText('Username')).toBeDisabled();
+    expect(login).toHaveBeenCalledWith('alice', 'correct horse');
+    expect(register).not.toHaveBeenCalled();
+  });
+  
+  it('should switch to creating an account', async () => {
+    const { register } = renderWithContext();
+    
+    fireEvent.click(screen.getByText('New here? Create an account'));
+    fillIn();
+    fireEvent.click(screen.getByText('Create account'));
+    
+    expect(await screen.findByLabelText('Username')).toBeDisabled();
+    expect(register).toHaveBeenCalledWith('alice', 'correct horse');
+  });
+  
+  it('should hide registration when it is closed', () => {
+    renderWithContext({ registrationOpen: false });
+    
+    expect(screen.queryByText('New here? Create an account')).not.toBeInTheDocument();
+  });
+  
+  it('should show errors and clear the password after a failed attempt', async () => {
+    renderWithContext({ login: jest.fn().mockResolvedValue(false), error: 'Invalid username or password' });
+    
+    expect(screen.getByRole('alert')).toHaveTextContent('Invalid username or password');
+    fillIn();
+    fireEvent.click(screen.getByText('Log in'));
+    
+    // Only the password is cleared, so it is the one field left empty
+    expect(await screen.findByDisplayValue('')).toBe(screen.getByLabelText('Password'));
+    expect(screen.getByLabelText('Username')).toBeEnabled();
+  });
+});
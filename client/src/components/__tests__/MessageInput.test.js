@@ -1,5 +1,5 @@
 import React from 'react';
-import { render, screen, fireEvent } from '@testing-library/react';
+import { render, screen, fireEvent, within } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import MessageInput from '../MessageInput';
 
@@ -139,4 +139,81 @@ describe('MessageInput', () => {
     expect(screen.getByText('Send')).not.toBeVisible();
     expect(screen.getByRole('button', { name: /send message/i }).querySelector('.spinner')).toBeInTheDocument();
   });
+  
+  describe('prompt enhancement', () => {
+    const mockOnEnhance = jest.fn();
+    
+    // Type a prompt and ask for suggestions
+    const enhance = async (prompt = 'a fox') => {
+      render(<MessageInput onSend={mockOnSend} onEnhance={mockOnEnhance} isLoading={false} />);
+      await userEvent.type(screen.getByPlaceholderText('Type a message...'), prompt);
+      await userEvent.click(screen.getByRole('button', { name: /enhance prompt/i }));
+      return screen.findByRole('region', { name: /prompt suggestions/i });
+    };
+    
+    beforeEach(() => {
+      mockOnEnhance.mockResolvedValue(['A red fox in a snowy forest', 'A red fox at dawn']);
+    });
+    
+    it('should only offer enhancement when onEnhance is given', () => {
+      render(<MessageInput onSend={mockOnSend} isLoading={false} />);
+      
+      expect(screen.queryByRole('button', { name: /enhance prompt/i })).not.toBeInTheDocument();
+    });
+    
+    it('should disable the enhance button when input is empty', () => {
+      render(<MessageInput onSend={mockOnSend} onEnhance={mockOnEnhance} isLoading={false} />);
+      
+      expect(screen.getByRole('button', { name: /enhance prompt/i })).toBeDisabled();
+    });
+    
+    it('should show the suggestions for the typed prompt', async () => {
+      const panel = await enhance(' a fox ');
+      
+      expect(mockOnEnhance).toHaveBeenCalledWith('a fox');
+      expect(within(panel).getByText('A red fox in a snowy forest')).toBeInTheDocument();
+      expect(within(panel).getByText('A red fox at dawn')).toBeInTheDocument();
+      expect(mockOnSend).not.toHaveBeenCalled();
+    });
+    
+    it('should send an accepted suggestion', async () => {
+      await enhance();
+      
+      await userEvent.click(screen.getByRole('button', { name: /send suggestion 2/i }));
+      
+      expect(mockOnSend).toHaveBeenCalledWith('A red fox at dawn');
+      expect(screen.getByPlaceholderText('Type a message...').value).toBe('');
+      expect(screen.queryByRole('region', { name: /prompt suggestions/i })).not.toBeInTheDocument();
+    });
+    
+    it('should put a suggestion in the input for editing', async () => {
+      await enhance();
+      
+      await userEvent.click(screen.getByRole('button', { name: /edit suggestion 1/i }));
+      
+      expect(screen.getByPlaceholderText('Type a message...').value).toBe('A red fox in a snowy forest');
+      expect(screen.queryByRole('region', { name: /prompt suggestions/i })).not.toBeInTheDocument();
+      expect(mockOnSend).not.toHaveBeenCalled();
+    });
+    
+    it('should discard suggestions one at a time or all at once', async () => {
+      const panel = await enhance();
+      
+      await userEvent.click(screen.getByRole('button', { name: /discard suggestion 1/i }));
+      expect(within(panel).queryByText('A red fox in a snowy forest')).not.toBeInTheDocument();
+      expect(within(panel).getByText('A red fox at dawn')).toBeInTheDocument();
+      
+      await userEvent.click(screen.getByRole('button', { name: /discard all/i }));
+      expect(screen.queryByRole('region', { name: /prompt suggestions/i })).not.toBeInTheDocument();
+      expect(screen.getByPlaceholderText('Type a message...').value).toBe('a fox');
+    });
+    
+    it('should show why enhancement failed', async () => {
+      mockOnEnhance.mockRejectedValue(new Error('Daily budget exceeded'));
+      
+      const panel = await enhance();
+      
+      expect(within(panel).getByText('Daily budget exceeded')).toBeInTheDocument();
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,33 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import OutputOptions from '../OutputOptions';
+
+describe('OutputOptions', () => {
+  const mockOnChange = jest.fn();
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+  
+  it('should only offer a compression level for JPEG and WebP', () => {
+    const { rerender } = render(<OutputOptions value={{ format: 'png', compression: 100 }} onChange={mockOnChange} />);
+    
+    expect(screen.getByLabelText('Format')).toHaveValue('png');
+    expect(screen.queryByLabelText('Compression')).not.toBeInTheDocument();
+    
+    rerender(<OutputOptions value={{ format: 'webp', compression: 60 }} onChange={mockOnChange} />);
+    
+    expect(screen.getByLabelText('Compression')).toHaveValue('60');
+    expect(screen.getByText('60%')).toBeInTheDocument();
+  });
+  
+  it('should report the chosen format and compression', () => {
+    render(<OutputOptions value={{ format: 'jpeg', compression: 100 }} onChange={mockOnChange} />);
+    
+    fireEvent.change(screen.getByLabelText('Format'), { target: { value: 'webp' } });
+    expect(mockOnChange).toHaveBeenCalledWith({ format: 'webp', compression: 100 });
+    
+    fireEvent.change(screen.getByLabelText('Compression'), { target: { value: '75' } });
+    expect(mockOnChange).toHaveBeenCalledWith({ format: 'jpeg', compression: 75 });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,74 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import SettingsModal from '../SettingsModal';
+import { AuthContext } from '../../contexts/AuthContext';
+import { UIContext } from '../../contexts/UIContext';
+
+// Mock api
+jest.mock('../../utils/api', () => ({}));
+
+describe('SettingsModal Component', () => {
+  const status = { configured: false, last4: null, updatedAt: null, storageEnabled: true, serverKeyAllowed: true };
+  
+  const renderWithContext = (authOverrides = {}) => {
+    const ui = {
+      modalState: { settings: { isOpen: true } },
+      closeSettingsModal: jest.fn()
+    };
+    const auth = {
+      user: { id: 'usr_1', username: 'alice', role: 'user' },
+      apiKeyStatus: status,
+      loadApiKeyStatus: jest.fn(),
+      saveApiKey: jest.fn().mockResolvedValue(null),
+      removeApiKey: jest.fn().mockResolvedValue(null),
+      ...authOverrides
+    };
+    
+    render(
+      <UIContext.Provider value={ui}>
+        <AuthContext.Provider value={auth}>
+          <SettingsModal />
+        </AuthContext.Provider>
+      </UIContext.Provider>
+    );
+    return { ui, auth };
+  };
+  
+  it('should load the API key settings and save a new key', async () => {
+    const { auth } = renderWithContext();
+    
+    expect(auth.loadApiKeyStatus).toHaveBeenCalled();
+    fireEvent.change(screen.getByLabelText('API key'), { target: { value: 'sk-proj-abcdefghijklmnop1234' } });
+    fireEvent.click(screen.getByText('Save'));
+    
+    expect(await screen.findByDisplayValue('')).toBe(screen.getByLabelText('API key'));
+    expect(auth.saveApiKey).toHaveBeenCalledWith('sk-proj-abcdefghijklmnop1234');
+  });
+  
+  it('should show the stored key by its last four characters and remove it', async () => {
+    const { auth } = renderWithContext({ apiKeyStatus: { ...status, configured: true, last4: '1234' } });
+    
+    expect(screen.getByText('1234')).toBeInTheDocument();
+    fireEvent.click(screen.getByText('Remove'));
+    
+    await waitFor(() => expect(screen.getByText('Remove')).toBeEnabled());
+    expect(auth.removeApiKey).toHaveBeenCalled();
+  });
+  
+  it('should show errors from the server', async () => {
+    renderWithContext({ saveApiKey: jest.fn().mockResolvedValue('Invalid API key') });
+    
+    fireEvent.change(screen.getByLabelText('API key'), { target: { value: 'sk-bad' } });
+    fireEvent.click(screen.getByText('Save'));
+    
+    expect(await screen.findByRole('alert')).toHaveTextContent('Invalid API key');
+  });
+  
+  it('should ask anonymous users to log in', () => {
+    const { auth } = renderWithContext({ user: null, apiKeyStatus: null });
+    
+    expect(auth.loadApiKeyStatus).not.toHaveBeenCalled();
+    expect(screen.getByText('Log in to use your own OpenAI API key.')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,49 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import StylePresetPicker from '../StylePresetPicker';
+import { ImageContext } from '../../contexts/ImageContext';
+
+// The image context is provided directly, so the API client is never used
+jest.mock('../../utils/api', () => ({}));
+
+describe('StylePresetPicker', () => {
+  const mockOnChange = jest.fn();
+  const getStylePresets = jest.fn();
+  
+  const renderPicker = (value = '') => render(
+    <ImageContext.Provider value={{ getStylePresets }}>
+      <StylePresetPicker value={value} onChange={mockOnChange} />
+    </ImageContext.Provider>
+  );
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+  
+  it('should offer the server presets and report the chosen one', async () => {
+    getStylePresets.mockResolvedValue([
+      { id: 'flat-vector', name: 'Flat vector', template: '{prompt}, flat vector illustration' },
+      { id: 'preset_1', name: 'Blueprint', template: '{prompt}, blueprint drawing' }
+    ]);
+    renderPicker('flat-vector');
+    
+    const select = await screen.findByLabelText('Style');
+    expect(select).toHaveValue('flat-vector');
+    expect(select).toHaveAttribute('title', '{prompt}, flat vector illustration');
+    expect(screen.getAllByRole('option').map(option => option.textContent)).toEqual(['None', 'Flat vector', 'Blueprint']);
+    
+    fireEvent.change(select, { target: { value: 'preset_1' } });
+    expect(mockOnChange).toHaveBeenCalledWith('preset_1');
+    
+    fireEvent.change(select, { target: { value: '' } });
+    expect(mockOnChange).toHaveBeenCalledWith('');
+  });
+  
+  it('should render nothing when no presets can be loaded', async () => {
+    getStylePresets.mockResolvedValue(null);
+    const { container } = renderPicker();
+    
+    await waitFor(() => expect(getStylePresets).toHaveBeenCalled());
+    expect(container).toBeEmptyDOMElement();
+  });
+});
\ No newline at end of file
@@ -1,5 +1,20 @@
-import React, { createContext, useState, useEffect } from 'react';
+import React, { createContext, useState, useEffect, useCallback } from 'react';
+import api from '../utils/api';
 import storageUtils from '../utils/storageUtils';
+import { setAuthToken, clearAuthToken } from '../utils/authToken';
+
+// Get a readable message from a failed auth request
+const getErrorMessage = (err, fallback) => {
+  const data = err.response && err.response.data;
+  return (data && data.error && data.error.message) || fallback;
+};
+
+// Forget the conversation of the previous session, so the next user starts their own
+// instead of reusing its ID and cached messages
+const forgetConversation = () => {
+  storageUtils.clearStorage(storageUtils.STORAGE_KEYS.CONVERSATION_ID);
+  storageUtils.clearStorage(storageUtils.STORAGE_KEYS.CHAT_MESSAGES);
+};
 
 export const AuthContext = createContext();
 
@@ -8,11 +23,133 @@ export const AuthProvider = ({ children }) => {
   const [settings, setSettings] = useState({});
   const [isLoading, setIsLoading] = useState(true);
   
-  // Load settings from localStorage on mount
+  // Session state; sign-in is assumed required until the server says otherwise
+  const [user, setUser] = useState(null);
+  const [authRequired, setAuthRequired] = useState(true);
+  const [registrationOpen, setRegistrationOpen] = useState(false);
+  const [error, setError] = useState(null);
+  const [isCheckingAuth, setIsCheckingAuth] = useState(true);
+  
+  // The signed-in user's own OpenAI API key settings (never the key itself)
+  const [apiKeyStatus, setApiKeyStatus] = useState(null);
+  
+  // Ask the server who is signed in and whether signing in is required
+  const checkAuthStatus = useCallback(async () => {
+    try {
+      const response = await api.get('/auth/status');
+      setUser(response.data.user);
+      setAuthRequired(response.data.authRequired);
+      setRegistrationOpen(response.data.registrationOpen);
+      if (!response.data.user) {
+        clearAuthToken();
+      }
+    } catch (err) {
+      console.error('Error checking auth status:', err);
+      setUser(null);
+    } finally {
+      setIsCheckingAuth(false);
+    }
+  }, []);
+  
+  // Load settings from localStorage and the session from the server on mount
   useEffect(() => {
     loadSettings();
+    checkAuthStatus();
+  }, [checkAuthStatus]);
+  
+  // Sign out locally when the server rejects the session token
+  useEffect(() => {
+    const handleExpired = () => {
+      forgetConversation();
+      setUser(null);
+      setApiKeyStatus(null);
+    };
+    window.addEventListener('auth:expired', handleExpired);
+    return () => window.removeEventListener('auth:expired', handleExpired);
+  }, []);
+  
+  // Start a session from a login or register response
+  const startSession = (data) => {
+    forgetConversation();
+    setAuthToken(data.token);
+    setUser(data.user);
+    setError(null);
+  };
+  
+  // Sign in with a username and password
+  const login = async (username, password) => {
+    try {
+      const response = await api.post('/auth/login', { username, password });
+      startSession(response.data);
+      return true;
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to log in. Please try again.'));
+      return false;
+    }
+  };
+  
+  // Create an account and sign in with it
+  const register = async (username, password) => {
+    try {
+      const response = await api.post('/auth/register', { username, password });
+      startSession(response.data);
+      
+      // The first account may have closed registration
+      await checkAuthStatus();
+      return true;
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to create an account. Please try again.'));
+      return false;
+    }
+  };
+  
+  // End the session on the server and forget the token
+  const logout = async () => {
+    try {
+      await api.post('/auth/logout');
+    } catch (err) {
+      console.error('Error logging out:', err);
+    } finally {
+      clearAuthToken();
+      forgetConversation();
+      setUser(null);
+      setApiKeyStatus(null);
+    }
+  };
+  
+  // Load whether the signed-in user has stored their own OpenAI API key
+  const loadApiKeyStatus = useCallback(async () => {
+    try {
+      const response = await api.get('/settings/api-key');
+      setApiKeyStatus(response.data);
+    } catch (err) {
+      console.error('Error loading API key settings:', err);
+      setApiKeyStatus(null);
+    }
   }, []);
   
+  // Store the user's own OpenAI API key; resolves to an error message, or null on success
+  const saveApiKey = async (apiKey) => {
+    try {
+      const response = await api.put('/settings/api-key', { apiKey });
+      setApiKeyStatus(response.data);
+      return null;
+    } catch (err) {
+      return getErrorMessage(err, 'Failed to save the API key. Please try again.');
+    }
+  };
+  
+  // Remove the user's own OpenAI API key; resolves to an error message, or null on success
+  const removeApiKey = async () => {
+    try {
+      const response = await api.delete('/settings/api-key');
+      setApiKeyStatus(response.data);
+      return null;
+    } catch (err) {
+      return getErrorMessage(err, 'Failed to remove the API key. Please try again.');
+    }
+  };
+  
   // Load settings from localStorage
   const loadSettings = () => {
     try {
@@ -54,24 +191,28 @@ export const AuthProvider = ({ children }) => {
     }
   };
   
-  // For backward compatibility, always return isAuthenticated as true
-  // This allows existing components to work without modification
-  const isAuthenticated = true;
+  // Deployments with AUTH_REQUIRED=false can be used without signing in
+  const isAuthenticated = !!user || !authRequired;
   
   return (
     <AuthContext.Provider
       value={{
         isAuthenticated,
-        isLoading,
+        isLoading: isLoading || isCheckingAuth,
         settings,
         updateSettings,
-        // For backward compatibility
-        user: null,
-        error: null,
-        login: () => Promise.resolve(true),
-        register: () => Promise.resolve(true),
-        logout: () => Promise.resolve(),
-        checkAuthStatus: loadSettings
+        user,
+        authRequired,
+        registrationOpen,
+        error,
+        login,
+        register,
+        logout,
+        checkAuthStatus,
+        apiKeyStatus,
+        loadApiKeyStatus,
+        saveApiKey,
+        removeApiKey
       }}
     >
       {children}
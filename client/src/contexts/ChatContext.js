@@ -1,32 +1,85 @@
-import React, { createContext, useState, useEffect, useCallback } from 'react';
+import React, { createContext, useState, useEffect, useCallback, useContext } from 'react';
 import { v4 as uuidv4 } from 'uuid';
 import api from '../utils/api';
 import storageUtils from '../utils/storageUtils';
+import { isStreamingSupported, postEventStream } from '../utils/streamUtils';
+import { runImageJob } from '../utils/jobUtils';
+import { extractBase64Data, fileToBase64, getStoredImageId, toOutputParams } from '../utils/imageUtils';
+import { AuthContext } from './AuthContext';
 
 export const ChatContext = createContext();
 
+// Number of messages requested per history page
+const HISTORY_PAGE_SIZE = 50;
+
+// Format of generated and edited images, and the compression level used for JPEG and WebP
+const DEFAULT_IMAGE_OUTPUT = { format: 'png', compression: 100 };
+
+// Get the ID of this browser's conversation, creating one on first use
+const getConversationId = () => {
+  let conversationId = storageUtils.loadFromStorage(storageUtils.STORAGE_KEYS.CONVERSATION_ID);
+  if (!conversationId) {
+    conversationId = uuidv4();
+    storageUtils.saveToStorage(storageUtils.STORAGE_KEYS.CONVERSATION_ID, conversationId);
+  }
+  return conversationId;
+};
+
+// Get what to send as the image of an edit: the ID of an image stored on the server, which the server
+// loads itself, or the base64 data of any other image
+const toEditImage = async (url) => {
+  const storedImageId = getStoredImageId(url);
+  if (storedImageId) {
+    return storedImageId;
+  }
+  
+  if (url.startsWith('data:')) {
+    return extractBase64Data(url);
+  }
+  
+  const response = await api.get(url, { responseType: 'blob' });
+  return extractBase64Data(await fileToBase64(response.data));
+};
+
 export const ChatProvider = ({ children }) => {
   // Chat state
   const [messages, setMessages] = useState([]);
   const [uploadedImages, setUploadedImages] = useState([]);
   const [maskedImages, setMaskedImages] = useState([]);
+  const [imageOutput, setImageOutput] = useState(DEFAULT_IMAGE_OUTPUT);
+  const [stylePreset, setStylePreset] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [hasMoreMessages, setHasMoreMessages] = useState(false);
+  const [historyCursor, setHistoryCursor] = useState(null);
   const [storageWarning, setStorageWarning] = useState(null);
   
-  // Load chat history from localStorage on mount
+  // Without an AuthProvider (e.g. in isolated tests) the chat is always available
+  const auth = useContext(AuthContext);
+  const isAuthenticated = auth ? auth.isAuthenticated : true;
+  const userId = auth && auth.user ? auth.user.id : null;
+  
+  const [conversationId, setConversationId] = useState(getConversationId);
+  
+  // Signing in or out forgets the stored conversation, so each user gets their own
   useEffect(() => {
-    loadChatHistory();
-  }, []);
+    setConversationId(getConversationId());
+  }, [userId]);
   
   // Save chat history to localStorage
   const saveChatHistory = useCallback(() => {
     try {
+      // Replies still streaming and image previews are transient, so they are not cached
+      const cachedMessages = messages
+        .filter(msg => msg.status !== 'STREAMING')
+        .map(msg => (msg.images
+          ? { ...msg, images: msg.images.map(({ previewUrl, ...image }) => image) }
+          : msg));
+      
       // Check if adding this data would exceed storage limits
       if (storageUtils.wouldExceedStorageLimits(
         storageUtils.STORAGE_KEYS.CHAT_MESSAGES,
-        messages
+        cachedMessages
       )) {
         // If it would exceed, show warning but still try to save
         setStorageWarning('Chat history is approaching storage limits. Consider exporting and clearing some messages.');
@@ -37,7 +90,7 @@ export const ChatProvider = ({ children }) => {
       // Save messages to localStorage
       storageUtils.saveToStorage(
         storageUtils.STORAGE_KEYS.CHAT_MESSAGES,
-        messages
+        cachedMessages
       );
     } catch (err) {
       console.error('Error saving chat history:', err);
@@ -52,12 +105,9 @@ export const ChatProvider = ({ children }) => {
     }
   }, [messages, saveChatHistory]);
   
-  // Load chat history from localStorage
-  const loadChatHistory = () => {
+  // Load cached chat history from localStorage (used offline and after imports)
+  const loadCachedHistory = useCallback(() => {
     try {
-      setIsLoading(true);
-      setError(null);
-      
       // Load messages from localStorage
       const savedMessages = storageUtils.loadFromStorage(
         storageUtils.STORAGE_KEYS.CHAT_MESSAGES,
@@ -71,25 +121,94 @@ export const ChatProvider = ({ children }) => {
           images: msg.images || []
         }));
         
-        // Log for debugging
-        console.log('Loaded messages from localStorage:', processedMessages);
-        
         setMessages(processedMessages);
-        setHasMoreMessages(false);
       }
+      
+      // The local cache holds everything it has, so there is nothing more to page in
+      setHasMoreMessages(false);
+      setHistoryCursor(null);
     } catch (err) {
       console.error('Error loading chat history:', err);
       setError('Failed to load chat history from local storage.');
+    }
+  }, []);
+  
+  // Load a page of chat history from the server, older than the given cursor
+  const loadHistoryPage = useCallback(async (before) => {
+    const response = await api.get('/chat/history', {
+      params: {
+        conversationId,
+        limit: HISTORY_PAGE_SIZE,
+        ...(before ? { before } : {})
+      }
+    });
+    
+    const page = response.data;
+    const pageMessages = (page.messages || []).map(msg => ({
+      ...msg,
+      images: msg.images || []
+    }));
+    
+    setHasMoreMessages(!!page.hasMore);
+    setHistoryCursor(page.nextCursor || null);
+    
+    return pageMessages;
+  }, [conversationId]);
+  
+  // Load the most recent chat history, falling back to the local cache
+  const loadChatHistory = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      
+      const pageMessages = await loadHistoryPage();
+      
+      if (pageMessages.length > 0) {
+        setMessages(pageMessages);
+      } else {
+        // Nothing on the server yet (e.g. history from before server-side storage)
+        loadCachedHistory();
+      }
+    } catch (err) {
+      console.error('Error loading chat history from server, using local cache:', err);
+      loadCachedHistory();
     } finally {
       setIsLoading(false);
     }
-  };
-  // Fetch more chat history (for pagination)
-  const fetchChatHistory = useCallback(() => {
-    // In the browser-only version, we load all messages at once
-    // This is kept for API compatibility with the original component
-    loadChatHistory();
-  }, []);
+  }, [loadHistoryPage, loadCachedHistory]);
+  
+  // Load chat history from the server once signed in, starting afresh when the user changes
+  useEffect(() => {
+    setMessages([]);
+    setHasMoreMessages(false);
+    setHistoryCursor(null);
+    // Right after the user changes the conversation is still the previous user's until it has been reset
+    if (isAuthenticated && conversationId === getConversationId()) {
+      loadChatHistory();
+    }
+  }, [isAuthenticated, conversationId, loadChatHistory]);
+  
+  // Fetch older chat history (for infinite scrolling)
+  const fetchChatHistory = useCallback(async () => {
+    if (!historyCursor) {
+      return loadChatHistory();
+    }
+    
+    try {
+      setIsLoading(true);
+      setError(null);
+      
+      const olderMessages = await loadHistoryPage(historyCursor);
+      
+      // Messages are kept newest first, so older ones go at the end
+      setMessages(prevMessages => [...prevMessages, ...olderMessages]);
+    } catch (err) {
+      console.error('Error fetching chat history:', err);
+      setError('Failed to load older messages.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [historyCursor, loadChatHistory, loadHistoryPage]);
   
   // Send a message to the API
   const sendMessage = async (content) => {
@@ -103,6 +222,84 @@ export const ChatProvider = ({ children }) => {
       status: 'PENDING'
     };
     
+    // IDs assigned by the server once a streamed reply starts, and the latest preview of each generated image
+    const streamState = { userMessageId: null, assistantMessageId: null, previewUrls: [] };
+    
+    // Stream the reply, rendering the assistant message as tokens arrive
+    const streamReply = async (payload) => {
+      let result = null;
+      
+      await postEventStream('/chat/message/stream', payload, {
+        onEvent: (event, data) => {
+          if (event === 'start') {
+            streamState.userMessageId = data.userMessage.id;
+            streamState.assistantMessageId = data.assistantMessageId;
+            
+            setMessages(prevMessages => [
+              {
+                id: data.assistantMessageId,
+                role: 'assistant',
+                content: '',
+                images: [],
+                timestamp: new Date().toISOString(),
+                status: 'STREAMING'
+              },
+              ...prevMessages.map(msg => (msg.id === tempId ? data.userMessage : msg))
+            ]);
+          } else if (event === 'token') {
+            setMessages(prevMessages => prevMessages.map(msg =>
+              msg.id === streamState.assistantMessageId
+                ? { ...msg, content: msg.content + data.content }
+                : msg
+            ));
+          } else if (event === 'partial_image') {
+            const previewUrl = `data:${data.mimeType || 'image/png'};base64,${data.base64}`;
+            streamState.previewUrls[data.index] = previewUrl;
+            
+            setMessages(prevMessages => prevMessages.map(msg => {
+              if (msg.id !== streamState.assistantMessageId) {
+                return msg;
+              }
+              
+              const images = [...msg.images];
+              images[data.index] = {
+                id: `${msg.id}-preview-${data.index}`,
+                url: previewUrl,
+                alt: 'Image preview',
+                partial: true
+              };
+              return { ...msg, images };
+            }));
+          } else if (event === 'done') {
+            result = data;
+          } else if (event === 'error') {
+            const streamError = new Error(data.message);
+            streamError.code = data.code;
+            throw streamError;
+          }
+        }
+      });
+      
+      if (!result) {
+        throw new Error('The reply stream ended before it was complete');
+      }
+      
+      return result;
+    };
+    
+    // Inpaint a masked image with the message as the instruction; the server adds the edit to the conversation
+    const editMaskedImage = async (maskedImage) => {
+      const payload = {
+        image: await toEditImage(maskedImage.originalImage.url),
+        mask: extractBase64Data(maskedImage.maskDataUrl),
+        prompt: content,
+        conversationId,
+        ...toOutputParams(imageOutput)
+      };
+      
+      return runImageJob('/images/edit', payload);
+    };
+    
     try {
       setIsLoading(true);
       setError(null);
@@ -113,57 +310,74 @@ export const ChatProvider = ({ children }) => {
       // Prepare request payload
       const payload = {
         content,
-        images: [...uploadedImages, ...maskedImages]
+        conversationId,
+        images: uploadedImages,
+        ...toOutputParams(imageOutput),
+        // Images the reply generates are made in the selected style
+        ...(stylePreset && { preset: stylePreset })
       };
       
-      // Send request to API
-      const response = await api.post('/chat/message', payload);
-      
-      // Log the response data for debugging
-      console.log('Chat API response:', {
-        hasImages: response.data.assistantMessage.images && response.data.assistantMessage.images.length > 0,
-        imageCount: response.data.assistantMessage.images ? response.data.assistantMessage.images.length : 0,
-        content: response.data.assistantMessage.content,
-        firstImageUrl: response.data.assistantMessage.images && response.data.assistantMessage.images.length > 0
-          ? response.data.assistantMessage.images[0].url.substring(0, 30) + '...'
-          : 'No image URL'
-      });
+      // A masked image turns the message into an edit of that image; otherwise send it to the chat,
+      // streaming the reply when the browser supports it
+      let responseData;
+      if (maskedImages.length > 0) {
+        responseData = await editMaskedImage(maskedImages[0]);
+      } else {
+        responseData = isStreamingSupported()
+          ? await streamReply(payload)
+          : (await api.post('/chat/message', payload)).data;
+      }
       
       // Update user message with server response
-      const { userMessage: updatedUserMessage, assistantMessage } = response.data;
-      
-      // Add explicit logging to verify the structure of the assistantMessage object
-      console.log('Assistant message from server:', assistantMessage);
-      console.log('Images in assistant message:', assistantMessage.images);
+      const { userMessage: updatedUserMessage, assistantMessage, usage } = responseData;
       
       // Ensure the images property is properly included when updating the messages state
       const processedAssistantMessage = {
         ...assistantMessage,
-        images: assistantMessage.images || [] // Ensure images property exists
+        images: assistantMessage.images || [], // Ensure images property exists
+        ...(usage ? { usage } : {})
       };
       
+      // Keep the last preview of each streamed image so it can be shown until the final image loads
+      if (streamState.previewUrls.length > 0) {
+        processedAssistantMessage.images = processedAssistantMessage.images.map((image, index) => (
+          streamState.previewUrls[index] ? { ...image, previewUrl: streamState.previewUrls[index] } : image
+        ));
+      }
+      
       setMessages(prevMessages => {
-        // Replace temporary message with server response
-        const updatedMessages = prevMessages.filter(msg => msg.id !== tempId);
+        // Replace temporary and streamed messages with the final server response
+        const replacedIds = [tempId, updatedUserMessage.id, assistantMessage.id];
+        const updatedMessages = prevMessages.filter(msg => !replacedIds.includes(msg.id));
         return [processedAssistantMessage, updatedUserMessage, ...updatedMessages];
       });
       
-      // Clear uploaded and masked images
-      setUploadedImages([]);
-      setMaskedImages([]);
+      // Clear the images that were sent; uploads wait for the next message when a masked image was edited
+      if (maskedImages.length > 0) {
+        setMaskedImages([]);
+      } else {
+        setUploadedImages([]);
+      }
     } catch (err) {
       console.error('Error sending message:', err);
       
-      // Update temporary message to show error
+      // Drop any partially streamed reply and mark the user message as failed
       setMessages(prevMessages => {
-        return prevMessages.map(msg =>
-          msg.id === userMessage.id
-            ? { ...msg, status: 'FAILED' }
-            : msg
-        );
+        return prevMessages
+          .filter(msg => msg.id !== streamState.assistantMessageId)
+          .map(msg =>
+            msg.id === userMessage.id || msg.id === streamState.userMessageId
+              ? { ...msg, status: 'FAILED' }
+              : msg
+          );
       });
       
-      setError('Failed to send message. Please try again.');
+      // Refused quotas explain how much budget is left and when it resets, and rejected prompts why they were rejected
+      const serverError = (err.response && err.response.data && err.response.data.error) || err;
+      const refusal = ['QUOTA_EXCEEDED', 'PROMPT_REJECTED'].includes(serverError.code) && serverError.message;
+      setError(refusal || (maskedImages.length > 0
+        ? 'Failed to edit the image. Please try again.'
+        : 'Failed to send message. Please try again.'));
     } finally {
       setIsLoading(false);
     }
@@ -187,13 +401,14 @@ export const ChatProvider = ({ children }) => {
   };
   
   // Add a masked image for inpainting
+  // An edit takes one image and mask, so a new mask replaces the previous one
   const addMaskedImage = (maskedImage) => {
     const maskedImageWithId = {
       ...maskedImage,
       id: uuidv4()
     };
     
-    setMaskedImages(prevImages => [...prevImages, maskedImageWithId]);
+    setMaskedImages([maskedImageWithId]);
   };
   
   // Remove a masked image
@@ -219,14 +434,18 @@ export const ChatProvider = ({ children }) => {
   };
   
   // Clear chat history
-  const clearChat = () => {
+  const clearChat = async () => {
     try {
       setIsLoading(true);
       setError(null);
       
+      // Clear messages on the server
+      await api.delete('/chat/history', { params: { conversationId } });
+      
       // Clear messages from state
       setMessages([]);
       setHasMoreMessages(false);
+      setHistoryCursor(null);
       
       // Clear messages from localStorage
       storageUtils.clearStorage(storageUtils.STORAGE_KEYS.CHAT_MESSAGES);
@@ -270,8 +489,8 @@ export const ChatProvider = ({ children }) => {
       const success = storageUtils.importData(importData);
       
       if (success) {
-        // Reload chat history
-        loadChatHistory();
+        // Show the imported history from the local cache
+        loadCachedHistory();
       } else {
         setError('Failed to import chat history. Invalid data format.');
       }
@@ -287,8 +506,11 @@ export const ChatProvider = ({ children }) => {
     <ChatContext.Provider
       value={{
         messages,
+        conversationId,
         uploadedImages,
         maskedImages,
+        imageOutput,
+        stylePreset,
         isLoading,
         error,
         hasMoreMessages,
@@ -298,6 +520,8 @@ export const ChatProvider = ({ children }) => {
         removeUploadedImage,
         addMaskedImage,
         removeMaskedImage,
+        setImageOutput,
+        setStylePreset,
         retryMessage,
         clearChat,
         fetchChatHistory,
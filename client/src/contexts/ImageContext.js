@@ -1,10 +1,18 @@
 import React, { createContext, useState, useEffect, useCallback } from 'react';
 import api from '../utils/api';
 import storageUtils from '../utils/storageUtils';
+import { runImageJob } from '../utils/jobUtils';
+import { toOutputParams } from '../utils/imageUtils';
 import { v4 as uuidv4 } from 'uuid';
 
 export const ImageContext = createContext();
 
+// Get a readable message from a failed request or job, such as a refused quota
+const getErrorMessage = (err, fallback) => {
+  const data = err.response?.data;
+  return data?.error?.message || data?.message || fallback;
+};
+
 export const ImageProvider = ({ children }) => {
   const [uploadedImages, setUploadedImages] = useState([]);
   const [generatedImages, setGeneratedImages] = useState([]);
@@ -175,53 +183,104 @@ export const ImageProvider = ({ children }) => {
         n: options.n || 1,
         size: options.size || '1024x1024',
         quality: options.quality || 'standard',
-        background: options.background || 'transparent'
+        background: options.background || 'transparent',
+        ...(options.format && toOutputParams(options)),
+        // Image backend, when not the server's default
+        ...(options.provider && { provider: options.provider }),
+        // Style preset whose template and defaults the server applies
+        ...(options.preset && { preset: options.preset })
       };
 
       // Generate image
-      const response = await api.post('/images/generate', payload);
+      const result = await runImageJob('/images/generate', payload);
 
       // Add generated images to state
-      const newImages = response.data.images;
+      const newImages = result.images;
       setGeneratedImages(prevImages => [...newImages, ...prevImages]);
 
       return newImages;
     } catch (err) {
       console.error('Image generation failed:', err);
-      setError(err.response?.data?.message || 'Image generation failed');
+      setError(getErrorMessage(err, 'Image generation failed'));
       return null;
     } finally {
       setIsLoading(false);
     }
   };
 
+  // List the image backends the server offers and what each supports
+  const getProviders = async () => {
+    try {
+      const response = await api.get('/images/providers');
+      return response.data;
+    } catch (err) {
+      console.error('Failed to load image providers:', err);
+      return null;
+    }
+  };
+
+  // List the style presets the server offers
+  const getStylePresets = useCallback(async () => {
+    try {
+      const response = await api.get('/presets');
+      return response.data.presets;
+    } catch (err) {
+      console.error('Failed to load style presets:', err);
+      return null;
+    }
+  }, []);
+
+  // Ask the server for detailed rewrites of a prompt; failures are thrown with a readable message
+  const enhancePrompt = async (prompt, n = 3) => {
+    try {
+      const response = await api.post('/prompts/enhance', { prompt, n });
+      return response.data.suggestions;
+    } catch (err) {
+      console.error('Prompt enhancement failed:', err);
+      throw new Error(getErrorMessage(err, 'Prompt enhancement failed'));
+    }
+  };
+
+  // Get how a stored image was made: prompt, parameters, usage and the images it was edited from
+  const getImageMetadata = useCallback(async (imageId) => {
+    try {
+      const response = await api.get(`/images/${imageId}/metadata`);
+      return response.data;
+    } catch (err) {
+      console.error('Failed to load image metadata:', err);
+      return null;
+    }
+  }, []);
+
   // Edit an image with a mask
   const editImage = async (imageId, prompt, maskBase64, options = {}) => {
     try {
       setIsLoading(true);
       setError(null);
 
-      // Create edit payload
+      // Create edit payload; the server loads the stored image by its ID
       const payload = {
         image: imageId,
         prompt,
         mask: maskBase64,
         n: options.n || 1,
         size: options.size || '1024x1024',
-        quality: options.quality || 'standard'
+        quality: options.quality || 'auto',
+        ...(options.format && toOutputParams(options)),
+        ...(options.provider && { provider: options.provider })
       };
 
       // Edit image
-      const response = await api.post('/images/edit', payload);
+      const result = await runImageJob('/images/edit', payload);
 
       // Add edited images to state
-      const newImages = response.data.images;
+      const newImages = result.images;
       setGeneratedImages(prevImages => [...newImages, ...prevImages]);
 
       return newImages;
     } catch (err) {
       console.error('Image edit failed:', err);
-      setError(err.response?.data?.message || 'Image edit failed');
+      setError(getErrorMessage(err, 'Image edit failed'));
       return null;
     } finally {
       setIsLoading(false);
@@ -288,6 +347,10 @@ export const ImageProvider = ({ children }) => {
         uploadImage,
         generateImage,
         editImage,
+        getProviders,
+        getStylePresets,
+        enhancePrompt,
+        getImageMetadata,
         getImageUrl,
         clearUploadedImages,
         clearGeneratedImages,
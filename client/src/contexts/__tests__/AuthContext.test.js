@@ -0,0 +1,169 @@
+import React from 'react';
+import { render, screen, act, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import { AuthProvider, AuthContext } from '../AuthContext';
+import api from '../../utils/api';
+
+// Mock api
+jest.mock('../../utils/api', () => ({
+  get: jest.fn(),
+  post: jest.fn()
+}));
+
+// Test component that uses AuthContext
+const TestComponent = () => {
+  const { isAuthenticated, user, error, login, register, logout } = React.useContext(AuthContext);
+  
+  return (
+    <div>
+      <div data-testid="is-authenticated">{isAuthenticated.toString()}</div>
+      <div data-testid="username">{user ? user.username : 'none'}</div>
+      <div data-testid="error">{error || 'no-error'}</div>
+      
+      <button data-testid="login" onClick={() => login('alice', 'correct horse')}>
+        Log in
+      </button>
+      <button data-testid="register" onClick={() => register('alice', 'correct horse')}>
+        Register
+      </button>
+      <button data-testid="logout" onClick={() => logout()}>
+        Log out
+      </button>
+    </div>
+  );
+};
+
+describe('AuthContext', () => {
+  const alice = { id: 'usr_1', username: 'alice', role: 'admin' };
+  const signedOut = { authenticated: false, authRequired: true, registrationOpen: true, user: null };
+  
+  const renderProvider = () => render(
+    <AuthProvider>
+      <TestComponent />
+    </AuthProvider>
+  );
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    localStorage.clear();
+    api.get.mockResolvedValue({ data: signedOut });
+  });
+  
+  it('should require signing in when the server says so', async () => {
+    renderProvider();
+    
+    await waitFor(() => {
+      expect(api.get).toHaveBeenCalledWith('/auth/status');
+    });
+    expect(screen.getByTestId('is-authenticated')).toHaveTextContent('false');
+  });
+  
+  it('should not require signing in when authentication is disabled', async () => {
+    api.get.mockResolvedValue({ data: { ...signedOut, authRequired: false } });
+    
+    renderProvider();
+    
+    await waitFor(() => {
+      expect(screen.getByTestId('is-authenticated')).toHaveTextContent('true');
+    });
+  });
+  
+  it('should log in and keep the session token', async () => {
+    api.post.mockResolvedValueOnce({ data: { token: 'abc', user: alice, expiresAt: '2026-10-26T00:00:00.000Z' } });
+    renderProvider();
+    
+    await act(async () => {
+      screen.getByTestId('login').click();
+    });
+    
+    expect(api.post).toHaveBeenCalledWith('/auth/login', { username: 'alice', password: 'correct horse' });
+    expect(screen.getByTestId('is-authenticated')).toHaveTextContent('true');
+    expect(screen.getByTestId('username')).toHaveTextContent('alice');
+    expect(localStorage.getItem('token')).toBe('abc');
+  });
+  
+  it('should show the server message when logging in fails', async () => {
+    api.post.mockRejectedValueOnce({
+      response: { status: 401, data: { error: { message: 'Invalid username or password', code: 'INVALID_CREDENTIALS' } } }
+    });
+    renderProvider();
+    
+    await act(async () => {
+      screen.getByTestId('login').click();
+    });
+    
+    expect(screen.getByTestId('error')).toHaveTextContent('Invalid username or password');
+    expect(screen.getByTestId('is-authenticated')).toHaveTextContent('false');
+  });
+  
+  it('should register and sign in with the new account', async () => {
+    api.post.mockResolvedValueOnce({ data: { token: 'abc', user: alice, expiresAt: '2026-10-26T00:00:00.000Z' } });
+    renderProvider();
+    await waitFor(() => {
+      expect(api.get).toHaveBeenCalledTimes(1);
+    });
+    
+    api.get.mockResolvedValue({ data: { authenticated: true, authRequired: true, registrationOpen: false, user: alice } });
+    await act(async () => {
+      screen.getByTestId('register').click();
+    });
+    
+    expect(api.post).toHaveBeenCalledWith('/auth/register', { username: 'alice', password: 'correct horse' });
+    expect(screen.getByTestId('username')).toHaveTextContent('alice');
+    expect(localStorage.getItem('token')).toBe('abc');
+  });
+  
+  it('should log out and forget the session token', async () => {
+    localStorage.setItem('token', 'abc');
+    api.get.mockResolvedValue({ data: { authenticated: true, authRequired: true, registrationOpen: true, user: alice } });
+    api.post.mockResolvedValueOnce({ data: { success: true } });
+    renderProvider();
+    await waitFor(() => {
+      expect(screen.getByTestId('username')).toHaveTextContent('alice');
+    });
+    
+    await act(async () => {
+      screen.getByTestId('logout').click();
+    });
+    
+    expect(api.post).toHaveBeenCalledWith('/auth/logout');
+    expect(screen.getByTestId('is-authenticated')).toHaveTextContent('false');
+    expect(localStorage.getItem('token')).toBeNull();
+  });
+  
+  it('should forget the conversation of the previous session when signing in or out', async () => {
+    localStorage.setItem('gpt_image_ui_conversation_id', JSON.stringify('conv-previous'));
+    localStorage.setItem('gpt_image_ui_chat_messages', JSON.stringify([{ id: 'msg-1', content: 'Hello' }]));
+    api.post.mockResolvedValueOnce({ data: { token: 'abc', user: alice, expiresAt: '2026-10-26T00:00:00.000Z' } });
+    renderProvider();
+    
+    await act(async () => {
+      screen.getByTestId('login').click();
+    });
+    
+    expect(localStorage.getItem('gpt_image_ui_conversation_id')).toBeNull();
+    expect(localStorage.getItem('gpt_image_ui_chat_messages')).toBeNull();
+    
+    localStorage.setItem('gpt_image_ui_conversation_id', JSON.stringify('conv-alice'));
+    api.post.mockResolvedValueOnce({ data: { success: true } });
+    await act(async () => {
+      screen.getByTestId('logout').click();
+    });
+    
+    expect(localStorage.getItem('gpt_image_ui_conversation_id')).toBeNull();
+  });
+  
+  it('should sign out when the session expires', async () => {
+    api.get.mockResolvedValue({ data: { authenticated: true, authRequired: true, registrationOpen: true, user: alice } });
+    renderProvider();
+    await waitFor(() => {
+      expect(screen.getByTestId('is-authenticated')).toHaveTextContent('true');
+    });
+    
+    act(() => {
+      window.dispatchEvent(new Event('auth:expired'));
+    });
+    
+    expect(screen.getByTestId('is-authenticated')).toHaveTextContent('false');
+  });
+});
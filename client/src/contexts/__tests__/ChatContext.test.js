@@ -30,6 +30,7 @@ const TestComponent = () => {
     removeUploadedImage,
     addMaskedImage,
     removeMaskedImage,
+    setImageOutput,
     retryMessage,
     clearChat,
     fetchChatHistory
@@ -69,6 +70,25 @@ const TestComponent = () => {
         Add Masked Image
       </button>
       
+      <button 
+        data-testid="add-mask-edit" 
+        onClick={() => addMaskedImage({
+          originalImage: { id: 'img-source', url: 'data:image/png;base64,SOURCE' },
+          maskDataUrl: 'data:image/png;base64,MASK',
+          width: 2,
+          height: 2
+        })}
+      >
+        Add Mask Edit
+      </button>
+      
+      <button 
+        data-testid="set-webp-output" 
+        onClick={() => setImageOutput({ format: 'webp', compression: 70 })}
+      >
+        Set WebP Output
+      </button>
+      
       <button 
         data-testid="remove-masked-image" 
         onClick={() => removeMaskedImage('masked-id')}
@@ -154,10 +174,9 @@ describe('ChatContext', () => {
     
     // Wait for state to update
     await waitFor(() => {
-      const messagesElement = screen.getByTestId('messages');
-      expect(messagesElement).toHaveTextContent('msg-1');
-      expect(messagesElement).toHaveTextContent('msg-2');
+      expect(screen.getByTestId('messages')).toHaveTextContent('msg-1');
     });
+    expect(screen.getByTestId('messages')).toHaveTextContent('msg-2');
     
     // Check that hasMoreMessages is set correctly
     expect(screen.getByTestId('has-more-messages')).toHaveTextContent('true');
@@ -188,10 +207,9 @@ describe('ChatContext', () => {
     
     // Check that the messages state was updated
     await waitFor(() => {
-      const messagesElement = screen.getByTestId('messages');
-      expect(messagesElement).toHaveTextContent('user-msg-id');
-      expect(messagesElement).toHaveTextContent('assistant-msg-id');
+      expect(screen.getByTestId('messages')).toHaveTextContent('user-msg-id');
     });
+    expect(screen.getByTestId('messages')).toHaveTextContent('assistant-msg-id');
   });
   
   it('should handle message send failure', async () => {
@@ -240,10 +258,9 @@ describe('ChatContext', () => {
     
     // Check that the uploadedImages state was updated
     await waitFor(() => {
-      const uploadedImagesElement = screen.getByTestId('uploaded-images');
-      expect(uploadedImagesElement).toHaveTextContent('mock-uuid');
-      expect(uploadedImagesElement).toHaveTextContent('image-url');
+      expect(screen.getByTestId('uploaded-images')).toHaveTextContent('mock-uuid');
     });
+    expect(screen.getByTestId('uploaded-images')).toHaveTextContent('image-url');
     
     // Remove an uploaded image
     await act(async () => {
@@ -271,10 +288,9 @@ describe('ChatContext', () => {
     
     // Check that the maskedImages state was updated
     await waitFor(() => {
-      const maskedImagesElement = screen.getByTestId('masked-images');
-      expect(maskedImagesElement).toHaveTextContent('mock-uuid');
-      expect(maskedImagesElement).toHaveTextContent('masked-url');
+      expect(screen.getByTestId('masked-images')).toHaveTextContent('mock-uuid');
     });
+    expect(screen.getByTestId('masked-images')).toHaveTextContent('masked-url');
     
     // Remove a masked image
     await act(async () => {
@@ -288,6 +304,89 @@ describe('ChatContext', () => {
     });
   });
   
+  it('should send a message with a masked image as an edit of that image', async () => {
+    api.post.mockResolvedValueOnce({
+      data: {
+        id: 'job-1',
+        status: 'succeeded',
+        result: {
+          images: [{ id: 'img-edited', url: '/api/images/img-edited' }],
+          userMessage: { id: 'user-edit-id', role: 'user', content: 'Hello' },
+          assistantMessage: {
+            id: 'assistant-edit-id',
+            role: 'assistant',
+            content: 'Here\'s the edited image:',
+            images: [{ id: 'img-edited', url: '/api/images/img-edited', sourceImageId: 'img-source' }]
+          }
+        }
+      }
+    });
+    
+    render(
+      <ChatProvider>
+        <TestComponent />
+      </ChatProvider>
+    );
+    
+    await act(async () => {
+      screen.getByTestId('add-mask-edit').click();
+    });
+    
+    await act(async () => {
+      screen.getByTestId('send-message').click();
+    });
+    
+    // The message is the edit instruction, sent with the image and mask instead of to the chat
+    expect(api.post).toHaveBeenCalledWith('/images/edit', {
+      image: 'SOURCE',
+      mask: 'MASK',
+      prompt: 'Hello',
+      conversationId: expect.any(String),
+      output_format: 'png'
+    }, { params: { async: true } });
+    expect(api.post).not.toHaveBeenCalledWith('/chat/message', expect.anything());
+    
+    await waitFor(() => {
+      expect(screen.getByTestId('messages')).toHaveTextContent('assistant-edit-id');
+    });
+    expect(screen.getByTestId('messages')).toHaveTextContent('img-source');
+    expect(screen.getByTestId('masked-images')).toHaveTextContent('[]');
+  });
+  
+  it('should request the chosen output format and compression', async () => {
+    api.post.mockResolvedValueOnce({
+      data: {
+        id: 'job-1',
+        status: 'succeeded',
+        result: {
+          images: [{ id: 'img-edited', url: '/api/images/img-edited' }],
+          userMessage: { id: 'user-edit-id', role: 'user', content: 'Hello' },
+          assistantMessage: { id: 'assistant-edit-id', role: 'assistant', content: 'Here\'s the edited image:' }
+        }
+      }
+    });
+    
+    render(
+      <ChatProvider>
+        <TestComponent />
+      </ChatProvider>
+    );
+    
+    await act(async () => {
+      screen.getByTestId('set-webp-output').click();
+      screen.getByTestId('add-mask-edit').click();
+    });
+    
+    await act(async () => {
+      screen.getByTestId('send-message').click();
+    });
+    
+    expect(api.post).toHaveBeenCalledWith('/images/edit', expect.objectContaining({
+      output_format: 'webp',
+      output_compression: 70
+    }), { params: { async: true } });
+  });
+  
   it('should clear chat history', async () => {
     render(
       <ChatProvider>
@@ -404,10 +503,9 @@ describe('ChatContext', () => {
     
     // Check that the messages state was updated
     await waitFor(() => {
-      const messagesElement = screen.getByTestId('messages');
-      expect(messagesElement).toHaveTextContent('msg-3');
-      expect(messagesElement).toHaveTextContent('msg-4');
+      expect(screen.getByTestId('messages')).toHaveTextContent('msg-3');
     });
+    expect(screen.getByTestId('messages')).toHaveTextContent('msg-4');
     
     // Check that hasMoreMessages is set to false
     expect(screen.getByTestId('has-more-messages')).toHaveTextContent('false');
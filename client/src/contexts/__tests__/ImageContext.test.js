@@ -365,7 +365,7 @@ describe('ImageContext', () => {
         mask: 'base64-mask',
         n: 1,
         size: '1024x1024',
-        quality: 'standard'
+        quality: 'auto'
       }
     );
     
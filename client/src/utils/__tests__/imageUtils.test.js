@@ -0,0 +1,36 @@
+import { resolveImageUrl, getStoredImageId, createAlphaMask, toOutputParams } from '../imageUtils';
+
+describe('Image Utils', () => {
+  it('should resolve stored image paths against the API URL', () => {
+    expect(resolveImageUrl('/api/images/img_1')).toBe('/api/images/img_1');
+  });
+
+  it('should leave data URLs and absolute URLs unchanged', () => {
+    expect(resolveImageUrl('data:image/png;base64,aGk=')).toBe('data:image/png;base64,aGk=');
+    expect(resolveImageUrl('https://example.com/a.png')).toBe('https://example.com/a.png');
+  });
+
+  it('should get the ID of stored images only', () => {
+    expect(getStoredImageId('/api/images/img_1')).toBe('img_1');
+    expect(getStoredImageId('/api/images/img_1/metadata')).toBeNull();
+    expect(getStoredImageId('data:image/png;base64,aGk=')).toBeNull();
+  });
+
+  it('should send a compression level only for lossy output formats', () => {
+    expect(toOutputParams({ format: 'png', compression: 80 })).toEqual({ output_format: 'png' });
+    expect(toOutputParams({ format: 'jpeg', compression: 80 })).toEqual({ output_format: 'jpeg', output_compression: 80 });
+  });
+
+  it('should export brush strokes as a transparent cut-out of an opaque mask at full size', () => {
+    const context = { fillRect: jest.fn(), drawImage: jest.fn() };
+    jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(context);
+    jest.spyOn(HTMLCanvasElement.prototype, 'toDataURL').mockReturnValue('data:image/png;base64,bWFzaw==');
+    const strokes = document.createElement('canvas');
+
+    expect(createAlphaMask(strokes, 1536, 1024)).toBe('data:image/png;base64,bWFzaw==');
+    expect(context.fillRect).toHaveBeenCalledWith(0, 0, 1536, 1024);
+    expect(context.globalCompositeOperation).toBe('destination-out');
+    expect(context.drawImage).toHaveBeenCalledWith(strokes, 0, 0, 1536, 1024);
+    expect(HTMLCanvasElement.prototype.toDataURL).toHaveBeenCalledWith('image/png', 0.92);
+  });
+});
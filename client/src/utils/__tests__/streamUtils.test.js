@@ -0,0 +1,21 @@
+import { parseEventBlock } from '../streamUtils';
+
+describe('Stream Utils', () => {
+  it('should parse an event name and JSON payload', () => {
+    expect(parseEventBlock('event: token\ndata: {"content":"Hi"}')).toEqual({
+      event: 'token',
+      data: { content: 'Hi' }
+    });
+  });
+
+  it('should default the event name to message', () => {
+    expect(parseEventBlock('data: {"ok":true}')).toEqual({
+      event: 'message',
+      data: { ok: true }
+    });
+  });
+
+  it('should ignore blocks without data', () => {
+    expect(parseEventBlock(': keep-alive comment')).toBeNull();
+  });
+});
@@ -1,5 +1,6 @@
 import axios from 'axios';
 import config from '../config';
+import { getAuthToken, notifyAuthExpired } from './authToken';
 
 // Create axios instance with default config
 const api = axios.create({
@@ -9,9 +10,14 @@ const api = axios.create({
   }
 });
 
-// Add request interceptor to handle relative URLs for images
+// Add request interceptor to send the session token and handle relative URLs for images
 api.interceptors.request.use(
   (config) => {
+    const token = getAuthToken();
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
+
     // If the URL is for an image and doesn't start with http/https,
     // make sure it's properly prefixed with the baseURL
     if (config.url && config.url.startsWith('/api/images/') && !config.url.startsWith('http')) {
@@ -35,6 +41,12 @@ api.interceptors.response.use(
   (error) => {
     // Handle API errors
     console.error('API Error:', error);
+
+    // The session expired or was revoked; let AuthContext ask the user to log in again
+    if (error.response && error.response.status === 401) {
+      notifyAuthExpired();
+    }
+
     return Promise.reject(error);
   }
 );
@@ -0,0 +1,50 @@
+/**
+ * Session token storage
+ * Kept apart from storageUtils, as the token is not user data to export or count against storage limits
+ */
+
+// localStorage key holding the session token
+const TOKEN_KEY = 'token';
+
+/**
+ * Get the session token of the signed-in user
+ * @returns {string|null} Session token, or null if signed out
+ */
+export const getAuthToken = () => {
+  try {
+    return localStorage.getItem(TOKEN_KEY);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Store the session token after signing in
+ * @param {string} token Session token
+ */
+export const setAuthToken = (token) => {
+  try {
+    localStorage.setItem(TOKEN_KEY, token);
+  } catch (error) {
+    console.error('Error saving session token:', error);
+  }
+};
+
+/**
+ * Forget the session token, after signing out or when it has expired
+ */
+export const clearAuthToken = () => {
+  try {
+    localStorage.removeItem(TOKEN_KEY);
+  } catch (error) {
+    console.error('Error clearing session token:', error);
+  }
+};
+
+/**
+ * Tell the app the session has expired, so it can ask the user to log in again
+ */
+export const notifyAuthExpired = () => {
+  clearAuthToken();
+  window.dispatchEvent(new Event('auth:expired'));
+};
@@ -1,3 +1,5 @@
+import config from '../config';
+
 /**
  * Converts a file to base64 string
  * @param {File} file - The file to convert
@@ -79,6 +81,31 @@ export const canvasToDataUrl = (canvas, format = 'image/png', quality = 0.92) =>
   return canvas.toDataURL(format, quality);
 };
 
+/**
+ * Creates an edit mask from a layer of brush strokes
+ * The mask is opaque where nothing was painted and transparent under the strokes, which is what
+ * the image edit API replaces, and is scaled from the on-screen layer to the given size
+ * @param {HTMLCanvasElement} strokeCanvas - The canvas holding only the brush strokes
+ * @param {number} width - The mask width (the original image width)
+ * @param {number} height - The mask height (the original image height)
+ * @returns {string} - The mask as a PNG data URL
+ */
+export const createAlphaMask = (strokeCanvas, width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = 'rgba(0, 0, 0, 1)';
+  ctx.fillRect(0, 0, width, height);
+
+  // Punch the strokes out of the opaque fill
+  ctx.globalCompositeOperation = 'destination-out';
+  ctx.imageSmoothingEnabled = true;
+  ctx.drawImage(strokeCanvas, 0, 0, width, height);
+
+  return canvasToDataUrl(canvas, 'image/png');
+};
+
 /**
  * Resizes an image to fit within the specified dimensions while maintaining aspect ratio
  * @param {HTMLImageElement} img - The image element
@@ -129,4 +156,39 @@ export const validateImageDimensions = (img, minWidth, minHeight, maxWidth, maxH
  */
 export const validateImageSize = (file, maxSizeInBytes) => {
   return file.size <= maxSizeInBytes;
+};
+
+/**
+ * Resolves an image URL returned by the server for use in the browser
+ * Stored images are served under /api/images, which may live under a different API base URL
+ * @param {string} url - The image URL (data URL, absolute URL or stored image path)
+ * @returns {string} - The URL to load the image from
+ */
+export const resolveImageUrl = (url) => {
+  if (typeof url === 'string' && url.startsWith('/api/images/')) {
+    return `${config.apiUrl}${url.substring('/api'.length)}`;
+  }
+  return url;
+};
+
+/**
+ * Builds the output parameters of an image request
+ * PNG is lossless, so the compression level is only sent for JPEG and WebP
+ * @param {Object} output - The output settings ({ format, compression })
+ * @returns {Object} - The output_format and output_compression parameters
+ */
+export const toOutputParams = ({ format, compression }) => (
+  format === 'png'
+    ? { output_format: format }
+    : { output_format: format, output_compression: compression }
+);
+
+/**
+ * Gets the ID of an image stored on the server from its URL
+ * @param {string} url - The image URL
+ * @returns {string|null} - The image ID, or null if the image is not stored on the server
+ */
+export const getStoredImageId = (url) => {
+  const match = typeof url === 'string' && url.match(/^\/api\/images\/([A-Za-z0-9_-]+)$/);
+  return match ? match[1] : null;
 };
\ No newline at end of file
@@ -0,0 +1,32 @@
+import api from './api';
+
+// How often to poll a background image job (milliseconds)
+const JOB_POLL_INTERVAL = 2000;
+
+// Job statuses that mean the job is still in progress
+const PENDING_JOB_STATUSES = ['queued', 'running'];
+
+/**
+ * Runs an image request as a background job and waits for its result,
+ * so slow renders are not cut off by proxy timeouts
+ * @param {string} path - API path of the image endpoint (e.g. /images/edit)
+ * @param {Object} payload - Request body
+ * @returns {Promise<Object>} - The job result
+ */
+export const runImageJob = async (path, payload) => {
+  let { data: job } = await api.post(path, payload, { params: { async: true } });
+
+  while (PENDING_JOB_STATUSES.includes(job.status)) {
+    await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL));
+    ({ data: job } = await api.get(`/jobs/${job.id}`));
+  }
+
+  if (job.status !== 'succeeded') {
+    const error = new Error(job.error?.message || `Image job ${job.status}`);
+    // Shaped like an axios error so callers can read the message the same way
+    error.response = { data: job.error || { message: error.message } };
+    throw error;
+  }
+
+  return job.result;
+};
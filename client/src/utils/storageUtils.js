@@ -8,7 +8,8 @@ const STORAGE_KEYS = {
   UPLOADED_IMAGES: 'gpt_image_ui_uploaded_images',
   GENERATED_IMAGES: 'gpt_image_ui_generated_images',
   STORAGE_STATS: 'gpt_image_ui_storage_stats',
-  SETTINGS: 'gpt_image_ui_settings'
+  SETTINGS: 'gpt_image_ui_settings',
+  CONVERSATION_ID: 'gpt_image_ui_conversation_id'
 };
 
 // Default storage limits (in bytes)
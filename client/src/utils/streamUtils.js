@@ -0,0 +1,100 @@
+import config from '../config';
+import { getAuthToken, notifyAuthExpired } from './authToken';
+
+/**
+ * Parses one Server-Sent Events block into an event name and JSON payload
+ * @param {string} block - Raw event block (lines separated by \n)
+ * @returns {Object|null} - { event, data } or null if the block has no data
+ */
+export const parseEventBlock = (block) => {
+  let event = 'message';
+  const dataLines = [];
+
+  block.split('\n').forEach(line => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trim());
+    }
+  });
+
+  if (dataLines.length === 0) {
+    return null;
+  }
+
+  return { event, data: JSON.parse(dataLines.join('\n')) };
+};
+
+/**
+ * Checks whether the browser can read streamed responses
+ * @returns {boolean} - True if fetch with readable response bodies is available
+ */
+export const isStreamingSupported = () => {
+  return typeof window !== 'undefined'
+    && typeof window.fetch === 'function'
+    && typeof window.TextDecoder === 'function'
+    && typeof window.ReadableStream === 'function';
+};
+
+/**
+ * POSTs JSON to an API endpoint and reads the Server-Sent Events it streams back
+ * @param {string} path - API path (relative to the API base URL)
+ * @param {Object} body - JSON request body
+ * @param {Object} options - Stream options
+ * @param {Function} options.onEvent - Called with (event, data) for each event
+ * @param {AbortSignal} options.signal - Signal to cancel the request (optional)
+ * @returns {Promise<void>} - Resolves when the stream ends
+ */
+export const postEventStream = async (path, body, { onEvent, signal } = {}) => {
+  const token = getAuthToken();
+  const response = await window.fetch(`${config.apiUrl}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'text/event-stream',
+      ...(token && { Authorization: `Bearer ${token}` })
+    },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  // Errors raised before the stream opens come back as regular JSON responses
+  if (!response.ok) {
+    let errorData = null;
+    try {
+      errorData = await response.json();
+    } catch (err) {
+      // Non-JSON error body
+    }
+    const error = new Error(errorData?.error?.message || `Request failed with status ${response.status}`);
+    error.response = { status: response.status, data: errorData };
+
+    // The session expired or was revoked, as handled for other requests in api.js
+    if (response.status === 401) {
+      notifyAuthExpired();
+    }
+    throw error;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line
+    let separatorIndex = buffer.indexOf('\n\n');
+    while (separatorIndex !== -1) {
+      const parsed = parseEventBlock(buffer.slice(0, separatorIndex));
+      buffer = buffer.slice(separatorIndex + 2);
+      if (parsed) {
+        onEvent(parsed.event, parsed.data);
+      }
+      separatorIndex = buffer.indexOf('\n\n');
+    }
+  }
+};
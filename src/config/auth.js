@@ -0,0 +1,27 @@
+/**
+ * Authentication configuration
+ */
+
+module.exports = {
+  // Require signing in for every API route except /auth and /health
+  // Disable only for single-user deployments that are not reachable by others
+  required: process.env.AUTH_REQUIRED !== 'false',
+  
+  // Let anyone create an account with POST /auth/register
+  allowRegistration: process.env.AUTH_ALLOW_REGISTRATION !== 'false',
+  
+  // How long a session lasts after signing in (milliseconds)
+  sessionTtl: parseInt(process.env.AUTH_SESSION_TTL_MS) || 7 * 24 * 60 * 60 * 1000,
+  
+  // Cookie carrying the session token, so that <img> tags can load stored images
+  cookie: {
+    name: 'gpt_image_ui_session',
+    secure: process.env.NODE_ENV === 'production'
+  },
+  
+  // Password rules
+  password: {
+    minLength: 8,
+    maxLength: 256
+  }
+};
\ No newline at end of file
@@ -0,0 +1,22 @@
+/**
+ * Image provider configuration
+ */
+
+module.exports = {
+  // Provider used when a request does not name one ('openai', 'http' or a registered custom provider)
+  provider: process.env.IMAGE_PROVIDER || 'openai',
+  
+  // Self-hosted backend implementing the HTTP provider contract (see the developer guide)
+  http: {
+    url: process.env.IMAGE_PROVIDER_HTTP_URL,
+    apiKey: process.env.IMAGE_PROVIDER_HTTP_API_KEY,
+    // Local diffusion servers can be slow, so allow long renders
+    timeout: parseInt(process.env.IMAGE_PROVIDER_HTTP_TIMEOUT) || 120000
+  },
+  
+  // Limits on the pixel size of uploaded images, checked before they are stored or sent anywhere
+  uploads: {
+    maxDimension: parseInt(process.env.UPLOAD_MAX_DIMENSION) || 8192,
+    maxPixels: parseInt(process.env.UPLOAD_MAX_PIXELS) || 40000000
+  }
+};
@@ -8,9 +8,25 @@ require('dotenv').config();
 const server = require('./server');
 const openai = require('./openai');
 const security = require('./security');
+const storage = require('./storage');
+const images = require('./images');
+const jobs = require('./jobs');
+const usage = require('./usage');
+const auth = require('./auth');
+const quotas = require('./quotas');
+const moderation = require('./moderation');
+const presets = require('./presets');
 
 module.exports = {
   server,
   openai,
-  security
+  security,
+  storage,
+  images,
+  jobs,
+  usage,
+  auth,
+  quotas,
+  moderation,
+  presets
 };
\ No newline at end of file
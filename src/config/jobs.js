@@ -0,0 +1,14 @@
+/**
+ * Background job configuration
+ */
+
+module.exports = {
+  // Jobs run at the same time; the rest wait in the queue
+  concurrency: parseInt(process.env.JOBS_CONCURRENCY) || 2,
+  
+  // Jobs waiting to run before new submissions are refused
+  maxQueued: parseInt(process.env.JOBS_MAX_QUEUED) || 100,
+  
+  // How long finished jobs and their results can be polled (milliseconds)
+  retention: parseInt(process.env.JOBS_RETENTION_MS) || 60 * 60 * 1000
+};
\ No newline at end of file
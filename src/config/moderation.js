@@ -0,0 +1,82 @@
+/**
+ * Prompt moderation configuration
+ */
+
+const logger = require('../utils/logger');
+
+// Values the gpt-image-1 moderation parameter accepts
+const IMAGE_MODERATION_LEVELS = ['auto', 'low'];
+
+/**
+ * Split a comma-separated setting into its trimmed, non-empty items
+ * @param {string} value - Setting value
+ * @returns {Array} Items
+ */
+function parseList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Read the moderation checks to run from MODERATION_CHECKS
+ * @returns {Array} Check names, in the order they run ("none" or an empty setting runs none)
+ */
+function loadChecks() {
+  const checks = parseList(process.env.MODERATION_CHECKS);
+  return checks.includes('none') ? [] : checks;
+}
+
+/**
+ * Read custom rules from MODERATION_RULES, a JSON array of { category, pattern, flags }
+ * @returns {Array} Rules (empty if unset or invalid)
+ */
+function loadRules() {
+  if (!process.env.MODERATION_RULES) {
+    return [];
+  }
+  try {
+    const rules = JSON.parse(process.env.MODERATION_RULES);
+    if (!Array.isArray(rules)) {
+      throw new Error('not an array');
+    }
+    return rules;
+  } catch (error) {
+    logger.warn('Ignoring MODERATION_RULES: it is not a valid JSON array');
+    return [];
+  }
+}
+
+/**
+ * Read the gpt-image-1 moderation level from OPENAI_IMAGE_MODERATION
+ * @returns {string|undefined} "auto" or "low", or undefined to leave the API default
+ */
+function loadImageModeration() {
+  const level = process.env.OPENAI_IMAGE_MODERATION;
+  if (!level) {
+    return undefined;
+  }
+  if (!IMAGE_MODERATION_LEVELS.includes(level)) {
+    logger.warn(`Ignoring OPENAI_IMAGE_MODERATION: must be one of ${IMAGE_MODERATION_LEVELS.join(', ')}`);
+    return undefined;
+  }
+  return level;
+}
+
+module.exports = {
+  // Checks prompts must pass before images are generated or edited: "openai", "rules" or registered custom checks
+  checks: loadChecks(),
+  
+  // Let prompts through when a check cannot be run (for example, the moderation API is down)
+  failOpen: process.env.MODERATION_FAIL_OPEN === 'true',
+  
+  // Model used by the "openai" check
+  model: process.env.MODERATION_MODEL || 'omni-moderation-latest',
+  
+  // Words and phrases the "rules" check rejects, matched as whole words regardless of case
+  blocklist: parseList(process.env.MODERATION_BLOCKLIST),
+  
+  // Regular expressions the "rules" check rejects, each reported under its own category
+  rules: loadRules(),
+  
+  // Strictness of gpt-image-1's own moderation ("auto" or "low"), sent with every generation when set
+  imageModeration: loadImageModeration()
+};
\ No newline at end of file
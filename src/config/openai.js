@@ -2,8 +2,33 @@
  * OpenAI API configuration
  */
 
+/**
+ * Read the number of partial previews to stream from IMAGE_PARTIAL_IMAGES
+ * @param {string} value - Setting value
+ * @returns {number} Previews per image (0-3), 2 when the setting is missing or not a number
+ */
+function parsePartialImages(value) {
+  const partialImages = parseInt(value);
+  if (Number.isNaN(partialImages)) {
+    return 2;
+  }
+  return Math.min(Math.max(partialImages, 0), 3);
+}
+
 module.exports = {
+  // "openai" calls the OpenAI API; "mock" serves placeholder images and canned replies offline
+  provider: process.env.OPENAI_PROVIDER || 'openai',
+  
   apiKey: process.env.OPENAI_API_KEY,
+  
+  // Users' own API keys, stored encrypted with their account
+  userKeys: {
+    // Secret the stored keys are encrypted with; users cannot store keys until it is set
+    encryptionSecret: process.env.API_KEY_ENCRYPTION_SECRET,
+    // Who may use OPENAI_API_KEY when they have no key of their own: everyone, admins or nobody
+    serverKeyPolicy: process.env.OPENAI_SERVER_KEY_POLICY || 'everyone'
+  },
+  
   model: process.env.OPENAI_API_MODEL || 'gpt-image-1',
   
   // Model for analyzing prompts and optimizing parameters
@@ -18,6 +43,32 @@ module.exports = {
     output_format: 'png'
   },
   
+  // Streaming image generation
+  streaming: {
+    // Partial previews sent before the final image (0-3)
+    partialImages: parsePartialImages(process.env.IMAGE_PARTIAL_IMAGES)
+  },
+  
+  // Conversation context sent with chat completions
+  context: {
+    // Estimated token budget for system prompt, history and the new message
+    maxTokens: parseInt(process.env.CHAT_CONTEXT_MAX_TOKENS) || 8000,
+    // Most recent stored messages considered for the context
+    maxHistoryMessages: 40,
+    // Most recent history images re-sent to the model (older ones become text placeholders)
+    maxHistoryImages: 4,
+    // Summarize turns that no longer fit instead of silently dropping them
+    summarizeOverflow: process.env.CHAT_CONTEXT_SUMMARIZE !== 'false'
+  },
+  
+  // Prompt enhancement, which rewrites terse prompts into detailed ones with the prompt analysis model
+  enhancement: {
+    // Most suggestions one request can ask for
+    maxSuggestions: 4,
+    // Output tokens allowed for each suggestion
+    maxTokens: 400
+  },
+  
   // Retry configuration
   retry: {
     maxRetries: 3,
@@ -0,0 +1,46 @@
+/**
+ * Style preset configuration
+ */
+
+// Presets every deployment starts with; they cannot be changed through the API
+const BUILTIN_PRESETS = [
+  {
+    id: 'flat-vector',
+    name: 'Flat vector',
+    template: '{prompt}, flat vector illustration, clean shapes, pastel palette',
+    size: '1024x1024',
+    quality: 'medium',
+    background: 'transparent'
+  },
+  {
+    id: 'isometric',
+    name: 'Isometric',
+    template: '{prompt}, isometric 3D render, soft lighting, pastel palette',
+    size: '1024x1024',
+    quality: 'high',
+    background: 'opaque'
+  },
+  {
+    id: 'photoreal',
+    name: 'Photorealistic',
+    template: 'Photorealistic photograph of {prompt}, natural light, shallow depth of field',
+    size: '1536x1024',
+    quality: 'high',
+    background: 'opaque'
+  },
+  {
+    id: 'watercolor',
+    name: 'Watercolor',
+    template: '{prompt}, loose watercolor painting on textured paper',
+    quality: 'medium',
+    background: 'opaque'
+  }
+];
+
+module.exports = {
+  // Placeholder a preset template puts the user's prompt in
+  placeholder: '{prompt}',
+  
+  // Built-in presets, offered unless STYLE_PRESETS_BUILTIN is false
+  builtin: process.env.STYLE_PRESETS_BUILTIN === 'false' ? [] : BUILTIN_PRESETS
+};
\ No newline at end of file
@@ -0,0 +1,30 @@
+/**
+ * Per-user quota configuration
+ */
+
+const dailyBudget = parseFloat(process.env.QUOTA_DAILY_BUDGET_USD);
+
+module.exports = {
+  // Estimated US dollars each user may spend per day (UTC) on the server's OpenAI key; 0 turns quotas off
+  dailyBudget: Number.isFinite(dailyBudget) ? dailyBudget : 5,
+  
+  // Let admins use the server's key without a quota
+  exemptAdmins: process.env.QUOTA_EXEMPT_ADMINS !== 'false',
+  
+  // Output tokens of one gpt-image-1 image, by quality and size, used to estimate a request before it runs
+  // Missing or "auto" values are estimated as the most expensive choice, since prompt analysis may pick it
+  imageOutputTokens: {
+    low: { '1024x1024': 272, '1024x1536': 408, '1536x1024': 400 },
+    medium: { '1024x1024': 1056, '1024x1536': 1584, '1536x1024': 1568 },
+    high: { '1024x1024': 4160, '1024x1536': 6240, '1536x1024': 6208 }
+  },
+  
+  // Rough image input tokens of each source image sent with an edit
+  inputImageTokens: 1500,
+  
+  // Output tokens a chat reply is estimated at (the default max_tokens of a completion)
+  chatOutputTokens: 1000,
+  
+  // Rough input tokens of the instructions sent with a prompt enhancement
+  enhanceSystemTokens: 150
+};
\ No newline at end of file
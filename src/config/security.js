@@ -8,6 +8,8 @@ module.exports = {
     origin: process.env.CORS_ORIGIN || '*',
     methods: ['GET', 'POST', 'PUT', 'DELETE'],
     allowedHeaders: ['Content-Type', 'Authorization'],
+    // Let the client read the remaining quota
+    exposedHeaders: ['X-Quota-Limit', 'X-Quota-Remaining', 'X-Quota-Cost', 'X-Quota-Reset'],
     credentials: true
   },
   
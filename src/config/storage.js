@@ -0,0 +1,19 @@
+/**
+ * Persistent storage configuration
+ */
+
+const path = require('path');
+
+module.exports = {
+  // Storage driver for conversation history ('file' or 'memory')
+  driver: process.env.STORAGE_DRIVER || 'file',
+  
+  // Root directory for file-backed storage
+  dataDir: process.env.DATA_DIR || path.join(__dirname, '../../data'),
+  
+  // Chat history pagination
+  history: {
+    defaultPageSize: 50,
+    maxPageSize: 200
+  }
+};
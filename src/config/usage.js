@@ -0,0 +1,39 @@
+/**
+ * Usage accounting configuration
+ */
+
+const logger = require('../utils/logger');
+
+// Estimated prices in US dollars: per million tokens (input, imageInput, output) or per image (perImage)
+const DEFAULT_PRICING = {
+  'gpt-image-1': { input: 5, imageInput: 10, output: 40 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 }
+};
+
+/**
+ * Read price overrides from USAGE_PRICING, a JSON object keyed by model
+ * @returns {Object} Price overrides (empty if unset or invalid)
+ */
+function loadPricingOverrides() {
+  if (!process.env.USAGE_PRICING) {
+    return {};
+  }
+  try {
+    return JSON.parse(process.env.USAGE_PRICING);
+  } catch (error) {
+    logger.warn('Ignoring USAGE_PRICING: it is not valid JSON');
+    return {};
+  }
+}
+
+module.exports = {
+  // Prices used to estimate the cost of each request, by model
+  pricing: { ...DEFAULT_PRICING, ...loadPricingOverrides() },
+  
+  // Longest range a usage report can cover (days)
+  maxReportDays: 366
+};
\ No newline at end of file
@@ -6,6 +6,13 @@
 jest.mock('../../services', () => ({
   chatService: {
     processMessage: jest.fn()
+  },
+  usageService: {
+    recordUsage: jest.fn()
+  },
+  quotaService: {
+    estimateRequestCost: jest.fn().mockReturnValue(0.2),
+    reserve: jest.fn()
   }
 }));
 
@@ -15,7 +22,7 @@ jest.mock('../../utils', () => ({
   }
 }));
 
-const { chatService } = require('../../services');
+const { chatService, usageService, quotaService } = require('../../services');
 const { validators } = require('../../utils');
 const chatController = require('../chat-controller');
 
@@ -70,7 +77,7 @@ describe('Chat Controller', () => {
       expect(validators.validateChatRequest).toHaveBeenCalledWith(req.body);
       
       // Check that the service was called with the validated body
-      expect(chatService.processMessage).toHaveBeenCalledWith(req.body);
+      expect(chatService.processMessage).toHaveBeenCalledWith(req.body, { apiKey: undefined, reserveImageCost: expect.any(Function), onUsage: expect.any(Function) });
       
       // Check that the response was sent with the correct status and body
       expect(res.status).toHaveBeenCalledWith(200);
@@ -91,6 +98,47 @@ describe('Chat Controller', () => {
       expect(next).not.toHaveBeenCalled();
     });
     
+    it('should reserve the cost of the images the reply makes until its usage is recorded', async () => {
+      const reservation = { release: jest.fn() };
+      quotaService.reserve.mockResolvedValue(reservation);
+      req.user = { id: 'usr_1' };
+      chatService.processMessage.mockImplementation(async (body, options) => {
+        await options.reserveImageCost('images.generate', { prompt: 'A cat', n: 1 });
+        expect(reservation.release).not.toHaveBeenCalled();
+        return { userMessage: {}, assistantMessage: {} };
+      });
+      
+      await chatController.processMessage(req, res, next);
+      
+      expect(quotaService.estimateRequestCost).toHaveBeenCalledWith('images.generate', { prompt: 'A cat', n: 1 });
+      expect(quotaService.reserve).toHaveBeenCalledWith(req.user, 0.2, { ownApiKey: false });
+      expect(reservation.release).toHaveBeenCalledTimes(1);
+    });
+    
+    it('should record the usage of summaries and prompt analysis made for the reply', async () => {
+      req.user = { id: 'usr_1' };
+      req.id = 'req-1';
+      chatService.processMessage.mockImplementation(async (body, options) => {
+        await options.onUsage({ model: 'gpt-4.1-nano', usage: { prompt_tokens: 60, completion_tokens: 12 } });
+        return { userMessage: {}, assistantMessage: {} };
+      });
+      
+      await chatController.processMessage(req, res, next);
+      
+      expect(usageService.recordUsage).toHaveBeenCalledWith(
+        { userId: 'usr_1', endpoint: 'chat.message', requestId: 'req-1' },
+        { model: 'gpt-4.1-nano', usage: { prompt_tokens: 60, completion_tokens: 12 } }
+      );
+    });
+    
+    it('should process the message as the signed-in user', async () => {
+      req.user = { id: 'usr_1' };
+      
+      await chatController.processMessage(req, res, next);
+      
+      expect(chatService.processMessage).toHaveBeenCalledWith(req.body, expect.objectContaining({ ownerId: 'usr_1' }));
+    });
+    
     it('should handle validation errors', async () => {
       // Mock validation error
       const validationError = new Error('Invalid request');
@@ -133,7 +181,7 @@ describe('Chat Controller', () => {
       expect(validators.validateChatRequest).toHaveBeenCalledWith(req.body);
       
       // Check that the service was called with the validated body
-      expect(chatService.processMessage).toHaveBeenCalledWith(req.body);
+      expect(chatService.processMessage).toHaveBeenCalledWith(req.body, { apiKey: undefined, reserveImageCost: expect.any(Function), onUsage: expect.any(Function) });
       
       // Check that the response was not sent
       expect(res.status).not.toHaveBeenCalled();
@@ -180,7 +228,7 @@ describe('Chat Controller', () => {
           { id: 'image-1', data: 'base64-image-data-1' },
           { id: 'image-2', data: 'base64-image-data-2' }
         ]
-      });
+      }, { apiKey: undefined, reserveImageCost: expect.any(Function), onUsage: expect.any(Function) });
       
       // Check that the response includes the images
       expect(res.json).toHaveBeenCalledWith(
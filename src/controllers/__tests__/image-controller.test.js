@@ -1,6 +1,6 @@
-const { uploadImage, generateImages, editImages } = require('../image-controller');
-const { imageService } = require('../../services');
-const { validators } = require('../../utils');
+const { uploadImage, generateImages, generateImagesStream, editImages, listProviders, getImage, getImageMetadata } = require('../image-controller');
+const { imageService, chatService, jobService, usageService } = require('../../services');
+const { validators, sse } = require('../../utils');
 const { ValidationError } = require('../../utils/error');
 
 // Mock dependencies
@@ -8,14 +8,31 @@ jest.mock('../../services', () => ({
   imageService: {
     processUpload: jest.fn(),
     generateImages: jest.fn(),
-    editImages: jest.fn()
+    generateImagesStream: jest.fn(),
+    editImages: jest.fn(),
+    listProviders: jest.fn(),
+    getImage: jest.fn(),
+    getImageMetadata: jest.fn()
+  },
+  chatService: {
+    recordImageEdit: jest.fn()
+  },
+  jobService: {
+    submitJob: jest.fn()
+  },
+  usageService: {
+    recordUsage: jest.fn()
   }
 }));
 
 jest.mock('../../utils', () => ({
   validators: {
     validateGenerateRequest: jest.fn(),
+    validateGenerateStreamRequest: jest.fn(),
     validateEditRequest: jest.fn()
+  },
+  sse: {
+    openEventStream: jest.fn()
   }
 }));
 
@@ -35,11 +52,15 @@ describe('Image Controller', () => {
         originalname: 'test.jpg',
         mimetype: 'image/jpeg'
       },
-      body: {}
+      body: {},
+      user: { id: 'usr_1' }
     };
     
     res = {
       status: jest.fn().mockReturnThis(),
+      location: jest.fn().mockReturnThis(),
+      set: jest.fn().mockReturnThis(),
+      send: jest.fn(),
       json: jest.fn()
     };
     
@@ -47,6 +68,7 @@ describe('Image Controller', () => {
     
     // Mock successful validation by default
     validators.validateGenerateRequest.mockImplementation(body => body);
+    validators.validateGenerateStreamRequest.mockImplementation(body => body);
     validators.validateEditRequest.mockImplementation(body => body);
   });
   
@@ -65,7 +87,7 @@ describe('Image Controller', () => {
       await uploadImage(req, res, next);
       
       // Check that the image service was called with the file
-      expect(imageService.processUpload).toHaveBeenCalledWith(req.file);
+      expect(imageService.processUpload).toHaveBeenCalledWith(req.file, { ownerId: 'usr_1' });
       
       // Check that the response was sent with the correct status and body
       expect(res.status).toHaveBeenCalledWith(200);
@@ -107,7 +129,7 @@ describe('Image Controller', () => {
       await uploadImage(req, res, next);
       
       // Check that the image service was called with the file
-      expect(imageService.processUpload).toHaveBeenCalledWith(req.file);
+      expect(imageService.processUpload).toHaveBeenCalledWith(req.file, { ownerId: 'usr_1' });
       
       // Check that the response was not sent
       expect(res.status).not.toHaveBeenCalled();
@@ -148,7 +170,7 @@ describe('Image Controller', () => {
       expect(validators.validateGenerateRequest).toHaveBeenCalledWith(req.body);
       
       // Check that the image service was called with the validated body
-      expect(imageService.generateImages).toHaveBeenCalledWith(req.body);
+      expect(imageService.generateImages).toHaveBeenCalledWith(req.body, { requestId: undefined, apiKey: undefined, onUsage: expect.any(Function), ownerId: 'usr_1' });
       
       // Check that the response was sent with the correct status and body
       expect(res.status).toHaveBeenCalledWith(200);
@@ -158,6 +180,66 @@ describe('Image Controller', () => {
       expect(next).not.toHaveBeenCalled();
     });
     
+    it('should queue a background job when async is requested', async () => {
+      const mockJob = { id: 'job_1', type: 'image.generate', status: 'queued' };
+      jobService.submitJob.mockReturnValueOnce(mockJob);
+      imageService.generateImages.mockResolvedValueOnce({ images: [] });
+      req.query = { async: 'true' };
+      req.baseUrl = '/api';
+      
+      await generateImages(req, res, next);
+      
+      expect(jobService.submitJob).toHaveBeenCalledWith('image.generate', expect.any(Function), { onFinish: undefined, ownerId: 'usr_1' });
+      expect(res.status).toHaveBeenCalledWith(202);
+      expect(res.location).toHaveBeenCalledWith('/api/jobs/job_1');
+      expect(res.json).toHaveBeenCalledWith(mockJob);
+      
+      // The job runs the generation with the job's abort signal
+      const signal = new AbortController().signal;
+      await jobService.submitJob.mock.calls[0][1](signal);
+      expect(imageService.generateImages).toHaveBeenCalledWith(req.body, { signal, onUsage: expect.any(Function), ownerId: 'usr_1' });
+    });
+    
+    it('should record the usage of the generation', async () => {
+      const mockResponse = { images: [{ id: 'img_1' }], model: 'gpt-image-1', usage: { output_tokens: 272 } };
+      imageService.generateImages.mockResolvedValueOnce(mockResponse);
+      req.id = 'req-1';
+      req.user = { id: 'alice' };
+      
+      await generateImages(req, res, next);
+      
+      expect(usageService.recordUsage).toHaveBeenCalledWith(
+        { userId: 'alice', endpoint: 'images.generate', requestId: 'req-1' },
+        mockResponse
+      );
+      expect(res.json).toHaveBeenCalledWith(mockResponse);
+    });
+    
+    it('should record the usage of prompt analysis under the same endpoint', async () => {
+      imageService.generateImages.mockImplementationOnce(async (params, options) => {
+        await options.onUsage({ model: 'gpt-4.1-nano', usage: { prompt_tokens: 180, completion_tokens: 20 } });
+        return { images: [] };
+      });
+      req.id = 'req-1';
+      req.user = { id: 'alice' };
+      
+      await generateImages(req, res, next);
+      
+      expect(usageService.recordUsage).toHaveBeenCalledWith(
+        { userId: 'alice', endpoint: 'images.generate', requestId: 'req-1' },
+        { model: 'gpt-4.1-nano', usage: { prompt_tokens: 180, completion_tokens: 20 } }
+      );
+    });
+    
+    it('should pass the request ID on so it is recorded with the images', async () => {
+      imageService.generateImages.mockResolvedValueOnce({ images: [] });
+      req.id = 'req-1';
+      
+      await generateImages(req, res, next);
+      
+      expect(imageService.generateImages).toHaveBeenCalledWith(req.body, { requestId: 'req-1', onUsage: expect.any(Function), ownerId: 'usr_1' });
+    });
+    
     it('should handle validation errors', async () => {
       // Mock validation error
       const validationError = new ValidationError('Invalid generation request', 'INVALID_GENERATE_REQUEST', {
@@ -198,7 +280,7 @@ describe('Image Controller', () => {
       expect(validators.validateGenerateRequest).toHaveBeenCalledWith(req.body);
       
       // Check that the image service was called with the validated body
-      expect(imageService.generateImages).toHaveBeenCalledWith(req.body);
+      expect(imageService.generateImages).toHaveBeenCalledWith(req.body, { requestId: undefined, apiKey: undefined, onUsage: expect.any(Function), ownerId: 'usr_1' });
       
       // Check that the response was not sent
       expect(res.status).not.toHaveBeenCalled();
@@ -209,6 +291,75 @@ describe('Image Controller', () => {
     });
   });
   
+  describe('generateImagesStream', () => {
+    let stream;
+    
+    beforeEach(() => {
+      req.body = { prompt: 'A beautiful landscape' };
+      res.on = jest.fn();
+      res.writableEnded = false;
+      
+      stream = {
+        send: jest.fn(),
+        sendError: jest.fn(),
+        close: jest.fn()
+      };
+      sse.openEventStream.mockReturnValue(stream);
+    });
+    
+    it('should send each partial image and the final images as events', async () => {
+      const mockResponse = { images: [{ id: 'generated-image-id', base64: 'final' }], usage: { total_tokens: 10 } };
+      
+      imageService.generateImagesStream.mockImplementationOnce(async (params, handlers) => {
+        handlers.onPartialImage({ index: 0, partialImageIndex: 0, base64: 'preview-1' });
+        handlers.onPartialImage({ index: 0, partialImageIndex: 1, base64: 'preview-2' });
+        return mockResponse;
+      });
+      
+      await generateImagesStream(req, res, next);
+      
+      expect(validators.validateGenerateStreamRequest).toHaveBeenCalledWith(req.body);
+      expect(imageService.generateImagesStream).toHaveBeenCalledWith(req.body, expect.objectContaining({
+        signal: expect.any(Object)
+      }));
+      expect(stream.send.mock.calls).toEqual([
+        ['partial_image', { index: 0, partialImageIndex: 0, base64: 'preview-1' }],
+        ['partial_image', { index: 0, partialImageIndex: 1, base64: 'preview-2' }],
+        ['done', mockResponse]
+      ]);
+      expect(stream.close).toHaveBeenCalled();
+      expect(next).not.toHaveBeenCalled();
+    });
+    
+    it('should handle validation errors before opening the stream', async () => {
+      const validationError = new ValidationError('Invalid image generation request', 'INVALID_GENERATE_REQUEST', {
+        n: 'n must be 1 when streaming'
+      });
+      
+      validators.validateGenerateStreamRequest.mockImplementationOnce(() => {
+        throw validationError;
+      });
+      
+      await generateImagesStream(req, res, next);
+      
+      expect(sse.openEventStream).not.toHaveBeenCalled();
+      expect(imageService.generateImagesStream).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith(validationError);
+    });
+    
+    it('should send service errors as an error event', async () => {
+      const serviceError = new Error('Service error');
+      
+      imageService.generateImagesStream.mockRejectedValueOnce(serviceError);
+      
+      await generateImagesStream(req, res, next);
+      
+      expect(stream.sendError).toHaveBeenCalledWith(serviceError);
+      expect(stream.close).toHaveBeenCalled();
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+  
   describe('editImages', () => {
     beforeEach(() => {
       // Set up request body for image editing
@@ -239,7 +390,7 @@ describe('Image Controller', () => {
       expect(validators.validateEditRequest).toHaveBeenCalledWith(req.body);
       
       // Check that the image service was called with the validated body
-      expect(imageService.editImages).toHaveBeenCalledWith(req.body);
+      expect(imageService.editImages).toHaveBeenCalledWith(req.body, { requestId: undefined, apiKey: undefined, onUsage: expect.any(Function), ownerId: 'usr_1' });
       
       // Check that the response was sent with the correct status and body
       expect(res.status).toHaveBeenCalledWith(200);
@@ -249,6 +400,36 @@ describe('Image Controller', () => {
       expect(next).not.toHaveBeenCalled();
     });
     
+    it('should add edits made from a conversation to its chat history', async () => {
+      const mockResponse = {
+        images: [{ id: 'edited-image-id', url: '/api/images/edited-image-id' }]
+      };
+      const exchange = {
+        userMessage: { id: 'user-1', role: 'user', content: req.body.prompt },
+        assistantMessage: { id: 'assistant-1', role: 'assistant', images: [{ id: 'edited-image-id', sourceImageId: 'source-id' }] }
+      };
+      
+      imageService.editImages.mockResolvedValueOnce(mockResponse);
+      chatService.recordImageEdit.mockResolvedValueOnce(exchange);
+      req.body = { ...req.body, conversationId: 'conv-1' };
+      
+      await editImages(req, res, next);
+      
+      // The conversation is not passed on as an edit parameter
+      const { conversationId, ...editParams } = req.body;
+      expect(imageService.editImages).toHaveBeenCalledWith(editParams, { requestId: undefined, apiKey: undefined, onUsage: expect.any(Function), ownerId: 'usr_1' });
+      expect(chatService.recordImageEdit).toHaveBeenCalledWith('conv-1', req.body.prompt, mockResponse, { ownerId: 'usr_1' });
+      expect(res.json).toHaveBeenCalledWith({ ...mockResponse, ...exchange });
+    });
+    
+    it('should not touch the chat history for edits made outside a conversation', async () => {
+      imageService.editImages.mockResolvedValueOnce({ images: [] });
+      
+      await editImages(req, res, next);
+      
+      expect(chatService.recordImageEdit).not.toHaveBeenCalled();
+    });
+    
     it('should handle validation errors', async () => {
       // Mock validation error
       const validationError = new ValidationError('Invalid edit request', 'INVALID_EDIT_REQUEST', {
@@ -289,7 +470,7 @@ describe('Image Controller', () => {
       expect(validators.validateEditRequest).toHaveBeenCalledWith(req.body);
       
       // Check that the image service was called with the validated body
-      expect(imageService.editImages).toHaveBeenCalledWith(req.body);
+      expect(imageService.editImages).toHaveBeenCalledWith(req.body, { requestId: undefined, apiKey: undefined, onUsage: expect.any(Function), ownerId: 'usr_1' });
       
       // Check that the response was not sent
       expect(res.status).not.toHaveBeenCalled();
@@ -299,4 +480,63 @@ describe('Image Controller', () => {
       expect(next).toHaveBeenCalledWith(serviceError);
     });
   });
+  
+  describe('listProviders', () => {
+    it('should return the providers and their capabilities', async () => {
+      const mockProviders = {
+        default: 'openai',
+        providers: [{ name: 'openai', label: 'OpenAI', available: true }]
+      };
+      imageService.listProviders.mockResolvedValueOnce(mockProviders);
+      
+      await listProviders(req, res, next);
+      
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith(mockProviders);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('getImage', () => {
+    it('should send the stored image with its type and cache headers', async () => {
+      const data = Buffer.from('image-bytes');
+      imageService.getImage.mockResolvedValueOnce({ record: { id: 'img_1', mimeType: 'image/png' }, data });
+      req.params = { id: 'img_1' };
+      
+      await getImage(req, res, next);
+      
+      expect(imageService.getImage).toHaveBeenCalledWith('img_1', { ownerId: 'usr_1' });
+      expect(res.set).toHaveBeenCalledWith(expect.objectContaining({
+        'Content-Type': 'image/png',
+        'Cache-Control': expect.stringContaining('immutable')
+      }));
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith(data);
+    });
+    
+    it('should pass missing images to the error handler', async () => {
+      const notFound = Object.assign(new Error('Image not found'), { statusCode: 404, code: 'IMAGE_NOT_FOUND' });
+      imageService.getImage.mockRejectedValueOnce(notFound);
+      req.params = { id: 'img_missing' };
+      
+      await getImage(req, res, next);
+      
+      expect(res.send).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith(notFound);
+    });
+  });
+  
+  describe('getImageMetadata', () => {
+    it('should return the image record with its generation metadata', async () => {
+      const record = { id: 'img_1', source: 'generation', metadata: { prompt: 'A lighthouse', parentIds: [] } };
+      imageService.getImageMetadata.mockResolvedValueOnce(record);
+      req.params = { id: 'img_1' };
+      
+      await getImageMetadata(req, res, next);
+      
+      expect(imageService.getImageMetadata).toHaveBeenCalledWith('img_1', { ownerId: 'usr_1' });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith(record);
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,66 @@
+const { getJob, cancelJob } = require('../job-controller');
+const { jobService } = require('../../services');
+const { NotFoundError } = require('../../utils/error');
+
+// Mock dependencies
+jest.mock('../../services', () => ({
+  jobService: {
+    getJob: jest.fn(),
+    cancelJob: jest.fn()
+  }
+}));
+
+describe('Job Controller', () => {
+  let req;
+  let res;
+  let next;
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    
+    req = { params: { id: 'job_1' }, user: { id: 'usr_1' } };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+    next = jest.fn();
+  });
+  
+  describe('getJob', () => {
+    it('should return the job', async () => {
+      const mockJob = { id: 'job_1', status: 'succeeded', result: { images: [] } };
+      jobService.getJob.mockReturnValueOnce(mockJob);
+      
+      await getJob(req, res, next);
+      
+      expect(jobService.getJob).toHaveBeenCalledWith('job_1', { ownerId: 'usr_1' });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith(mockJob);
+    });
+    
+    it('should pass unknown jobs to the error handler', async () => {
+      const notFound = new NotFoundError('Job not found', 'JOB_NOT_FOUND');
+      jobService.getJob.mockImplementationOnce(() => {
+        throw notFound;
+      });
+      
+      await getJob(req, res, next);
+      
+      expect(res.json).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith(notFound);
+    });
+  });
+  
+  describe('cancelJob', () => {
+    it('should cancel the job and return it', async () => {
+      const mockJob = { id: 'job_1', status: 'cancelled' };
+      jobService.cancelJob.mockReturnValueOnce(mockJob);
+      
+      await cancelJob(req, res, next);
+      
+      expect(jobService.cancelJob).toHaveBeenCalledWith('job_1', { ownerId: 'usr_1' });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith(mockJob);
+    });
+  });
+});
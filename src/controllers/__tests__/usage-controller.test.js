@@ -0,0 +1,80 @@
+const { getUsage } = require('../usage-controller');
+const { usageService } = require('../../services');
+const { ValidationError, ForbiddenError } = require('../../utils/error');
+
+// Mock dependencies
+jest.mock('../../services', () => ({
+  usageService: {
+    getUsageReport: jest.fn()
+  }
+}));
+
+describe('Usage Controller', () => {
+  let req;
+  let res;
+  let next;
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    
+    req = { query: { period: 'week' } };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+    next = jest.fn();
+  });
+  
+  describe('getUsage', () => {
+    it('should return the usage report', async () => {
+      const report = { period: 'week', totals: { requests: 2, cost: 0.3 }, periods: [] };
+      usageService.getUsageReport.mockResolvedValueOnce(report);
+      
+      await getUsage(req, res, next);
+      
+      expect(usageService.getUsageReport).toHaveBeenCalledWith({ period: 'week' });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith(report);
+    });
+    
+    it('should pass invalid queries to the error handler', async () => {
+      const error = new ValidationError('Invalid usage request', 'INVALID_USAGE_REQUEST', { period: 'Invalid' });
+      usageService.getUsageReport.mockRejectedValueOnce(error);
+      
+      await getUsage(req, res, next);
+      
+      expect(res.json).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith(error);
+    });
+    
+    it('should limit users to their own usage', async () => {
+      usageService.getUsageReport.mockResolvedValueOnce({ period: 'week', periods: [] });
+      req.user = { id: 'usr_1', username: 'alice', role: 'user' };
+      
+      await getUsage(req, res, next);
+      
+      expect(usageService.getUsageReport).toHaveBeenCalledWith({ period: 'week', userId: 'usr_1' });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+    
+    it('should not let users report on other users', async () => {
+      req.user = { id: 'usr_1', username: 'alice', role: 'user' };
+      req.query.userId = 'usr_2';
+      
+      await getUsage(req, res, next);
+      
+      expect(usageService.getUsageReport).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith(expect.any(ForbiddenError));
+    });
+    
+    it('should let admins report on any user', async () => {
+      usageService.getUsageReport.mockResolvedValueOnce({ period: 'week', periods: [] });
+      req.user = { id: 'usr_1', username: 'admin', role: 'admin' };
+      req.query.userId = 'usr_2';
+      
+      await getUsage(req, res, next);
+      
+      expect(usageService.getUsageReport).toHaveBeenCalledWith({ period: 'week', userId: 'usr_2' });
+    });
+  });
+});
\ No newline at end of file
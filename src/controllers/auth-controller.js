@@ -0,0 +1,104 @@
+/**
+ * Auth controller
+ * Handles account and session HTTP requests
+ */
+
+const config = require('../config').auth;
+const { authService } = require('../services');
+
+/**
+ * Set the session cookie, which lets <img> tags load stored images without an Authorization header
+ * @param {Object} res - Express response object
+ * @param {Object} session - Session token and expiry
+ */
+function setSessionCookie(res, session) {
+  res.cookie(config.cookie.name, session.token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: config.cookie.secure,
+    expires: new Date(session.expiresAt)
+  });
+}
+
+/**
+ * Create an account and sign it in
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+async function register(req, res, next) {
+  try {
+    const session = await authService.register(req.body);
+    setSessionCookie(res, session);
+    
+    // Send response
+    res.status(201).json(session);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Sign in with a username and password
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+async function login(req, res, next) {
+  try {
+    const session = await authService.login(req.body);
+    setSessionCookie(res, session);
+    
+    // Send response
+    res.status(200).json(session);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * End the current session
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+async function logout(req, res, next) {
+  try {
+    await authService.logout(req.sessionToken);
+    res.clearCookie(config.cookie.name, { httpOnly: true, sameSite: 'lax', secure: config.cookie.secure });
+    
+    // Send response
+    res.status(200).json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Report who is signed in and whether signing in is required
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+async function getStatus(req, res, next) {
+  try {
+    const registrationOpen = await authService.isRegistrationOpen();
+    
+    // Send response
+    res.status(200).json({
+      authenticated: !!req.user,
+      authRequired: config.required,
+      registrationOpen,
+      user: req.user || null
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  register,
+  login,
+  logout,
+  getStatus
+};
\ No newline at end of file
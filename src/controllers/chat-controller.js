@@ -3,8 +3,52 @@
  * Handles chat-related HTTP requests
  */
 
-const { chatService } = require('../services');
-const { validators } = require('../utils');
+const { chatService, usageService, quotaService } = require('../services');
+const { validators, sse } = require('../utils');
+
+/**
+ * Describe who made a request, for the usage ledger
+ * @param {Object} req - Express request object
+ * @param {string} endpoint - Endpoint name
+ * @returns {Object} User ID, endpoint, request ID and whether the user's own API key was used
+ */
+function toUsageContext(req, endpoint) {
+  return {
+    userId: req.user && req.user.id,
+    endpoint,
+    requestId: req.id,
+    ...(req.openaiApiKey && { ownApiKey: true })
+  };
+}
+
+/**
+ * Record the usage of a chat reply: the chat completion and each image request its tools made
+ * @param {Object} context - Who made the request and how (see toUsageContext)
+ * @param {Object} response - Chat response with model, usage and imageResults
+ */
+async function recordChatUsage(context, response) {
+  await usageService.recordUsage(context, { model: response.model, usage: response.usage });
+  for (const imageResult of response.imageResults || []) {
+    await usageService.recordUsage(context, imageResult);
+  }
+}
+
+/**
+ * Create the function that charges the image tool calls of a reply against the user's daily budget
+ * Reservations are kept until the reply's usage is in the ledger, so later calls of the same reply count them
+ * @param {Object} req - Express request object
+ * @param {Array} reservations - Receives the reservations made, to be released once usage is recorded
+ * @returns {Function} Function reserving the estimated cost of an image request, given its endpoint and parameters
+ */
+function createImageCostReserver(req, reservations) {
+  return async (endpoint, params) => {
+    const cost = quotaService.estimateRequestCost(endpoint, params);
+    const reservation = await quotaService.reserve(req.user, cost, { ownApiKey: Boolean(req.openaiApiKey) });
+    if (reservation) {
+      reservations.push(reservation);
+    }
+  };
+}
 
 /**
  * Process a chat message
@@ -13,6 +57,7 @@ const { validators } = require('../utils');
  * @param {Function} next - Express next function
  */
 async function processMessage(req, res, next) {
+  const imageReservations = [];
   try {
     // Validate request body
     const validatedBody = validators.validateChatRequest(req.body);
@@ -24,17 +69,114 @@ async function processMessage(req, res, next) {
     }
     console.debug('Processing chat request:', logBody);
     
-    // Process the message
-    const response = await chatService.processMessage(validatedBody);
+    // Process the message; summaries and prompt analysis are recorded as they are made
+    const usageContext = toUsageContext(req, 'chat.message');
+    const response = await chatService.processMessage(validatedBody, {
+      apiKey: req.openaiApiKey,
+      reserveImageCost: createImageCostReserver(req, imageReservations),
+      onUsage: usage => usageService.recordUsage(usageContext, usage),
+      ownerId: req.user && req.user.id
+    });
+    await recordChatUsage(usageContext, response);
     
     // Send response
     res.status(200).json(response);
   } catch (error) {
     console.error('Error processing chat message:', error.message);
     next(error);
+  } finally {
+    imageReservations.forEach(reservation => reservation.release());
+  }
+}
+
+/**
+ * Process a chat message and stream the reply as Server-Sent Events
+ * Events: start ({ userMessage, assistantMessageId }), token ({ content }),
+ * partial_image ({ index, partialImageIndex, base64, mimeType }), done ({ userMessage, assistantMessage, usage, imageResults })
+ * and error ({ message, code })
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+async function streamMessage(req, res, next) {
+  let validatedBody;
+  try {
+    // Validate before opening the stream so invalid requests get a regular error response
+    validatedBody = validators.validateChatRequest(req.body);
+  } catch (error) {
+    return next(error);
+  }
+  
+  const stream = sse.openEventStream(res);
+  const imageReservations = [];
+  
+  // Stop generating if the client goes away
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      abortController.abort();
+    }
+  });
+  
+  try {
+    const usageContext = toUsageContext(req, 'chat.stream');
+    const response = await chatService.processMessageStream(validatedBody, {
+      onStart: (startData) => stream.send('start', startData),
+      onToken: (content) => stream.send('token', { content }),
+      onPartialImage: (partialImage) => stream.send('partial_image', partialImage),
+      signal: abortController.signal,
+      apiKey: req.openaiApiKey,
+      reserveImageCost: createImageCostReserver(req, imageReservations),
+      onUsage: usage => usageService.recordUsage(usageContext, usage),
+      ownerId: req.user && req.user.id
+    });
+    await recordChatUsage(usageContext, response);
+    
+    stream.send('done', response);
+  } catch (error) {
+    console.error('Error streaming chat message:', error.message);
+    stream.sendError(error);
+  } finally {
+    imageReservations.forEach(reservation => reservation.release());
+    stream.close();
+  }
+}
+
+/**
+ * Get a page of chat history
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+async function getChatHistory(req, res, next) {
+  try {
+    const history = await chatService.getChatHistory(req.query, { ownerId: req.user && req.user.id });
+    
+    res.status(200).json(history);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Clear chat history
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+async function clearChatHistory(req, res, next) {
+  try {
+    const result = await chatService.clearChatHistory(req.query, { ownerId: req.user && req.user.id });
+    
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
   }
 }
 
 module.exports = {
-  processMessage
+  processMessage,
+  streamMessage,
+  getChatHistory,
+  clearChatHistory
 };
\ No newline at end of file
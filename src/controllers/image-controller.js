@@ -3,8 +3,101 @@
  * Handles image-related HTTP requests
  */
 
-const { imageService } = require('../services');
-const { validators } = require('../utils');
+const { imageService, chatService, jobService, usageService } = require('../services');
+const { validators, sse } = require('../utils');
+
+/**
+ * Check whether the client asked to run the request as a background job (?async=true)
+ * @param {Object} req - Express request object
+ * @returns {boolean} True if the request should be queued
+ */
+function isAsyncRequest(req) {
+  const value = req.query && req.query.async;
+  return value === 'true' || value === '1';
+}
+
+/**
+ * Describe who made a request, for the usage ledger
+ * @param {Object} req - Express request object
+ * @param {string} endpoint - Endpoint name
+ * @returns {Object} User ID, endpoint, request ID and whether the user's own API key was used
+ */
+function toUsageContext(req, endpoint) {
+  return {
+    userId: req.user && req.user.id,
+    endpoint,
+    requestId: req.id,
+    ...(req.openaiApiKey && { ownApiKey: true })
+  };
+}
+
+/**
+ * Build the options passed to the image service for a request
+ * Prompt analysis is recorded in the ledger under the request's endpoint as soon as it is made
+ * @param {Object} req - Express request object
+ * @param {string} endpoint - Endpoint name recorded with the usage
+ * @returns {Object} Service options ({ requestId, apiKey, onUsage, ownerId })
+ */
+function toServiceOptions(req, endpoint) {
+  return {
+    requestId: req.id,
+    apiKey: req.openaiApiKey,
+    ownerId: req.user && req.user.id,
+    onUsage: usage => usageService.recordUsage(toUsageContext(req, endpoint), usage)
+  };
+}
+
+/**
+ * Wait for an image service call and record its usage in the ledger
+ * @param {Object} req - Express request object
+ * @param {string} endpoint - Endpoint name recorded with the usage
+ * @param {Promise<Object>} pending - Pending service response
+ * @returns {Promise<Object>} The service response
+ */
+async function withUsage(req, endpoint, pending) {
+  const response = await pending;
+  await usageService.recordUsage(toUsageContext(req, endpoint), response);
+  return response;
+}
+
+/**
+ * Wait for an edit and, when it was made from a conversation, add it to the chat history
+ * @param {Object} req - Express request object
+ * @param {string} conversationId - Conversation ID (optional)
+ * @param {string} prompt - Edit instruction
+ * @param {Promise<Object>} pending - Pending edit response
+ * @returns {Promise<Object>} The edit response, with the userMessage and assistantMessage recorded for it if any
+ */
+async function withConversation(req, conversationId, prompt, pending) {
+  const response = await pending;
+  if (!conversationId) {
+    return response;
+  }
+  
+  return {
+    ...response,
+    ...(await chatService.recordImageEdit(conversationId, prompt, response, { ownerId: req.user && req.user.id }))
+  };
+}
+
+/**
+ * Submit a background job and respond with it, pointing at the URL to poll
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} type - Job type
+ * @param {Function} task - Function receiving an AbortSignal and returning a promise of the job result
+ */
+function acceptJob(req, res, type, task) {
+  // The request's quota reservation is held until the job stops, not just until it is accepted
+  const reservation = req.quotaReservation;
+  const job = jobService.submitJob(type, task, {
+    onFinish: reservation && reservation.release,
+    ownerId: req.user && req.user.id
+  });
+  req.quotaReservation = null;
+  
+  res.status(202).location(`${req.baseUrl}/jobs/${job.id}`).json(job);
+}
 
 /**
  * Upload an image
@@ -23,7 +116,7 @@ async function uploadImage(req, res, next) {
     }
     
     // Process the uploaded file
-    const imageData = await imageService.processUpload(req.file);
+    const imageData = await imageService.processUpload(req.file, { ownerId: req.user && req.user.id });
     
     // Send response
     res.status(200).json(imageData);
@@ -34,6 +127,7 @@ async function uploadImage(req, res, next) {
 
 /**
  * Generate images from a prompt
+ * With ?async=true, responds 202 with a job to poll at GET /api/jobs/:id instead
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
@@ -43,8 +137,13 @@ async function generateImages(req, res, next) {
     // Validate request body
     const validatedBody = validators.validateGenerateRequest(req.body);
     
+    // Queue slow renders instead of holding the connection open
+    if (isAsyncRequest(req)) {
+      return acceptJob(req, res, 'image.generate', signal => withUsage(req, 'images.generate', imageService.generateImages(validatedBody, { ...toServiceOptions(req, 'images.generate'), signal })));
+    }
+    
     // Generate images
-    const response = await imageService.generateImages(validatedBody);
+    const response = await withUsage(req, 'images.generate', imageService.generateImages(validatedBody, toServiceOptions(req, 'images.generate')));
     
     // Send response
     res.status(200).json(response);
@@ -53,19 +152,126 @@ async function generateImages(req, res, next) {
   }
 }
 
+/**
+ * Generate an image from a prompt and stream partial previews as Server-Sent Events
+ * Events: partial_image ({ index, partialImageIndex, base64, mimeType }), done ({ images, usage })
+ * and error ({ message, code })
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+async function generateImagesStream(req, res, next) {
+  let validatedBody;
+  try {
+    // Validate before opening the stream so invalid requests get a regular error response
+    validatedBody = validators.validateGenerateStreamRequest(req.body);
+  } catch (error) {
+    return next(error);
+  }
+  
+  const stream = sse.openEventStream(res);
+  
+  // Stop generating if the client goes away
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      abortController.abort();
+    }
+  });
+  
+  try {
+    const response = await withUsage(req, 'images.generate.stream', imageService.generateImagesStream(validatedBody, {
+      ...toServiceOptions(req, 'images.generate.stream'),
+      onPartialImage: (partialImage) => stream.send('partial_image', partialImage),
+      signal: abortController.signal
+    }));
+    
+    stream.send('done', response);
+  } catch (error) {
+    stream.sendError(error);
+  } finally {
+    stream.close();
+  }
+}
+
 /**
  * Edit images with a prompt and mask
+ * With a conversationId, the edit is also added to that conversation's chat history
+ * With ?async=true, responds 202 with a job to poll at GET /api/jobs/:id instead
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
 async function editImages(req, res, next) {
   try {
-    // Validate request body
-    const validatedBody = validators.validateEditRequest(req.body);
+    // Validate request body; the conversation is not an edit parameter
+    const { conversationId, ...validatedBody } = validators.validateEditRequest(req.body);
+    
+    // Queue slow edits instead of holding the connection open
+    if (isAsyncRequest(req)) {
+      return acceptJob(req, res, 'image.edit', signal => withConversation(req, conversationId, validatedBody.prompt, withUsage(req, 'images.edit', imageService.editImages(validatedBody, { ...toServiceOptions(req, 'images.edit'), signal }))));
+    }
     
     // Edit images
-    const response = await imageService.editImages(validatedBody);
+    const response = await withConversation(req, conversationId, validatedBody.prompt, withUsage(req, 'images.edit', imageService.editImages(validatedBody, toServiceOptions(req, 'images.edit'))));
+    
+    // Send response
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List the image providers and what each of them supports
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+async function listProviders(req, res, next) {
+  try {
+    const response = await imageService.listProviders();
+    
+    // Send response
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Serve a stored image by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+async function getImage(req, res, next) {
+  try {
+    const { record, data } = await imageService.getImage(req.params.id, { ownerId: req.user && req.user.id });
+    
+    // Stored images never change, so clients may cache them indefinitely
+    res.set({
+      'Content-Type': record.mimeType,
+      'Cache-Control': 'private, max-age=31536000, immutable',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    
+    // Send the image (answers conditional requests with 304 Not Modified)
+    res.status(200).send(data);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get the record of a stored image, including how it was generated and the images it was made from
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+async function getImageMetadata(req, res, next) {
+  try {
+    const response = await imageService.getImageMetadata(req.params.id, { ownerId: req.user && req.user.id });
     
     // Send response
     res.status(200).json(response);
@@ -77,5 +283,9 @@ async function editImages(req, res, next) {
 module.exports = {
   uploadImage,
   generateImages,
-  editImages
+  generateImagesStream,
+  editImages,
+  listProviders,
+  getImage,
+  getImageMetadata
 };
\ No newline at end of file
@@ -5,8 +5,20 @@
 
 const chatController = require('./chat-controller');
 const imageController = require('./image-controller');
+const jobController = require('./job-controller');
+const usageController = require('./usage-controller');
+const authController = require('./auth-controller');
+const settingsController = require('./settings-controller');
+const presetController = require('./preset-controller');
+const promptController = require('./prompt-controller');
 
 module.exports = {
   chatController,
-  imageController
+  imageController,
+  jobController,
+  usageController,
+  authController,
+  settingsController,
+  presetController,
+  promptController
 };
\ No newline at end of file
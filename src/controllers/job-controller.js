@@ -0,0 +1,45 @@
+/**
+ * Job controller
+ * Handles background job HTTP requests
+ */
+
+const { jobService } = require('../services');
+
+/**
+ * Get the status of a job, with its result once it has succeeded
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+async function getJob(req, res, next) {
+  try {
+    const job = jobService.getJob(req.params.id, { ownerId: req.user && req.user.id });
+    
+    // Send response
+    res.status(200).json(job);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Cancel a queued or running job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+async function cancelJob(req, res, next) {
+  try {
+    const job = jobService.cancelJob(req.params.id, { ownerId: req.user && req.user.id });
+    
+    // Send response
+    res.status(200).json(job);
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getJob,
+  cancelJob
+};
\ No newline at end of file
@@ -0,0 +1,115 @@
+/**
+ * Preset controller
+ * Handles style preset HTTP requests
+ */
+
+const { presetService } = require('../services');
+const { ForbiddenError } = require('../utils/error');
+
+/**
+ * Check that the signed-in user may manage presets, which every user of the server sees
+ * Without AUTH_REQUIRED there is nobody to tell apart, so anyone may
+ * @param {Object} req - Express request object
+ * @throws {ForbiddenError} If a non-admin is signed in
+ */
+function requireAdmin(req) {
+  if (req.user && req.user.role !== 'admin') {
+    throw new ForbiddenError('Only admins can manage style presets');
+  }
+}
+
+/**
+ * List the style presets users can pick from
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+async function listPresets(req, res, next) {
+  try {
+    const presets = await presetService.listPresets();
+    
+    // Send response
+    res.status(200).json({ presets });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get a style preset
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+async function getPreset(req, res, next) {
+  try {
+    const preset = await presetService.getPreset(req.params.id);
+    
+    // Send response
+    res.status(200).json(preset);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Create a style preset
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+async function createPreset(req, res, next) {
+  try {
+    requireAdmin(req);
+    const preset = await presetService.createPreset(req.body, req.user);
+    
+    // Send response
+    res.status(201).json(preset);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Replace a style preset
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+async function updatePreset(req, res, next) {
+  try {
+    requireAdmin(req);
+    const preset = await presetService.updatePreset(req.params.id, req.body);
+    
+    // Send response
+    res.status(200).json(preset);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete a style preset
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+async function deletePreset(req, res, next) {
+  try {
+    requireAdmin(req);
+    await presetService.deletePreset(req.params.id);
+    
+    // Send response
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listPresets,
+  getPreset,
+  createPreset,
+  updatePreset,
+  deletePreset
+};
\ No newline at end of file
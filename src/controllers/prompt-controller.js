@@ -0,0 +1,33 @@
+/**
+ * Prompt controller
+ * Handles prompt enhancement HTTP requests
+ */
+
+const { promptService, usageService } = require('../services');
+
+/**
+ * Suggest detailed rewrites of an image prompt
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+async function enhancePrompt(req, res, next) {
+  try {
+    const response = await promptService.enhancePrompt(req.body, { apiKey: req.openaiApiKey });
+    await usageService.recordUsage({
+      userId: req.user && req.user.id,
+      endpoint: 'prompts.enhance',
+      requestId: req.id,
+      ...(req.openaiApiKey && { ownApiKey: true })
+    }, response);
+    
+    // Send response
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  enhancePrompt
+};
\ No newline at end of file
@@ -0,0 +1,78 @@
+/**
+ * Settings controller
+ * Handles per-user settings HTTP requests
+ */
+
+const { apiKeyService } = require('../services');
+const { UnauthorizedError } = require('../utils/error');
+
+/**
+ * Get the signed-in user, which settings belong to
+ * Needed even when AUTH_REQUIRED is false, since there is nobody to store settings for otherwise
+ * @param {Object} req - Express request object
+ * @returns {Object} Signed-in user
+ * @throws {UnauthorizedError} If nobody is signed in
+ */
+function requireUser(req) {
+  if (!req.user) {
+    throw new UnauthorizedError('Sign in to manage your settings');
+  }
+  return req.user;
+}
+
+/**
+ * Describe the signed-in user's own OpenAI API key, without revealing it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+async function getApiKey(req, res, next) {
+  try {
+    const status = await apiKeyService.getApiKeyStatus(requireUser(req));
+    
+    // Send response
+    res.status(200).json(status);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Store the signed-in user's own OpenAI API key
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+async function saveApiKey(req, res, next) {
+  try {
+    const status = await apiKeyService.saveApiKey(requireUser(req), req.body);
+    
+    // Send response
+    res.status(200).json(status);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Remove the signed-in user's own OpenAI API key
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+async function deleteApiKey(req, res, next) {
+  try {
+    const status = await apiKeyService.deleteApiKey(requireUser(req));
+    
+    // Send response
+    res.status(200).json(status);
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getApiKey,
+  saveApiKey,
+  deleteApiKey
+};
\ No newline at end of file
@@ -0,0 +1,47 @@
+/**
+ * Usage controller
+ * Handles usage and cost report HTTP requests
+ */
+
+const { usageService } = require('../services');
+const { ForbiddenError } = require('../utils/error');
+
+/**
+ * Restrict a usage query to what the signed-in user may see
+ * Admins can report on anyone; other users only on themselves
+ * @param {Object} req - Express request object
+ * @returns {Object} Usage query
+ * @throws {ForbiddenError} If a non-admin asks for another user
+ */
+function toUsageQuery(req) {
+  if (!req.user || req.user.role === 'admin') {
+    return req.query;
+  }
+  
+  if (req.query.userId !== undefined && req.query.userId !== req.user.id) {
+    throw new ForbiddenError('Only admins can report on other users');
+  }
+  return { ...req.query, userId: req.user.id };
+}
+
+/**
+ * Report usage and estimated cost per day or week, user, endpoint and model
+ * Non-admins only see their own usage
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+async function getUsage(req, res, next) {
+  try {
+    const report = await usageService.getUsageReport(toUsageQuery(req));
+    
+    // Send response
+    res.status(200).json(report);
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getUsage
+};
\ No newline at end of file
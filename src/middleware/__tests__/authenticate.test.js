@@ -0,0 +1,100 @@
+/**
+ * Tests for the authentication middleware
+ */
+
+jest.mock('../../services', () => ({
+  authService: {
+    authenticate: jest.fn()
+  }
+}));
+
+const { authService } = require('../../services');
+const config = require('../../config').auth;
+const authenticate = require('../authenticate');
+const requireAuth = require('../require-auth');
+const { UnauthorizedError } = require('../../utils/error');
+
+describe('Authentication Middleware', () => {
+  const user = { id: 'usr_1', username: 'alice', role: 'user' };
+  let req, res, next;
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    req = { method: 'GET', headers: {} };
+    res = {};
+    next = jest.fn();
+  });
+  
+  describe('authenticate', () => {
+    it('should attach the user of a bearer token', async () => {
+      authService.authenticate.mockResolvedValueOnce(user);
+      req.method = 'POST';
+      req.headers.authorization = 'Bearer abc';
+      
+      await authenticate(req, res, next);
+      
+      expect(authService.authenticate).toHaveBeenCalledWith('abc');
+      expect(req.user).toBe(user);
+      expect(next).toHaveBeenCalledWith();
+    });
+    
+    it('should accept the session cookie on GET requests', async () => {
+      authService.authenticate.mockResolvedValueOnce(user);
+      req.headers.cookie = `theme=dark; ${config.cookie.name}=abc%3D`;
+      
+      await authenticate(req, res, next);
+      
+      expect(authService.authenticate).toHaveBeenCalledWith('abc=');
+      expect(req.user).toBe(user);
+    });
+    
+    it('should ignore the session cookie on other requests', async () => {
+      authService.authenticate.mockResolvedValueOnce(null);
+      req.method = 'POST';
+      req.headers.cookie = `${config.cookie.name}=abc`;
+      
+      await authenticate(req, res, next);
+      
+      expect(authService.authenticate).toHaveBeenCalledWith(null);
+      expect(req.user).toBeNull();
+      expect(next).toHaveBeenCalledWith();
+    });
+    
+    it('should pass storage errors to the error handler', async () => {
+      const error = new Error('disk full');
+      authService.authenticate.mockRejectedValueOnce(error);
+      
+      await authenticate(req, res, next);
+      
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+  
+  describe('requireAuth', () => {
+    afterEach(() => {
+      config.required = true;
+    });
+    
+    it('should let signed-in users through', () => {
+      req.user = user;
+      
+      requireAuth(req, res, next);
+      
+      expect(next).toHaveBeenCalledWith();
+    });
+    
+    it('should reject anonymous requests', () => {
+      requireAuth(req, res, next);
+      
+      expect(next).toHaveBeenCalledWith(expect.any(UnauthorizedError));
+    });
+    
+    it('should let anonymous requests through when authentication is disabled', () => {
+      config.required = false;
+      
+      requireAuth(req, res, next);
+      
+      expect(next).toHaveBeenCalledWith();
+    });
+  });
+});
\ No newline at end of file
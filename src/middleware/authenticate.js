@@ -0,0 +1,73 @@
+/**
+ * Authentication middleware
+ * Identifies the user making a request from their session token
+ */
+
+const config = require('../config').auth;
+const { authService } = require('../services');
+const logger = require('../utils/logger');
+
+// Methods for which the session cookie is accepted; state-changing requests must send the
+// token in the Authorization header, so other sites cannot make them on a user's behalf
+const COOKIE_METHODS = ['GET', 'HEAD'];
+
+/**
+ * Read a cookie from the Cookie header
+ * @param {string} header - Cookie header
+ * @param {string} name - Cookie name
+ * @returns {string|null} Cookie value, or null if not set
+ */
+function readCookie(header, name) {
+  if (!header) {
+    return null;
+  }
+  
+  for (const part of header.split(';')) {
+    const separator = part.indexOf('=');
+    if (separator !== -1 && part.slice(0, separator).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(separator + 1).trim());
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the session token of a request, from "Authorization: Bearer <token>" or the session cookie
+ * @param {Object} req - Express request object
+ * @returns {string|null} Session token, or null if none was sent
+ */
+function getSessionToken(req) {
+  const authorization = req.headers.authorization;
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim() || null;
+  }
+  
+  if (COOKIE_METHODS.includes(req.method)) {
+    return readCookie(req.headers.cookie, config.cookie.name);
+  }
+  return null;
+}
+
+/**
+ * Attach the signed-in user to the request as req.user, if the request carries a valid session token
+ * Requests without one continue anonymously; use requireAuth to reject them
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+async function authenticate(req, res, next) {
+  try {
+    req.sessionToken = getSessionToken(req);
+    req.user = await authService.authenticate(req.sessionToken);
+    next();
+  } catch (error) {
+    logger.error('Failed to authenticate request:', error);
+    next(error);
+  }
+}
+
+module.exports = authenticate;
\ No newline at end of file
@@ -5,6 +5,24 @@
 
 const logger = require('../utils/logger');
 
+// Headers carrying session tokens, which must not end up in the logs
+const REDACTED_HEADERS = ['authorization', 'cookie'];
+
+/**
+ * Copy request headers for logging, with credentials redacted
+ * @param {Object} headers - Request headers
+ * @returns {Object} Headers safe to log
+ */
+function redactHeaders(headers = {}) {
+  const redacted = { ...headers };
+  for (const name of REDACTED_HEADERS) {
+    if (redacted[name]) {
+      redacted[name] = '[REDACTED]';
+    }
+  }
+  return redacted;
+}
+
 /**
  * Error handler middleware
  * @param {Error} err - The error object
@@ -22,6 +40,7 @@ function errorHandler(err, req, res, next) {
       message: err.message,
       name: err.name,
       code: err.code || 'INTERNAL_ERROR',
+      attempts: err.attempts,
       stack: err.stack
     },
     request: {
@@ -29,7 +48,7 @@ function errorHandler(err, req, res, next) {
       path: req.path,
       method: req.method,
       ip: req.ip,
-      headers: req.headers
+      headers: redactHeaders(req.headers)
     }
   });
 
@@ -44,6 +63,21 @@ function errorHandler(err, req, res, next) {
     }
   };
 
+  // Report how many times a retried upstream request was attempted
+  if (err.attempts) {
+    errorResponse.error.attempts = err.attempts;
+  }
+  
+  // Tell clients how much budget is left and when it resets, so they can explain a refused request
+  if (err.quota) {
+    errorResponse.error.quota = err.quota;
+  }
+  
+  // Say which moderation categories a rejected prompt was flagged for
+  if (err.categories) {
+    errorResponse.error.categories = err.categories;
+  }
+  
   // Include stack trace in development mode
   if (process.env.NODE_ENV === 'development') {
     errorResponse.error.stack = err.stack;
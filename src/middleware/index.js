@@ -7,10 +7,18 @@ const errorHandler = require('./error-handler');
 const requestLogger = require('./request-logger');
 const validateApiKey = require('./validate-api-key');
 const rateLimiter = require('./rate-limiter');
+const authenticate = require('./authenticate');
+const requireAuth = require('./require-auth');
+const resolveApiKey = require('./resolve-api-key');
+const quota = require('./quota');
 
 module.exports = {
   errorHandler,
   requestLogger,
   validateApiKey,
-  rateLimiter
+  rateLimiter,
+  authenticate,
+  requireAuth,
+  resolveApiKey,
+  quota
 };
\ No newline at end of file
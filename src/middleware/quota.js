@@ -0,0 +1,54 @@
+/**
+ * Middleware to enforce per-user quotas
+ */
+
+const quotaService = require('../services/quota-service');
+
+/**
+ * Report a user's quota in the response headers
+ * @param {Object} res - Express response object
+ * @param {Object} status - Quota status (limit, remaining, cost and resetAt)
+ */
+function setQuotaHeaders(res, status) {
+  res.set({
+    'X-Quota-Limit': String(status.limit),
+    'X-Quota-Remaining': String(status.remaining),
+    'X-Quota-Cost': String(status.cost),
+    'X-Quota-Reset': status.resetAt
+  });
+}
+
+/**
+ * Create middleware that charges a request's estimated cost against the user's daily budget
+ * The reservation is released when the response ends (or, for background jobs, when the job stops),
+ * by which time the request's real cost is in the usage ledger
+ * Must run after the authenticate and resolveApiKey middleware
+ * @param {string} endpoint - Endpoint name, as recorded in the usage ledger
+ * @returns {Function} Express middleware
+ */
+function quota(endpoint) {
+  return async function checkQuota(req, res, next) {
+    try {
+      const cost = quotaService.estimateRequestCost(endpoint, req.body);
+      const reservation = await quotaService.reserve(req.user, cost, { ownApiKey: Boolean(req.openaiApiKey) });
+      
+      if (reservation) {
+        setQuotaHeaders(res, reservation.status);
+        req.quotaReservation = reservation;
+        res.on('close', () => {
+          if (req.quotaReservation) {
+            req.quotaReservation.release();
+          }
+        });
+      }
+      next();
+    } catch (error) {
+      if (error.quota) {
+        setQuotaHeaders(res, error.quota);
+      }
+      next(error);
+    }
+  };
+}
+
+module.exports = quota;
\ No newline at end of file
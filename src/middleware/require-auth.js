@@ -0,0 +1,22 @@
+/**
+ * Middleware to require a signed-in user
+ */
+
+const config = require('../config').auth;
+const { UnauthorizedError } = require('../utils/error');
+
+/**
+ * Reject requests without a signed-in user, unless authentication is disabled
+ * Must run after the authenticate middleware
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function requireAuth(req, res, next) {
+  if (!req.user && config.required) {
+    return next(new UnauthorizedError());
+  }
+  next();
+}
+
+module.exports = requireAuth;
\ No newline at end of file
@@ -0,0 +1,27 @@
+/**
+ * Middleware to choose the OpenAI API key a request is made with
+ */
+
+const apiKeyService = require('../services/api-key-service');
+
+/**
+ * Set req.openaiApiKey to the signed-in user's own key, or leave it unset to use the server key
+ * Rejects the request if the user has no key and may not use the server key
+ * Must run after the authenticate middleware
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+async function resolveApiKey(req, res, next) {
+  try {
+    const apiKey = await apiKeyService.resolveApiKey(req.user);
+    if (apiKey) {
+      req.openaiApiKey = apiKey;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = resolveApiKey;
\ No newline at end of file
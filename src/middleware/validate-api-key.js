@@ -12,6 +12,11 @@ const logger = require('../utils/logger');
  * @param {Function} next - Express next function
  */
 function validateApiKey(req, res, next) {
+  // The mock provider works offline and needs no key
+  if (config.provider === 'mock') {
+    return next();
+  }
+  
   // Check if API key exists
   if (!config.apiKey) {
     const error = new Error('OpenAI API key is not configured');
@@ -0,0 +1,112 @@
+const createHttpProvider = require('../http-provider');
+
+// Silence provider and retry logs
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+jest.mock('../../config', () => ({
+  openai: {
+    retry: { maxRetries: 2, initialDelay: 1, maxDelay: 10 }
+  }
+}));
+
+// Build a response shaped like the one returned by fetch
+const jsonResponse = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: String(status),
+  headers: new Map(),
+  json: async () => body,
+  text: async () => JSON.stringify(body)
+});
+
+describe('HTTP Image Provider', () => {
+  const originalFetch = global.fetch;
+  let provider;
+  
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    provider = createHttpProvider({ url: 'http://diffusion.local/', apiKey: 'secret', timeout: 1000 });
+  });
+  
+  afterAll(() => {
+    global.fetch = originalFetch;
+  });
+  
+  it('should refuse to start without a URL', () => {
+    expect(() => createHttpProvider({})).toThrow(expect.objectContaining({ code: 'PROVIDER_UNAVAILABLE', statusCode: 503 }));
+  });
+  
+  it('should post generation requests and normalize the images', async () => {
+    global.fetch.mockResolvedValueOnce(jsonResponse({ images: [{ b64_json: 'first' }, { base64: 'second' }], usage: { steps: 30 } }));
+    
+    const result = await provider.generate({ prompt: 'A lighthouse', n: 2 });
+    
+    expect(global.fetch).toHaveBeenCalledWith('http://diffusion.local/generate', expect.objectContaining({
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: 'Bearer secret' },
+      body: JSON.stringify({ prompt: 'A lighthouse', n: 2 })
+    }));
+    expect(result).toEqual({
+      images: [{ base64: 'first' }, { base64: 'second' }],
+      usage: { steps: 30 },
+      attempts: 1
+    });
+  });
+  
+  it('should accept OpenAI-compatible edit responses', async () => {
+    global.fetch.mockResolvedValueOnce(jsonResponse({ data: [{ b64_json: 'edited' }] }));
+    
+    const result = await provider.edit({ prompt: 'Add a boat', image: ['base64'] });
+    
+    expect(global.fetch.mock.calls[0][0]).toBe('http://diffusion.local/edit');
+    expect(result.images).toEqual([{ base64: 'edited' }]);
+  });
+  
+  it('should retry transient failures and wrap the final error', async () => {
+    global.fetch.mockResolvedValue(jsonResponse({ error: 'busy' }, 503));
+    
+    await expect(provider.generate({ prompt: 'A lighthouse' })).rejects.toMatchObject({
+      name: 'ProviderError',
+      code: 'IMAGE_GENERATION_ERROR',
+      statusCode: 502,
+      attempts: 3
+    });
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+  
+  it('should fail when the backend returns no images', async () => {
+    global.fetch.mockResolvedValueOnce(jsonResponse({ images: [] }));
+    
+    await expect(provider.generate({ prompt: 'A lighthouse' })).rejects.toMatchObject({ name: 'ProviderError' });
+  });
+  
+  it('should merge reported capabilities over the defaults and cache them', async () => {
+    global.fetch.mockResolvedValueOnce(jsonResponse({ label: 'Local SDXL', sizes: ['1024x1024', '1536x1024'], edit: true }));
+    
+    const capabilities = await provider.describe();
+    await provider.describe();
+    
+    expect(capabilities).toMatchObject({
+      name: 'http',
+      label: 'Local SDXL',
+      sizes: ['1024x1024', '1536x1024'],
+      qualities: ['auto'],
+      edit: true,
+      mask: false,
+      streaming: false
+    });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+  
+  it('should fall back to the default capabilities when the backend cannot be reached', async () => {
+    global.fetch.mockRejectedValue(Object.assign(new TypeError('fetch failed'), { name: 'TypeError' }));
+    
+    const capabilities = await provider.describe();
+    
+    expect(capabilities).toMatchObject({ name: 'http', sizes: ['1024x1024'], edit: false });
+  });
+});
@@ -0,0 +1,62 @@
+const imageProviders = require('../image-providers');
+
+jest.mock('../../config', () => ({
+  images: {
+    provider: 'openai',
+    http: {}
+  },
+  openai: {
+    model: 'gpt-image-1',
+    retry: { maxRetries: 0, initialDelay: 1, maxDelay: 10 }
+  }
+}));
+
+jest.mock('../../services/openai-service', () => ({
+  generateImages: jest.fn(),
+  editImages: jest.fn(),
+  generateImagesStream: jest.fn()
+}));
+
+describe('Image Provider Registry', () => {
+  it('should return the configured provider by default', () => {
+    expect(imageProviders.getProvider().name).toBe('openai');
+    expect(imageProviders.getProvider()).toBe(imageProviders.getProvider('openai'));
+  });
+  
+  it('should reject unknown providers', () => {
+    expect(() => imageProviders.getProvider('nope')).toThrow(expect.objectContaining({
+      name: 'ValidationError',
+      code: 'UNKNOWN_PROVIDER'
+    }));
+  });
+  
+  it('should reject names of Object.prototype members', () => {
+    for (const name of ['__proto__', 'constructor', 'toString', 'hasOwnProperty']) {
+      expect(() => imageProviders.getProvider(name)).toThrow(expect.objectContaining({
+        code: 'UNKNOWN_PROVIDER'
+      }));
+    }
+  });
+  
+  it('should create registered providers on first use', () => {
+    const custom = { name: 'custom', describe: jest.fn() };
+    const factory = jest.fn(() => custom);
+    
+    imageProviders.registerProvider('custom', factory);
+    
+    expect(factory).not.toHaveBeenCalled();
+    expect(imageProviders.getProvider('custom')).toBe(custom);
+    expect(imageProviders.getProvider('custom')).toBe(custom);
+    expect(factory).toHaveBeenCalledTimes(1);
+  });
+  
+  it('should list providers, marking those that cannot be created as unavailable', async () => {
+    const { default: defaultProvider, providers } = await imageProviders.listProviders();
+    
+    expect(defaultProvider).toBe('openai');
+    expect(providers).toEqual(expect.arrayContaining([
+      expect.objectContaining({ name: 'openai', available: true, edit: true, streaming: true }),
+      expect.objectContaining({ name: 'http', available: false, error: expect.stringContaining('IMAGE_PROVIDER_HTTP_URL') })
+    ]));
+  });
+});
@@ -0,0 +1,33 @@
+const createRulesModeration = require('../rules-moderation');
+
+describe('Rules Moderation Provider', () => {
+  it('should flag blocklisted words and phrases as whole words, regardless of case and spacing', async () => {
+    const provider = createRulesModeration({ blocklist: ['gore', 'evil twin'] });
+    
+    expect(await provider.check('A scene full of GORE')).toEqual({ flagged: true, categories: ['blocklist'] });
+    expect(await provider.check('My evil   twin at the beach')).toEqual({ flagged: true, categories: ['blocklist'] });
+    expect(await provider.check('A gorgeous sunset')).toEqual({ flagged: false, categories: [] });
+  });
+  
+  it('should report the category of each matching rule once', async () => {
+    const provider = createRulesModeration({
+      blocklist: ['gore'],
+      rules: [
+        { category: 'weapons', pattern: '\\b(rifle|pistol)s?\\b' },
+        { category: 'weapons', pattern: 'sword' },
+        { category: 'celebrities', pattern: 'Famous Person', flags: '' }
+      ]
+    });
+    
+    expect(await provider.check('Rifles and swords')).toEqual({ flagged: true, categories: ['weapons'] });
+    expect(await provider.check('gore and a famous person')).toEqual({ flagged: true, categories: ['blocklist'] });
+    expect(await provider.check('Famous Person with a pistol')).toEqual({ flagged: true, categories: ['weapons', 'celebrities'] });
+  });
+  
+  it('should skip rules that are not valid regular expressions', async () => {
+    const provider = createRulesModeration({ rules: [{ category: 'broken', pattern: '(' }, { pattern: 'dragon' }] });
+    
+    expect(await provider.check('A dragon')).toEqual({ flagged: true, categories: ['custom'] });
+    expect(await provider.check('A (castle')).toEqual({ flagged: false, categories: [] });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,170 @@
+/**
+ * HTTP image provider
+ * Sends generation and edit requests to a self-hosted backend (such as a local diffusion server)
+ * that implements the HTTP provider contract described in the developer guide
+ */
+
+const logger = require('../utils/logger');
+const retryConfig = require('../config').openai.retry;
+const { withRetry } = require('../utils/retry');
+const { ApiError, ProviderError } = require('../utils/error');
+
+// Assumed when the backend does not report its own capabilities
+const DEFAULT_CAPABILITIES = {
+  models: [],
+  sizes: ['1024x1024'],
+  qualities: ['auto'],
+  backgrounds: ['auto'],
+  outputFormats: ['png'],
+  maxImages: 1,
+  edit: false,
+  mask: false,
+  streaming: false,
+  promptAnalysis: false
+};
+
+/**
+ * Create an image provider backed by an HTTP service
+ * @param {Object} options - Provider options
+ * @param {string} options.url - Base URL of the backend
+ * @param {string} options.apiKey - Bearer token sent to the backend (optional)
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @param {string} options.name - Provider name (default: "http")
+ * @returns {Object} Image provider
+ */
+function createHttpProvider({ url, apiKey, timeout = 120000, name = 'http' } = {}) {
+  if (!url) {
+    throw new ApiError(`Image provider "${name}" is not configured (set IMAGE_PROVIDER_HTTP_URL)`, 503, 'PROVIDER_UNAVAILABLE');
+  }
+  
+  const baseUrl = url.replace(/\/+$/, '');
+  let capabilities = null;
+  
+  /**
+   * Send a request to the backend, retrying transient failures
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below the base URL
+   * @param {Object} body - JSON body (optional)
+   * @param {AbortSignal} signal - Signal to cancel the request (optional)
+   * @returns {Promise<Object>} Parsed JSON response and the number of attempts
+   */
+  async function request(method, path, body, signal) {
+    const send = async () => {
+      // Abort on timeout as well as when the caller cancels
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeout);
+      const onAbort = () => controller.abort();
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+      
+      try {
+        const response = await fetch(`${baseUrl}${path}`, {
+          method,
+          headers: {
+            'Content-Type': 'application/json',
+            ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+          },
+          body: body ? JSON.stringify(body) : undefined,
+          signal: controller.signal
+        });
+        
+        if (!response.ok) {
+          const text = await response.text().catch(() => '');
+          const error = new Error(`${response.status} ${text || response.statusText}`.trim());
+          error.status = response.status;
+          error.headers = response.headers;
+          throw error;
+        }
+        
+        return await response.json();
+      } finally {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+      }
+    };
+    
+    return withRetry(send, { ...retryConfig, name: `${name} ${method} ${path}`, signal });
+  }
+  
+  /**
+   * Convert a backend response to the provider result shape
+   * Accepts { images: [{ b64_json | base64 }] } and the OpenAI-compatible { data: [{ b64_json }] }
+   * @param {Object} result - Parsed response and attempts
+   * @returns {Object} Images, model, usage and attempts
+   */
+  function toProviderResult({ result, attempts }) {
+    const images = (result.images || result.data || [])
+      .map(image => ({ base64: image.b64_json || image.base64 }))
+      .filter(image => image.base64);
+    
+    if (images.length === 0) {
+      throw new ProviderError(`Image provider "${name}" returned no images`, 'PROVIDER_ERROR');
+    }
+    
+    return { images, model: result.model, usage: result.usage, attempts };
+  }
+  
+  /**
+   * Send a generation or edit request and normalize the response
+   * @param {string} path - Endpoint path
+   * @param {Object} params - Request parameters
+   * @param {string} code - Error code for failures
+   * @param {AbortSignal} signal - Signal to cancel the request (optional)
+   * @returns {Promise<Object>} Images, usage and attempts
+   */
+  async function render(path, params, code, signal) {
+    let result;
+    try {
+      result = await request('POST', path, params, signal);
+    } catch (error) {
+      logger.error(`Image provider error (${name} ${path}):`, error);
+      throw new ProviderError(`Image provider "${name}" request failed: ${error.message}`, code, error);
+    }
+    return toProviderResult(result);
+  }
+  
+  return {
+    name,
+    
+    /**
+     * Describe what this provider supports, as reported by GET /capabilities on the backend
+     * @returns {Promise<Object>} Capabilities
+     */
+    async describe() {
+      if (!capabilities) {
+        try {
+          const { result } = await request('GET', '/capabilities');
+          capabilities = { ...DEFAULT_CAPABILITIES, ...result, name, label: result.label || name };
+        } catch (error) {
+          // Not cached, so the backend is asked again once it is reachable
+          logger.warn(`Could not read capabilities of image provider "${name}", using defaults`, { error: error.message });
+          return { ...DEFAULT_CAPABILITIES, name, label: name };
+        }
+      }
+      return capabilities;
+    },
+    
+    /**
+     * Generate images from a prompt
+     * @param {Object} params - Generation parameters
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Signal to cancel the request (optional)
+     * @returns {Promise<Object>} Images, usage and attempts
+     */
+    async generate(params, options = {}) {
+      return render('/generate', params, 'IMAGE_GENERATION_ERROR', options.signal);
+    },
+    
+    /**
+     * Edit images with a prompt and optional mask
+     * @param {Object} params - Edit parameters
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Signal to cancel the request (optional)
+     * @returns {Promise<Object>} Images, usage and attempts
+     */
+    async edit(params, options = {}) {
+      return render('/edit', params, 'IMAGE_EDIT_ERROR', options.signal);
+    }
+  };
+}
+
+module.exports = createHttpProvider;
\ No newline at end of file
@@ -0,0 +1,85 @@
+/**
+ * Image provider registry
+ * Resolves the image backend for a request, by name or from the deployment default
+ */
+
+const config = require('../config').images;
+const { ValidationError } = require('../utils/error');
+const createOpenAIProvider = require('./openai-provider');
+const createHttpProvider = require('./http-provider');
+
+// Built-in provider factories, keyed by the name used in IMAGE_PROVIDER and the provider request parameter
+// A Map, since the name comes from the request and must not resolve to Object.prototype members
+const providerFactories = new Map([
+  ['openai', () => createOpenAIProvider()],
+  ['http', () => createHttpProvider(config.http)]
+]);
+
+// Providers created so far, keyed by name
+const providers = new Map();
+
+/**
+ * Register a custom image provider factory
+ * @param {string} name - Provider name
+ * @param {Function} factory - Function returning an object with describe, generate and edit methods
+ */
+function registerProvider(name, factory) {
+  providerFactories.set(name, factory);
+  providers.delete(name);
+}
+
+/**
+ * Get an image provider, creating it on first use
+ * @param {string} name - Provider name (default: the configured provider)
+ * @returns {Object} Image provider
+ */
+function getProvider(name = config.provider) {
+  if (!providers.has(name)) {
+    const factory = providerFactories.get(name);
+    if (!factory) {
+      throw new ValidationError(`Unknown image provider: ${name}`, 'UNKNOWN_PROVIDER', {
+        provider: `Must be one of: ${[...providerFactories.keys()].join(', ')}`
+      });
+    }
+    providers.set(name, factory());
+  }
+  return providers.get(name);
+}
+
+/**
+ * Set the provider used for a name (for testing purposes or custom backends)
+ * @param {string} name - Provider name
+ * @param {Object} provider - Image provider
+ */
+function setProvider(name, provider) {
+  providers.set(name, provider);
+}
+
+/**
+ * Describe all registered providers
+ * Providers that cannot be created (for example, an unconfigured HTTP backend) are listed as unavailable
+ * @returns {Promise<Object>} Default provider name and the capabilities of each provider
+ */
+async function listProviders() {
+  const names = [...new Set([...providerFactories.keys(), ...providers.keys()])];
+  
+  const described = await Promise.all(names.map(async name => {
+    try {
+      return { ...(await getProvider(name).describe()), available: true };
+    } catch (error) {
+      return { name, available: false, error: error.message };
+    }
+  }));
+  
+  return {
+    default: config.provider,
+    providers: described
+  };
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  setProvider,
+  listProviders
+};
\ No newline at end of file
@@ -0,0 +1,12 @@
+/**
+ * Providers index file
+ * Exports the image and moderation provider registries
+ */
+
+const imageProviders = require('./image-providers');
+const moderationProviders = require('./moderation-providers');
+
+module.exports = {
+  imageProviders,
+  moderationProviders
+};
\ No newline at end of file
@@ -0,0 +1,67 @@
+/**
+ * Moderation provider registry
+ * Resolves the checks prompts must pass before images are generated or edited
+ */
+
+const config = require('../config').moderation;
+const createOpenAIModeration = require('./openai-moderation');
+const createRulesModeration = require('./rules-moderation');
+
+// Built-in moderation provider factories, keyed by the name used in MODERATION_CHECKS
+const providerFactories = {
+  openai: () => createOpenAIModeration(),
+  rules: () => createRulesModeration({ blocklist: config.blocklist, rules: config.rules })
+};
+
+// Providers created so far, keyed by name
+const providers = new Map();
+
+/**
+ * Register a custom moderation provider factory
+ * @param {string} name - Provider name, as used in the MODERATION_CHECKS setting
+ * @param {Function} factory - Function returning an object with a check(text, options) method
+ */
+function registerProvider(name, factory) {
+  providerFactories[name] = factory;
+  providers.delete(name);
+}
+
+/**
+ * Get a moderation provider, creating it on first use
+ * @param {string} name - Provider name
+ * @returns {Object} Moderation provider
+ */
+function getProvider(name) {
+  if (!providers.has(name)) {
+    const factory = providerFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown moderation check: ${name}`);
+    }
+    providers.set(name, factory());
+  }
+  return providers.get(name);
+}
+
+/**
+ * Set the provider used for a name (for testing purposes or custom backends)
+ * @param {string} name - Provider name
+ * @param {Object} provider - Moderation provider
+ */
+function setProvider(name, provider) {
+  providers.set(name, provider);
+}
+
+/**
+ * Get the providers of the configured checks
+ * @returns {Array} Moderation providers, in the order they run
+ */
+function getActiveProviders() {
+  return config.checks.map(getProvider);
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  setProvider,
+  getActiveProviders
+};
\ No newline at end of file
@@ -0,0 +1,36 @@
+/**
+ * OpenAI moderation provider
+ * Checks prompts with OpenAI's moderation model through the OpenAI service
+ */
+
+const openaiService = require('../services/openai-service');
+
+/**
+ * Create the OpenAI moderation provider
+ * @returns {Object} Moderation provider
+ */
+function createOpenAIModeration() {
+  return {
+    name: 'openai',
+    
+    /**
+     * Check a prompt with the moderation model
+     * @param {string} text - Prompt
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Signal to cancel the request (optional)
+     * @param {string} options.apiKey - User's OpenAI API key (optional, defaults to the server key)
+     * @returns {Promise<Object>} Whether the prompt is flagged and the categories it was flagged for
+     */
+    async check(text, options = {}) {
+      const response = await openaiService.createModeration({ input: text }, options);
+      const result = response.results[0];
+      
+      return {
+        flagged: Boolean(result.flagged),
+        categories: Object.keys(result.categories || {}).filter(category => result.categories[category])
+      };
+    }
+  };
+}
+
+module.exports = createOpenAIModeration;
\ No newline at end of file
@@ -0,0 +1,160 @@
+/**
+ * OpenAI image provider
+ * Generates and edits images with gpt-image-1 through the OpenAI service
+ */
+
+const { toFile } = require('openai');
+const openaiService = require('../services/openai-service');
+const config = require('../config').openai;
+const { OpenAIError } = require('../utils/error');
+const { detectImageType, decodeImageData } = require('../utils/image-processor');
+
+// File extensions sent with uploaded images, by MIME type
+const FILE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+
+/**
+ * Convert a base64 encoded image into a file the OpenAI SDK can upload, since the edit API takes multipart files
+ * @param {string} data - Base64 encoded image or data URL
+ * @param {string} name - File name, without extension
+ * @returns {Promise<Object>} Uploadable file
+ */
+async function toUploadable(data, name) {
+  const buffer = decodeImageData(data);
+  const type = detectImageType(buffer) || 'image/png';
+  return toFile(buffer, `${name}.${FILE_EXTENSIONS[type] || 'png'}`, { type });
+}
+
+/**
+ * Convert an OpenAI images response to the provider result shape
+ * @param {Object} response - OpenAI images response
+ * @returns {Object} Images ({ base64 }), model, usage and attempts
+ */
+function toProviderResult(response) {
+  return {
+    images: response.data.map(image => ({ base64: image.b64_json })),
+    model: config.model,
+    usage: response.usage,
+    attempts: response.attempts
+  };
+}
+
+/**
+ * Create the OpenAI image provider
+ * @returns {Object} Image provider
+ */
+function createOpenAIProvider() {
+  return {
+    name: 'openai',
+    
+    /**
+     * Describe what this provider supports
+     * @returns {Promise<Object>} Capabilities
+     */
+    async describe() {
+      return {
+        name: 'openai',
+        label: 'OpenAI',
+        models: [config.model],
+        sizes: ['1024x1024', '1536x1024', '1024x1536', 'auto'],
+        qualities: ['high', 'medium', 'low', 'auto'],
+        backgrounds: ['transparent', 'opaque', 'auto'],
+        outputFormats: ['png', 'jpeg', 'webp'],
+        maxImages: 10,
+        edit: true,
+        mask: true,
+        streaming: true,
+        promptAnalysis: true
+      };
+    },
+    
+    /**
+     * Generate images from a prompt
+     * @param {Object} params - Generation parameters
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Signal to cancel the request (optional)
+     * @param {string} options.apiKey - User's OpenAI API key (optional, defaults to the server key)
+     * @returns {Promise<Object>} Images, usage and attempts
+     */
+    async generate(params, options = {}) {
+      return toProviderResult(await openaiService.generateImages(params, options));
+    },
+    
+    /**
+     * Edit images with a prompt and optional mask
+     * @param {Object} params - Edit parameters
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Signal to cancel the request (optional)
+     * @param {string} options.apiKey - User's OpenAI API key (optional, defaults to the server key)
+     * @returns {Promise<Object>} Images, usage and attempts
+     */
+    async edit(params, options = {}) {
+      const images = Array.isArray(params.image) ? params.image : [params.image];
+      
+      return toProviderResult(await openaiService.editImages({
+        ...params,
+        image: await Promise.all(images.map((image, index) => toUploadable(image, `image-${index}`))),
+        ...(params.mask && { mask: await toUploadable(params.mask, 'mask') })
+      }, options));
+    },
+    
+    /**
+     * Generate an image, reporting partial previews while it renders
+     * @param {Object} params - Generation parameters
+     * @param {Object} handlers - Stream handlers
+     * @param {Function} handlers.onPartialImage - Called with { index, partialImageIndex, base64 } for each preview
+     * @param {AbortSignal} handlers.signal - Signal to cancel the request (optional)
+     * @param {string} handlers.apiKey - User's OpenAI API key (optional, defaults to the server key)
+     * @returns {Promise<Object>} Images, usage and attempts
+     */
+    async generateStream(params, handlers = {}) {
+      const stream = await openaiService.generateImagesStream(params, { signal: handlers.signal, apiKey: handlers.apiKey });
+      
+      const images = [];
+      let usage;
+      
+      try {
+        for await (const chunk of stream) {
+          // Named server-sent events arrive wrapped as { event, data }
+          const event = chunk && chunk.event && chunk.data ? chunk.data : chunk;
+          
+          if (event.type === 'image_generation.partial_image') {
+            if (handlers.onPartialImage) {
+              handlers.onPartialImage({
+                index: images.length,
+                partialImageIndex: event.partial_image_index,
+                base64: event.b64_json
+              });
+            }
+          } else if (event.type === 'image_generation.completed') {
+            images.push({ base64: event.b64_json });
+            usage = event.usage;
+          }
+        }
+      } catch (streamError) {
+        throw new OpenAIError(
+          streamError.message || 'Image generation stream failed',
+          'IMAGE_GENERATION_ERROR',
+          streamError
+        );
+      }
+      
+      if (images.length === 0) {
+        throw new OpenAIError('Image generation stream ended without a final image', 'IMAGE_GENERATION_ERROR');
+      }
+      
+      return {
+        images,
+        model: config.model,
+        usage,
+        attempts: stream.attempts
+      };
+    }
+  };
+}
+
+module.exports = createOpenAIProvider;
\ No newline at end of file
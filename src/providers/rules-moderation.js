@@ -0,0 +1,72 @@
+/**
+ * Rules moderation provider
+ * Checks prompts locally against a blocklist of words and phrases and custom regular expressions
+ */
+
+const logger = require('../utils/logger');
+
+/**
+ * Build a pattern matching a blocklisted word or phrase as a whole, regardless of case and spacing
+ * @param {string} term - Word or phrase
+ * @returns {RegExp} Pattern
+ */
+function toTermPattern(term) {
+  const escaped = term
+    .split(/\s+/)
+    .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('\\s+');
+  return new RegExp(`(?<![\\p{L}\\p{N}_])${escaped}(?![\\p{L}\\p{N}_])`, 'iu');
+}
+
+/**
+ * Compile custom rules, skipping any whose pattern is not a valid regular expression
+ * @param {Array} rules - Rules ({ category, pattern, flags })
+ * @returns {Array} Compiled rules ({ category, regex })
+ */
+function compileRules(rules) {
+  return rules.reduce((compiled, rule) => {
+    try {
+      compiled.push({
+        category: rule.category || 'custom',
+        // Case-insensitive unless the rule says otherwise; global and sticky flags would make test() stateful
+        regex: new RegExp(rule.pattern, (rule.flags === undefined ? 'i' : String(rule.flags)).replace(/[gy]/g, ''))
+      });
+    } catch (error) {
+      logger.warn(`Ignoring moderation rule for "${rule.category || 'custom'}": ${error.message}`);
+    }
+    return compiled;
+  }, []);
+}
+
+/**
+ * Create the rules moderation provider
+ * @param {Object} options - Provider options
+ * @param {Array} options.blocklist - Words and phrases to reject, reported as the "blocklist" category
+ * @param {Array} options.rules - Regular expressions to reject ({ category, pattern, flags })
+ * @returns {Object} Moderation provider
+ */
+function createRulesModeration({ blocklist = [], rules = [] } = {}) {
+  const checks = [
+    ...blocklist.map(term => ({ category: 'blocklist', regex: toTermPattern(term) })),
+    ...compileRules(rules)
+  ];
+  
+  return {
+    name: 'rules',
+    
+    /**
+     * Check a prompt against the rules
+     * @param {string} text - Prompt
+     * @returns {Promise<Object>} Whether the prompt is flagged and the categories of the rules it matched
+     */
+    async check(text) {
+      const categories = [...new Set(checks
+        .filter(({ regex }) => regex.test(text || ''))
+        .map(({ category }) => category))];
+      
+      return { flagged: categories.length > 0, categories };
+    }
+  };
+}
+
+module.exports = createRulesModeration;
\ No newline at end of file
@@ -0,0 +1,38 @@
+/**
+ * Auth routes
+ */
+
+const express = require('express');
+const { authController } = require('../controllers');
+
+const router = express.Router();
+
+/**
+ * @route POST /api/auth/register
+ * @description Create an account and sign it in; the first account becomes an admin
+ * @access Public
+ */
+router.post('/register', authController.register);
+
+/**
+ * @route POST /api/auth/login
+ * @description Sign in with a username and password and get a session token
+ * @access Public
+ */
+router.post('/login', authController.login);
+
+/**
+ * @route POST /api/auth/logout
+ * @description End the current session
+ * @access Public
+ */
+router.post('/logout', authController.logout);
+
+/**
+ * @route GET /api/auth/status
+ * @description Report the signed-in user and whether signing in is required
+ * @access Public
+ */
+router.get('/status', authController.getStatus);
+
+module.exports = router;
\ No newline at end of file
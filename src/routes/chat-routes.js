@@ -4,41 +4,36 @@
 
 const express = require('express');
 const { chatController } = require('../controllers');
-const { validateApiKey } = require('../middleware');
+const { validateApiKey, resolveApiKey, quota } = require('../middleware');
 
 const router = express.Router();
 
 /**
  * @route POST /api/chat/message
  * @description Process a chat message
- * @access Public
+ * @access Private
  */
-router.post('/message', chatController.processMessage);
+router.post('/message', resolveApiKey, quota('chat.message'), chatController.processMessage);
+
+/**
+ * @route POST /api/chat/message/stream
+ * @description Process a chat message and stream the reply as Server-Sent Events
+ * @access Private
+ */
+router.post('/message/stream', resolveApiKey, quota('chat.message'), chatController.streamMessage);
 
 /**
  * @route GET /api/chat/history
- * @description Get chat history
- * @access Public
+ * @description Get a page of chat history, newest first (query: conversationId, before, limit)
+ * @access Private
  */
-router.get('/history', (req, res) => {
-  // For now, return empty history since we don't have persistent storage
-  res.status(200).json({
-    messages: [],
-    hasMore: false
-  });
-});
+router.get('/history', chatController.getChatHistory);
 
 /**
  * @route DELETE /api/chat/history
- * @description Clear chat history
- * @access Public
+ * @description Clear chat history (query: conversationId)
+ * @access Private
  */
-router.delete('/history', (req, res) => {
-  // For now, just return success since we don't have persistent storage
-  res.status(200).json({
-    success: true,
-    message: 'Chat history cleared'
-  });
-});
+router.delete('/history', chatController.clearChatHistory);
 
 module.exports = router;
\ No newline at end of file
@@ -4,10 +4,8 @@
 
 const express = require('express');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
 const { imageController } = require('../controllers');
-const { validateApiKey } = require('../middleware');
+const { validateApiKey, resolveApiKey, quota } = require('../middleware');
 
 // Configure multer for file uploads
 const upload = multer({
@@ -22,53 +20,55 @@ const router = express.Router();
 /**
  * @route POST /api/images/upload
  * @description Upload an image
- * @access Public
+ * @access Private
  */
 router.post('/images/upload', upload.single('image'), imageController.uploadImage);
 
 /**
  * @route POST /api/images/generate
  * @description Generate images from a prompt
- * @access Public
+ * @access Private
  */
-router.post('/images/generate', imageController.generateImages);
+router.post('/images/generate', resolveApiKey, quota('images.generate'), imageController.generateImages);
+
+/**
+ * @route POST /api/images/generate/stream
+ * @description Generate an image from a prompt, streaming partial previews as Server-Sent Events
+ * @access Private
+ */
+router.post('/images/generate/stream', resolveApiKey, quota('images.generate'), imageController.generateImagesStream);
 
 /**
  * @route POST /api/images/edit
  * @description Edit images with a prompt and mask
- * @access Public
+ * @access Private
+ */
+router.post('/images/edit', resolveApiKey, quota('images.edit'), imageController.editImages);
+
+/**
+ * @route GET /api/images/providers
+ * @description List the image providers and their capabilities
+ * @access Private
  */
-router.post('/images/edit', imageController.editImages);
+router.get('/images/providers', imageController.listProviders);
 
 /**
  * @route GET /api/images/:id
- * @description Get an image by ID
- * @access Public
+ * @description Get a stored (uploaded or generated) image by ID
+ * @access Private
  */
-router.get('/images/:id', (req, res, next) => {
-  try {
-    const imageId = req.params.id;
-    const uploadsDir = path.join(__dirname, '../../uploads');
-    const imagePath = path.join(uploadsDir, imageId);
-    
-    // Check if file exists
-    if (!fs.existsSync(imagePath)) {
-      const error = new Error('Image not found');
-      error.statusCode = 404;
-      error.code = 'IMAGE_NOT_FOUND';
-      throw error;
-    }
-    
-    // Send the file
-    res.sendFile(imagePath);
-  } catch (error) {
-    next(error);
-  }
-});
+router.get('/images/:id', imageController.getImage);
+
+/**
+ * @route GET /api/images/:id/metadata
+ * @description Get the record of a stored image: prompt, effective parameters, usage and parent images
+ * @access Private
+ */
+router.get('/images/:id/metadata', imageController.getImageMetadata);
 
 // Keep the original routes for backward compatibility
 router.post('/upload', upload.single('image'), imageController.uploadImage);
-router.post('/generate', imageController.generateImages);
-router.post('/edit', imageController.editImages);
+router.post('/generate', resolveApiKey, quota('images.generate'), imageController.generateImages);
+router.post('/edit', resolveApiKey, quota('images.edit'), imageController.editImages);
 
 module.exports = router;
\ No newline at end of file
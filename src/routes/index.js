@@ -4,14 +4,23 @@
  */
 
 const express = require('express');
+const { authenticate, requireAuth } = require('../middleware');
+const authRoutes = require('./auth-routes');
 const chatRoutes = require('./chat-routes');
 const imageRoutes = require('./image-routes');
+const jobRoutes = require('./job-routes');
+const usageRoutes = require('./usage-routes');
+const settingsRoutes = require('./settings-routes');
+const presetRoutes = require('./preset-routes');
+const promptRoutes = require('./prompt-routes');
 
 const router = express.Router();
 
-// Mount routes
-router.use('/chat', chatRoutes);
-router.use('/', imageRoutes);
+// Identify the signed-in user, if any
+router.use(authenticate);
+
+// Public routes
+router.use('/auth', authRoutes);
 
 // Health check endpoint
 router.get('/health', (req, res) => {
@@ -23,6 +32,7 @@ router.get('/health', (req, res) => {
     version: require('../../package.json').version,
     memory: process.memoryUsage(),
     openai: {
+      provider: process.env.OPENAI_PROVIDER || 'openai',
       model: process.env.OPENAI_API_MODEL || 'gpt-image-1',
       apiKeyConfigured: !!process.env.OPENAI_API_KEY
     }
@@ -30,4 +40,16 @@ router.get('/health', (req, res) => {
   res.status(200).json(healthInfo);
 });
 
+// Everything below requires signing in, unless AUTH_REQUIRED is false
+router.use(requireAuth);
+
+// Mount routes
+router.use('/chat', chatRoutes);
+router.use('/jobs', jobRoutes);
+router.use('/usage', usageRoutes);
+router.use('/settings', settingsRoutes);
+router.use('/presets', presetRoutes);
+router.use('/prompts', promptRoutes);
+router.use('/', imageRoutes);
+
 module.exports = router;
\ No newline at end of file
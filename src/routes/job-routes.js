@@ -0,0 +1,24 @@
+/**
+ * Job routes
+ */
+
+const express = require('express');
+const { jobController } = require('../controllers');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/jobs/:id
+ * @description Get the status of a background job (queued, running, succeeded, failed or cancelled)
+ * @access Private
+ */
+router.get('/:id', jobController.getJob);
+
+/**
+ * @route POST /api/jobs/:id/cancel
+ * @description Cancel a queued or running job
+ * @access Private
+ */
+router.post('/:id/cancel', jobController.cancelJob);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,45 @@
+/**
+ * Style preset routes
+ */
+
+const express = require('express');
+const { presetController } = require('../controllers');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/presets
+ * @description List the style presets: built-in ones first, then the ones admins created
+ * @access Private
+ */
+router.get('/', presetController.listPresets);
+
+/**
+ * @route GET /api/presets/:id
+ * @description Get a style preset
+ * @access Private
+ */
+router.get('/:id', presetController.getPreset);
+
+/**
+ * @route POST /api/presets
+ * @description Create a style preset from a name, a prompt template with a {prompt} placeholder and default size, quality and background
+ * @access Private (admins only)
+ */
+router.post('/', presetController.createPreset);
+
+/**
+ * @route PUT /api/presets/:id
+ * @description Replace a style preset; built-in presets cannot be changed
+ * @access Private (admins only)
+ */
+router.put('/:id', presetController.updatePreset);
+
+/**
+ * @route DELETE /api/presets/:id
+ * @description Delete a style preset; built-in presets cannot be deleted
+ * @access Private (admins only)
+ */
+router.delete('/:id', presetController.deletePreset);
+
+module.exports = router;
\ No newline at end of file
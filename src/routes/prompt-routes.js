@@ -0,0 +1,18 @@
+/**
+ * Prompt routes
+ */
+
+const express = require('express');
+const { promptController } = require('../controllers');
+const { resolveApiKey, quota } = require('../middleware');
+
+const router = express.Router();
+
+/**
+ * @route POST /api/prompts/enhance
+ * @description Rewrite a terse image prompt into one or more detailed suggestions (body: prompt, n)
+ * @access Private
+ */
+router.post('/enhance', resolveApiKey, quota('prompts.enhance'), promptController.enhancePrompt);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,31 @@
+/**
+ * Settings routes
+ */
+
+const express = require('express');
+const { settingsController } = require('../controllers');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/settings/api-key
+ * @description Report whether the user has stored their own OpenAI API key (never returns the key itself)
+ * @access Private
+ */
+router.get('/api-key', settingsController.getApiKey);
+
+/**
+ * @route PUT /api/settings/api-key
+ * @description Store the user's own OpenAI API key, encrypted; generations then use it instead of the server key
+ * @access Private
+ */
+router.put('/api-key', settingsController.saveApiKey);
+
+/**
+ * @route DELETE /api/settings/api-key
+ * @description Remove the user's own OpenAI API key
+ * @access Private
+ */
+router.delete('/api-key', settingsController.deleteApiKey);
+
+module.exports = router;
\ No newline at end of file
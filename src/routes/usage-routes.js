@@ -0,0 +1,17 @@
+/**
+ * Usage routes
+ */
+
+const express = require('express');
+const { usageController } = require('../controllers');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/usage
+ * @description Report token usage, image counts and estimated cost, rolled up per day or week, user and endpoint
+ * @access Private (admins can report on any user, others only on themselves)
+ */
+router.get('/', usageController.getUsage);
+
+module.exports = router;
\ No newline at end of file
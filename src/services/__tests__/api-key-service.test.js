@@ -0,0 +1,95 @@
+const apiKeyService = require('../api-key-service');
+const { userStore } = require('../../storage');
+const createUserMemoryDriver = require('../../storage/drivers/user-memory-driver');
+const config = require('../../config').openai;
+
+describe('API Key Service', () => {
+  const apiKey = 'sk-proj-abcdefghijklmnop1234';
+  const user = { id: 'usr_1', username: 'alice', role: 'user' };
+  const admin = { id: 'usr_2', username: 'root', role: 'admin' };
+  const originalUserKeys = { ...config.userKeys };
+  
+  beforeEach(async () => {
+    userStore.setDriver(createUserMemoryDriver());
+    await userStore.createUser({ ...user, passwordHash: 'hash', createdAt: '2026-01-01T00:00:00.000Z' });
+    await userStore.createUser({ ...admin, passwordHash: 'hash', createdAt: '2026-01-01T00:00:00.000Z' });
+    config.userKeys.encryptionSecret = 'test secret';
+    config.userKeys.serverKeyPolicy = 'everyone';
+  });
+  
+  afterAll(() => {
+    Object.assign(config.userKeys, originalUserKeys);
+  });
+  
+  describe('saveApiKey', () => {
+    it('should store the key encrypted and report only its last four characters', async () => {
+      const status = await apiKeyService.saveApiKey(user, { apiKey: `  ${apiKey}  ` });
+      
+      expect(status).toEqual({
+        configured: true,
+        last4: '1234',
+        updatedAt: expect.any(String),
+        storageEnabled: true,
+        serverKeyAllowed: true
+      });
+      
+      const account = await userStore.getUser(user.id);
+      expect(account.openaiKey).toMatchObject({ version: 1, last4: '1234' });
+      expect(JSON.stringify(account)).not.toContain(apiKey);
+      expect(await apiKeyService.resolveApiKey(user)).toBe(apiKey);
+    });
+    
+    it('should reject malformed keys', async () => {
+      await expect(apiKeyService.saveApiKey(user, { apiKey: 'not-a-key' }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_API_KEY_REQUEST' });
+    });
+    
+    it('should refuse to store keys without an encryption secret', async () => {
+      config.userKeys.encryptionSecret = undefined;
+      
+      await expect(apiKeyService.saveApiKey(user, { apiKey }))
+        .rejects.toMatchObject({ statusCode: 503, code: 'API_KEY_STORAGE_DISABLED' });
+      expect((await userStore.getUser(user.id)).openaiKey).toBeUndefined();
+    });
+  });
+  
+  describe('deleteApiKey', () => {
+    it('should remove the stored key', async () => {
+      await apiKeyService.saveApiKey(user, { apiKey });
+      const status = await apiKeyService.deleteApiKey(user);
+      
+      expect(status).toMatchObject({ configured: false, last4: null });
+      expect(await apiKeyService.resolveApiKey(user)).toBeNull();
+    });
+  });
+  
+  describe('resolveApiKey', () => {
+    it('should fall back to the server key only as the policy allows', async () => {
+      config.userKeys.serverKeyPolicy = 'admins';
+      
+      expect(await apiKeyService.resolveApiKey(admin)).toBeNull();
+      await expect(apiKeyService.resolveApiKey(user))
+        .rejects.toMatchObject({ statusCode: 403, code: 'API_KEY_REQUIRED' });
+      
+      config.userKeys.serverKeyPolicy = 'nobody';
+      await expect(apiKeyService.resolveApiKey(admin))
+        .rejects.toMatchObject({ statusCode: 403, code: 'API_KEY_REQUIRED' });
+      
+      // Users with their own key are never blocked
+      await apiKeyService.saveApiKey(user, { apiKey });
+      expect(await apiKeyService.resolveApiKey(user)).toBe(apiKey);
+    });
+    
+    it('should report a stored key that can no longer be decrypted', async () => {
+      await apiKeyService.saveApiKey(user, { apiKey });
+      const account = await userStore.getUser(user.id);
+      await userStore.updateUser({
+        ...account,
+        openaiKey: { ...account.openaiKey, tag: Buffer.alloc(16).toString('base64') }
+      });
+      
+      await expect(apiKeyService.resolveApiKey(user))
+        .rejects.toMatchObject({ statusCode: 409, code: 'API_KEY_UNREADABLE' });
+    });
+  });
+});
\ No newline at end of file
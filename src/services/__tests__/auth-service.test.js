@@ -0,0 +1,109 @@
+const authService = require('../auth-service');
+const { userStore } = require('../../storage');
+const createUserMemoryDriver = require('../../storage/drivers/user-memory-driver');
+const config = require('../../config').auth;
+
+describe('Auth Service', () => {
+  const credentials = { username: 'alice', password: 'correct horse' };
+  
+  beforeEach(() => {
+    userStore.setDriver(createUserMemoryDriver());
+    config.allowRegistration = true;
+  });
+  
+  afterAll(() => {
+    config.allowRegistration = true;
+  });
+  
+  describe('passwords', () => {
+    it('should hash passwords with a random salt and verify them', async () => {
+      const first = await authService.hashPassword('secret password');
+      const second = await authService.hashPassword('secret password');
+      
+      expect(first).not.toBe(second);
+      expect(first).not.toContain('secret password');
+      expect(await authService.verifyPassword('secret password', first)).toBe(true);
+      expect(await authService.verifyPassword('wrong password', first)).toBe(false);
+      expect(await authService.verifyPassword('secret password', 'malformed')).toBe(false);
+    });
+  });
+  
+  describe('register', () => {
+    it('should create an admin first, then users, and sign them in', async () => {
+      const admin = await authService.register(credentials);
+      const user = await authService.register({ username: 'bob', password: 'another secret' });
+      
+      expect(admin.user).toMatchObject({ username: 'alice', role: 'admin' });
+      expect(admin.user).not.toHaveProperty('passwordHash');
+      expect(typeof admin.token).toBe('string');
+      expect(user.user.role).toBe('user');
+      expect(await authService.authenticate(user.token)).toMatchObject({ username: 'bob' });
+    });
+    
+    it('should reject taken usernames', async () => {
+      await authService.register(credentials);
+      
+      await expect(authService.register({ username: 'Alice', password: 'different secret' }))
+        .rejects.toMatchObject({ statusCode: 409, code: 'USERNAME_TAKEN' });
+    });
+    
+    it('should reject invalid credentials', async () => {
+      await expect(authService.register({ username: 'a', password: 'short' }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_AUTH_REQUEST' });
+    });
+    
+    it('should only allow the first account when registration is closed', async () => {
+      config.allowRegistration = false;
+      
+      await authService.register(credentials);
+      
+      await expect(authService.register({ username: 'bob', password: 'another secret' }))
+        .rejects.toMatchObject({ statusCode: 403, code: 'REGISTRATION_CLOSED' });
+    });
+  });
+  
+  describe('login and logout', () => {
+    it('should sign in with the right password, ignoring username case', async () => {
+      await authService.register(credentials);
+      
+      const session = await authService.login({ username: 'ALICE', password: 'correct horse' });
+      
+      expect(await authService.authenticate(session.token)).toMatchObject({ username: 'alice' });
+    });
+    
+    it('should reject wrong passwords and unknown users alike', async () => {
+      await authService.register(credentials);
+      
+      await expect(authService.login({ username: 'alice', password: 'wrong password' }))
+        .rejects.toMatchObject({ statusCode: 401, code: 'INVALID_CREDENTIALS' });
+      await expect(authService.login({ username: 'nobody', password: 'correct horse' }))
+        .rejects.toMatchObject({ statusCode: 401, code: 'INVALID_CREDENTIALS' });
+      await expect(authService.login({}))
+        .rejects.toMatchObject({ statusCode: 401, code: 'INVALID_CREDENTIALS' });
+    });
+    
+    it('should end sessions on logout', async () => {
+      const session = await authService.register(credentials);
+      
+      await authService.logout(session.token);
+      
+      expect(await authService.authenticate(session.token)).toBeNull();
+    });
+  });
+  
+  describe('authenticate', () => {
+    it('should reject missing, unknown and expired tokens', async () => {
+      const session = await authService.register(credentials);
+      
+      expect(await authService.authenticate(null)).toBeNull();
+      expect(await authService.authenticate('unknown')).toBeNull();
+      
+      jest.spyOn(Date, 'now').mockReturnValue(new Date(session.expiresAt).getTime() + 1);
+      try {
+        expect(await authService.authenticate(session.token)).toBeNull();
+      } finally {
+        Date.now.mockRestore();
+      }
+    });
+  });
+});
\ No newline at end of file
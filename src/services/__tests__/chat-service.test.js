@@ -1,43 +1,54 @@
-const { processMessage, isImageRequest } = require('../chat-service');
+const { processMessage, processMessageStream, recordImageEdit, getChatHistory, clearChatHistory } = require('../chat-service');
 const openaiService = require('../openai-service');
 const imageService = require('../image-service');
-const { BadRequestError } = require('../../utils/error');
+const { conversationStore, imageStore } = require('../../storage');
+const { BadRequestError, NotFoundError, ValidationError, QuotaExceededError } = require('../../utils/error');
 
 // Mock the openaiService
 jest.mock('../openai-service', () => ({
-  createChatCompletion: jest.fn()
+  createChatCompletion: jest.fn(),
+  createChatCompletionStream: jest.fn()
 }));
 
 // Mock the imageService
 jest.mock('../image-service', () => ({
-  generateImages: jest.fn()
+  generateImages: jest.fn(),
+  generateImagesStream: jest.fn(),
+  editImages: jest.fn()
 }));
 
-describe('isImageRequest Function', () => {
-  it('should identify explicit image requests', () => {
-    expect(isImageRequest('draw a cat')).toBe(true);
-    expect(isImageRequest('create an image of mountains')).toBe(true);
-    expect(isImageRequest('show me a sunset')).toBe(true);
-    expect(isImageRequest('generate a picture of a house')).toBe(true);
-  });
-
-  it('should identify implicit image requests', () => {
-    expect(isImageRequest('a beautiful landscape')).toBe(true);
-    expect(isImageRequest('fluffy rabbit')).toBe(true);
-    expect(isImageRequest('imagine a futuristic city')).toBe(true);
-  });
-
-  it('should not identify regular questions as image requests', () => {
-    expect(isImageRequest('what is the capital of France?')).toBe(false);
-    expect(isImageRequest('how does photosynthesis work?')).toBe(false);
-    expect(isImageRequest('tell me about quantum physics')).toBe(false);
-  });
+// Mock the conversation store
+jest.mock('../../storage', () => ({
+  conversationStore: {
+    DEFAULT_CONVERSATION_ID: 'default',
+    appendMessages: jest.fn().mockResolvedValue(),
+    listMessages: jest.fn(),
+    getSummary: jest.fn().mockResolvedValue(null),
+    clearConversation: jest.fn().mockResolvedValue()
+  },
+  imageStore: {
+    saveImage: jest.fn().mockResolvedValue({ id: 'img_stored' }),
+    getImageRecord: jest.fn(),
+    loadImageReference: jest.fn().mockResolvedValue(null),
+    toImageUrl: jest.fn(id => `/api/images/${id}`),
+    parseImageUrl: jest.fn(() => null),
+    toDataUrl: jest.fn(),
+    // Hands back the bytes of the data URL, as sanitizing leaves clean images unchanged
+    sanitizeImageData: jest.fn(async (url) => {
+      const [, mimeType, base64] = /^data:([^;]+);base64,(.*)$/.exec(url);
+      return { data: Buffer.from(base64, 'base64'), mimeType };
+    })
+  },
+  presetStore: {
+    getPreset: jest.fn().mockResolvedValue(null)
+  }
+}));
 
-  it('should handle edge cases', () => {
-    expect(isImageRequest('')).toBe(false);
-    expect(isImageRequest(null)).toBe(false);
-    expect(isImageRequest(undefined)).toBe(false);
-  });
+// Build a tool call of the chat model
+const toolCall = (name, args) => ({
+  id: `call_${name}`,
+  type: 'function',
+  function: { name, arguments: JSON.stringify(args) }
 });
 
 describe('Chat Service', () => {
@@ -80,34 +91,117 @@ describe('Chat Service', () => {
     });
   });
 
-  it('should process an image request and generate an image', async () => {
-    // Mock the image service response
-    imageService.generateImages.mockResolvedValue({
-      images: [
-        {
-          id: 'test-image-id',
-          base64: 'base64encodedimagedata'
+  it('should generate an image when the model calls the generate_image tool', async () => {
+    openaiService.createChatCompletion.mockResolvedValue({
+      choices: [{
+        message: {
+          role: 'assistant',
+          content: null,
+          tool_calls: [toolCall('generate_image', { prompt: 'A ginger cat asleep on a windowsill', size: '1536x1024' })]
         }
-      ]
+      }],
+      usage: { total_tokens: 40 }
+    });
+    imageService.generateImages.mockResolvedValue({
+      images: [{ id: 'test-image-id', url: '/api/images/test-image-id' }],
+      model: 'gpt-image-1',
+      usage: { total_tokens: 1100 }
     });
 
     const result = await processMessage({ message: 'draw a cat' });
 
-    // Verify image service was called
+    // The model's prompt and parameters are used, and the model is offered both tools
+    expect(openaiService.createChatCompletion.mock.calls[0][0].tools.map(tool => tool.function.name))
+      .toEqual(['generate_image', 'edit_image']);
     expect(imageService.generateImages).toHaveBeenCalledWith({
-      prompt: 'draw a cat',
-      n: 1
+      prompt: 'A ginger cat asleep on a windowsill',
+      n: 1,
+      size: '1536x1024'
+    }, { apiKey: undefined });
+
+    expect(result.assistantMessage).toHaveProperty('content', 'Here\'s the image you requested:');
+    expect(result.assistantMessage.images).toEqual([{
+      id: 'test-image-id',
+      url: '/api/images/test-image-id',
+      alt: 'Generated image based on your request'
+    }]);
+    expect(result.usage).toEqual({ total_tokens: 40 });
+    expect(result.imageResults).toEqual([{
+      tool: 'generate_image',
+      model: 'gpt-image-1',
+      usage: { total_tokens: 1100 },
+      images: [{ id: 'test-image-id' }]
+    }]);
+  });
+
+  it('should answer in text when the model calls no tool', async () => {
+    openaiService.createChatCompletion.mockResolvedValue({
+      choices: [{ message: { role: 'assistant', content: 'Red is a warm color.' } }]
     });
 
-    // Verify the response format
-    expect(result.assistantMessage).toHaveProperty('content', '');
-    expect(result.assistantMessage).toHaveProperty('image');
-    expect(result.assistantMessage.image).toHaveProperty('id', 'test-image-id');
-    expect(result.assistantMessage.image).toHaveProperty('base64', 'base64encodedimagedata');
-    expect(result.userMessage).toHaveProperty('content', 'draw a cat');
-    
-    // Verify OpenAI text completion was not called
-    expect(openaiService.createChatCompletion).not.toHaveBeenCalled();
+    const result = await processMessage({ message: 'Is red a warm color?' });
+
+    expect(result.assistantMessage).toHaveProperty('content', 'Red is a warm color.');
+    expect(result.assistantMessage).not.toHaveProperty('images');
+    expect(result).not.toHaveProperty('imageResults');
+    expect(imageService.generateImages).not.toHaveBeenCalled();
+  });
+
+  it('should keep the model\'s text alongside the images of its tool calls', async () => {
+    openaiService.createChatCompletion.mockResolvedValue({
+      choices: [{
+        message: {
+          role: 'assistant',
+          content: 'Here are two takes on the logo.',
+          tool_calls: [
+            toolCall('generate_image', { prompt: 'Flat fox logo', background: 'transparent' }),
+            toolCall('generate_image', { prompt: 'Line-art fox logo', background: 'transparent' })
+          ]
+        }
+      }]
+    });
+    imageService.generateImages
+      .mockResolvedValueOnce({ images: [{ id: 'img_flat', url: '/api/images/img_flat' }] })
+      .mockResolvedValueOnce({ images: [{ id: 'img_line', url: '/api/images/img_line' }] });
+
+    const result = await processMessage({ message: 'Design a fox logo, two variations' });
+
+    expect(result.assistantMessage).toHaveProperty('content', 'Here are two takes on the logo.');
+    expect(result.assistantMessage.images.map(image => image.id)).toEqual(['img_flat', 'img_line']);
+  });
+
+  it('should edit the attached images the model names in an edit_image call', async () => {
+    imageStore.parseImageUrl.mockImplementation(url => (url === '/api/images/img_stored' ? 'img_stored' : null));
+    openaiService.createChatCompletion.mockResolvedValue({
+      choices: [{
+        message: {
+          role: 'assistant',
+          content: null,
+          tool_calls: [toolCall('edit_image', { prompt: 'Make the sky purple', image_ids: ['img_stored'] })]
+        }
+      }]
+    });
+    imageService.editImages.mockResolvedValue({ images: [{ id: 'img_edited', url: '/api/images/img_edited' }] });
+
+    const result = await processMessage(
+      { message: 'make the sky purple', images: [{ id: 'upload-1', base64Data: 'data:image/png;base64,AAAA' }], output_format: 'webp' },
+      { apiKey: 'sk-user' }
+    );
+    imageStore.parseImageUrl.mockImplementation(() => null);
+
+    // The model is told the IDs of the stored attachments
+    const sentMessages = openaiService.createChatCompletion.mock.calls[0][0].messages;
+    expect(sentMessages[sentMessages.length - 1].content[2]).toEqual({ type: 'text', text: 'Attached image IDs: img_stored' });
+
+    expect(imageService.editImages).toHaveBeenCalledWith(
+      { prompt: 'Make the sky purple', image: ['img_stored'], n: 1, output_format: 'webp' },
+      { apiKey: 'sk-user' }
+    );
+    expect(result.assistantMessage.images).toEqual([{
+      id: 'img_edited',
+      url: '/api/images/img_edited',
+      alt: 'Edited image based on your instruction'
+    }]);
   });
 
   it('should process a message with images successfully', async () => {
@@ -241,33 +335,514 @@ describe('Chat Service', () => {
     });
   });
 
-  it('should fall back to text response if image generation fails', async () => {
-    // Mock the image service to fail
-    imageService.generateImages.mockRejectedValue(new Error('Image generation failed'));
-    
-    // Mock the OpenAI response
+  it('should edit the attached images when the model names none, linking the result to its source', async () => {
+    imageStore.saveImage.mockRejectedValueOnce(new Error('disk full'));
+    imageStore.getImageRecord.mockResolvedValueOnce({ id: 'img_edited', metadata: { parentIds: ['img_input'] } });
     openaiService.createChatCompletion.mockResolvedValue({
-      choices: [
-        {
-          message: {
-            role: 'assistant',
-            content: 'I could not generate an image, here is a text response instead'
-          }
+      choices: [{
+        message: {
+          role: 'assistant',
+          content: 'Done, the sky is purple now.',
+          tool_calls: [toolCall('edit_image', { prompt: 'Make the sky purple' })]
         }
-      ]
+      }]
     });
+    imageService.editImages.mockResolvedValue({ images: [{ id: 'img_edited', url: '/api/images/img_edited' }] });
 
-    const result = await processMessage({ message: 'draw a cat' });
+    const result = await processMessage({
+      message: 'make the sky purple',
+      images: [{ id: 'upload-1', base64Data: 'data:image/png;base64,AAAA' }]
+    });
 
-    // Verify image service was called
-    expect(imageService.generateImages).toHaveBeenCalledWith({
-      prompt: 'draw a cat',
+    // An attachment that could not be stored is named by its attachment ID and edited from its data
+    const sentMessages = openaiService.createChatCompletion.mock.calls[0][0].messages;
+    expect(sentMessages[sentMessages.length - 1].content[2]).toEqual({ type: 'text', text: 'Attached image IDs: upload-1' });
+    expect(imageService.editImages).toHaveBeenCalledWith({
+      prompt: 'Make the sky purple',
+      image: ['data:image/png;base64,AAAA'],
       n: 1
+    }, { apiKey: undefined });
+
+    expect(result.assistantMessage).toHaveProperty('content', 'Done, the sky is purple now.');
+    expect(result.assistantMessage.images).toEqual([{
+      id: 'img_edited',
+      url: '/api/images/img_edited',
+      alt: 'Edited image based on your instruction',
+      sourceImageId: 'img_input'
+    }]);
+  });
+
+  it('should refine the latest image of the conversation when an edit names no image', async () => {
+    imageStore.parseImageUrl.mockImplementation(url => (url.startsWith('/api/images/') ? url.slice('/api/images/'.length) : null));
+    conversationStore.listMessages.mockResolvedValue({
+      messages: [
+        { id: 'assistant-2', role: 'assistant', content: 'A cat', images: [{ id: 'img_cat', url: '/api/images/img_cat' }] },
+        { id: 'user-2', role: 'user', content: 'draw a cat' },
+        { id: 'assistant-1', role: 'assistant', content: 'A dog', images: [{ id: 'img_dog', url: '/api/images/img_dog' }] }
+      ],
+      hasMore: false
     });
+    imageStore.getImageRecord.mockResolvedValueOnce({ id: 'img_darker', metadata: { parentIds: ['img_cat'] } });
+    openaiService.createChatCompletion.mockResolvedValue({
+      choices: [{ message: { role: 'assistant', content: null, tool_calls: [toolCall('edit_image', { prompt: 'Make it darker' })] } }]
+    });
+    imageService.editImages.mockResolvedValue({ images: [{ id: 'img_darker', url: '/api/images/img_darker' }] });
+
+    const result = await processMessage({ message: 'now make it darker', conversationId: 'conv-1' });
+    imageStore.parseImageUrl.mockImplementation(() => null);
+    conversationStore.listMessages.mockReset();
+
+    // The model is told which image "it" is, and the edit starts from that image
+    const systemPrompt = openaiService.createChatCompletion.mock.calls[0][0].messages[0].content;
+    expect(systemPrompt).toContain('Latest image IDs: img_cat.');
+    expect(imageService.editImages).toHaveBeenCalledWith({ prompt: 'Make it darker', image: ['img_cat'], n: 1 }, { apiKey: undefined });
+    expect(result.assistantMessage.images).toEqual([{
+      id: 'img_darker',
+      url: '/api/images/img_darker',
+      alt: 'Edited image based on your instruction',
+      sourceImageId: 'img_cat'
+    }]);
+  });
+
+  it('should explain an edit request without an image to edit', async () => {
+    openaiService.createChatCompletion.mockResolvedValue({
+      choices: [{ message: { role: 'assistant', content: null, tool_calls: [toolCall('edit_image', { prompt: 'Make it purple' })] } }]
+    });
+
+    const result = await processMessage({ message: 'make it purple' });
+
+    expect(imageService.editImages).not.toHaveBeenCalled();
+    expect(result.assistantMessage.content).toBe('I couldn\'t create the image: Invalid image edit request.');
+  });
+
+  it('should explain in the reply when an image tool call fails', async () => {
+    openaiService.createChatCompletion.mockResolvedValue({
+      choices: [{
+        message: {
+          role: 'assistant',
+          content: 'Sure, drawing a cat.',
+          tool_calls: [
+            toolCall('generate_image', { prompt: 'A cat' }),
+            toolCall('generate_image', { prompt: 'A cat', size: '2048x2048' })
+          ]
+        }
+      }]
+    });
+    imageService.generateImages.mockRejectedValue(new Error('Image generation failed'));
+
+    const result = await processMessage({ message: 'draw a cat' });
 
-    // Verify fallback to text completion
-    expect(openaiService.createChatCompletion).toHaveBeenCalled();
-    expect(result.assistantMessage).toHaveProperty('content', 'I could not generate an image, here is a text response instead');
+    // Invalid arguments never reach the image service
+    expect(imageService.generateImages).toHaveBeenCalledTimes(1);
+    expect(result.assistantMessage.content).toBe([
+      'Sure, drawing a cat.',
+      'I couldn\'t create the image: something went wrong.',
+      'I couldn\'t create the image: Invalid image generation request.'
+    ].join('\n\n'));
+    expect(result.assistantMessage).not.toHaveProperty('images');
     expect(result.userMessage).toHaveProperty('content', 'draw a cat');
   });
+
+  it('should reserve the cost of each image tool call and refuse calls once the budget is used up', async () => {
+    openaiService.createChatCompletion.mockResolvedValue({
+      choices: [{
+        message: {
+          role: 'assistant',
+          content: null,
+          tool_calls: [
+            toolCall('generate_image', { prompt: 'A cat' }),
+            toolCall('edit_image', { prompt: 'Make it darker', image_ids: ['img_cat'] })
+          ]
+        }
+      }]
+    });
+    imageService.generateImages.mockResolvedValue({ images: [{ id: 'img_cat', url: '/api/images/img_cat' }] });
+    const reserveImageCost = jest.fn()
+      .mockResolvedValueOnce()
+      .mockRejectedValueOnce(new QuotaExceededError('Only $0.00 of your daily budget is left.'));
+
+    const result = await processMessage({ message: 'draw a cat, then darken it' }, { reserveImageCost });
+
+    expect(reserveImageCost).toHaveBeenNthCalledWith(1, 'images.generate', { prompt: 'A cat', n: 1 });
+    expect(reserveImageCost).toHaveBeenNthCalledWith(2, 'images.edit', { prompt: 'Make it darker', image: ['img_cat'], n: 1 });
+    expect(imageService.generateImages).toHaveBeenCalledTimes(1);
+    expect(imageService.editImages).not.toHaveBeenCalled();
+    expect(result.assistantMessage.content).toBe('I couldn\'t create the image: Only $0.00 of your daily budget is left.');
+    expect(result.assistantMessage.images).toHaveLength(1);
+  });
+
+  it('should pass the usage callback on to the image tools', async () => {
+    openaiService.createChatCompletion.mockResolvedValue({
+      choices: [{ message: { role: 'assistant', content: null, tool_calls: [toolCall('generate_image', { prompt: 'A cat' })] } }]
+    });
+    imageService.generateImages.mockResolvedValue({ images: [{ id: 'img_cat', url: '/api/images/img_cat' }] });
+    const onUsage = jest.fn();
+
+    await processMessage({ message: 'draw a cat' }, { apiKey: 'sk-user', onUsage });
+
+    // The chat completion itself is part of the response, so only the tools get the callback
+    expect(openaiService.createChatCompletion).toHaveBeenCalledWith(expect.any(Object), { apiKey: 'sk-user' });
+    expect(imageService.generateImages).toHaveBeenCalledWith({ prompt: 'A cat', n: 1 }, { apiKey: 'sk-user', onUsage });
+  });
+
+  it('should refuse the message when the budget refuses its first image', async () => {
+    openaiService.createChatCompletion.mockResolvedValue({
+      choices: [{ message: { role: 'assistant', content: null, tool_calls: [toolCall('generate_image', { prompt: 'A cat' })] } }]
+    });
+    const reserveImageCost = jest.fn().mockRejectedValue(new QuotaExceededError('Only $0.00 of your daily budget is left.'));
+
+    await expect(processMessage({ message: 'draw a cat' }, { reserveImageCost }))
+      .rejects.toMatchObject({ statusCode: 429, code: 'QUOTA_EXCEEDED' });
+    expect(imageService.generateImages).not.toHaveBeenCalled();
+    expect(conversationStore.appendMessages).not.toHaveBeenCalled();
+  });
+
+  it('should reject invalid inline images with their own error', async () => {
+    imageStore.sanitizeImageData.mockRejectedValueOnce(new BadRequestError('The file is not a recognized image', 'UNRECOGNIZED_IMAGE_CONTENT'));
+
+    await expect(processMessage({ message: 'What is this?', images: [{ base64Data: 'data:image/png;base64,AAAA' }] }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'UNRECOGNIZED_IMAGE_CONTENT' });
+    expect(openaiService.createChatCompletion).not.toHaveBeenCalled();
+  });
+
+  it('should report prompts rejected by moderation', async () => {
+    openaiService.createChatCompletion.mockResolvedValue({
+      choices: [{ message: { role: 'assistant', content: null, tool_calls: [toolCall('generate_image', { prompt: 'Something harmful' })] } }]
+    });
+    imageService.generateImages.mockRejectedValue(Object.assign(new Error('Prompt rejected'), {
+      name: 'PromptRejectedError',
+      code: 'PROMPT_REJECTED'
+    }));
+
+    await expect(processMessage({ message: 'draw something harmful' })).rejects.toMatchObject({ code: 'PROMPT_REJECTED' });
+    expect(conversationStore.appendMessages).not.toHaveBeenCalled();
+  });
+});
+
+describe('Chat history', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    openaiService.createChatCompletion.mockResolvedValue({
+      choices: [{ message: { role: 'assistant', content: 'Stored reply' } }]
+    });
+  });
+
+  it('should persist the user and assistant messages of an exchange', async () => {
+    const result = await processMessage({ message: 'Hello, world!', conversationId: 'conv-1' });
+
+    expect(conversationStore.appendMessages).toHaveBeenCalledWith('conv-1', [
+      result.userMessage,
+      result.assistantMessage
+    ], { ownerId: undefined });
+  });
+
+  it('should give every message its own ID, even when made in the same millisecond', async () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1718000000000);
+    try {
+      const [first, second] = await Promise.all([
+        processMessage({ message: 'Hello', conversationId: 'conv-1' }),
+        processMessage({ message: 'Hello again', conversationId: 'conv-1' })
+      ]);
+      const ids = [first, second].flatMap(result => [result.userMessage.id, result.assistantMessage.id]);
+
+      expect(new Set(ids).size).toBe(4);
+      expect(first.userMessage.id).toMatch(/^user-[0-9a-f-]{36}$/);
+      expect(first.assistantMessage.id).toMatch(/^assistant-[0-9a-f-]{36}$/);
+    } finally {
+      Date.now.mockRestore();
+    }
+  });
+
+  it('should store attachments in the image store and keep only their URLs in the history', async () => {
+    const result = await processMessage({
+      message: 'What is in this picture?',
+      images: [{ id: 'upload-1', base64Data: 'data:image/png;base64,AAAA' }],
+      conversationId: 'conv-1'
+    });
+
+    expect(imageStore.saveImage).toHaveBeenCalledWith({ data: 'data:image/png;base64,AAAA', source: 'chat' });
+    expect(result.userMessage.images).toEqual([{ id: 'upload-1', url: '/api/images/img_stored' }]);
+
+    // The model still receives the image data of the new turn
+    const sentMessages = openaiService.createChatCompletion.mock.calls[0][0].messages;
+    expect(sentMessages[sentMessages.length - 1].content[1].image_url.url).toBe('data:image/png;base64,AAAA');
+  });
+
+  it('should send the model inline attachments only once they are sanitized', async () => {
+    imageStore.sanitizeImageData.mockResolvedValueOnce({ data: Buffer.from('upright'), mimeType: 'image/jpeg' });
+
+    await processMessage({
+      message: 'What is in this picture?',
+      images: [{ id: 'upload-1', base64Data: 'data:image/jpeg;base64,AAAA' }]
+    });
+
+    expect(imageStore.sanitizeImageData).toHaveBeenCalledWith('data:image/jpeg;base64,AAAA');
+    const sentMessages = openaiService.createChatCompletion.mock.calls[0][0].messages;
+    expect(sentMessages[sentMessages.length - 1].content[1].image_url.url)
+      .toBe(`data:image/jpeg;base64,${Buffer.from('upright').toString('base64')}`);
+  });
+
+  it('should keep attachments inline when they cannot be stored', async () => {
+    imageStore.saveImage.mockRejectedValueOnce(new Error('disk full'));
+
+    const result = await processMessage({
+      message: 'What is in this picture?',
+      images: [{ id: 'upload-1', base64Data: 'data:image/png;base64,AAAA' }]
+    });
+
+    expect(result.userMessage.images).toEqual([{ id: 'upload-1', url: 'data:image/png;base64,AAAA' }]);
+  });
+
+  it('should use the default conversation when none is given', async () => {
+    await processMessage({ message: 'Hello, world!' });
+
+    expect(conversationStore.appendMessages).toHaveBeenCalledWith('default', expect.any(Array), { ownerId: undefined });
+  });
+
+  it('should still return the reply when persisting fails', async () => {
+    conversationStore.appendMessages.mockRejectedValueOnce(new Error('disk full'));
+
+    const result = await processMessage({ message: 'Hello, world!' });
+
+    expect(result.assistantMessage).toHaveProperty('content', 'Stored reply');
+  });
+
+  it('should read a page of history with parsed pagination parameters', async () => {
+    const page = { messages: [{ id: 'msg-2' }], hasMore: true, nextCursor: 'msg-2' };
+    conversationStore.listMessages.mockResolvedValue(page);
+
+    const result = await getChatHistory({ conversationId: 'conv-1', before: 'msg-3', limit: '1' });
+
+    expect(conversationStore.listMessages).toHaveBeenCalledWith('conv-1', { before: 'msg-3', limit: 1 });
+    expect(result).toBe(page);
+  });
+
+  it('should reject an invalid page size', async () => {
+    await expect(getChatHistory({ limit: '0' })).rejects.toThrow(ValidationError);
+    expect(conversationStore.listMessages).not.toHaveBeenCalled();
+  });
+
+  it('should clear the requested conversation', async () => {
+    const result = await clearChatHistory({ conversationId: 'conv-1' });
+
+    expect(conversationStore.clearConversation).toHaveBeenCalledWith('conv-1', { ownerId: undefined });
+    expect(result).toHaveProperty('success', true);
+  });
+});
+
+describe('Streaming chat', () => {
+  // Build an async iterable of chat completion chunks
+  const mockStream = (chunks) => ({
+    async *[Symbol.asyncIterator]() {
+      for (const chunk of chunks) {
+        yield chunk;
+      }
+    }
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should report the start, each token and return the full reply with usage', async () => {
+    openaiService.createChatCompletionStream.mockResolvedValue(mockStream([
+      { choices: [{ delta: { role: 'assistant', content: '' } }] },
+      { choices: [{ delta: { content: 'Hello' } }] },
+      { choices: [{ delta: { content: ' there' } }] },
+      { choices: [], usage: { prompt_tokens: 10, completion_tokens: 2, total_tokens: 12 } }
+    ]));
+    const onStart = jest.fn();
+    const onToken = jest.fn();
+
+    const result = await processMessageStream({ message: 'Hi', conversationId: 'conv-1' }, { onStart, onToken });
+
+    expect(onStart).toHaveBeenCalledWith({
+      userMessage: expect.objectContaining({ content: 'Hi' }),
+      assistantMessageId: result.assistantMessage.id
+    });
+    expect(onToken.mock.calls).toEqual([['Hello'], [' there']]);
+    expect(result.assistantMessage).toHaveProperty('content', 'Hello there');
+    expect(result.usage).toEqual({ prompt_tokens: 10, completion_tokens: 2, total_tokens: 12 });
+    expect(openaiService.createChatCompletion).not.toHaveBeenCalled();
+    expect(conversationStore.appendMessages).toHaveBeenCalledWith('conv-1', [result.userMessage, result.assistantMessage], { ownerId: undefined });
+  });
+
+  it('should stream the model\'s tool calls and previews of the image they generate', async () => {
+    openaiService.createChatCompletionStream.mockResolvedValue(mockStream([
+      { choices: [{ delta: { role: 'assistant', content: '' } }] },
+      { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'generate_image', arguments: '' } }] } }] },
+      { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '{"prompt":"A cat' } }] } }] },
+      { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: ' in the rain"}' } }] } }] },
+      { choices: [], usage: { total_tokens: 30 } }
+    ]));
+    imageService.generateImagesStream.mockImplementation(async (params, handlers) => {
+      handlers.onPartialImage({ index: 0, partialImageIndex: 0, base64: 'preview' });
+      return { images: [{ id: 'img-1', base64: 'final' }], usage: { total_tokens: 50 } };
+    });
+    const onToken = jest.fn();
+    const onPartialImage = jest.fn();
+
+    const result = await processMessageStream({ message: 'draw a cat in the rain' }, { onToken, onPartialImage });
+
+    expect(openaiService.createChatCompletionStream.mock.calls[0][0].tools).toHaveLength(2);
+    expect(imageService.generateImagesStream).toHaveBeenCalledWith(
+      { prompt: 'A cat in the rain', n: 1 },
+      expect.objectContaining({ onPartialImage })
+    );
+    expect(imageService.generateImages).not.toHaveBeenCalled();
+    expect(onPartialImage).toHaveBeenCalledWith({ index: 0, partialImageIndex: 0, base64: 'preview' });
+    expect(result.assistantMessage.images[0]).toHaveProperty('id', 'img-1');
+
+    // The caption of an image-only reply is streamed like the model's own text
+    expect(onToken.mock.calls).toEqual([['Here\'s the image you requested:']]);
+    expect(result.assistantMessage).toHaveProperty('content', 'Here\'s the image you requested:');
+  });
+
+  it('should generate images in the requested output format and label inline ones with it', async () => {
+    openaiService.createChatCompletion.mockResolvedValue({
+      choices: [{ message: { role: 'assistant', content: null, tool_calls: [toolCall('generate_image', { prompt: 'A cat' })] } }]
+    });
+    imageService.generateImagesStream.mockResolvedValue({
+      images: [{ id: 'img-1', base64: 'final', mimeType: 'image/webp' }]
+    });
+
+    const result = await processMessageStream(
+      { message: 'draw a cat', output_format: 'webp', output_compression: 60 },
+      { onPartialImage: jest.fn() }
+    );
+
+    expect(imageService.generateImagesStream).toHaveBeenCalledWith(
+      { prompt: 'A cat', n: 1, output_format: 'webp', output_compression: 60 },
+      expect.any(Object)
+    );
+    expect(result.assistantMessage.images[0]).toHaveProperty('url', 'data:image/webp;base64,final');
+  });
+
+  it('should generate images with the selected style preset', async () => {
+    openaiService.createChatCompletion.mockResolvedValue({
+      choices: [{ message: { role: 'assistant', content: null, tool_calls: [toolCall('generate_image', { prompt: 'A cat' })] } }]
+    });
+    imageService.generateImages.mockResolvedValue({ images: [{ id: 'img-1', base64: 'final' }] });
+
+    await processMessage({ message: 'draw a cat', preset: 'flat-vector' });
+
+    expect(imageService.generateImages).toHaveBeenCalledWith({ prompt: 'A cat', n: 1, preset: 'flat-vector' }, { apiKey: undefined });
+  });
+
+  it('should reject unknown style presets before calling the model', async () => {
+    await expect(processMessage({ message: 'draw a cat', preset: 'missing' }))
+      .rejects.toMatchObject({ statusCode: 404, code: 'PRESET_NOT_FOUND' });
+    expect(openaiService.createChatCompletion).not.toHaveBeenCalled();
+  });
+});
+
+
+describe('Attachments by reference', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    imageStore.loadImageReference.mockResolvedValue(null);
+    openaiService.createChatCompletion.mockResolvedValue({
+      choices: [{ message: { role: 'assistant', content: 'A cat' } }]
+    });
+  });
+
+  it('should attach stored images given by ID without storing them again', async () => {
+    imageStore.loadImageReference.mockImplementation(async image => (
+      image === 'img_uploaded' ? { record: { id: 'img_uploaded' }, data: Buffer.from('png') } : null
+    ));
+
+    const result = await processMessage({ message: 'What is in this picture?', images: ['img_uploaded'] });
+
+    expect(result.userMessage.images).toEqual([{ id: 'img_uploaded', url: '/api/images/img_uploaded' }]);
+    expect(imageStore.saveImage).not.toHaveBeenCalled();
+  });
+
+  it('should report unknown image IDs as not found', async () => {
+    const notFound = Object.assign(new Error('Image "img_expired" was not found'), {
+      name: 'NotFoundError',
+      statusCode: 404,
+      code: 'IMAGE_NOT_FOUND'
+    });
+    imageStore.loadImageReference.mockRejectedValue(notFound);
+
+    await expect(processMessage({ message: 'What is in this picture?', images: [{ id: 'img_expired' }] }))
+      .rejects.toMatchObject({ code: 'IMAGE_NOT_FOUND' });
+    expect(openaiService.createChatCompletion).not.toHaveBeenCalled();
+  });
+
+  it('should only use the conversation and images of the user sending the message', async () => {
+    imageStore.loadImageReference.mockImplementation(async image => (
+      image === 'img_uploaded' ? { record: { id: 'img_uploaded' }, data: Buffer.from('png') } : null
+    ));
+    openaiService.createChatCompletion.mockResolvedValue({
+      choices: [{
+        message: {
+          role: 'assistant',
+          content: null,
+          tool_calls: [toolCall('edit_image', { prompt: 'Add a hat', image_ids: ['img_someone_else'] })]
+        }
+      }]
+    });
+    imageService.editImages.mockRejectedValue(
+      new NotFoundError('Image "img_someone_else" was not found; it may have expired or never been stored', 'IMAGE_NOT_FOUND')
+    );
+
+    const result = await processMessage(
+      { message: 'add a hat', images: ['img_uploaded'], conversationId: 'conv-1' },
+      { ownerId: 'usr_1' }
+    );
+
+    expect(imageStore.loadImageReference).toHaveBeenCalledWith('img_uploaded', { ownerId: 'usr_1' });
+    expect(conversationStore.listMessages).toHaveBeenCalledWith('conv-1', expect.objectContaining({ ownerId: 'usr_1' }));
+    // Images the model names are loaded by the image service, which checks they belong to the user
+    expect(imageService.editImages).toHaveBeenCalledWith(
+      expect.objectContaining({ image: ['img_someone_else'] }),
+      expect.objectContaining({ ownerId: 'usr_1' })
+    );
+    expect(result.assistantMessage.content).toMatch(/^I couldn't create the image: Image "img_someone_else" was not found/);
+    expect(conversationStore.appendMessages).toHaveBeenCalledWith('conv-1', expect.any(Array), { ownerId: 'usr_1' });
+  });
+});
+
+describe('Image edits in the chat', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should record the instruction with its source image and the edited image linked to it', async () => {
+    imageStore.getImageRecord.mockResolvedValue({ id: 'img_edited', metadata: { parentIds: ['img_source'] } });
+
+    const result = await recordImageEdit('conv-1', 'Add a hat', {
+      images: [{ id: 'img_edited', url: '/api/images/img_edited' }]
+    });
+
+    expect(result.userMessage).toMatchObject({
+      role: 'user',
+      content: 'Add a hat',
+      images: [{ id: 'img_source', url: '/api/images/img_source' }]
+    });
+    expect(result.assistantMessage).toMatchObject({
+      role: 'assistant',
+      images: [{ id: 'img_edited', url: '/api/images/img_edited', sourceImageId: 'img_source' }]
+    });
+    expect(conversationStore.appendMessages).toHaveBeenCalledWith('conv-1', [
+      result.userMessage,
+      result.assistantMessage
+    ], { ownerId: undefined });
+  });
+
+  it('should still record edits whose images could not be stored', async () => {
+    imageStore.getImageRecord.mockRejectedValue(new Error('Image not found'));
+
+    const result = await recordImageEdit('conv-1', 'Add a hat', {
+      images: [{ id: 'img_inline', base64: 'AAAA' }]
+    });
+
+    expect(result.userMessage).not.toHaveProperty('images');
+    expect(result.assistantMessage.images).toEqual([{
+      id: 'img_inline',
+      url: 'data:image/png;base64,AAAA',
+      alt: 'Edited image based on your instruction'
+    }]);
+  });
 });
\ No newline at end of file
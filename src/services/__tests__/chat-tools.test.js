@@ -0,0 +1,53 @@
+const { CHAT_TOOLS, parseToolCall, describeAttachments, describeLatestImages } = require('../chat-tools');
+
+describe('Chat Tools', () => {
+  const toolCall = (name, args) => ({
+    id: 'call_1',
+    type: 'function',
+    function: { name, arguments: typeof args === 'string' ? args : JSON.stringify(args) }
+  });
+  
+  it('should define generate_image and edit_image with typed parameters', () => {
+    const [generate, edit] = CHAT_TOOLS.map(tool => tool.function);
+    
+    expect(generate.name).toBe('generate_image');
+    expect(generate.parameters.required).toEqual(['prompt']);
+    expect(generate.parameters.properties.size.enum).toContain('1536x1024');
+    expect(edit.name).toBe('edit_image');
+    expect(edit.parameters.required).toEqual(['prompt']);
+    expect(edit.parameters.properties.image_ids.type).toBe('array');
+  });
+  
+  describe('parseToolCall', () => {
+    it('should turn a generate_image call into generation parameters', () => {
+      expect(parseToolCall(toolCall('generate_image', { prompt: 'A fox logo', background: 'transparent', n: 2, style: 'ignored' })))
+        .toEqual({ name: 'generate_image', params: { prompt: 'A fox logo', n: 2, background: 'transparent' } });
+    });
+    
+    it('should turn an edit_image call into edit parameters with the images by ID', () => {
+      expect(parseToolCall(toolCall('edit_image', { prompt: 'Make it night', image_ids: ['img_a'], quality: 'low' })))
+        .toEqual({ name: 'edit_image', params: { prompt: 'Make it night', image: ['img_a'], n: 1, quality: 'low' } });
+    });
+    
+    it('should edit the default images when edit_image names none', () => {
+      expect(parseToolCall(toolCall('edit_image', { prompt: 'Make it night' }), { defaultImageIds: ['img_a', 'upload-1'] }))
+        .toEqual({ name: 'edit_image', params: { prompt: 'Make it night', image: ['img_a', 'upload-1'], n: 1 } });
+      expect(parseToolCall(toolCall('edit_image', { prompt: 'Make it night', image_ids: ['img_b'] }), { defaultImageIds: ['img_a'] }).params.image)
+        .toEqual(['img_b']);
+    });
+    
+    it('should reject unknown tools, malformed arguments and invalid values', () => {
+      expect(() => parseToolCall(toolCall('delete_image', {}))).toThrow(expect.objectContaining({ code: 'INVALID_TOOL_CALL' }));
+      expect(() => parseToolCall(toolCall('generate_image', '{"prompt": '))).toThrow(expect.objectContaining({ code: 'INVALID_TOOL_CALL' }));
+      expect(() => parseToolCall(toolCall('generate_image', { prompt: 'A fox', size: '640x480' })))
+        .toThrow(expect.objectContaining({ code: 'INVALID_GENERATE_REQUEST' }));
+      expect(() => parseToolCall(toolCall('edit_image', { prompt: 'Make it night', image_ids: [] })))
+        .toThrow(expect.objectContaining({ code: 'INVALID_EDIT_REQUEST' }));
+    });
+  });
+  
+  it('should list attachment and latest image IDs under fixed labels', () => {
+    expect(describeAttachments(['img_a', 'img_b'])).toBe('Attached image IDs: img_a, img_b');
+    expect(describeLatestImages(['img_c'])).toMatch(/^Latest image IDs: img_c\. /);
+  });
+});
\ No newline at end of file
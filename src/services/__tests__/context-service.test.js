@@ -0,0 +1,322 @@
+const { buildConversationContext, estimateTokens } = require('../context-service');
+const openaiService = require('../openai-service');
+const { conversationStore, imageStore } = require('../../storage');
+const config = require('../../config').openai;
+
+// Mock the openaiService
+jest.mock('../openai-service', () => ({
+  createChatCompletion: jest.fn()
+}));
+
+// Mock the conversation and image stores
+jest.mock('../../storage', () => ({
+  conversationStore: {
+    listMessages: jest.fn(),
+    listMessagesAfter: jest.fn(),
+    getSummary: jest.fn(),
+    saveSummary: jest.fn()
+  },
+  imageStore: {
+    parseImageUrl: jest.fn(url => (url.startsWith('/api/images/') ? url.slice('/api/images/'.length) : null)),
+    toDataUrl: jest.fn()
+  }
+}));
+
+const systemPrompt = 'You are a helpful assistant.';
+const userMessage = { role: 'user', content: 'And what about dogs?' };
+
+// Stored history is returned newest first, a page at a time
+const mockHistory = (messages) => {
+  conversationStore.listMessages.mockImplementation(async (conversationId, { limit }) => ({
+    messages: [...messages].reverse().slice(0, limit),
+    hasMore: messages.length > limit
+  }));
+  conversationStore.listMessagesAfter.mockImplementation(async (conversationId, afterId) => (
+    messages.slice(messages.findIndex(message => message.id === afterId) + 1)
+  ));
+};
+
+// Summaries are kept per conversation like the store does
+const summaries = new Map();
+
+describe('Conversation Context Service', () => {
+  const originalContext = { ...config.context };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.assign(config.context, originalContext);
+    summaries.clear();
+    conversationStore.getSummary.mockImplementation(async conversationId => summaries.get(conversationId) || null);
+    conversationStore.saveSummary.mockImplementation(async (conversationId, summary) => {
+      summaries.set(conversationId, summary);
+      return summary;
+    });
+  });
+
+  it('should include prior turns in chronological order', async () => {
+    mockHistory([
+      { id: 'u1', role: 'user', content: 'Tell me about cats' },
+      { id: 'a1', role: 'assistant', content: 'Cats are small carnivores.' }
+    ]);
+
+    const messages = await buildConversationContext({ conversationId: 'conv-1', systemPrompt, userMessage });
+
+    expect(conversationStore.listMessages).toHaveBeenCalledWith('conv-1', { limit: config.context.maxHistoryMessages });
+    expect(messages).toEqual([
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: 'Tell me about cats' },
+      { role: 'assistant', content: 'Cats are small carnivores.' },
+      userMessage
+    ]);
+  });
+
+  it('should work without history', async () => {
+    conversationStore.listMessages.mockRejectedValue(new Error('storage offline'));
+
+    const messages = await buildConversationContext({ conversationId: 'conv-1', systemPrompt, userMessage });
+
+    expect(messages).toEqual([{ role: 'system', content: systemPrompt }, userMessage]);
+  });
+
+  it('should re-send earlier uploaded and generated images at low detail', async () => {
+    mockHistory([
+      { id: 'u1', role: 'user', content: 'What is this?', images: [{ id: 'i1', url: 'data:image/png;base64,AAA' }] },
+      { id: 'a1', role: 'assistant', content: 'Here you go', images: [{ id: 'i2', url: 'data:image/png;base64,BBB' }] }
+    ]);
+
+    const messages = await buildConversationContext({ conversationId: 'conv-1', systemPrompt, userMessage });
+
+    expect(messages[1]).toEqual({
+      role: 'user',
+      content: [
+        { type: 'text', text: 'What is this?' },
+        { type: 'image_url', image_url: { url: 'data:image/png;base64,AAA', detail: 'low' } }
+      ]
+    });
+    expect(messages[2]).toEqual({ role: 'assistant', content: 'Here you go\n[Generated 1 image(s)]' });
+    expect(messages[3].content[1]).toEqual({
+      type: 'image_url',
+      image_url: { url: 'data:image/png;base64,BBB', detail: 'low' }
+    });
+  });
+
+  it('should inline images from the image store as data URLs', async () => {
+    imageStore.toDataUrl.mockImplementation(async id => {
+      if (id === 'img_missing') throw new Error('Image not found');
+      return `data:image/png;base64,${id}`;
+    });
+    mockHistory([
+      {
+        id: 'u1',
+        role: 'user',
+        content: 'Compare these',
+        images: [{ url: '/api/images/img_stored' }, { url: '/api/images/img_missing' }]
+      }
+    ]);
+
+    const messages = await buildConversationContext({ conversationId: 'conv-1', systemPrompt, userMessage });
+
+    // Images that can no longer be read are left out
+    expect(messages[1].content).toEqual([
+      { type: 'text', text: 'Compare these' },
+      { type: 'image_url', image_url: { url: 'data:image/png;base64,img_stored', detail: 'low' } }
+    ]);
+  });
+
+  it('should only read the conversation and images of its owner', async () => {
+    imageStore.toDataUrl.mockResolvedValue('data:image/png;base64,AAAA');
+    mockHistory([
+      { id: 'u1', role: 'user', content: 'Look', images: [{ url: '/api/images/img_1' }] },
+      { id: 'a1', role: 'assistant', content: 'Nice.' }
+    ]);
+
+    await buildConversationContext({ conversationId: 'conv-1', systemPrompt, userMessage, ownerId: 'usr_1' });
+
+    expect(conversationStore.listMessages).toHaveBeenCalledWith('conv-1', expect.objectContaining({ ownerId: 'usr_1' }));
+    expect(imageStore.toDataUrl).toHaveBeenCalledWith('img_1', { ownerId: 'usr_1' });
+  });
+
+  it('should replace history images beyond the allowance with placeholders', async () => {
+    config.context.maxHistoryImages = 1;
+    mockHistory([
+      { id: 'u1', role: 'user', content: 'First', images: [{ url: 'data:image/png;base64,OLD' }] },
+      { id: 'u2', role: 'user', content: 'Second', images: [{ url: 'data:image/png;base64,NEW' }] }
+    ]);
+
+    const messages = await buildConversationContext({ conversationId: 'conv-1', systemPrompt, userMessage });
+
+    expect(messages[1]).toEqual({ role: 'user', content: 'First\n[1 earlier image(s) omitted]' });
+    expect(messages[2].content[1].image_url.url).toBe('data:image/png;base64,NEW');
+  });
+
+  it('should trim the oldest turns and summarize them when over budget', async () => {
+    config.context.summarizeOverflow = true;
+    const longText = 'x'.repeat(400);
+    const history = [
+      { id: 'u1', role: 'user', content: `Oldest ${longText}` },
+      { id: 'a1', role: 'assistant', content: `Old ${longText}` },
+      { id: 'u2', role: 'user', content: 'Recent question' },
+      { id: 'a2', role: 'assistant', content: 'Recent answer' }
+    ];
+    mockHistory(history);
+
+    // Room for the system prompt, summary reserve, new message and the two recent turns only
+    config.context.maxTokens = estimateTokens({ role: 'system', content: systemPrompt })
+      + estimateTokens(userMessage) + 300
+      + estimateTokens({ content: 'Recent question' }) + estimateTokens({ content: 'Recent answer' }) + 10;
+
+    openaiService.createChatCompletion.mockResolvedValue({
+      choices: [{ message: { role: 'assistant', content: 'They talked about old things.' } }]
+    });
+
+    const messages = await buildConversationContext({ conversationId: 'conv-trim', systemPrompt, userMessage });
+
+    expect(openaiService.createChatCompletion).toHaveBeenCalledTimes(1);
+    expect(openaiService.createChatCompletion.mock.calls[0][0].messages[1].content).toContain('Oldest');
+    expect(messages).toEqual([
+      { role: 'system', content: systemPrompt },
+      { role: 'system', content: 'Summary of the earlier conversation: They talked about old things.' },
+      { role: 'user', content: 'Recent question' },
+      { role: 'assistant', content: 'Recent answer' },
+      userMessage
+    ]);
+
+    // The summary is stored with the conversation, so the same trimmed turns are not summarized again
+    expect(conversationStore.saveSummary).toHaveBeenCalledWith('conv-trim', { summary: 'They talked about old things.', throughId: 'a1' }, { ownerId: undefined });
+    const nextMessages = await buildConversationContext({ conversationId: 'conv-trim', systemPrompt, userMessage });
+    expect(openaiService.createChatCompletion).toHaveBeenCalledTimes(1);
+    expect(nextMessages).toEqual(messages);
+  });
+
+  it('should summarize turns before the loaded history', async () => {
+    config.context.summarizeOverflow = true;
+    config.context.maxHistoryMessages = 2;
+    mockHistory([
+      { id: 'u1', role: 'user', content: 'Oldest question' },
+      { id: 'a1', role: 'assistant', content: 'Oldest answer' },
+      { id: 'u2', role: 'user', content: 'Recent question' },
+      { id: 'a2', role: 'assistant', content: 'Recent answer' }
+    ]);
+    openaiService.createChatCompletion.mockResolvedValue({
+      choices: [{ message: { role: 'assistant', content: 'They talked about old things.' } }]
+    });
+
+    const messages = await buildConversationContext({ conversationId: 'conv-long', systemPrompt, userMessage });
+
+    expect(conversationStore.listMessagesAfter).toHaveBeenCalledWith('conv-long', null, { ownerId: undefined });
+    expect(openaiService.createChatCompletion.mock.calls[0][0].messages[1].content).toBe('user: Oldest question\nassistant: Oldest answer');
+    expect(conversationStore.saveSummary).toHaveBeenCalledWith('conv-long', { summary: 'They talked about old things.', throughId: 'a1' }, { ownerId: undefined });
+    expect(messages).toEqual([
+      { role: 'system', content: systemPrompt },
+      { role: 'system', content: 'Summary of the earlier conversation: They talked about old things.' },
+      { role: 'user', content: 'Recent question' },
+      { role: 'assistant', content: 'Recent answer' },
+      userMessage
+    ]);
+  });
+
+  it('should extend the stored summary with newly trimmed turns only', async () => {
+    config.context.summarizeOverflow = true;
+    config.context.maxHistoryMessages = 4;
+    const longText = 'x'.repeat(400);
+    summaries.set('conv-grow', { summary: 'They said hello.', throughId: 'a1' });
+    mockHistory([
+      { id: 'u1', role: 'user', content: 'Hello' },
+      { id: 'a1', role: 'assistant', content: 'Hi' },
+      { id: 'u2', role: 'user', content: `Middle ${longText}` },
+      { id: 'a2', role: 'assistant', content: 'Recent answer' }
+    ]);
+    config.context.maxTokens = estimateTokens({ role: 'system', content: systemPrompt })
+      + estimateTokens(userMessage) + 300 + estimateTokens({ content: 'Recent answer' }) + 10;
+    openaiService.createChatCompletion.mockResolvedValue({
+      choices: [{ message: { role: 'assistant', content: 'They said hello, then something long.' } }]
+    });
+
+    const messages = await buildConversationContext({ conversationId: 'conv-grow', systemPrompt, userMessage });
+
+    // Turns the summary covers are neither sent again nor re-read
+    expect(conversationStore.listMessagesAfter).not.toHaveBeenCalled();
+    expect(openaiService.createChatCompletion.mock.calls[0][0].messages[1].content).toBe(`Summary so far: They said hello.\n\nuser: Middle ${longText}`);
+    expect(summaries.get('conv-grow')).toEqual({ summary: 'They said hello, then something long.', throughId: 'u2' });
+    expect(messages).toEqual([
+      { role: 'system', content: systemPrompt },
+      { role: 'system', content: 'Summary of the earlier conversation: They said hello, then something long.' },
+      { role: 'assistant', content: 'Recent answer' },
+      userMessage
+    ]);
+  });
+
+  it('should fold a long backlog into the summary a chunk at a time', async () => {
+    config.context.summarizeOverflow = true;
+    config.context.maxTokens = estimateTokens({ role: 'system', content: systemPrompt }) + estimateTokens(userMessage) + 300 + 5;
+    mockHistory([
+      { id: 'u1', role: 'user', content: 'a'.repeat(10000) },
+      { id: 'a1', role: 'assistant', content: 'b'.repeat(10000) }
+    ]);
+    openaiService.createChatCompletion
+      .mockResolvedValueOnce({ choices: [{ message: { role: 'assistant', content: 'First part.' } }] })
+      .mockResolvedValueOnce({ choices: [{ message: { role: 'assistant', content: 'Both parts.' } }] });
+
+    const messages = await buildConversationContext({ conversationId: 'conv-backlog', systemPrompt, userMessage });
+
+    expect(openaiService.createChatCompletion).toHaveBeenCalledTimes(2);
+    expect(openaiService.createChatCompletion.mock.calls[1][0].messages[1].content).toMatch(/^Summary so far: First part\.\n\nassistant: b/);
+    expect(conversationStore.saveSummary.mock.calls).toEqual([
+      ['conv-backlog', { summary: 'First part.', throughId: 'u1' }, { ownerId: undefined }],
+      ['conv-backlog', { summary: 'Both parts.', throughId: 'a1' }, { ownerId: undefined }]
+    ]);
+    expect(messages[1]).toEqual({ role: 'system', content: 'Summary of the earlier conversation: Both parts.' });
+  });
+
+  it('should keep the stored summary when extending it fails', async () => {
+    config.context.summarizeOverflow = true;
+    config.context.maxTokens = estimateTokens({ role: 'system', content: systemPrompt }) + estimateTokens(userMessage) + 300 + 5;
+    summaries.set('conv-fail', { summary: 'They said hello.', throughId: 'a1' });
+    mockHistory([
+      { id: 'u1', role: 'user', content: 'Hello' },
+      { id: 'a1', role: 'assistant', content: 'Hi' },
+      { id: 'u2', role: 'user', content: 'A message that does not fit' }
+    ]);
+    openaiService.createChatCompletion.mockRejectedValue(new Error('rate limited'));
+
+    const messages = await buildConversationContext({ conversationId: 'conv-fail', systemPrompt, userMessage });
+
+    expect(summaries.get('conv-fail')).toEqual({ summary: 'They said hello.', throughId: 'a1' });
+    expect(messages).toEqual([
+      { role: 'system', content: systemPrompt },
+      { role: 'system', content: 'Summary of the earlier conversation: They said hello.' },
+      userMessage
+    ]);
+  });
+
+  it('should report the usage of the summary completion', async () => {
+    config.context.summarizeOverflow = true;
+    config.context.maxTokens = estimateTokens({ role: 'system', content: systemPrompt }) + estimateTokens(userMessage) + 300 + 5;
+    mockHistory([{ id: 'u1', role: 'user', content: 'An old message that does not fit' }]);
+    openaiService.createChatCompletion.mockResolvedValue({
+      model: 'gpt-4.1-nano-2025-04-14',
+      usage: { prompt_tokens: 60, completion_tokens: 12 },
+      choices: [{ message: { role: 'assistant', content: 'An old message was sent.' } }]
+    });
+    const onUsage = jest.fn();
+
+    await buildConversationContext({ conversationId: 'conv-usage', systemPrompt, userMessage, apiKey: 'sk-user', onUsage });
+
+    expect(openaiService.createChatCompletion).toHaveBeenCalledWith(expect.any(Object), { apiKey: 'sk-user' });
+    expect(onUsage).toHaveBeenCalledWith({
+      model: 'gpt-4.1-nano-2025-04-14',
+      usage: { prompt_tokens: 60, completion_tokens: 12 }
+    });
+  });
+
+  it('should simply drop trimmed turns when summarization is disabled', async () => {
+    config.context.summarizeOverflow = false;
+    config.context.maxTokens = estimateTokens({ role: 'system', content: systemPrompt }) + estimateTokens(userMessage) + 5;
+    mockHistory([{ id: 'u1', role: 'user', content: 'An old message that does not fit' }]);
+
+    const messages = await buildConversationContext({ conversationId: 'conv-1', systemPrompt, userMessage });
+
+    expect(openaiService.createChatCompletion).not.toHaveBeenCalled();
+    expect(messages).toEqual([{ role: 'system', content: systemPrompt }, userMessage]);
+  });
+});
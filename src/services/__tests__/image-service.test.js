@@ -0,0 +1,438 @@
+const imageService = require('../image-service');
+const openaiService = require('../openai-service');
+const { imageProviders, moderationProviders } = require('../../providers');
+const createRulesModeration = require('../../providers/rules-moderation');
+const moderationConfig = require('../../config').moderation;
+const { imageStore } = require('../../storage');
+const createImageMemoryDriver = require('../../storage/drivers/image-memory-driver');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { encodePng, pngChunk } = require('../../utils/placeholder-image');
+const imageProcessor = require('../../utils/image-processor');
+
+// Mock the openaiService
+jest.mock('../openai-service', () => ({
+  generateImages: jest.fn(),
+  editImages: jest.fn(),
+  generateImagesStream: jest.fn(),
+  analyzePromptForImageGeneration: jest.fn()
+}));
+
+// Build an async iterable of image generation events
+const mockStream = (events) => ({
+  async *[Symbol.asyncIterator]() {
+    for (const event of events) {
+      yield event;
+    }
+  }
+});
+
+describe('Image Service', () => {
+  beforeAll(() => {
+    imageStore.setDriver(createImageMemoryDriver());
+  });
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    
+    openaiService.analyzePromptForImageGeneration.mockResolvedValue({
+      size: '1024x1024',
+      quality: 'high',
+      background: 'auto'
+    });
+  });
+  
+  describe('processUpload', () => {
+    // Write an upload to disk the way multer does
+    const upload = (data, mimetype) => {
+      const filePath = path.join(os.tmpdir(), `upload-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+      fs.writeFileSync(filePath, data);
+      return { path: filePath, originalname: 'photo.jpg', mimetype, size: data.length };
+    };
+    
+    it('should store the image without its metadata, typed by its content', async () => {
+      const png = encodePng(2, 2, Buffer.alloc(16));
+      const tagged = Buffer.concat([png.subarray(0, 33), pngChunk('tEXt', Buffer.from('Location\0Home', 'binary')), png.subarray(33)]);
+      
+      const result = await imageService.processUpload(upload(tagged, 'image/jpeg'));
+      const stored = await imageService.getImage(result.id);
+      
+      expect(result).toMatchObject({ type: 'image/png', size: png.length, width: 2, height: 2, filename: 'photo.jpg' });
+      expect(stored.data).toEqual(png);
+    });
+    
+    it('should reject files that are not images whatever type they declare', async () => {
+      await expect(imageService.processUpload(upload(Buffer.from('#!/bin/sh\nrm -rf /'), 'image/png')))
+        .rejects.toMatchObject({ statusCode: 400, code: 'UNRECOGNIZED_IMAGE_CONTENT' });
+    });
+  });
+  
+  describe('generateImagesStream', () => {
+    it('should report partial images and return the completed image', async () => {
+      openaiService.generateImagesStream.mockResolvedValue(mockStream([
+        // Named events are wrapped by the SDK
+        {
+          event: 'image_generation.partial_image',
+          data: { type: 'image_generation.partial_image', partial_image_index: 0, b64_json: 'preview-1' }
+        },
+        { type: 'image_generation.partial_image', partial_image_index: 1, b64_json: 'preview-2' },
+        { type: 'image_generation.completed', b64_json: 'final', usage: { total_tokens: 100 } }
+      ]));
+      const onPartialImage = jest.fn();
+      
+      const result = await imageService.generateImagesStream({ prompt: 'A lighthouse' }, { onPartialImage });
+      
+      expect(openaiService.generateImagesStream).toHaveBeenCalledWith(
+        { prompt: 'A lighthouse', size: '1024x1024', quality: 'high', background: 'auto' },
+        { signal: undefined }
+      );
+      expect(onPartialImage.mock.calls).toEqual([
+        [{ index: 0, partialImageIndex: 0, base64: 'preview-1', mimeType: 'image/png' }],
+        [{ index: 0, partialImageIndex: 1, base64: 'preview-2', mimeType: 'image/png' }]
+      ]);
+      expect(result.images).toHaveLength(1);
+      expect(result.images[0]).toMatchObject({ id: expect.any(String), base64: 'final' });
+      expect(result.usage).toEqual({ total_tokens: 100 });
+    });
+    
+    it('should skip prompt analysis when all parameters are provided', async () => {
+      openaiService.generateImagesStream.mockResolvedValue(mockStream([
+        { type: 'image_generation.completed', b64_json: 'final' }
+      ]));
+      const params = { prompt: 'A lighthouse', size: '1536x1024', quality: 'low', background: 'opaque' };
+      
+      await imageService.generateImagesStream(params);
+      
+      expect(openaiService.analyzePromptForImageGeneration).not.toHaveBeenCalled();
+      expect(openaiService.generateImagesStream).toHaveBeenCalledWith(params, { signal: undefined });
+    });
+    
+    it('should fail if the stream ends without a completed image', async () => {
+      openaiService.generateImagesStream.mockResolvedValue(mockStream([
+        { type: 'image_generation.partial_image', partial_image_index: 0, b64_json: 'preview-1' }
+      ]));
+      
+      await expect(imageService.generateImagesStream({ prompt: 'A lighthouse' }))
+        .rejects.toMatchObject({ name: 'OpenAIError', code: 'IMAGE_GENERATION_ERROR' });
+    });
+    
+    it('should wrap errors raised while reading the stream', async () => {
+      openaiService.generateImagesStream.mockResolvedValue({
+        async *[Symbol.asyncIterator]() {
+          throw new Error('Connection reset');
+        }
+      });
+      
+      await expect(imageService.generateImagesStream({ prompt: 'A lighthouse' }))
+        .rejects.toMatchObject({ name: 'OpenAIError', message: 'Connection reset' });
+    });
+  });
+  
+  describe('providers', () => {
+    // A self-hosted backend that renders small square images without prompt analysis
+    const localProvider = {
+      name: 'local',
+      describe: jest.fn().mockResolvedValue({
+        sizes: ['1024x1024'],
+        qualities: ['auto'],
+        backgrounds: ['auto'],
+        maxImages: 2,
+        edit: false,
+        mask: false,
+        streaming: false,
+        promptAnalysis: false
+      }),
+      generate: jest.fn().mockResolvedValue({ images: [{ base64: 'local-image' }], usage: { steps: 20 }, attempts: 1 })
+    };
+    
+    beforeAll(() => {
+      imageProviders.setProvider('local', localProvider);
+    });
+    
+    it('should generate with the requested provider without analyzing the prompt', async () => {
+      const result = await imageService.generateImages({ prompt: 'A lighthouse', provider: 'local' });
+      
+      expect(localProvider.generate).toHaveBeenCalledWith({ prompt: 'A lighthouse' }, {});
+      expect(openaiService.analyzePromptForImageGeneration).not.toHaveBeenCalled();
+      expect(result).toMatchObject({
+        images: [{ id: expect.any(String), base64: 'local-image' }],
+        usage: { steps: 20 },
+        attempts: 1,
+        provider: 'local'
+      });
+    });
+    
+    it('should store generated images and return their URLs', async () => {
+      const png = encodePng(2, 2, Buffer.alloc(16));
+      localProvider.generate.mockResolvedValueOnce({ images: [{ base64: png.toString('base64') }] });
+      
+      const result = await imageService.generateImages({ prompt: 'A lighthouse', provider: 'local' });
+      const [image] = result.images;
+      
+      expect(image.url).toBe(`/api/images/${image.id}`);
+      expect(image.mimeType).toBe('image/png');
+      
+      const stored = await imageService.getImage(image.id);
+      expect(stored.data.equals(png)).toBe(true);
+      expect(stored.record).toMatchObject({ id: image.id, source: 'generation', mimeType: 'image/png' });
+    });
+    
+    it('should use OpenAI when no provider is named', async () => {
+      openaiService.generateImages.mockResolvedValue({ data: [{ b64_json: 'openai-image' }], usage: { total_tokens: 10 } });
+      
+      const result = await imageService.generateImages({ prompt: 'A lighthouse' });
+      
+      expect(result.provider).toBe('openai');
+      expect(result.images[0].base64).toBe('openai-image');
+    });
+    
+    it('should request the output format from OpenAI and label the images with it', async () => {
+      const jpeg = Buffer.from('ffd8ffe000104a4649460001', 'hex').toString('base64');
+      openaiService.generateImages.mockResolvedValue({ data: [{ b64_json: jpeg }] });
+      
+      const result = await imageService.generateImages({ prompt: 'A lighthouse', output_format: 'jpeg', output_compression: 50 });
+      
+      expect(openaiService.generateImages).toHaveBeenCalledWith(
+        expect.objectContaining({ output_format: 'jpeg', output_compression: 50 }),
+        expect.any(Object)
+      );
+      expect(result.images[0].mimeType).toBe('image/jpeg');
+    });
+    
+    it('should stream from providers that cannot stream by returning the final image only', async () => {
+      const onPartialImage = jest.fn();
+      
+      const result = await imageService.generateImagesStream({ prompt: 'A lighthouse', provider: 'local' }, { onPartialImage });
+      
+      expect(localProvider.generate).toHaveBeenCalledWith({ prompt: 'A lighthouse' }, { signal: undefined });
+      expect(onPartialImage).not.toHaveBeenCalled();
+      expect(result.images[0].base64).toBe('local-image');
+    });
+    
+    it('should reject parameters the provider does not support', async () => {
+      await expect(imageService.generateImages({ prompt: 'A lighthouse', provider: 'local', size: '1536x1024' }))
+        .rejects.toMatchObject({ code: 'UNSUPPORTED_PROVIDER_FEATURE', details: { size: 'Must be one of: 1024x1024' } });
+      await expect(imageService.generateImages({ prompt: 'A lighthouse', provider: 'local', n: 3 }))
+        .rejects.toMatchObject({ code: 'UNSUPPORTED_PROVIDER_FEATURE', details: { n: expect.any(String) } });
+      await expect(imageService.editImages({ prompt: 'Add a boat', image: 'base64', provider: 'local' }))
+        .rejects.toMatchObject({ code: 'UNSUPPORTED_PROVIDER_FEATURE', details: { edit: 'Editing is not supported' } });
+      await expect(imageService.generateImages({ prompt: 'A lighthouse', provider: 'local', output_format: 'webp' }))
+        .rejects.toMatchObject({ code: 'UNSUPPORTED_PROVIDER_FEATURE', details: { output_format: 'Must be one of: png' } });
+      expect(localProvider.generate).not.toHaveBeenCalled();
+    });
+    
+    it('should reject unknown providers', async () => {
+      await expect(imageService.generateImages({ prompt: 'A lighthouse', provider: 'missing' }))
+        .rejects.toMatchObject({ code: 'UNKNOWN_PROVIDER' });
+    });
+  });
+  
+  describe('moderation', () => {
+    beforeAll(() => {
+      moderationProviders.setProvider('rules', createRulesModeration({ blocklist: ['forbidden'] }));
+      moderationConfig.checks = ['rules'];
+    });
+    
+    afterAll(() => {
+      moderationConfig.checks = [];
+    });
+    
+    it('should reject flagged prompts before analyzing them or calling the provider', async () => {
+      await expect(imageService.generateImages({ prompt: 'A forbidden lighthouse' }))
+        .rejects.toMatchObject({ code: 'PROMPT_REJECTED', categories: ['blocklist'] });
+      await expect(imageService.generateImagesStream({ prompt: 'A forbidden lighthouse' }))
+        .rejects.toMatchObject({ code: 'PROMPT_REJECTED' });
+      await expect(imageService.editImages({ image: 'base64-image', prompt: 'Make it forbidden' }))
+        .rejects.toMatchObject({ code: 'PROMPT_REJECTED' });
+      
+      expect(openaiService.analyzePromptForImageGeneration).not.toHaveBeenCalled();
+      expect(openaiService.generateImages).not.toHaveBeenCalled();
+      expect(openaiService.generateImagesStream).not.toHaveBeenCalled();
+      expect(openaiService.editImages).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('style presets', () => {
+    it('should apply the preset template and defaults before analyzing the prompt', async () => {
+      openaiService.generateImages.mockResolvedValue({ data: [{ b64_json: 'styled-image' }] });
+      
+      await imageService.generateImages({ prompt: 'A fox', preset: 'watercolor', quality: 'low' });
+      
+      // The analysis only chooses the size, which neither the request nor the preset sets
+      expect(openaiService.analyzePromptForImageGeneration).toHaveBeenCalledWith('A fox, loose watercolor painting on textured paper', { apiKey: undefined });
+      expect(openaiService.generateImages).toHaveBeenCalledWith({
+        prompt: 'A fox, loose watercolor painting on textured paper',
+        size: '1024x1024',
+        quality: 'low',
+        background: 'opaque'
+      }, expect.any(Object));
+    });
+    
+    it('should apply presets to streamed generations', async () => {
+      openaiService.generateImagesStream.mockResolvedValue(mockStream([
+        { type: 'image_generation.completed', b64_json: 'final' }
+      ]));
+      
+      await imageService.generateImagesStream({ prompt: 'a lighthouse', preset: 'photoreal' });
+      
+      expect(openaiService.analyzePromptForImageGeneration).not.toHaveBeenCalled();
+      expect(openaiService.generateImagesStream).toHaveBeenCalledWith(expect.objectContaining({
+        prompt: 'Photorealistic photograph of a lighthouse, natural light, shallow depth of field',
+        size: '1536x1024'
+      }), expect.any(Object));
+    });
+    
+    it('should reject unknown presets before generating', async () => {
+      await expect(imageService.generateImages({ prompt: 'A fox', preset: 'missing' }))
+        .rejects.toMatchObject({ statusCode: 404, code: 'PRESET_NOT_FOUND' });
+      expect(openaiService.generateImages).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('prompt analysis', () => {
+    it('should report the usage of the analysis without passing the callback to the provider', async () => {
+      openaiService.generateImages.mockResolvedValue({ data: [{ b64_json: 'analyzed-image' }] });
+      const onUsage = jest.fn();
+      
+      await imageService.generateImages({ prompt: 'A fox' }, { apiKey: 'sk-user', onUsage });
+      
+      expect(openaiService.analyzePromptForImageGeneration).toHaveBeenCalledWith('A fox', { apiKey: 'sk-user', onUsage });
+      expect(openaiService.generateImages).toHaveBeenCalledWith(expect.any(Object), { signal: undefined, apiKey: 'sk-user' });
+    });
+  });
+  
+  describe('metadata', () => {
+    // A distinct 2x2 PNG, as base64, for each fill value; only images are stored
+    const pngBase64 = (fill) => encodePng(2, 2, Buffer.alloc(16, fill)).toString('base64');
+    
+    it('should record the prompt, effective parameters and usage of generated images', async () => {
+      openaiService.generateImages.mockResolvedValueOnce({ data: [{ b64_json: pngBase64(1) }], usage: { total_tokens: 10 }, attempts: 1 });
+      
+      const result = await imageService.generateImages({ prompt: 'A lighthouse', n: 1 }, { requestId: 'req-1' });
+      const metadata = await imageService.getImageMetadata(result.images[0].id);
+      
+      expect(metadata).toMatchObject({
+        id: result.images[0].id,
+        url: `/api/images/${result.images[0].id}`,
+        source: 'generation',
+        metadata: {
+          prompt: 'A lighthouse',
+          params: { n: 1, size: '1024x1024', quality: 'high', background: 'auto' },
+          provider: 'openai',
+          model: 'gpt-image-1',
+          usage: { total_tokens: 10 },
+          parentIds: [],
+          maskId: null,
+          requestId: 'req-1'
+        }
+      });
+    });
+    
+    it('should record the source images and mask of edits', async () => {
+      openaiService.editImages.mockResolvedValueOnce({ data: [{ b64_json: pngBase64(2) }], usage: { total_tokens: 20 } });
+      
+      const result = await imageService.editImages({
+        prompt: 'Add a boat',
+        image: [pngBase64(3), pngBase64(4)],
+        mask: encodePng(2, 2, Buffer.alloc(16)).toString('base64'),
+        size: '1024x1024',
+        quality: 'low'
+      });
+      const { metadata } = await imageService.getImageMetadata(result.images[0].id);
+      
+      expect(metadata.prompt).toBe('Add a boat');
+      expect(metadata.params).toEqual({ size: '1024x1024', quality: 'low' });
+      expect(metadata.parentIds).toHaveLength(2);
+      
+      const parent = await imageService.getImage(metadata.parentIds[1]);
+      const mask = await imageService.getImageMetadata(metadata.maskId);
+      expect(parent.record.source).toBe('edit-input');
+      expect(parent.data.toString('base64')).toBe(pngBase64(4));
+      expect(mask.source).toBe('mask');
+    });
+    
+    it('should reject masks that do not match the source image before editing', async () => {
+      const image = encodePng(4, 4, Buffer.alloc(64)).toString('base64');
+      
+      await expect(imageService.editImages({ prompt: 'Add a boat', image, mask: encodePng(2, 2, Buffer.alloc(16)).toString('base64') }))
+        .rejects.toMatchObject({ code: 'INVALID_MASK', details: { mask: 'Mask is 2x2 but the image is 4x4' } });
+      await expect(imageService.editImages({ prompt: 'Add a boat', image, mask: Buffer.from('mask').toString('base64') }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'UNRECOGNIZED_IMAGE_CONTENT' });
+      
+      expect(openaiService.editImages).not.toHaveBeenCalled();
+    });
+    
+    it('should turn inline images upright before checking masks drawn over what the browser showed', async () => {
+      openaiService.editImages.mockResolvedValueOnce({ data: [{ b64_json: pngBase64(2) }] });
+      
+      // Stored 4x2 and shown turned a quarter clockwise, so the browser draws a 2x4 mask
+      const exif = Buffer.alloc(26);
+      exif.write('MM', 0, 'ascii');
+      exif.writeUInt16BE(42, 2);
+      exif.writeUInt32BE(8, 4);
+      exif.writeUInt16BE(1, 8);
+      exif.writeUInt16BE(0x0112, 10);
+      exif.writeUInt16BE(3, 12);
+      exif.writeUInt32BE(1, 14);
+      exif.writeUInt16BE(6, 18);
+      const stored = encodePng(4, 2, Buffer.alloc(32, 255));
+      const image = Buffer.concat([stored.subarray(0, 33), pngChunk('eXIf', exif), stored.subarray(33)]).toString('base64');
+      
+      const result = await imageService.editImages({
+        prompt: 'Add a boat',
+        image,
+        mask: encodePng(2, 4, Buffer.alloc(32)).toString('base64'),
+        size: '1024x1024',
+        quality: 'low'
+      });
+      
+      const { metadata } = await imageService.getImageMetadata(result.images[0].id);
+      const parent = await imageService.getImage(metadata.parentIds[0]);
+      expect(imageProcessor.readImageDimensions(parent.data)).toEqual({ width: 2, height: 4 });
+      expect(parent.data.toString('binary')).not.toContain('eXIf');
+    });
+    
+    it('should edit stored images given by ID and link the result to them', async () => {
+      openaiService.editImages.mockResolvedValueOnce({ data: [{ b64_json: pngBase64(2) }] });
+      const source = await imageStore.saveImage({ data: encodePng(2, 2, Buffer.alloc(16)), source: 'upload' });
+      
+      const result = await imageService.editImages({ prompt: 'Add a boat', image: source.id, size: '1024x1024', quality: 'low' });
+      const { metadata } = await imageService.getImageMetadata(result.images[0].id);
+      
+      expect(metadata.parentIds).toEqual([source.id]);
+      
+      // The provider uploads the stored bytes as a file
+      const [editParams] = openaiService.editImages.mock.calls[0];
+      expect(editParams.image).toHaveLength(1);
+      expect(editParams.image[0].name).toBe('image-0.png');
+    });
+    
+    it('should report unknown or expired image IDs before editing', async () => {
+      await expect(imageService.editImages({ prompt: 'Add a boat', image: 'img_expired' }))
+        .rejects.toMatchObject({ statusCode: 404, code: 'IMAGE_NOT_FOUND' });
+      await expect(imageService.editImages({ prompt: 'Add a boat', image: pngBase64(5), mask: { id: 'img_missing_mask' } }))
+        .rejects.toMatchObject({ statusCode: 404, code: 'IMAGE_NOT_FOUND' });
+      
+      expect(openaiService.analyzePromptForImageGeneration).not.toHaveBeenCalled();
+      expect(openaiService.editImages).not.toHaveBeenCalled();
+    });
+    
+    it('should keep images to their owner and refuse to edit images of other users', async () => {
+      openaiService.editImages.mockResolvedValue({ data: [{ b64_json: pngBase64(3) }] });
+      const upload = await imageStore.saveImage({ data: encodePng(2, 2, Buffer.alloc(16, 7)), source: 'upload', ownerId: 'usr_alice' });
+      
+      const result = await imageService.editImages({ prompt: 'Add a boat', image: upload.id }, { ownerId: 'usr_alice' });
+      expect((await imageService.getImageMetadata(result.images[0].id, { ownerId: 'usr_alice' })).ownerId).toBe('usr_alice');
+      
+      await expect(imageService.getImage(upload.id, { ownerId: 'usr_bob' })).rejects.toMatchObject({ code: 'IMAGE_NOT_FOUND' });
+      await expect(imageService.editImages({ prompt: 'Add a boat', image: upload.id }, { ownerId: 'usr_bob' }))
+        .rejects.toMatchObject({ statusCode: 404, code: 'IMAGE_NOT_FOUND' });
+      expect(openaiService.editImages).toHaveBeenCalledTimes(1);
+    });
+    
+    it('should report unknown images as not found', async () => {
+      await expect(imageService.getImageMetadata('img_missing')).rejects.toMatchObject({ code: 'IMAGE_NOT_FOUND' });
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,150 @@
+const jobService = require('../job-service');
+
+jest.mock('../../config', () => ({
+  jobs: {
+    concurrency: 1,
+    maxQueued: 2,
+    retention: 60000
+  }
+}));
+
+// Silence job failure logs
+jest.mock('../../utils/logger', () => ({
+  error: jest.fn()
+}));
+
+// Create a task that settles when the test says so, rejecting when its signal aborts
+const deferredTask = () => {
+  const task = {};
+  task.run = jest.fn(signal => new Promise((resolve, reject) => {
+    task.resolve = resolve;
+    task.reject = reject;
+    signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+  }));
+  return task;
+};
+
+// Let pending promise callbacks run
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Job Service', () => {
+  it('should run a job and report its result', async () => {
+    const task = deferredTask();
+    
+    const submitted = jobService.submitJob('image.generate', task.run);
+    expect(submitted).toMatchObject({ type: 'image.generate', status: 'queued', result: null });
+    expect(jobService.getJob(submitted.id).status).toBe('running');
+    
+    task.resolve({ images: ['image'] });
+    await flush();
+    
+    expect(jobService.getJob(submitted.id)).toMatchObject({
+      status: 'succeeded',
+      result: { images: ['image'] },
+      startedAt: expect.any(String),
+      finishedAt: expect.any(String)
+    });
+  });
+  
+  it('should report failures with the error code', async () => {
+    const error = Object.assign(new Error('Rate limited'), { code: 'IMAGE_GENERATION_ERROR', attempts: 4 });
+    
+    const { id } = jobService.submitJob('image.generate', async () => {
+      throw error;
+    });
+    await flush();
+    
+    expect(jobService.getJob(id)).toMatchObject({
+      status: 'failed',
+      error: { message: 'Rate limited', code: 'IMAGE_GENERATION_ERROR', attempts: 4 }
+    });
+  });
+  
+  it('should queue jobs beyond the concurrency limit and refuse them when the queue is full', async () => {
+    const first = deferredTask();
+    const second = deferredTask();
+    const third = deferredTask();
+    
+    const firstJob = jobService.submitJob('image.generate', first.run);
+    const secondJob = jobService.submitJob('image.generate', second.run);
+    jobService.submitJob('image.generate', third.run);
+    
+    expect(() => jobService.submitJob('image.generate', jest.fn())).toThrow(expect.objectContaining({
+      code: 'JOB_QUEUE_FULL',
+      statusCode: 503
+    }));
+    expect(jobService.getJob(secondJob.id).status).toBe('queued');
+    expect(second.run).not.toHaveBeenCalled();
+    
+    first.resolve('done');
+    await flush();
+    
+    expect(jobService.getJob(firstJob.id).status).toBe('succeeded');
+    expect(jobService.getJob(secondJob.id).status).toBe('running');
+    
+    second.resolve('done');
+    await flush();
+    third.resolve('done');
+    await flush();
+  });
+  
+  it('should cancel queued and running jobs', async () => {
+    const running = deferredTask();
+    const queued = deferredTask();
+    
+    const runningJob = jobService.submitJob('image.edit', running.run);
+    const queuedJob = jobService.submitJob('image.edit', queued.run);
+    
+    expect(jobService.cancelJob(queuedJob.id).status).toBe('cancelled');
+    expect(jobService.cancelJob(runningJob.id).status).toBe('cancelled');
+    await flush();
+    
+    // The aborted request does not turn the job into a failure, and the queued one never starts
+    expect(running.run.mock.calls[0][0].aborted).toBe(true);
+    expect(jobService.getJob(runningJob.id)).toMatchObject({ status: 'cancelled', error: null });
+    expect(queued.run).not.toHaveBeenCalled();
+  });
+  
+  it('should call onFinish once when a job stops, however it ends', async () => {
+    const running = deferredTask();
+    const queued = deferredTask();
+    const onRunningFinish = jest.fn();
+    const onQueuedFinish = jest.fn();
+    
+    const runningJob = jobService.submitJob('image.generate', running.run, { onFinish: onRunningFinish });
+    const queuedJob = jobService.submitJob('image.generate', queued.run, { onFinish: onQueuedFinish });
+    
+    // A queued job never starts, so it is finished as soon as it is cancelled
+    jobService.cancelJob(queuedJob.id);
+    expect(onQueuedFinish).toHaveBeenCalledTimes(1);
+    
+    // A running job is finished once its request stops
+    jobService.cancelJob(runningJob.id);
+    expect(onRunningFinish).not.toHaveBeenCalled();
+    await flush();
+    expect(onRunningFinish).toHaveBeenCalledTimes(1);
+    expect(onQueuedFinish).toHaveBeenCalledTimes(1);
+  });
+  
+  it('should not cancel finished jobs', async () => {
+    const { id } = jobService.submitJob('image.generate', async () => 'done');
+    await flush();
+    
+    expect(() => jobService.cancelJob(id)).toThrow(expect.objectContaining({ code: 'JOB_ALREADY_FINISHED', statusCode: 409 }));
+  });
+  
+  it('should report unknown jobs as not found', () => {
+    expect(() => jobService.getJob('job_missing')).toThrow(expect.objectContaining({ code: 'JOB_NOT_FOUND', statusCode: 404 }));
+  });
+  
+  it('should only let the submitter read or cancel a job', async () => {
+    const { id } = jobService.submitJob('image.generate', async () => 'done', { ownerId: 'usr_alice' });
+    await flush();
+    
+    expect(id).toMatch(/^job_\d+_[0-9a-f]{24}$/);
+    expect(jobService.getJob(id, { ownerId: 'usr_alice' }).status).toBe('succeeded');
+    expect(() => jobService.getJob(id, { ownerId: 'usr_bob' })).toThrow(expect.objectContaining({ code: 'JOB_NOT_FOUND' }));
+    expect(() => jobService.getJob(id)).toThrow(expect.objectContaining({ code: 'JOB_NOT_FOUND' }));
+    expect(() => jobService.cancelJob(id, { ownerId: 'usr_bob' })).toThrow(expect.objectContaining({ code: 'JOB_NOT_FOUND' }));
+  });
+});
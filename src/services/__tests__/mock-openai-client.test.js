@@ -0,0 +1,182 @@
+const { createMockOpenAIClient } = require('../mock-openai-client');
+
+/**
+ * Read the dimensions of a base64 PNG
+ * @param {string} base64 - Base64 PNG
+ * @returns {Object} Width and height
+ */
+function pngSize(base64) {
+  const png = Buffer.from(base64, 'base64');
+  return { width: png.readUInt32BE(16), height: png.readUInt32BE(20) };
+}
+
+describe('Mock OpenAI Client', () => {
+  let client;
+  
+  beforeEach(() => {
+    client = createMockOpenAIClient();
+  });
+  
+  describe('images.generate', () => {
+    it('should return n placeholder PNGs of the requested size with usage', async () => {
+      const response = await client.images.generate({
+        prompt: 'A lighthouse at dusk',
+        n: 2,
+        size: '1536x1024',
+        quality: 'low'
+      });
+      
+      expect(response.data).toHaveLength(2);
+      expect(pngSize(response.data[0].b64_json)).toEqual({ width: 1536, height: 1024 });
+      expect(response.data[0].b64_json).not.toBe(response.data[1].b64_json);
+      expect(response.usage).toEqual({
+        total_tokens: 5 + 816,
+        input_tokens: 5,
+        output_tokens: 816,
+        input_tokens_details: { text_tokens: 5, image_tokens: 0 }
+      });
+    });
+    
+    it('should be deterministic', async () => {
+      const first = await client.images.generate({ prompt: 'A lighthouse', size: '1024x1024' });
+      const second = await client.images.generate({ prompt: 'A lighthouse', size: '1024x1024' });
+      
+      expect(first.data[0].b64_json).toBe(second.data[0].b64_json);
+    });
+    
+    it('should stream partial images before the completed image', async () => {
+      const stream = await client.images.generate({
+        prompt: 'A lighthouse',
+        size: '1024x1024',
+        stream: true,
+        partial_images: 2
+      });
+      
+      const events = [];
+      for await (const event of stream) {
+        events.push(event);
+      }
+      
+      expect(events.map(event => event.type)).toEqual([
+        'image_generation.partial_image',
+        'image_generation.partial_image',
+        'image_generation.completed'
+      ]);
+      expect(events.map(event => event.partial_image_index)).toEqual([0, 1, undefined]);
+      expect(events[2].usage).toHaveProperty('output_tokens', 4160);
+    });
+  });
+  
+  describe('images.edit', () => {
+    it('should count input images in the usage', async () => {
+      const response = await client.images.edit({ prompt: 'Add a hat', image: ['a', 'b'], size: '1024x1024', quality: 'medium' });
+      
+      expect(response.data).toHaveLength(1);
+      expect(response.usage.input_tokens_details.image_tokens).toBe(2 * 323);
+      expect(response.usage.output_tokens).toBe(1056);
+    });
+  });
+  
+  describe('chat.completions.create', () => {
+    it('should return a canned reply that quotes the user', async () => {
+      const response = await client.chat.completions.create({
+        model: 'gpt-4.1-nano',
+        messages: [
+          { role: 'system', content: 'You are helpful.' },
+          { role: 'user', content: [{ type: 'text', text: 'Hello there' }, { type: 'image_url', image_url: { url: 'data:image/png;base64,AA==' } }] }
+        ]
+      });
+      
+      const { content } = response.choices[0].message;
+      expect(content).toContain('You said: "Hello there"');
+      expect(content).toContain('I received 1 image(s)');
+      expect(response.usage.total_tokens).toBe(response.usage.prompt_tokens + response.usage.completion_tokens);
+    });
+    
+    it('should answer prompt analysis requests with JSON parameters', async () => {
+      const response = await client.chat.completions.create({
+        messages: [{ role: 'user', content: 'A fox logo for a wide banner' }],
+        response_format: { type: 'json_object' }
+      });
+      
+      expect(JSON.parse(response.choices[0].message.content)).toEqual({
+        size: '1536x1024',
+        quality: 'medium',
+        background: 'transparent'
+      });
+    });
+    
+    it('should answer prompt enhancement requests with one distinct suggestion per choice', async () => {
+      const response = await client.chat.completions.create({
+        messages: [{ role: 'system', content: 'Rewrite the prompt.' }, { role: 'user', content: 'a fox' }],
+        response_format: { type: 'json_schema', json_schema: { name: 'enhanced_prompt' } },
+        n: 3
+      });
+      
+      const prompts = response.choices.map(choice => JSON.parse(choice.message.content).prompt);
+      expect(prompts).toHaveLength(3);
+      expect(new Set(prompts).size).toBe(3);
+      expect(prompts.every(prompt => prompt.startsWith('a fox, '))).toBe(true);
+      expect(response.usage.total_tokens).toBeGreaterThan(0);
+    });
+    
+    it('should call the image tools for requests that ask for an image', async () => {
+      const tools = [{ type: 'function', function: { name: 'generate_image' } }, { type: 'function', function: { name: 'edit_image' } }];
+      
+      const generate = await client.chat.completions.create({ messages: [{ role: 'user', content: 'Draw a red fox' }], tools });
+      expect(generate.choices[0].finish_reason).toBe('tool_calls');
+      expect(generate.choices[0].message.tool_calls[0].function).toEqual({
+        name: 'generate_image',
+        arguments: JSON.stringify({ prompt: 'Draw a red fox' })
+      });
+      
+      const edit = await client.chat.completions.create({
+        messages: [{
+          role: 'user',
+          content: [
+            { type: 'text', text: 'Make the sky purple' },
+            { type: 'image_url', image_url: { url: 'data:image/png;base64,AA==' } },
+            { type: 'text', text: 'Attached image IDs: img_a' }
+          ]
+        }],
+        tools
+      });
+      expect(JSON.parse(edit.choices[0].message.tool_calls[0].function.arguments)).toEqual({
+        prompt: 'Make the sky purple',
+        image_ids: ['img_a']
+      });
+      
+      const question = await client.chat.completions.create({ messages: [{ role: 'user', content: 'Is red a warm color?' }], tools });
+      expect(question.choices[0].message).not.toHaveProperty('tool_calls');
+      
+      // Follow-up changes refine the latest image, which the server fills in
+      const refine = await client.chat.completions.create({
+        messages: [
+          { role: 'system', content: 'You are helpful.\n\nLatest image IDs: img_c.' },
+          { role: 'user', content: 'Now make it darker' }
+        ],
+        tools
+      });
+      expect(JSON.parse(refine.choices[0].message.tool_calls[0].function.arguments)).toEqual({ prompt: 'Now make it darker' });
+    });
+    
+    it('should stream the reply word by word with a final usage chunk', async () => {
+      const stream = await client.chat.completions.create({
+        messages: [{ role: 'user', content: 'Hi' }],
+        stream: true,
+        stream_options: { include_usage: true }
+      });
+      
+      let content = '';
+      let usage;
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0] && chunk.choices[0].delta;
+        if (delta && delta.content) content += delta.content;
+        if (chunk.usage) usage = chunk.usage;
+      }
+      
+      expect(content).toContain('You said: "Hi"');
+      expect(usage).toHaveProperty('total_tokens');
+    });
+  });
+});
@@ -0,0 +1,67 @@
+const moderationService = require('../moderation-service');
+const { moderationProviders } = require('../../providers');
+const config = require('../../config').moderation;
+
+describe('Moderation Service', () => {
+  const originalConfig = { ...config };
+  const passing = { name: 'passing', check: jest.fn() };
+  const flagging = { name: 'flagging', check: jest.fn() };
+  
+  beforeAll(() => {
+    moderationProviders.setProvider('passing', passing);
+    moderationProviders.setProvider('flagging', flagging);
+  });
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    passing.check.mockResolvedValue({ flagged: false, categories: [] });
+    flagging.check.mockResolvedValue({ flagged: true, categories: ['violence', 'blocklist'] });
+    config.failOpen = false;
+  });
+  
+  afterAll(() => {
+    Object.assign(config, originalConfig);
+  });
+  
+  it('should do nothing when no checks are configured', async () => {
+    config.checks = [];
+    
+    await expect(moderationService.moderatePrompt('Anything')).resolves.toBeUndefined();
+  });
+  
+  it('should run every configured check with the request\'s API key', async () => {
+    config.checks = ['passing'];
+    
+    await moderationService.moderatePrompt('A lighthouse', { apiKey: 'sk-user', requestId: 'req_1' });
+    
+    expect(passing.check).toHaveBeenCalledWith('A lighthouse', { apiKey: 'sk-user' });
+  });
+  
+  it('should reject flagged prompts with the categories they were flagged for', async () => {
+    config.checks = ['passing', 'flagging'];
+    
+    await expect(moderationService.moderatePrompt('Something unsafe')).rejects.toMatchObject({
+      statusCode: 400,
+      code: 'PROMPT_REJECTED',
+      categories: ['violence', 'blocklist'],
+      message: expect.stringContaining('violence, blocklist')
+    });
+  });
+  
+  it('should refuse prompts it cannot check unless configured to fail open', async () => {
+    config.checks = ['passing'];
+    passing.check.mockRejectedValue(new Error('Moderation API down'));
+    
+    await expect(moderationService.moderatePrompt('A lighthouse'))
+      .rejects.toMatchObject({ statusCode: 503, code: 'MODERATION_UNAVAILABLE' });
+    
+    config.failOpen = true;
+    await expect(moderationService.moderatePrompt('A lighthouse')).resolves.toBeUndefined();
+  });
+  
+  it('should reject unknown checks', async () => {
+    config.checks = ['nope'];
+    
+    await expect(moderationService.moderatePrompt('A lighthouse')).rejects.toThrow('Unknown moderation check: nope');
+  });
+});
\ No newline at end of file
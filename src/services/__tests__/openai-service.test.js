@@ -13,6 +13,9 @@ jest.mock('openai', () => {
       completions: {
         create: jest.fn()
       }
+    },
+    moderations: {
+      create: jest.fn()
     }
   };
   
@@ -31,11 +34,28 @@ jest.mock('../../config', () => ({
       size: '1024x1024',
       quality: 'standard',
       background: 'transparent'
+    },
+    streaming: {
+      partialImages: 2
+    },
+    promptAnalysisModel: 'gpt-4.1-nano',
+    enhancement: {
+      maxSuggestions: 4,
+      maxTokens: 400
+    },
+    retry: {
+      maxRetries: 2,
+      initialDelay: 1,
+      maxDelay: 10
     }
+  },
+  moderation: {
+    model: 'omni-moderation-latest'
   }
 }));
 
 const { OpenAI } = require('openai');
+const config = require('../../config');
 const openaiService = require('../openai-service');
 const { OpenAIError } = require('../../utils/error');
 
@@ -100,7 +120,7 @@ describe('OpenAI Service', () => {
         size: '1024x1024',
         quality: 'standard',
         background: 'transparent'
-      });
+      }, { signal: undefined });
       
       // Check the result
       expect(result).toEqual({
@@ -129,7 +149,7 @@ describe('OpenAI Service', () => {
         size: '512x512',
         quality: 'hd',
         background: 'white'
-      });
+      }, { signal: undefined });
       
       // Check the result
       expect(result).toEqual({
@@ -163,6 +183,111 @@ describe('OpenAI Service', () => {
     });
   });
   
+  describe('retries', () => {
+    it('should retry rate limited requests and report the attempt count', async () => {
+      const rateLimitError = Object.assign(new Error('Rate limit reached'), { status: 429, headers: {} });
+      openaiInstance.images.generate
+        .mockRejectedValueOnce(rateLimitError)
+        .mockResolvedValueOnce({ created: Date.now(), data: [{ b64_json: 'image' }] });
+      
+      const result = await openaiService.generateImages({ prompt: 'A beautiful sunset' });
+      
+      expect(openaiInstance.images.generate).toHaveBeenCalledTimes(2);
+      expect(result.attempts).toBe(2);
+      // The attempt count does not change the shape of the API response
+      expect(Object.keys(result)).toEqual(['created', 'data']);
+    });
+    
+    it('should report the attempt count when retries are exhausted', async () => {
+      const serverError = Object.assign(new Error('Server error'), { status: 500, headers: {} });
+      openaiInstance.chat.completions.create.mockRejectedValue(serverError);
+      
+      await expect(openaiService.createChatCompletion({
+        messages: [{ role: 'user', content: 'Hello' }]
+      })).rejects.toMatchObject({ name: 'OpenAIError', attempts: 3 });
+      
+      expect(openaiInstance.chat.completions.create).toHaveBeenCalledTimes(3);
+    });
+  });
+  
+  describe('moderation', () => {
+    afterEach(() => {
+      delete config.moderation.imageModeration;
+    });
+    
+    it('should report prompts blocked by the safety system as rejected', async () => {
+      const blockedError = Object.assign(new Error('Your request was rejected as a result of our safety system.'), {
+        status: 400,
+        code: 'moderation_blocked'
+      });
+      openaiInstance.images.generate.mockRejectedValue(blockedError);
+      openaiInstance.images.edit.mockRejectedValue(blockedError);
+      
+      await expect(openaiService.generateImages({ prompt: 'Something unsafe' }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'PROMPT_REJECTED', categories: ['provider_policy'] });
+      await expect(openaiService.generateImagesStream({ prompt: 'Something unsafe' }))
+        .rejects.toMatchObject({ code: 'PROMPT_REJECTED' });
+      await expect(openaiService.editImages({ image: 'base64-image-data', prompt: 'Something unsafe' }))
+        .rejects.toMatchObject({ code: 'PROMPT_REJECTED' });
+    });
+    
+    it('should send the deployment\'s image moderation level', async () => {
+      config.moderation.imageModeration = 'low';
+      
+      await openaiService.generateImages({ prompt: 'A beautiful sunset' });
+      
+      expect(openaiInstance.images.generate).toHaveBeenCalledWith(expect.objectContaining({ moderation: 'low' }), { signal: undefined });
+    });
+    
+    it('should check text with the moderation model', async () => {
+      const response = { results: [{ flagged: false, categories: {} }] };
+      openaiInstance.moderations.create.mockResolvedValue(response);
+      
+      const result = await openaiService.createModeration({ input: 'A beautiful sunset' });
+      
+      expect(openaiInstance.moderations.create).toHaveBeenCalledWith({
+        model: 'omni-moderation-latest',
+        input: 'A beautiful sunset'
+      }, { signal: undefined });
+      expect(result).toBe(response);
+    });
+  });
+  
+  describe('generateImagesStream', () => {
+    it('should request a stream with partial images', async () => {
+      const mockStream = { [Symbol.asyncIterator]: jest.fn() };
+      openaiInstance.images.generate.mockResolvedValue(mockStream);
+      const controller = new AbortController();
+      
+      // Call the service
+      const result = await openaiService.generateImagesStream({
+        prompt: 'A beautiful sunset'
+      }, { signal: controller.signal });
+      
+      // Check that the OpenAI API was asked for a stream
+      expect(openaiInstance.images.generate).toHaveBeenCalledWith({
+        model: 'dall-e-3',
+        prompt: 'A beautiful sunset',
+        n: 1,
+        size: '1024x1024',
+        quality: 'standard',
+        background: 'transparent',
+        partial_images: 2,
+        stream: true
+      }, { stream: true, signal: controller.signal });
+      
+      expect(result).toBe(mockStream);
+    });
+    
+    it('should handle API errors', async () => {
+      openaiInstance.images.generate.mockRejectedValue(new Error('OpenAI API error'));
+      
+      await expect(openaiService.generateImagesStream({
+        prompt: 'A beautiful sunset'
+      })).rejects.toMatchObject({ name: 'OpenAIError', code: 'IMAGE_GENERATION_ERROR' });
+    });
+  });
+  
   describe('editImages', () => {
     it('should edit images with default parameters', async () => {
       // Call the service
@@ -170,7 +295,7 @@ describe('OpenAI Service', () => {
         image: 'base64-image-data',
         prompt: 'Add a dog to the image',
         mask: 'base64-mask-data'
-      });
+      }, { signal: undefined });
       
       // Check that the OpenAI API was called with the correct parameters
       expect(openaiInstance.images.edit).toHaveBeenCalledWith({
@@ -181,7 +306,7 @@ describe('OpenAI Service', () => {
         n: 1,
         size: '1024x1024',
         quality: 'standard'
-      });
+      }, { signal: undefined });
       
       // Check the result
       expect(result).toEqual({
@@ -212,7 +337,7 @@ describe('OpenAI Service', () => {
         n: 2,
         size: '512x512',
         quality: 'hd'
-      });
+      }, { signal: undefined });
       
       // Check the result
       expect(result).toEqual({
@@ -350,4 +475,77 @@ describe('OpenAI Service', () => {
       }
     });
   });
+  
+  describe('enhancePrompt', () => {
+    it('should ask the prompt analysis model for n JSON suggestions', async () => {
+      openaiInstance.chat.completions.create.mockResolvedValue({
+        model: 'gpt-4.1-nano',
+        choices: [
+          { index: 0, message: { role: 'assistant', content: '{"prompt":"A red fox in a snowy forest"}' } },
+          { index: 1, message: { role: 'assistant', content: '{"prompt":"A red fox at dawn"}' } }
+        ]
+      });
+      
+      const response = await openaiService.enhancePrompt('a fox', { n: 2 });
+      
+      const payload = openaiInstance.chat.completions.create.mock.calls[0][0];
+      expect(payload.model).toBe('gpt-4.1-nano');
+      expect(payload.n).toBe(2);
+      expect(payload.max_tokens).toBe(400);
+      expect(payload.messages[1]).toEqual({ role: 'user', content: 'a fox' });
+      expect(payload.response_format.json_schema.name).toBe('enhanced_prompt');
+      expect(response.choices).toHaveLength(2);
+    });
+    
+    it('should wrap API errors as prompt enhancement errors', async () => {
+      const apiError = new Error('OpenAI API error');
+      openaiInstance.chat.completions.create.mockRejectedValue(apiError);
+      
+      await expect(openaiService.enhancePrompt('a fox')).rejects.toMatchObject({
+        code: 'PROMPT_ENHANCEMENT_ERROR',
+        originalError: apiError
+      });
+    });
+  });
+  
+  describe('user API keys', () => {
+    it('should send requests with the user\'s own key, reusing its client', async () => {
+      const apiKey = 'sk-user-key-0123456789abcdef';
+      OpenAI.mockClear();
+      
+      await openaiService.createChatCompletion({ messages: [{ role: 'user', content: 'Hi' }] }, { apiKey });
+      await openaiService.generateImages({ prompt: 'A beautiful sunset' }, { apiKey });
+      
+      expect(OpenAI).toHaveBeenCalledTimes(1);
+      expect(OpenAI).toHaveBeenCalledWith({ apiKey, maxRetries: 0 });
+      
+      // The key is only used to build the client, never sent as a request option
+      expect(openaiInstance.images.generate.mock.calls[0][1]).toEqual({ signal: undefined });
+    });
+    
+    it('should fall back to the server client without a key', async () => {
+      OpenAI.mockClear();
+      await openaiService.createChatCompletion({ messages: [{ role: 'user', content: 'Hi' }] });
+      
+      expect(OpenAI).not.toHaveBeenCalled();
+      expect(openaiInstance.chat.completions.create).toHaveBeenCalled();
+    });
+  });
+  
+  describe('redactSensitiveInfo', () => {
+    it('should redact credentials at any depth and API keys inside strings', () => {
+      const payload = {
+        prompt: 'use sk-abcdefghijklmnop please',
+        headers: { Authorization: 'Bearer token' },
+        options: [{ apiKey: 'sk-user-key-0123456789abcdef', signal: null }]
+      };
+      
+      expect(openaiService.redactSensitiveInfo(payload)).toEqual({
+        prompt: 'use [REDACTED] please',
+        headers: { Authorization: '[REDACTED]' },
+        options: [{ apiKey: '[REDACTED]', signal: null }]
+      });
+      expect(payload.options[0].apiKey).toBe('sk-user-key-0123456789abcdef');
+    });
+  });
 });
\ No newline at end of file
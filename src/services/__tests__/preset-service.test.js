@@ -0,0 +1,90 @@
+const presetService = require('../preset-service');
+const { presetStore } = require('../../storage');
+const createPresetMemoryDriver = require('../../storage/drivers/preset-memory-driver');
+const config = require('../../config').presets;
+
+describe('Preset Service', () => {
+  const admin = { id: 'usr_1', username: 'root', role: 'admin' };
+  const body = { name: ' Blueprint ', template: '{prompt}, blueprint drawing', size: '1536x1024' };
+  
+  beforeEach(() => {
+    presetStore.setDriver(createPresetMemoryDriver());
+  });
+  
+  describe('listPresets', () => {
+    it('should list built-in presets first, then stored presets', async () => {
+      const created = await presetService.createPreset(body, admin);
+      
+      const presets = await presetService.listPresets();
+      
+      expect(presets.slice(0, config.builtin.length).every(preset => preset.builtin)).toBe(true);
+      expect(presets[presets.length - 1]).toEqual(created);
+    });
+  });
+  
+  describe('createPreset', () => {
+    it('should store the validated fields with who created the preset', async () => {
+      const created = await presetService.createPreset(body, admin);
+      
+      expect(created).toEqual({
+        id: expect.stringMatching(/^preset_/),
+        name: 'Blueprint',
+        template: '{prompt}, blueprint drawing',
+        size: '1536x1024',
+        createdBy: 'usr_1',
+        createdAt: expect.any(String),
+        updatedAt: expect.any(String),
+        builtin: false
+      });
+      expect(await presetService.getPreset(created.id)).toEqual(created);
+    });
+    
+    it('should reject templates without a prompt placeholder', async () => {
+      await expect(presetService.createPreset({ name: 'Blueprint', template: 'blueprint drawing' }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_PRESET_REQUEST', details: { template: expect.any(String) } });
+    });
+  });
+  
+  describe('updatePreset and deletePreset', () => {
+    it('should replace and delete stored presets', async () => {
+      const created = await presetService.createPreset(body, admin);
+      
+      const updated = await presetService.updatePreset(created.id, { name: 'Blueprint', template: 'Blueprint of {prompt}', quality: 'low' });
+      expect(updated).toMatchObject({ template: 'Blueprint of {prompt}', quality: 'low', createdAt: created.createdAt });
+      expect(updated).not.toHaveProperty('size');
+      
+      await presetService.deletePreset(created.id);
+      await expect(presetService.getPreset(created.id)).rejects.toMatchObject({ statusCode: 404, code: 'PRESET_NOT_FOUND' });
+    });
+    
+    it('should not change or delete built-in presets', async () => {
+      await expect(presetService.updatePreset('flat-vector', body)).rejects.toMatchObject({ statusCode: 403, code: 'PRESET_READ_ONLY' });
+      await expect(presetService.deletePreset('flat-vector')).rejects.toMatchObject({ statusCode: 403, code: 'PRESET_READ_ONLY' });
+    });
+  });
+  
+  describe('applyPreset', () => {
+    it('should put the prompt in the template and fill in the parameters the request leaves out', async () => {
+      const created = await presetService.createPreset({ ...body, quality: 'high', background: 'opaque' }, admin);
+      
+      const params = await presetService.applyPreset({ prompt: 'a bridge', preset: created.id, quality: 'low', n: 2 });
+      
+      expect(params).toEqual({
+        prompt: 'a bridge, blueprint drawing',
+        size: '1536x1024',
+        quality: 'low',
+        background: 'opaque',
+        n: 2
+      });
+    });
+    
+    it('should only drop an empty preset name when none is given', async () => {
+      expect(await presetService.applyPreset({ prompt: 'a bridge', preset: '' })).toEqual({ prompt: 'a bridge' });
+    });
+    
+    it('should reject unknown presets', async () => {
+      await expect(presetService.applyPreset({ prompt: 'a bridge', preset: 'missing' }))
+        .rejects.toMatchObject({ statusCode: 404, code: 'PRESET_NOT_FOUND' });
+    });
+  });
+});
\ No newline at end of file
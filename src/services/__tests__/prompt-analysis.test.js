@@ -55,6 +55,28 @@ describe('Prompt Analysis', () => {
     expect(result.background).toBe('transparent');
   });
 
+  test('analyzePromptForImageGeneration reports the usage of the analysis', async () => {
+    openaiService.setOpenAIClient({
+      chat: {
+        completions: {
+          create: jest.fn().mockResolvedValue({
+            model: 'gpt-4.1-nano-2025-04-14',
+            usage: { prompt_tokens: 180, completion_tokens: 20 },
+            choices: [{ message: { content: JSON.stringify({ size: '1024x1024' }) } }]
+          })
+        }
+      }
+    });
+    const onUsage = jest.fn();
+    
+    await openaiService.analyzePromptForImageGeneration('A red apple', { onUsage });
+    
+    expect(onUsage).toHaveBeenCalledWith({
+      model: 'gpt-4.1-nano-2025-04-14',
+      usage: { prompt_tokens: 180, completion_tokens: 20 }
+    });
+  });
+
   test('analyzePromptForImageGeneration handles errors gracefully', async () => {
     // Mock implementation to throw an error
     const OpenAI = require('openai').OpenAI;
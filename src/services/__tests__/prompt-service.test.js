@@ -0,0 +1,80 @@
+jest.mock('../openai-service', () => ({
+  enhancePrompt: jest.fn()
+}));
+
+const promptService = require('../prompt-service');
+const openaiService = require('../openai-service');
+
+/**
+ * Build an enhancement completion with one choice per content
+ * @param {Array<string>} contents - Message contents of the choices
+ * @returns {Object} Chat completion
+ */
+function completion(contents) {
+  return {
+    model: 'gpt-4.1-nano',
+    choices: contents.map((content, index) => ({ index, message: { role: 'assistant', content } })),
+    usage: { prompt_tokens: 120, completion_tokens: 60, total_tokens: 180 }
+  };
+}
+
+describe('Prompt Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+  
+  describe('enhancePrompt', () => {
+    it('should return the distinct suggestions with the model and usage', async () => {
+      openaiService.enhancePrompt.mockResolvedValue(completion([
+        '{"prompt":"A red fox in a snowy forest, soft light"}',
+        '{"prompt":" A red fox in a snowy forest, soft light "}',
+        '{"prompt":"A red fox at dawn, wide shot"}'
+      ]));
+      
+      const result = await promptService.enhancePrompt({ prompt: ' a fox ', n: 3 });
+      
+      expect(openaiService.enhancePrompt).toHaveBeenCalledWith('a fox', { n: 3 }, { apiKey: undefined });
+      expect(result).toEqual({
+        prompt: 'a fox',
+        suggestions: ['A red fox in a snowy forest, soft light', 'A red fox at dawn, wide shot'],
+        model: 'gpt-4.1-nano',
+        usage: { prompt_tokens: 120, completion_tokens: 60, total_tokens: 180 }
+      });
+    });
+    
+    it('should send the user\'s own API key', async () => {
+      openaiService.enhancePrompt.mockResolvedValue(completion(['{"prompt":"A red fox at dawn"}']));
+      
+      await promptService.enhancePrompt({ prompt: 'a fox' }, { apiKey: 'sk-user' });
+      
+      expect(openaiService.enhancePrompt).toHaveBeenCalledWith('a fox', { n: 1 }, { apiKey: 'sk-user' });
+    });
+    
+    it('should drop suggestions that are invalid or repeat the prompt', async () => {
+      openaiService.enhancePrompt.mockResolvedValue(completion(['not json', '{"prompt":"a fox"}', '{"prompt":""}', '{"prompt":"A red fox at dawn"}']));
+      
+      const result = await promptService.enhancePrompt({ prompt: 'a fox', n: 4 });
+      
+      expect(result.suggestions).toEqual(['A red fox at dawn']);
+    });
+    
+    it('should fail when the model suggests nothing new', async () => {
+      openaiService.enhancePrompt.mockResolvedValue(completion(['{"prompt":"a fox"}']));
+      
+      await expect(promptService.enhancePrompt({ prompt: 'a fox' })).rejects.toMatchObject({
+        code: 'PROMPT_ENHANCEMENT_ERROR'
+      });
+    });
+    
+    it('should reject invalid requests before calling the model', async () => {
+      await expect(promptService.enhancePrompt({ prompt: 'a fox', n: 5 })).rejects.toMatchObject({
+        code: 'INVALID_ENHANCE_REQUEST',
+        details: { n: expect.any(String) }
+      });
+      await expect(promptService.enhancePrompt({ prompt: '  ' })).rejects.toMatchObject({
+        code: 'INVALID_ENHANCE_REQUEST'
+      });
+      expect(openaiService.enhancePrompt).not.toHaveBeenCalled();
+    });
+  });
+});
\ No newline at end of file
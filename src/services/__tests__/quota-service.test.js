@@ -0,0 +1,165 @@
+const quotaService = require('../quota-service');
+const { usageStore } = require('../../storage');
+const createUsageMemoryDriver = require('../../storage/drivers/usage-memory-driver');
+const config = require('../../config');
+
+describe('Quota Service', () => {
+  const user = { id: 'usr_1', username: 'alice', role: 'user' };
+  const admin = { id: 'usr_2', username: 'root', role: 'admin' };
+  const originalQuotas = { ...config.quotas };
+  
+  // Record a ledger entry for today
+  const recordCost = (entry) => usageStore.appendEntry({
+    timestamp: new Date().toISOString(),
+    endpoint: 'images.generate',
+    requestId: null,
+    model: 'gpt-image-1',
+    inputTokens: 0,
+    imageInputTokens: 0,
+    outputTokens: 0,
+    images: 1,
+    ...entry
+  });
+  
+  beforeEach(() => {
+    usageStore.setDriver(createUsageMemoryDriver());
+    config.quotas.dailyBudget = 1;
+    config.quotas.exemptAdmins = true;
+    config.images.provider = 'openai';
+  });
+  
+  afterAll(() => {
+    Object.assign(config.quotas, originalQuotas);
+  });
+  
+  describe('estimateRequestCost', () => {
+    it('should weigh image requests by quality, size and number of images', () => {
+      const low = quotaService.estimateRequestCost('images.generate', { prompt: 'A cat', n: 1, quality: 'low', size: '1024x1024' });
+      const high = quotaService.estimateRequestCost('images.generate', { prompt: 'A cat', n: 1, quality: 'high', size: '1024x1024' });
+      const highWide = quotaService.estimateRequestCost('images.generate', { prompt: 'A cat', n: 1, quality: 'high', size: '1536x1024' });
+      const highMany = quotaService.estimateRequestCost('images.generate', { prompt: 'A cat', n: 10, quality: 'high', size: '1024x1024' });
+      
+      expect(low).toBeGreaterThan(0);
+      expect(high).toBeGreaterThan(low);
+      expect(highWide).toBeGreaterThan(high);
+      expect(highMany).toBeCloseTo(high * 10, 2);
+    });
+    
+    it('should estimate missing or automatic parameters at their most expensive', () => {
+      const auto = quotaService.estimateRequestCost('images.generate', { prompt: 'A cat', quality: 'auto', size: 'auto' });
+      const max = quotaService.estimateRequestCost('images.generate', { prompt: 'A cat', quality: 'high', size: '1024x1536' });
+      
+      expect(auto).toBe(max);
+    });
+    
+    it('should estimate image counts outside the validated range at the nearest valid count', () => {
+      const params = { prompt: 'A cat', quality: 'high', size: '1024x1024' };
+      const one = quotaService.estimateRequestCost('images.generate', { ...params, n: 1 });
+      const ten = quotaService.estimateRequestCost('images.generate', { ...params, n: 10 });
+      
+      expect(quotaService.estimateRequestCost('images.generate', { ...params, n: -5 })).toBe(one);
+      expect(quotaService.estimateRequestCost('images.generate', { ...params, n: 'many' })).toBe(one);
+      expect(quotaService.estimateRequestCost('images.generate', { ...params, n: 1e9 })).toBe(ten);
+    });
+    
+    it('should charge edits for their source images', () => {
+      const params = { prompt: 'A cat', quality: 'low', size: '1024x1024' };
+      const generation = quotaService.estimateRequestCost('images.generate', params);
+      const edit = quotaService.estimateRequestCost('images.edit', { ...params, image: ['a', 'b'] });
+      
+      expect(edit).toBeGreaterThan(generation);
+    });
+    
+    it('should not charge providers without a price or other endpoints', () => {
+      expect(quotaService.estimateRequestCost('images.generate', { prompt: 'A cat', provider: 'http' })).toBe(0);
+      expect(quotaService.estimateRequestCost('health', {})).toBe(0);
+      expect(quotaService.estimateRequestCost('chat.message', { content: 'Hi' })).toBeGreaterThan(0);
+    });
+    
+    it('should charge prompt enhancements for each suggestion', () => {
+      const one = quotaService.estimateRequestCost('prompts.enhance', { prompt: 'a fox' });
+      const three = quotaService.estimateRequestCost('prompts.enhance', { prompt: 'a fox', n: 3 });
+      
+      expect(one).toBeGreaterThan(0);
+      expect(three).toBeGreaterThan(one * 2);
+    });
+    
+    it('should estimate suggestion counts outside the validated range at the nearest valid count', () => {
+      const one = quotaService.estimateRequestCost('prompts.enhance', { prompt: 'a fox', n: 1 });
+      const most = quotaService.estimateRequestCost('prompts.enhance', { prompt: 'a fox', n: config.openai.enhancement.maxSuggestions });
+      
+      expect(quotaService.estimateRequestCost('prompts.enhance', { prompt: 'a fox', n: -3 })).toBe(one);
+      expect(quotaService.estimateRequestCost('prompts.enhance', { prompt: 'a fox', n: 1e9 })).toBe(most);
+    });
+  });
+  
+  describe('reserve', () => {
+    it('should admit requests that fit in the remaining budget and report it', async () => {
+      await recordCost({ userId: user.id, cost: 0.25 });
+      
+      const reservation = await quotaService.reserve(user, 0.5);
+      
+      expect(reservation.status).toEqual({
+        limit: 1,
+        used: 0.75,
+        remaining: 0.25,
+        cost: 0.5,
+        resetAt: expect.any(String)
+      });
+      reservation.release();
+    });
+    
+    it('should count reservations until they are released', async () => {
+      const first = await quotaService.reserve(user, 0.6);
+      
+      await expect(quotaService.reserve(user, 0.6)).rejects.toMatchObject({
+        statusCode: 429,
+        code: 'QUOTA_EXCEEDED',
+        quota: { limit: 1, used: 0.6, remaining: 0.4, cost: 0.6 }
+      });
+      
+      first.release();
+      first.release();
+      const second = await quotaService.reserve(user, 0.6);
+      expect(second.status.used).toBe(0.6);
+      second.release();
+    });
+    
+    it('should not admit concurrent requests beyond the budget', async () => {
+      await recordCost({ userId: user.id, cost: 0.1 });
+      
+      const results = await Promise.allSettled(Array.from({ length: 5 }, () => quotaService.reserve(user, 0.3)));
+      const admitted = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+      const rejected = results.filter(result => result.status === 'rejected').map(result => result.reason);
+      
+      expect(admitted).toHaveLength(3);
+      expect(admitted[2].status.used).toBe(1);
+      expect(rejected).toHaveLength(2);
+      rejected.forEach(error => expect(error).toMatchObject({ code: 'QUOTA_EXCEEDED', quota: { used: 1, remaining: 0 } }));
+      
+      admitted.forEach(reservation => reservation.release());
+    });
+    
+    it('should keep budgets per user and ignore requests made with the user\'s own key', async () => {
+      await recordCost({ userId: user.id, cost: 0.9 });
+      await recordCost({ userId: 'usr_3', cost: 0.5, ownApiKey: true });
+      
+      await expect(quotaService.reserve(user, 0.2)).rejects.toMatchObject({ code: 'QUOTA_EXCEEDED' });
+      
+      const other = await quotaService.reserve({ id: 'usr_3', role: 'user' }, 0.9);
+      expect(other.status.used).toBe(0.9);
+      other.release();
+    });
+    
+    it('should exempt own keys, admins and disabled quotas', async () => {
+      expect(await quotaService.reserve(user, 5, { ownApiKey: true })).toBeNull();
+      expect(await quotaService.reserve(admin, 5)).toBeNull();
+      
+      config.quotas.exemptAdmins = false;
+      await expect(quotaService.reserve(admin, 5)).rejects.toMatchObject({ code: 'QUOTA_EXCEEDED' });
+      
+      config.quotas.dailyBudget = 0;
+      expect(await quotaService.reserve(user, 5)).toBeNull();
+    });
+  });
+});
\ No newline at end of file
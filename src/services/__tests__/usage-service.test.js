@@ -0,0 +1,125 @@
+const usageService = require('../usage-service');
+const { usageStore } = require('../../storage');
+const createUsageMemoryDriver = require('../../storage/drivers/usage-memory-driver');
+
+/**
+ * Build a ledger entry recorded at a given time
+ * @param {string} timestamp - ISO timestamp
+ * @param {Object} fields - Fields to override
+ * @returns {Object} Ledger entry
+ */
+const entryAt = (timestamp, fields = {}) => ({
+  timestamp,
+  userId: 'alice',
+  endpoint: 'images.generate',
+  requestId: null,
+  model: 'gpt-image-1',
+  inputTokens: 10,
+  imageInputTokens: 0,
+  outputTokens: 100,
+  images: 1,
+  cost: 0.01,
+  ...fields
+});
+
+describe('Usage Service', () => {
+  beforeEach(() => {
+    usageStore.setDriver(createUsageMemoryDriver());
+  });
+  
+  describe('recordUsage', () => {
+    it('should price image usage per token type', async () => {
+      const entry = await usageService.recordUsage({ userId: 'alice', endpoint: 'images.edit', requestId: 'req-1' }, {
+        images: [{ id: 'img_1' }],
+        model: 'gpt-image-1',
+        usage: {
+          input_tokens: 1100,
+          output_tokens: 4160,
+          input_tokens_details: { text_tokens: 100, image_tokens: 1000 }
+        }
+      });
+      
+      // 100 text tokens at $5, 1000 image tokens at $10 and 4160 output tokens at $40 per million
+      expect(entry).toMatchObject({
+        userId: 'alice',
+        endpoint: 'images.edit',
+        requestId: 'req-1',
+        model: 'gpt-image-1',
+        inputTokens: 1100,
+        imageInputTokens: 1000,
+        outputTokens: 4160,
+        images: 1,
+        cost: 0.1769
+      });
+      
+      const today = entry.timestamp.slice(0, 10);
+      expect(await usageStore.listEntries(today, today)).toEqual([entry]);
+    });
+    
+    it('should read chat completion usage and default to the anonymous user', async () => {
+      const entry = await usageService.recordUsage({ endpoint: 'chat.message' }, {
+        assistantMessage: { content: 'Hi' },
+        model: 'gpt-4.1-nano',
+        usage: { prompt_tokens: 1000, completion_tokens: 500, total_tokens: 1500 }
+      });
+      
+      expect(entry).toMatchObject({ userId: 'anonymous', inputTokens: 1000, outputTokens: 500, images: 0, cost: 0.0003 });
+    });
+    
+    it('should record models without a price as unpriced', async () => {
+      const entry = await usageService.recordUsage({ endpoint: 'images.generate' }, {
+        images: [{ id: 'img_1' }],
+        model: 'local-diffusion'
+      });
+      
+      expect(entry.cost).toBeNull();
+    });
+    
+    it('should not fail the request when the ledger cannot be written', async () => {
+      usageStore.setDriver({ append: jest.fn().mockRejectedValue(new Error('disk full')) });
+      
+      await expect(usageService.recordUsage({ endpoint: 'chat.message' }, { model: 'gpt-4.1-nano', usage: {} }))
+        .resolves.toBeNull();
+    });
+  });
+  
+  describe('getUsageReport', () => {
+    beforeEach(async () => {
+      await usageStore.appendEntry(entryAt('2026-10-12T09:00:00.000Z'));
+      await usageStore.appendEntry(entryAt('2026-10-13T09:00:00.000Z', { userId: 'bob', endpoint: 'chat.message', model: 'gpt-4.1-nano', images: 0, cost: 0.002 }));
+      await usageStore.appendEntry(entryAt('2026-10-13T18:00:00.000Z', { model: 'local-diffusion', cost: null }));
+      await usageStore.appendEntry(entryAt('2026-10-19T08:00:00.000Z'));
+    });
+    
+    it('should roll usage up per day, user and endpoint', async () => {
+      const report = await usageService.getUsageReport({ from: '2026-10-12', to: '2026-10-18' });
+      
+      expect(report.totals).toMatchObject({ requests: 3, images: 2, cost: 0.012, unpricedRequests: 1 });
+      expect(report.periods.map(period => period.start)).toEqual(['2026-10-12', '2026-10-13']);
+      expect(report.periods[1].totals.requests).toBe(2);
+      expect(report.periods[1].users).toEqual({
+        bob: expect.objectContaining({ requests: 1, cost: 0.002 }),
+        alice: expect.objectContaining({ requests: 1, unpricedRequests: 1 })
+      });
+      expect(Object.keys(report.endpoints)).toEqual(['images.generate', 'chat.message']);
+      expect(report.models['local-diffusion'].unpricedRequests).toBe(1);
+    });
+    
+    it('should roll usage up per week starting on Monday', async () => {
+      const report = await usageService.getUsageReport({ period: 'week', from: '2026-10-01', to: '2026-10-19' });
+      
+      expect(report.periods.map(period => [period.start, period.totals.requests])).toEqual([
+        ['2026-10-12', 3],
+        ['2026-10-19', 1]
+      ]);
+    });
+    
+    it('should report a single user', async () => {
+      const report = await usageService.getUsageReport({ from: '2026-10-12', to: '2026-10-19', userId: 'bob' });
+      
+      expect(report.userId).toBe('bob');
+      expect(report.totals.requests).toBe(1);
+      expect(Object.keys(report.users)).toEqual(['bob']);
+    });
+  });
+});
\ No newline at end of file
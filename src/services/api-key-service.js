@@ -0,0 +1,202 @@
+/**
+ * API key service
+ * Lets users store their own OpenAI API key, encrypted with AES-256-GCM under a server-side
+ * secret, and decides which key each request is made with
+ */
+
+const crypto = require('crypto');
+const config = require('../config').openai;
+const { userStore } = require('../storage');
+const { validators } = require('../utils');
+const { ApiError, ForbiddenError, NotFoundError } = require('../utils/error');
+
+// Version of the stored key format, so the encryption can change without breaking stored keys
+const KEY_FORMAT_VERSION = 1;
+
+// Fixed salt for deriving the encryption key; the secret itself is what has to stay private
+const KEY_DERIVATION_SALT = 'gpt-image-ui:api-keys';
+
+let encryptionKey = null;
+
+/**
+ * Check whether users can store their own API keys
+ * @returns {boolean} Whether an encryption secret is configured
+ */
+function isStorageEnabled() {
+  return Boolean(config.userKeys.encryptionSecret);
+}
+
+/**
+ * Get the key stored API keys are encrypted with, deriving it from the secret on first use
+ * @returns {Buffer} 256-bit encryption key
+ * @throws {ApiError} If no encryption secret is configured
+ */
+function getEncryptionKey() {
+  if (!isStorageEnabled()) {
+    throw new ApiError('Storing API keys is not enabled on this server', 503, 'API_KEY_STORAGE_DISABLED');
+  }
+  
+  if (!encryptionKey) {
+    encryptionKey = crypto.scryptSync(config.userKeys.encryptionSecret, KEY_DERIVATION_SALT, 32);
+  }
+  return encryptionKey;
+}
+
+/**
+ * Encrypt an API key for storage
+ * @param {string} apiKey - OpenAI API key
+ * @returns {Object} Encrypted key ({ version, iv, tag, ciphertext }), base64 encoded
+ */
+function encryptApiKey(apiKey) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(apiKey, 'utf8'), cipher.final()]);
+  
+  return {
+    version: KEY_FORMAT_VERSION,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    ciphertext: ciphertext.toString('base64')
+  };
+}
+
+/**
+ * Decrypt an API key made by encryptApiKey
+ * @param {Object} encrypted - Encrypted key
+ * @returns {string} OpenAI API key
+ * @throws {ApiError} If the key cannot be decrypted, for example because the secret changed
+ */
+function decryptApiKey(encrypted) {
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), Buffer.from(encrypted.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(encrypted.ciphertext, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError('Your stored API key can no longer be read, please save it again', 409, 'API_KEY_UNREADABLE');
+  }
+}
+
+/**
+ * Check whether a user may fall back to the server's API key
+ * @param {Object} user - Signed-in user (optional)
+ * @returns {boolean} Whether the server key may be used
+ */
+function isServerKeyAllowed(user) {
+  switch (config.userKeys.serverKeyPolicy) {
+    case 'nobody':
+      return false;
+    case 'admins':
+      return Boolean(user && user.role === 'admin');
+    default:
+      return true;
+  }
+}
+
+/**
+ * Load the stored account of a signed-in user
+ * @param {Object} user - Signed-in user
+ * @returns {Promise<Object>} Account
+ * @throws {NotFoundError} If the account no longer exists
+ */
+async function loadAccount(user) {
+  const account = await userStore.getUser(user.id);
+  if (!account) {
+    throw new NotFoundError('Account not found', 'USER_NOT_FOUND');
+  }
+  return account;
+}
+
+/**
+ * Describe a user's API key settings, without revealing the key
+ * @param {Object} user - Signed-in user
+ * @returns {Promise<Object>} Whether a key is stored, its last four characters, when it was saved,
+ * whether keys can be stored and whether the server key may be used instead
+ */
+async function getApiKeyStatus(user) {
+  const { openaiKey } = await loadAccount(user);
+  
+  return {
+    configured: Boolean(openaiKey),
+    last4: openaiKey ? openaiKey.last4 : null,
+    updatedAt: openaiKey ? openaiKey.updatedAt : null,
+    storageEnabled: isStorageEnabled(),
+    serverKeyAllowed: isServerKeyAllowed(user)
+  };
+}
+
+/**
+ * Store a user's own API key, replacing any key stored before
+ * @param {Object} user - Signed-in user
+ * @param {Object} body - Request body with the API key
+ * @returns {Promise<Object>} API key settings, as returned by getApiKeyStatus
+ * @throws {ValidationError} If the key is malformed
+ * @throws {ApiError} If storing keys is not enabled
+ */
+async function saveApiKey(user, body) {
+  const { apiKey } = validators.validateApiKeyRequest(body);
+  const account = await loadAccount(user);
+  
+  await userStore.updateUser({
+    ...account,
+    openaiKey: {
+      ...encryptApiKey(apiKey),
+      last4: apiKey.slice(-4),
+      updatedAt: new Date().toISOString()
+    }
+  });
+  
+  return getApiKeyStatus(user);
+}
+
+/**
+ * Remove a user's own API key
+ * @param {Object} user - Signed-in user
+ * @returns {Promise<Object>} API key settings, as returned by getApiKeyStatus
+ */
+async function deleteApiKey(user) {
+  const { openaiKey, ...account } = await loadAccount(user);
+  
+  if (openaiKey) {
+    await userStore.updateUser(account);
+  }
+  
+  return getApiKeyStatus(user);
+}
+
+/**
+ * Decide which OpenAI API key a request is made with
+ * @param {Object} user - Signed-in user (optional)
+ * @returns {Promise<string|null>} The user's own key, or null to use the server key
+ * @throws {ForbiddenError} If the user has no key and may not use the server key
+ */
+async function resolveApiKey(user) {
+  // The mock provider never calls OpenAI
+  if (config.provider === 'mock') {
+    return null;
+  }
+  
+  const account = user ? await userStore.getUser(user.id) : null;
+  if (account && account.openaiKey) {
+    return decryptApiKey(account.openaiKey);
+  }
+  
+  if (!isServerKeyAllowed(user)) {
+    throw new ForbiddenError('Add your own OpenAI API key in settings to generate images', 'API_KEY_REQUIRED');
+  }
+  
+  return null;
+}
+
+module.exports = {
+  getApiKeyStatus,
+  saveApiKey,
+  deleteApiKey,
+  resolveApiKey,
+  isServerKeyAllowed
+};
\ No newline at end of file
@@ -0,0 +1,207 @@
+/**
+ * Auth service
+ * Manages accounts and login sessions. Passwords are hashed with scrypt; sessions are random
+ * tokens handed to the client, of which only a SHA-256 hash is stored
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const config = require('../config').auth;
+const { userStore } = require('../storage');
+const { validators } = require('../utils');
+const { ApiError, ForbiddenError, UnauthorizedError } = require('../utils/error');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Length of the derived password hash, in bytes
+const HASH_LENGTH = 64;
+
+// Hash compared against when a username does not exist, so that the response takes as long as a wrong password
+const DUMMY_PASSWORD_HASH = `scrypt$${'0'.repeat(32)}$${'0'.repeat(HASH_LENGTH * 2)}`;
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - Password
+ * @returns {Promise<string>} Hash in the form scrypt$<salt>$<hash>, hex encoded
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, HASH_LENGTH);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a hash made by hashPassword
+ * @param {string} password - Password
+ * @param {string} passwordHash - Stored hash
+ * @returns {Promise<boolean>} Whether the password matches
+ */
+async function verifyPassword(password, passwordHash) {
+  const [scheme, salt, expected] = passwordHash.split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) {
+    return false;
+  }
+  
+  const hash = await scrypt(password, salt, HASH_LENGTH);
+  return crypto.timingSafeEqual(hash, Buffer.from(expected, 'hex'));
+}
+
+/**
+ * Hash a session token into the ID it is stored under
+ * @param {string} token - Session token
+ * @returns {string} Session ID
+ */
+function toSessionId(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Generate a unique ID for an account
+ * @returns {string} Unique ID
+ */
+function generateUserId() {
+  return `usr_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
+}
+
+/**
+ * Convert an account to the shape returned to clients, without its password hash
+ * @param {Object} user - Account
+ * @returns {Object} User ID, username, role and creation time
+ */
+function toPublicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    createdAt: user.createdAt
+  };
+}
+
+/**
+ * Start a session for an account
+ * @param {Object} user - Account
+ * @returns {Promise<Object>} Session token, expiry and the public user
+ */
+async function createSession(user) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + config.sessionTtl).toISOString();
+  
+  await userStore.saveSession({
+    id: toSessionId(token),
+    userId: user.id,
+    createdAt: new Date().toISOString(),
+    expiresAt
+  });
+  
+  return { token, expiresAt, user: toPublicUser(user) };
+}
+
+/**
+ * Check whether new accounts can be created
+ * The first account can always be created, so that a fresh deployment can be set up
+ * @returns {Promise<boolean>} Whether registration is open
+ */
+async function isRegistrationOpen() {
+  return config.allowRegistration || (await userStore.countUsers()) === 0;
+}
+
+/**
+ * Create an account and sign it in
+ * The first account becomes an admin
+ * @param {Object} credentials - Username and password
+ * @returns {Promise<Object>} Session token, expiry and the public user
+ * @throws {ForbiddenError} If registration is closed
+ * @throws {ApiError} If the username is taken
+ */
+async function register(credentials) {
+  const { username, password } = validators.validateCredentials(credentials, {
+    minPasswordLength: config.password.minLength,
+    maxPasswordLength: config.password.maxLength
+  });
+  
+  if (!(await isRegistrationOpen())) {
+    throw new ForbiddenError('Registration is closed', 'REGISTRATION_CLOSED');
+  }
+  
+  const user = {
+    id: generateUserId(),
+    username,
+    role: (await userStore.countUsers()) === 0 ? 'admin' : 'user',
+    passwordHash: await hashPassword(password),
+    createdAt: new Date().toISOString()
+  };
+  
+  if (!(await userStore.createUser(user))) {
+    throw new ApiError('Username is already taken', 409, 'USERNAME_TAKEN');
+  }
+  
+  return createSession(user);
+}
+
+/**
+ * Sign in with a username and password
+ * @param {Object} credentials - Username and password
+ * @returns {Promise<Object>} Session token, expiry and the public user
+ * @throws {UnauthorizedError} If the username or password is wrong
+ */
+async function login(credentials) {
+  const username = credentials && typeof credentials.username === 'string' ? credentials.username : '';
+  const password = credentials && typeof credentials.password === 'string' ? credentials.password : '';
+  
+  const user = username ? await userStore.findUserByUsername(username) : null;
+  
+  // Always hash, so that unknown usernames cannot be told apart by timing
+  const valid = await verifyPassword(password, user ? user.passwordHash : DUMMY_PASSWORD_HASH);
+  if (!user || !valid) {
+    throw new UnauthorizedError('Invalid username or password', 'INVALID_CREDENTIALS');
+  }
+  
+  return createSession(user);
+}
+
+/**
+ * End a session
+ * @param {string} token - Session token
+ * @returns {Promise<void>}
+ */
+async function logout(token) {
+  if (token) {
+    await userStore.deleteSession(toSessionId(token));
+  }
+}
+
+/**
+ * Find the account a session token belongs to
+ * @param {string} token - Session token
+ * @returns {Promise<Object|null>} Public user, or null if the token is unknown or expired
+ */
+async function authenticate(token) {
+  if (!token) {
+    return null;
+  }
+  
+  const sessionId = toSessionId(token);
+  const session = await userStore.getSession(sessionId);
+  if (!session) {
+    return null;
+  }
+  
+  if (new Date(session.expiresAt).getTime() <= Date.now()) {
+    await userStore.deleteSession(sessionId);
+    return null;
+  }
+  
+  const user = await userStore.getUser(session.userId);
+  return user ? toPublicUser(user) : null;
+}
+
+module.exports = {
+  register,
+  login,
+  logout,
+  authenticate,
+  isRegistrationOpen,
+  hashPassword,
+  verifyPassword,
+  toPublicUser
+};
\ No newline at end of file
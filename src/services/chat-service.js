@@ -3,94 +3,392 @@
  * Handles chat-related operations
  */
 
+const crypto = require('crypto');
 const openaiService = require('./openai-service');
 const imageService = require('./image-service');
-const { BadRequestError } = require('../utils/error');
+const contextService = require('./context-service');
+const presetService = require('./preset-service');
+const { CHAT_TOOLS, parseToolCall, describeAttachments, describeLatestImages } = require('./chat-tools');
+const { conversationStore, imageStore } = require('../storage');
+const { ApiError, BadRequestError, QuotaExceededError } = require('../utils/error');
+const { imageProcessor } = require('../utils');
+const { validateHistoryQuery } = require('../utils/validators');
 const logger = require('../utils/logger');
 const config = require('../config');
 
+// System prompt for chat; the model answers in text and calls the image tools when an image should be made or changed
+const CHAT_SYSTEM_PROMPT = 'You are a helpful assistant in an image studio. You can see the images the user shares and answer questions about them, taking the earlier conversation into account. When the user wants a new image, call generate_image with a detailed prompt. When the user attaches images and asks for a change to them (for example "make the sky purple"), call edit_image with the IDs of the images to change rather than describing them. Follow-up requests such as "now make it darker" refine the latest image with edit_image instead of starting from scratch. Only call a tool when the user wants an image made or changed; otherwise answer in text. You may add a short text reply alongside a tool call, but do not describe the images you are about to make in detail.';
+
 /**
- * Detects if a message is requesting an image generation
- * @param {string} message - User message
- * @returns {boolean} True if the message is requesting an image
- */
-function isImageRequest(message) {
-  if (!message) return false;
-  
-  // Convert to lowercase for case-insensitive matching
-  const lowerMessage = message.toLowerCase();
-  
-  // Question patterns that indicate the user is NOT requesting an image
-  const questionPatterns = [
-    /^what is/i,
-    /^how (do|does|can|could)/i,
-    /^why (do|does|is|are)/i,
-    /^when (do|does|is|are)/i,
-    /^where (do|does|is|are)/i,
-    /^who (is|are|was|were)/i,
-    /^tell me about/i,
-    /^explain/i,
-    /\?$/  // Ends with a question mark and doesn't contain explicit image keywords
-  ];
-  
-  // Explicit image request keywords
-  const explicitImageKeywords = [
-    'draw', 'create', 'generate', 'show me', 'picture of', 'image of', 'photo of',
-    'illustration of', 'sketch of', 'painting of', 'render', 'visualize', 'design'
-  ];
-  
-  // Check for explicit image request keywords
-  for (const keyword of explicitImageKeywords) {
-    if (lowerMessage.includes(keyword)) {
-      return true;
-    }
+ * Generate a unique ID for a chat message
+ * IDs are random rather than time-based, so messages made in the same millisecond (such as concurrent
+ * requests) never share one, which history paging and de-duplication rely on
+ * @param {string} role - Message role ('user' or 'assistant')
+ * @returns {string} Unique ID
+ */
+function generateMessageId(role) {
+  return `${role}-${crypto.randomUUID()}`;
+}
+
+/**
+ * Get a URL the model can read for an attached image
+ * Accepts raw base64 (base64), a data URL (base64Data, as sent by the web client) or a URL (url),
+ * including the URL of an image already in the image store
+ * @param {Object} image - Attached image object
+ * @returns {string|null} Data URL, HTTP(S) URL or stored image URL, or null if the image has no usable data
+ */
+function getImageUrl(image) {
+  if (!image) return null;
+  
+  // Raw base64 is labeled with its actual type, or as JPEG if it is not recognized
+  if (image.base64) {
+    return image.base64.startsWith('data:')
+      ? image.base64
+      : imageProcessor.createDataURL(image.base64, imageProcessor.getImageMimeType(image.base64, 'jpeg'));
+  }
+  
+  const url = image.base64Data || image.url;
+  if (typeof url === 'string' && (/^(data:image\/|https?:\/\/)/.test(url) || imageStore.parseImageUrl(url))) {
+    return url;
   }
   
-  // If it matches a question pattern and doesn't have explicit image keywords, it's likely not an image request
-  for (const pattern of questionPatterns) {
-    if (pattern.test(lowerMessage)) {
-      // Check if it also contains an explicit image keyword
-      const containsImageKeyword = explicitImageKeywords.some(keyword => lowerMessage.includes(keyword));
-      if (!containsImageKeyword) {
-        return false;
+  return null;
+}
+
+/**
+ * Get the URL a generated or edited image is shown at
+ * @param {Object} image - Image returned by the image service ({ url, base64, mimeType })
+ * @returns {string} Stored image URL, or a data URL of the image's own type if it could not be stored
+ */
+function toResultImageUrl(image) {
+  return image.url || imageProcessor.createDataURL(image.base64, image.mimeType || imageProcessor.getImageMimeType(image.base64));
+}
+
+/**
+ * Resolve the attached images of a message to URLs the model (and later turns) can read
+ * Images may be sent as data or URLs (see getImageUrl), or by reference to a stored image: an image ID,
+ * or an object with the ID of a stored image and no data of its own ({ id })
+ * @param {Array} images - Attached images
+ * @param {string} userMessageId - ID of the message, used to name attachments without an ID
+ * @param {string} ownerId - ID of the user sending the message, who must own referenced images
+ * @returns {Promise<Array>} Images with usable data ({ id, url })
+ * @throws {NotFoundError} If a referenced image does not exist or belongs to someone else
+ * @throws {BadRequestError} If inline data is not a usable image
+ */
+async function resolveAttachments(images, userMessageId, ownerId) {
+  const resolved = await Promise.all(images.map(async (image, index) => {
+    const stored = await imageStore.loadImageReference(image, { ownerId });
+    if (stored) {
+      return { id: stored.record.id, url: imageStore.toImageUrl(stored.record.id) };
+    }
+    
+    const id = (image && image.id) || `${userMessageId}-image-${index}`;
+    const url = getImageUrl(image);
+    if (!url || !url.startsWith('data:')) {
+      return { id, url };
+    }
+    
+    // Inline data is sanitized like stored images before the model sees it
+    const sanitized = await imageStore.sanitizeImageData(url);
+    return { id, url: imageProcessor.createDataURL(sanitized.data.toString('base64'), sanitized.mimeType) };
+  }));
+  
+  return resolved.filter(image => image.url);
+}
+
+/**
+ * Move inline attachments into the image store, so the stored conversation refers to them by URL
+ * Storage failures are logged but never fail the chat request; the image then keeps its data URL
+ * @param {Array} images - Attached images ({ id, url })
+ * @param {string} ownerId - ID of the user the images belong to
+ * @returns {Promise<Array>} The images, with stored image URLs in place of data URLs
+ */
+async function storeAttachments(images, ownerId) {
+  return Promise.all(images.map(async image => {
+    if (!image.url.startsWith('data:')) {
+      return image;
+    }
+    
+    try {
+      const record = await imageStore.saveImage({ data: image.url, source: 'chat', ownerId });
+      return { ...image, url: imageStore.toImageUrl(record.id) };
+    } catch (error) {
+      logger.warn('Failed to store chat attachment, keeping it inline', { id: image.id, error: error.message });
+      return image;
+    }
+  }));
+}
+
+/**
+ * Map the attachments of a message to the edit inputs the model can ask for by ID
+ * Stored attachments are named by their image ID and edited by reference, and attachments kept inline by
+ * their attachment ID and edited from their data; images only known by an HTTP(S) URL cannot be edited
+ * @param {Array} images - Attachments of the stored user message ({ id, url })
+ * @returns {Map} Edit inputs (image IDs or data URLs), keyed by the ID the model is told
+ */
+function toEditableImages(images) {
+  return new Map(images.map(image => {
+    const storedId = imageStore.parseImageUrl(image.url);
+    if (storedId) {
+      return [storedId, storedId];
+    }
+    return image.url.startsWith('data:') ? [image.id, image.url] : null;
+  }).filter(Boolean));
+}
+
+/**
+ * Find the images of the latest assistant reply that made images, so follow-up messages can refine them
+ * Only the turns the model still sees are searched, and only images in the image store count
+ * @param {string} conversationId - Conversation ID
+ * @param {string} ownerId - ID of the user owning the conversation
+ * @returns {Promise<Array>} IDs of the stored images, in the order they were shown (empty if there are none)
+ */
+async function findLatestImageIds(conversationId, ownerId) {
+  try {
+    const { messages } = await conversationStore.listMessages(conversationId, {
+      limit: config.openai.context.maxHistoryMessages,
+      ownerId
+    });
+    
+    // Messages are listed newest first
+    for (const message of messages) {
+      const imageIds = message.role === 'assistant'
+        ? (message.images || []).map(image => imageStore.parseImageUrl(image.url)).filter(Boolean)
+        : [];
+      if (imageIds.length > 0) {
+        return imageIds;
       }
     }
+  } catch (error) {
+    logger.warn('Failed to find the latest image of the conversation', { conversationId, error: error.message });
+  }
+  return [];
+}
+
+/**
+ * Persist a user/assistant exchange to the conversation store
+ * Storage failures are logged but never fail the chat request itself
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} exchange - Object with userMessage and assistantMessage
+ * @param {string} ownerId - ID of the user owning the conversation
+ * @returns {Promise<Object>} The same exchange
+ */
+async function saveExchange(conversationId, exchange, ownerId) {
+  try {
+    await conversationStore.appendMessages(conversationId, [exchange.userMessage, exchange.assistantMessage], { ownerId });
+  } catch (error) {
+    logger.error('Failed to persist chat messages', { conversationId, error: error.message });
   }
+  return exchange;
+}
+
+/**
+ * Build the OpenAI request options for a reply
+ * @param {Object} handlers - Reply handlers and options
+ * @param {string} handlers.apiKey - User's OpenAI API key (optional)
+ * @returns {Object} Request options ({ apiKey })
+ */
+function toOpenAIOptions(handlers) {
+  return { apiKey: handlers.apiKey };
+}
+
+/**
+ * Build the image service options for the image tool calls of a reply
+ * The images the model asks to edit must belong to the user, like those of an edit request
+ * @param {Object} handlers - Reply handlers and options
+ * @param {string} handlers.apiKey - User's OpenAI API key (optional)
+ * @param {Function} handlers.onUsage - Called with the usage of prompt analysis (optional)
+ * @param {string} handlers.ownerId - ID of the user sending the message (optional)
+ * @returns {Object} Image service options ({ apiKey, onUsage, ownerId })
+ */
+function toImageOptions(handlers) {
+  return {
+    ...toOpenAIOptions(handlers),
+    ...(handlers.onUsage && { onUsage: handlers.onUsage }),
+    ...(handlers.ownerId && { ownerId: handlers.ownerId })
+  };
+}
+
+/**
+ * Add a streamed tool call fragment to the tool calls assembled so far
+ * The first fragment of a call carries its ID and name; the arguments arrive in pieces
+ * @param {Array} toolCalls - Tool calls assembled so far, by index
+ * @param {Object} fragment - Tool call delta ({ index, id, function: { name, arguments } })
+ */
+function addToolCallFragment(toolCalls, fragment) {
+  if (!toolCalls[fragment.index]) {
+    toolCalls[fragment.index] = { id: fragment.id, type: 'function', function: { name: '', arguments: '' } };
+  }
+  
+  const toolCall = toolCalls[fragment.index];
+  const { name, arguments: args } = fragment.function || {};
+  if (fragment.id) toolCall.id = fragment.id;
+  if (name) toolCall.function.name += name;
+  if (args) toolCall.function.arguments += args;
+}
+
+/**
+ * Stream a completion, reporting each content delta as it arrives
+ * @param {Array} messages - Chat completion messages
+ * @param {Object} handlers - Stream handlers
+ * @param {Function} handlers.onToken - Called with each content delta
+ * @param {AbortSignal} handlers.signal - Signal to cancel the request (optional)
+ * @param {string} handlers.apiKey - User's OpenAI API key (optional)
+ * @returns {Promise<Object>} Assistant message ({ role, content, tool_calls }), usage and the number of API attempts
+ */
+async function streamCompletion(messages, { onToken, signal, apiKey }) {
+  const stream = await openaiService.createChatCompletionStream({
+    messages,
+    model: config.openai.promptAnalysisModel,
+    tools: CHAT_TOOLS
+  }, { signal, apiKey });
   
-  // Check for descriptive phrases that imply an image request
-  // These are patterns that often indicate someone is describing something visual
-  const descriptivePatterns = [
-    /a (\w+ ){0,3}(scene|landscape|portrait|picture)/i,
-    /an? (\w+ ){0,3}(looking|appearing)/i,
-    /imagine/i,
-    /what (would|does) .* look like/i
-  ];
+  let content = '';
+  let usage = null;
+  const toolCalls = [];
   
-  for (const pattern of descriptivePatterns) {
-    if (pattern.test(message)) {
-      return true;
+  for await (const chunk of stream) {
+    const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+    if (delta && delta.content) {
+      content += delta.content;
+      onToken(delta.content);
+    }
+    if (delta && delta.tool_calls) {
+      delta.tool_calls.forEach(fragment => addToolCallFragment(toolCalls, fragment));
     }
+    
+    // With include_usage, the final chunk carries usage and no choices
+    if (chunk.usage) {
+      usage = chunk.usage;
+    }
+  }
+  
+  return {
+    message: { role: 'assistant', content, tool_calls: toolCalls.filter(Boolean) },
+    usage,
+    attempts: stream.attempts
+  };
+}
+
+/**
+ * Run one image tool call of the chat model
+ * A single generated image streams its previews when the caller wants them
+ * @param {Object} toolCall - Tool call ({ id, function: { name, arguments } })
+ * @param {Object} toolContext - What the tools may use
+ * @param {Object} toolContext.outputOptions - Output format and compression requested with the message
+ * @param {Map} toolContext.editableImages - Edit inputs of the attachments, keyed by the ID the model is told (see toEditableImages)
+ * @param {Array} toolContext.latestImageIds - IDs of the images of the conversation's latest image reply
+ * @param {string} toolContext.preset - Style preset applied to generated images (optional)
+ * @param {Object} handlers - Reply handlers and options (see processMessageStream)
+ * @returns {Promise<Object>} Tool name, image service response and, for edits, the ID of the source image ({ name, response, sourceImageId })
+ */
+async function runToolCall(toolCall, { outputOptions, editableImages, latestImageIds, preset }, handlers) {
+  // An edit that names no image applies to the attachments, or else refines the latest image
+  const defaultImageIds = editableImages.size > 0 ? [...editableImages.keys()] : latestImageIds.slice(0, 1);
+  const { name, params } = parseToolCall(toolCall, { defaultImageIds });
+  const imageParams = { ...params, ...outputOptions };
+  
+  // Attachments are edited from their stored image or data; other IDs refer to stored images
+  if (name === 'edit_image') {
+    imageParams.image = params.image.map(id => editableImages.get(id) || id);
   }
   
-  // If the message is short (less than 6 words) and contains descriptive adjectives,
-  // it's likely a simple image request
-  const wordCount = message.split(/\s+/).length;
-  if (wordCount < 6) {
-    const descriptiveAdjectives = [
-      'beautiful', 'colorful', 'red', 'blue', 'green', 'yellow', 'purple',
-      'orange', 'black', 'white', 'large', 'small', 'tiny', 'huge', 'fluffy'
-    ];
-    
-    for (const adj of descriptiveAdjectives) {
-      // Make sure we're matching whole words, not parts of words
-      const adjRegex = new RegExp(`\\b${adj}\\b`, 'i');
-      if (adjRegex.test(lowerMessage)) {
-        return true;
+  // Images made by the tools count against the user's budget like image requests do,
+  // so calls are refused once it is used up
+  if (handlers.reserveImageCost) {
+    await handlers.reserveImageCost(name === 'edit_image' ? 'images.edit' : 'images.generate', imageParams);
+  }
+  
+  if (name === 'edit_image') {
+    const response = await imageService.editImages(imageParams, toImageOptions(handlers));
+    const sourceImageId = response.images.length > 0 ? await findSourceImageId(response.images[0], handlers.ownerId) : null;
+    return { name, response, sourceImageId };
+  }
+  
+  // The style preset shapes new images; edits keep the style of their source
+  if (preset) {
+    imageParams.preset = preset;
+  }
+  const response = handlers.onPartialImage && imageParams.n === 1
+    ? await imageService.generateImagesStream(imageParams, {
+      ...toImageOptions(handlers),
+      onPartialImage: handlers.onPartialImage,
+      signal: handlers.signal
+    })
+    : await imageService.generateImages(imageParams, toImageOptions(handlers));
+  return { name, response, sourceImageId: null };
+}
+
+/**
+ * Run the image tool calls of a reply, one at a time so previews arrive in order
+ * A failed call does not fail the reply, which then explains what went wrong instead
+ * @param {Array} toolCalls - Tool calls of the assistant message
+ * @param {Object} toolContext - What the tools may use (see runToolCall)
+ * @param {Object} handlers - Reply handlers and options (see processMessageStream)
+ * @returns {Promise<Object>} Results of the calls that succeeded and the errors of those that failed ({ results, failures })
+ * @throws {PromptRejectedError} If moderation rejects an image prompt
+ * @throws {QuotaExceededError} If the budget refuses the first image of the reply
+ */
+async function runToolCalls(toolCalls, toolContext, handlers) {
+  const results = [];
+  const failures = [];
+  
+  for (const toolCall of toolCalls) {
+    try {
+      results.push(await runToolCall(toolCall, toolContext, handlers));
+    } catch (error) {
+      // A rejected prompt is reported as such, and a cancelled request is not answered at all
+      if (error.name === 'PromptRejectedError' || (handlers.signal && handlers.signal.aborted)) {
+        throw error;
       }
+      
+      // A reply that has made no image yet is refused like an image request over budget;
+      // once images were made, they and their usage are kept and the refusal is noted instead
+      if (error instanceof QuotaExceededError && results.length === 0) {
+        throw error;
+      }
+      
+      logger.error('Image tool call failed', { tool: toolCall.function && toolCall.function.name, error: error.message });
+      failures.push(error);
     }
   }
   
-  return false;
+  return { results, failures };
+}
+
+/**
+ * Get the images of the tool results in the form shown on the assistant message
+ * Edited images are linked to the image they were edited from
+ * @param {Array} results - Tool results ({ name, response, sourceImageId })
+ * @returns {Array} Images ({ id, url, alt, sourceImageId })
+ */
+function toReplyImages(results) {
+  return results.flatMap(({ name, response, sourceImageId }) => (response.images || []).map(image => ({
+    id: image.id,
+    url: toResultImageUrl(image),
+    alt: name === 'edit_image' ? 'Edited image based on your instruction' : 'Generated image based on your request',
+    ...(sourceImageId && { sourceImageId })
+  })));
+}
+
+/**
+ * Compose the text of an assistant reply from the model's text and the outcome of its tool calls
+ * @param {string} content - Text written by the model (may be empty)
+ * @param {number} imageCount - Number of images made by the tool calls
+ * @param {Array} failures - Errors of the tool calls that failed
+ * @returns {string} Reply text
+ */
+function composeReplyText(content, imageCount, failures) {
+  // Messages that end a sentence of their own, like quota errors, are not given a second period
+  const notes = failures.map(error => (
+    `I couldn't create the image: ${error instanceof ApiError ? error.message.replace(/\.$/, '') : 'something went wrong'}.`
+  ));
+  const text = [content, ...notes].filter(Boolean).join('\n\n');
+  
+  if (text || imageCount === 0) {
+    return text;
+  }
+  return imageCount > 1 ? 'Here are the images you requested:' : 'Here\'s the image you requested:';
 }
 
 /**
@@ -98,24 +396,72 @@ function isImageRequest(message) {
  * @param {Object} params - Chat parameters
  * @param {string} params.message - User message
  * @param {Array} params.images - Array of image objects (optional)
- * @returns {Promise<Object>} Chat response
+ * @param {string} params.conversationId - Conversation to record the exchange in (optional)
+ * @param {string} params.output_format - Output format of generated images: png, jpeg or webp (optional)
+ * @param {number} params.output_compression - Compression level (0-100) of generated jpeg and webp images (optional)
+ * @param {string} params.preset - Style preset applied to generated images (optional)
+ * @param {Object} options - Request options
+ * @param {string} options.apiKey - User's OpenAI API key (optional, defaults to the server key)
+ * @param {Function} options.reserveImageCost - Reserves the cost of each image tool call (optional, see processMessageStream)
+ * @param {Function} options.onUsage - Called with the usage of side completions (optional, see processMessageStream)
+ * @param {string} options.ownerId - ID of the user sending the message, who owns the conversation (optional)
+ * @returns {Promise<Object>} Chat response with userMessage, assistantMessage, the chat model's usage and,
+ * when the model made images, the usage of each image request (imageResults)
+ */
+async function processMessage(params, options = {}) {
+  return respondToMessage(params, options);
+}
+
+/**
+ * Process a chat message, streaming the assistant reply as it is generated
+ * @param {Object} params - Chat parameters (see processMessage)
+ * @param {Object} handlers - Stream handlers
+ * @param {Function} handlers.onStart - Called once with { userMessage, assistantMessageId }
+ * @param {Function} handlers.onToken - Called with each content delta of the reply text
+ * @param {Function} handlers.onPartialImage - Called with each preview of a generated image (optional)
+ * @param {AbortSignal} handlers.signal - Signal to cancel the request (optional)
+ * @param {string} handlers.apiKey - User's OpenAI API key (optional, defaults to the server key)
+ * @param {Function} handlers.reserveImageCost - Called with the endpoint ("images.generate" or "images.edit") and
+ * parameters of each image tool call before it runs; its rejection refuses the call (optional)
+ * @param {Function} handlers.onUsage - Called with the model and usage of each completion made on the side of the reply,
+ * summarizing earlier turns or analyzing image prompts, which are not part of the chat response (optional)
+ * @param {string} handlers.ownerId - ID of the user sending the message; only their conversation and images are used (optional)
+ * @returns {Promise<Object>} Final chat response, as returned by processMessage
  */
-async function processMessage(params) {
+async function processMessageStream(params, handlers) {
+  return respondToMessage(params, handlers);
+}
+
+/**
+ * Produce the assistant reply to a chat message
+ * @param {Object} params - Chat parameters (see processMessage)
+ * @param {Object} handlers - Stream handlers and options (see processMessageStream); without onToken, replies in a single response
+ * @returns {Promise<Object>} Chat response (see processMessage)
+ */
+async function respondToMessage(params, handlers = {}) {
   try {
-    const { message, images = [] } = params;
+    const { message, images = [], conversationId = conversationStore.DEFAULT_CONVERSATION_ID, output_format, output_compression, preset } = params;
     
     // Validate message
     if ((message === null || message === undefined) && (!images || images.length === 0)) {
       throw new BadRequestError('Message cannot be null or undefined when no images are provided', 'INVALID_MESSAGE');
     }
     
+    // An unknown style preset fails the message before anything is spent on it
+    if (preset) {
+      await presetService.getPreset(preset);
+    }
+    
     // Ensure message is a string
     const messageText = String(message);
     
     // Create a unique ID for the messages
     const timestamp = new Date().toISOString();
-    const userMessageId = `user-${Date.now()}`;
-    const assistantMessageId = `assistant-${Date.now()}`;
+    const userMessageId = generateMessageId('user');
+    const assistantMessageId = generateMessageId('assistant');
+    
+    // Attached images in a form the model (and later turns) can read
+    const attachedImages = await resolveAttachments(images || [], userMessageId, handlers.ownerId);
     
     // Format the user message
     const userMessage = {
@@ -126,113 +472,224 @@ async function processMessage(params) {
       status: 'SENT'
     };
     
-    // Check if this is an image request and there are no uploaded images
-    if (isImageRequest(messageText) && images.length === 0) {
-      try {
-        // Generate an image instead of text response
-        const imageResponse = await imageService.generateImages({
-          prompt: messageText,
-          n: 1
-        });
-        
-        // Format the response with the generated image
-        if (imageResponse && imageResponse.images && imageResponse.images.length > 0) {
-          const generatedImage = imageResponse.images[0];
-          
-          // Log the image data for debugging
-          logger.debug('Generated image data:', {
-            id: generatedImage.id,
-            hasBase64: !!generatedImage.base64,
-            base64Length: generatedImage.base64 ? generatedImage.base64.length : 0
-          });
-          
-          return {
-            userMessage,
-            assistantMessage: {
-              id: assistantMessageId,
-              role: 'assistant',
-              content: 'Here\'s the image you requested:', // Add descriptive text content
-              images: [{
-                id: generatedImage.id,
-                url: `data:image/jpeg;base64,${generatedImage.base64}`,
-                alt: 'Generated image based on your request'
-              }],
-              timestamp: timestamp,
-              status: 'RECEIVED'
-            }
-          };
-        }
-      } catch (error) {
-        // Log the error but continue with text response as fallback
-        logger.error('Image generation failed, falling back to text response:', error);
-        // We'll continue with the text response flow below
-      }
+    // Keep attachments on the stored message so later turns can refer back to them
+    if (attachedImages.length > 0) {
+      userMessage.images = await storeAttachments(attachedImages, handlers.ownerId);
     }
     
-    // If not an image request or image generation failed, proceed with text response
-    
-    // Prepare messages array for OpenAI API
-    const messages = [
-      {
-        role: 'system',
-        content: 'You are a helpful assistant that can analyze images and respond to questions. You are powered by the gpt-4.1-nano model for text chat, while image generation is handled by the gpt-image-1 model. Provide comprehensive, helpful answers based on the user\'s query and any images they\'ve shared. If the user is asking for an image to be created, explain that you will use gpt-image-1 to generate it.'
-      }
-    ];
+    if (handlers.onStart) {
+      handlers.onStart({ userMessage, assistantMessageId });
+    }
     
-    // If there are images, create a message with text and image content
-    if (images && images.length > 0) {
-      const content = [
-        { type: 'text', text: messageText }
-      ];
-      
-      // Add each image to the content array
-      images.forEach(image => {
-        if (image.base64) {
-          content.push({
+    // Build the new user turn, with text and image content if images are attached
+    // Editable attachments are listed by ID, so the model can pass them to edit_image
+    const editableImages = toEditableImages(userMessage.images || []);
+    let currentTurn;
+    if (attachedImages.length > 0) {
+      currentTurn = {
+        role: 'user',
+        content: [
+          { type: 'text', text: messageText },
+          ...attachedImages.map(image => ({
             type: 'image_url',
             image_url: {
-              url: `data:image/jpeg;base64,${image.base64}`
+              url: image.url
             }
-          });
-        }
-      });
-      
-      messages.push({ role: 'user', content });
+          })),
+          ...(editableImages.size > 0 ? [{ type: 'text', text: describeAttachments([...editableImages.keys()]) }] : [])
+        ]
+      };
     } else {
       // If no images, just add the text message
-      messages.push({ role: 'user', content: messageText });
+      currentTurn = { role: 'user', content: messageText };
     }
     
-    // Use the prompt analysis model (gpt-4.1-nano) for text chat
-    // gpt-image-1 is only for image generation, not text chat
-    const response = await openaiService.createChatCompletion({
-      messages,
-      model: config.openai.promptAnalysisModel // Use the prompt analysis model for text chat
+    // The model is told which images the latest image reply made, so it can refine them
+    const latestImageIds = await findLatestImageIds(conversationId, handlers.ownerId);
+    
+    // Prepare messages array for OpenAI API, including earlier turns of the conversation
+    const messages = await contextService.buildConversationContext({
+      conversationId,
+      systemPrompt: latestImageIds.length > 0
+        ? `${CHAT_SYSTEM_PROMPT}\n\n${describeLatestImages(latestImageIds)}`
+        : CHAT_SYSTEM_PROMPT,
+      userMessage: currentTurn,
+      apiKey: handlers.apiKey,
+      onUsage: handlers.onUsage,
+      ownerId: handlers.ownerId
     });
     
-    // Extract and format the response
-    const assistantResponse = response.choices[0].message;
+    // The chat model (gpt-4.1-nano) answers in text and decides through its tools
+    // whether gpt-image-1 should make or change images for the reply
+    let assistantResponse;
+    let usage;
+    let attempts;
+    
+    if (handlers.onToken) {
+      ({ message: assistantResponse, usage, attempts } = await streamCompletion(messages, handlers));
+    } else {
+      const response = await openaiService.createChatCompletion({
+        messages,
+        model: config.openai.promptAnalysisModel, // Use the prompt analysis model for text chat
+        tools: CHAT_TOOLS
+      }, toOpenAIOptions(handlers));
+      
+      // Extract and format the response
+      assistantResponse = response.choices[0].message;
+      usage = response.usage;
+      attempts = response.attempts;
+    }
+    
+    const outputOptions = {
+      ...(output_format && { output_format }),
+      ...(output_compression !== undefined && { output_compression })
+    };
+    const { results, failures } = await runToolCalls(assistantResponse.tool_calls || [], { outputOptions, editableImages, latestImageIds, preset }, handlers);
+    const replyImages = toReplyImages(results);
+    const content = composeReplyText(assistantResponse.content, replyImages.length, failures);
     
-    // Format the response to match client expectations
-    return {
+    // Text added after the model finished (tool failures, or a caption for image-only replies) is streamed too
+    const streamedContent = assistantResponse.content || '';
+    if (handlers.onToken && content.length > streamedContent.length) {
+      handlers.onToken(content.slice(streamedContent.length));
+    }
+    
+    // Format the response to match client expectations; images made by the tools are billed separately
+    return await saveExchange(conversationId, {
       userMessage,
       assistantMessage: {
         id: assistantMessageId,
-        role: assistantResponse.role,
-        content: assistantResponse.content,
+        role: 'assistant',
+        content,
+        ...(replyImages.length > 0 && { images: replyImages }),
         timestamp: timestamp,
         status: 'RECEIVED'
-      }
-    };
+      },
+      model: config.openai.promptAnalysisModel,
+      usage,
+      attempts,
+      ...(results.length > 0 && {
+        imageResults: results.map(({ name, response }) => ({
+          tool: name,
+          model: response.model,
+          usage: response.usage,
+          images: (response.images || []).map(image => ({ id: image.id }))
+        }))
+      })
+    }, handlers.ownerId);
   } catch (error) {
-    if (error.name === 'OpenAIError') {
+    // Errors that carry their own status, such as quota refusals and invalid images, reach the client as they are
+    if (error instanceof ApiError || error.statusCode || ['OpenAIError', 'PromptRejectedError', 'NotFoundError'].includes(error.name)) {
       throw error;
     }
     throw new BadRequestError('Failed to process chat message', 'CHAT_PROCESSING_ERROR');
   }
 }
 
+/**
+ * Find the image an edited image was made from, using the lineage recorded in the image store
+ * @param {Object} image - Edited image ({ id })
+ * @param {string} ownerId - ID of the user the image belongs to
+ * @returns {Promise<string|null>} ID of the source image, or null if it is not known
+ */
+async function findSourceImageId(image, ownerId) {
+  try {
+    const record = await imageStore.getImageRecord(image.id, { ownerId });
+    const parentIds = (record.metadata && record.metadata.parentIds) || [];
+    return parentIds[0] || null;
+  } catch (error) {
+    // Images that could not be stored are only returned inline, without lineage
+    return null;
+  }
+}
+
+/**
+ * Add an image edit made from the chat to a conversation
+ * The user message carries the instruction and the source image, and the assistant message the
+ * edited images, each linked to the image it was edited from
+ * @param {string} conversationId - Conversation ID
+ * @param {string} prompt - Edit instruction
+ * @param {Object} editResponse - Image service edit response with the edited images
+ * @param {Object} options - Options
+ * @param {string} options.ownerId - ID of the user who made the edit and owns the conversation (optional)
+ * @returns {Promise<Object>} The recorded userMessage and assistantMessage
+ */
+async function recordImageEdit(conversationId, prompt, editResponse, { ownerId } = {}) {
+  const timestamp = new Date().toISOString();
+  const sourceImageId = editResponse.images.length > 0 ? await findSourceImageId(editResponse.images[0], ownerId) : null;
+  
+  const userMessage = {
+    id: generateMessageId('user'),
+    role: 'user',
+    content: prompt,
+    timestamp,
+    status: 'SENT',
+    ...(sourceImageId && { images: [{ id: sourceImageId, url: imageStore.toImageUrl(sourceImageId) }] })
+  };
+  
+  const assistantMessage = {
+    id: generateMessageId('assistant'),
+    role: 'assistant',
+    content: editResponse.images.length > 1 ? 'Here are the edited images:' : 'Here\'s the edited image:',
+    images: editResponse.images.map(image => ({
+      id: image.id,
+      url: toResultImageUrl(image),
+      alt: 'Edited image based on your instruction',
+      ...(sourceImageId && { sourceImageId })
+    })),
+    timestamp,
+    status: 'RECEIVED'
+  };
+  
+  await saveExchange(conversationId, { userMessage, assistantMessage }, ownerId);
+  return { userMessage, assistantMessage };
+}
+
+/**
+ * Get a page of chat history, newest messages first
+ * @param {Object} query - History query
+ * @param {string} query.conversationId - Conversation ID (optional)
+ * @param {string} query.before - ID of the oldest message already loaded (optional)
+ * @param {string|number} query.limit - Page size (optional)
+ * @param {Object} options - Options
+ * @param {string} options.ownerId - ID of the user owning the conversation (optional)
+ * @returns {Promise<Object>} Messages with hasMore and nextCursor
+ */
+async function getChatHistory(query = {}, { ownerId } = {}) {
+  const { conversationId, before, limit } = validateHistoryQuery(query, {
+    defaultConversationId: conversationStore.DEFAULT_CONVERSATION_ID,
+    defaultLimit: config.storage.history.defaultPageSize,
+    maxLimit: config.storage.history.maxPageSize
+  });
+  
+  return conversationStore.listMessages(conversationId, { before, limit, ownerId });
+}
+
+/**
+ * Clear the chat history of a conversation
+ * @param {Object} query - Clear request
+ * @param {string} query.conversationId - Conversation ID (optional)
+ * @param {Object} options - Options
+ * @param {string} options.ownerId - ID of the user owning the conversation (optional)
+ * @returns {Promise<Object>} Success flag
+ */
+async function clearChatHistory(query = {}, { ownerId } = {}) {
+  const { conversationId } = validateHistoryQuery({ conversationId: query.conversationId }, {
+    defaultConversationId: conversationStore.DEFAULT_CONVERSATION_ID
+  });
+  
+  await conversationStore.clearConversation(conversationId, { ownerId });
+  
+  return {
+    success: true,
+    message: 'Chat history cleared'
+  };
+}
+
 module.exports = {
   processMessage,
-  isImageRequest
+  processMessageStream,
+  recordImageEdit,
+  getChatHistory,
+  clearChatHistory
 };
\ No newline at end of file
@@ -0,0 +1,181 @@
+/**
+ * Chat tools
+ * Tools the chat model is given to create and edit images, so the model itself decides when a reply
+ * needs an image and with what prompt and parameters
+ */
+
+const { validateGenerateRequest, validateEditRequest } = require('../utils/validators');
+const { BadRequestError } = require('../utils/error');
+
+// Label of the text part that tells the model the IDs of the images attached to a turn
+const ATTACHMENT_IDS_LABEL = 'Attached image IDs:';
+
+// Label of the system prompt line that tells the model the IDs of the images of the latest image reply
+const LATEST_IMAGE_IDS_LABEL = 'Latest image IDs:';
+
+// Parameters shared by both tools; the model may leave them out to have them chosen by prompt analysis
+const SIZE_PARAMETER = {
+  type: 'string',
+  enum: ['1024x1024', '1536x1024', '1024x1536', 'auto'],
+  description: 'Image size: square, landscape or portrait'
+};
+const QUALITY_PARAMETER = {
+  type: 'string',
+  enum: ['low', 'medium', 'high', 'auto'],
+  description: 'Rendering quality; low is fastest and cheapest'
+};
+const N_PARAMETER = {
+  type: 'integer',
+  minimum: 1,
+  maximum: 4,
+  description: 'Number of images to make (default 1)'
+};
+
+// Tool definitions in the chat completions format
+const CHAT_TOOLS = [
+  {
+    type: 'function',
+    function: {
+      name: 'generate_image',
+      description: 'Create a new image from a text description. Use it when the user asks for a picture, drawing, design or other image that does not start from an existing one.',
+      parameters: {
+        type: 'object',
+        properties: {
+          prompt: {
+            type: 'string',
+            description: 'Detailed description of the image, including subject, style, composition and colors'
+          },
+          size: SIZE_PARAMETER,
+          quality: QUALITY_PARAMETER,
+          background: {
+            type: 'string',
+            enum: ['transparent', 'opaque', 'auto'],
+            description: 'Use transparent for logos, icons and stickers'
+          },
+          n: N_PARAMETER
+        },
+        required: ['prompt'],
+        additionalProperties: false
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'edit_image',
+      description: 'Change one or more existing images. Use it when the user attaches images and asks for a change to them, asks to refine the latest image (for example "now make it darker"), or asks to modify, restyle or combine images in the conversation.',
+      parameters: {
+        type: 'object',
+        properties: {
+          prompt: {
+            type: 'string',
+            description: 'Instruction describing the change, or the image to make from the source images'
+          },
+          image_ids: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'IDs of the images to edit, as listed with the images of the conversation; defaults to the images attached to the latest message, or else to the latest image made in the conversation'
+          },
+          size: SIZE_PARAMETER,
+          quality: QUALITY_PARAMETER,
+          n: N_PARAMETER
+        },
+        required: ['prompt'],
+        additionalProperties: false
+      }
+    }
+  }
+];
+
+/**
+ * Parse the JSON arguments of a tool call
+ * @param {string} text - Arguments as sent by the model
+ * @returns {Object} Arguments
+ * @throws {BadRequestError} If the arguments are not a JSON object
+ */
+function parseArguments(text) {
+  let args;
+  try {
+    args = JSON.parse(text || '{}');
+  } catch (error) {
+    args = null;
+  }
+  
+  if (!args || typeof args !== 'object' || Array.isArray(args)) {
+    throw new BadRequestError('Tool arguments must be a JSON object', 'INVALID_TOOL_CALL');
+  }
+  return args;
+}
+
+/**
+ * Turn a tool call of the chat model into image service parameters
+ * Only the parameters the tool defines are kept, and they are validated like an API request
+ * @param {Object} toolCall - Tool call ({ id, function: { name, arguments } })
+ * @param {Object} options - Parsing options
+ * @param {Array} options.defaultImageIds - Images edited when edit_image names none, usually the attachments of the message
+ * @returns {Object} Tool name and image service parameters ({ name, params })
+ * @throws {BadRequestError} If the tool is unknown or its arguments are malformed
+ * @throws {ValidationError} If an argument is out of range
+ */
+function parseToolCall(toolCall, { defaultImageIds = [] } = {}) {
+  const { name, arguments: text } = toolCall.function || {};
+  const args = parseArguments(text);
+  const imageIds = Array.isArray(args.image_ids) && args.image_ids.length > 0 ? args.image_ids : defaultImageIds;
+  const options = {
+    ...(args.size !== undefined && { size: args.size }),
+    ...(args.quality !== undefined && { quality: args.quality }),
+    ...(args.n !== undefined && { n: args.n })
+  };
+  
+  switch (name) {
+    case 'generate_image':
+      return {
+        name,
+        params: validateGenerateRequest({
+          prompt: args.prompt,
+          n: 1,
+          ...options,
+          ...(args.background !== undefined && { background: args.background })
+        })
+      };
+    case 'edit_image':
+      return {
+        name,
+        params: validateEditRequest({
+          prompt: args.prompt,
+          image: imageIds.length > 0 ? imageIds : undefined,
+          n: 1,
+          ...options
+        })
+      };
+    default:
+      throw new BadRequestError(`Unknown tool: ${name}`, 'INVALID_TOOL_CALL');
+  }
+}
+
+/**
+ * Describe the images attached to a turn, so the model can pass them to edit_image
+ * @param {Array} imageIds - IDs of the attached images
+ * @returns {string} Text part content
+ */
+function describeAttachments(imageIds) {
+  return `${ATTACHMENT_IDS_LABEL} ${imageIds.join(', ')}`;
+}
+
+/**
+ * Describe the images of the latest image reply of a conversation, so the model can refine them with edit_image
+ * @param {Array} imageIds - IDs of the images, in the order they were shown
+ * @returns {string} System prompt line
+ */
+function describeLatestImages(imageIds) {
+  return `${LATEST_IMAGE_IDS_LABEL} ${imageIds.join(', ')}. Follow-up requests to change "it" or the last result refer to these images.`;
+}
+
+module.exports = {
+  CHAT_TOOLS,
+  ATTACHMENT_IDS_LABEL,
+  LATEST_IMAGE_IDS_LABEL,
+  parseToolCall,
+  describeAttachments,
+  describeLatestImages
+};
\ No newline at end of file
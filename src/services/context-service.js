@@ -0,0 +1,354 @@
+/**
+ * Conversation context service
+ * Assembles prior turns of a conversation into chat completion messages within a token budget
+ */
+
+const openaiService = require('./openai-service');
+const { conversationStore, imageStore } = require('../storage');
+const logger = require('../utils/logger');
+const config = require('../config').openai;
+
+// Rough token costs used for budgeting (the API does the exact accounting)
+const CHARS_PER_TOKEN = 4;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const LOW_DETAIL_IMAGE_TOKENS = 85;
+const HIGH_DETAIL_IMAGE_TOKENS = 765;
+const SUMMARY_MAX_TOKENS = 300;
+
+// Largest estimated transcript sent in one summary completion; longer backlogs are folded in over several
+const SUMMARY_CHUNK_TOKENS = 4000;
+
+/**
+ * Estimate the token count of a chat completion message
+ * @param {Object} message - Chat completion message
+ * @returns {number} Estimated tokens
+ */
+function estimateTokens(message) {
+  const { content } = message;
+  
+  if (typeof content === 'string') {
+    return MESSAGE_OVERHEAD_TOKENS + Math.ceil(content.length / CHARS_PER_TOKEN);
+  }
+  
+  return (content || []).reduce((total, part) => {
+    if (part.type === 'image_url') {
+      return total + (part.image_url.detail === 'low' ? LOW_DETAIL_IMAGE_TOKENS : HIGH_DETAIL_IMAGE_TOKENS);
+    }
+    return total + Math.ceil((part.text || '').length / CHARS_PER_TOKEN);
+  }, MESSAGE_OVERHEAD_TOKENS);
+}
+
+/**
+ * Check whether an image URL can be sent to the model
+ * @param {Object} image - Stored image reference
+ * @returns {boolean} True if the URL is a data URL, an absolute HTTP(S) URL or a stored image URL
+ */
+function isSendableImage(image) {
+  if (!image || typeof image.url !== 'string') {
+    return false;
+  }
+  return /^(data:image\/|https?:\/\/)/.test(image.url) || !!imageStore.parseImageUrl(image.url);
+}
+
+/**
+ * Replace stored image URLs in chat completion messages with data URLs, since the API cannot fetch them
+ * Images that can no longer be read are dropped from the message
+ * @param {Array} messages - Chat completion messages
+ * @param {string} ownerId - ID of the user owning the conversation; images of other users are dropped
+ * @returns {Promise<Array>} Messages with only data URLs and HTTP(S) URLs
+ */
+async function inlineStoredImages(messages, ownerId) {
+  return Promise.all(messages.map(async message => {
+    if (!Array.isArray(message.content)) {
+      return message;
+    }
+    
+    const content = await Promise.all(message.content.map(async part => {
+      const imageId = part.type === 'image_url' ? imageStore.parseImageUrl(part.image_url.url) : null;
+      if (!imageId) {
+        return part;
+      }
+      
+      try {
+        return { ...part, image_url: { ...part.image_url, url: await imageStore.toDataUrl(imageId, { ownerId }) } };
+      } catch (error) {
+        logger.warn('Failed to read stored image for the conversation context', { imageId, error: error.message });
+        return null;
+      }
+    }));
+    
+    return { ...message, content: content.filter(Boolean) };
+  }));
+}
+
+/**
+ * Convert one stored chat message into chat completion messages
+ * @param {Object} stored - Stored message
+ * @param {Object} imageAllowance - Mutable counter of history images still allowed ({ remaining })
+ * @returns {Array} Chat completion messages (an assistant turn with images yields two)
+ */
+function toCompletionMessages(stored, imageAllowance) {
+  const text = typeof stored.content === 'string' ? stored.content : '';
+  const images = (stored.images || []).filter(isSendableImage);
+  
+  // Spend the image allowance, newest history first; the rest become placeholders
+  const attached = images.slice(0, Math.max(imageAllowance.remaining, 0));
+  imageAllowance.remaining -= attached.length;
+  const omitted = images.length - attached.length;
+  const omittedNote = omitted > 0 ? `\n[${omitted} earlier image(s) omitted]` : '';
+  
+  const imageParts = attached.map(image => ({
+    type: 'image_url',
+    image_url: { url: image.url, detail: 'low' }
+  }));
+  
+  if (stored.role === 'user') {
+    if (imageParts.length === 0) {
+      return [{ role: 'user', content: text + omittedNote }];
+    }
+    return [{ role: 'user', content: [{ type: 'text', text: text + omittedNote }, ...imageParts] }];
+  }
+  
+  const assistantText = images.length > 0
+    ? `${text}\n[Generated ${images.length} image(s)]`.trim()
+    : text;
+  const messages = [{ role: 'assistant', content: assistantText }];
+  
+  // Assistant messages cannot carry images, so show the generated images to the model in a follow-up turn
+  if (imageParts.length > 0) {
+    messages.push({
+      role: 'user',
+      content: [{ type: 'text', text: '(Images generated by the assistant in the previous message)' }, ...imageParts]
+    });
+  }
+  
+  return messages;
+}
+
+/**
+ * Render stored messages as a plain-text transcript
+ * @param {Array} storedMessages - Stored messages, oldest first
+ * @returns {string} Transcript
+ */
+function toTranscript(storedMessages) {
+  return storedMessages.map(stored => {
+    const imageCount = (stored.images || []).length;
+    const imageNote = imageCount > 0 ? ` [${imageCount} image(s)]` : '';
+    return `${stored.role}: ${stored.content || ''}${imageNote}`;
+  }).join('\n');
+}
+
+/**
+ * Check whether a stored message is a completed turn that belongs in the context
+ * @param {Object} stored - Stored message
+ * @returns {boolean} True for user and assistant messages that did not fail
+ */
+function isCompletedTurn(stored) {
+  return (stored.role === 'user' || stored.role === 'assistant') && stored.status !== 'FAILED';
+}
+
+/**
+ * Split turns into chunks whose transcripts fit in one summary completion
+ * A turn longer than a chunk gets a chunk of its own
+ * @param {Array} turns - Stored messages, oldest first
+ * @returns {Array} Chunks of stored messages, oldest first
+ */
+function chunkTurns(turns) {
+  const chunks = [];
+  let chunk = [];
+  let chunkTokens = 0;
+  
+  for (const stored of turns) {
+    const tokens = estimateTokens({ content: toTranscript([stored]) });
+    if (chunk.length > 0 && chunkTokens + tokens > SUMMARY_CHUNK_TOKENS) {
+      chunks.push(chunk);
+      chunk = [];
+      chunkTokens = 0;
+    }
+    chunk.push(stored);
+    chunkTokens += tokens;
+  }
+  
+  if (chunk.length > 0) {
+    chunks.push(chunk);
+  }
+  return chunks;
+}
+
+/**
+ * Ask the model to summarize turns, building on the summary of the turns before them
+ * @param {string|null} previousSummary - Summary of the earlier turns (null if there is none)
+ * @param {Array} turns - Stored messages to add to the summary, oldest first
+ * @param {Object} options - Request options
+ * @param {string} options.apiKey - User's OpenAI API key (optional, defaults to the server key)
+ * @param {Function} options.onUsage - Called with the model and usage of the completion (optional)
+ * @returns {Promise<string>} Summary of the earlier and the given turns
+ */
+async function requestSummary(previousSummary, turns, { apiKey, onUsage }) {
+  const transcript = previousSummary
+    ? `Summary so far: ${previousSummary}\n\n${toTranscript(turns)}`
+    : toTranscript(turns);
+  
+  const response = await openaiService.createChatCompletion({
+    model: config.promptAnalysisModel,
+    messages: [
+      {
+        role: 'system',
+        content: 'Summarize the following conversation between a user and an assistant in a short paragraph. Keep names, facts, decisions, preferences and descriptions of any images, so the conversation can continue without the original messages.'
+      },
+      { role: 'user', content: transcript }
+    ],
+    temperature: 0.2,
+    max_tokens: SUMMARY_MAX_TOKENS
+  }, { apiKey });
+  if (onUsage) {
+    await onUsage({ model: response.model || config.promptAnalysisModel, usage: response.usage });
+  }
+  
+  return response.choices[0].message.content;
+}
+
+/**
+ * Extend the stored summary of a conversation with turns trimmed from its context
+ * Turns are folded in a chunk at a time and the summary is stored after each chunk, so every turn
+ * is sent to the model once, however long the conversation gets
+ * @param {string} conversationId - Conversation ID
+ * @param {Object|null} storedSummary - Stored summary ({ summary, throughId }), or null if there is none
+ * @param {Array} trimmed - Trimmed stored messages the summary does not cover yet, oldest first
+ * @param {Object} options - Request options (see requestSummary)
+ * @param {string} options.ownerId - ID of the user owning the conversation
+ * @returns {Promise<string|null>} Summary covering as many of the trimmed turns as could be summarized,
+ * or null if there is none
+ */
+async function extendSummary(conversationId, storedSummary, trimmed, options) {
+  let summary = storedSummary ? storedSummary.summary : null;
+  
+  try {
+    for (const chunk of chunkTurns(trimmed)) {
+      summary = await requestSummary(summary, chunk, options);
+      await conversationStore.saveSummary(conversationId, { summary, throughId: chunk[chunk.length - 1].id }, { ownerId: options.ownerId });
+    }
+  } catch (error) {
+    logger.warn('Failed to summarize earlier conversation, leaving out the turns it does not cover', { conversationId, error: error.message });
+  }
+  
+  return summary;
+}
+
+/**
+ * Load the stored summary of a conversation's earlier turns
+ * @param {string} conversationId - Conversation ID
+ * @param {string} ownerId - ID of the user owning the conversation
+ * @returns {Promise<Object|null>} Stored summary, or null if there is none or it cannot be read
+ */
+async function loadSummary(conversationId, ownerId) {
+  try {
+    return await conversationStore.getSummary(conversationId, { ownerId });
+  } catch (error) {
+    logger.warn('Failed to load conversation summary, continuing without it', { conversationId, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Build the messages array for a chat completion, including prior turns of the conversation
+ * Only the latest context.maxHistoryMessages messages are considered; turns before them, or that do not fit
+ * in the token budget, are covered by a summary that is stored with the conversation and extended as it grows
+ * @param {Object} params - Context parameters
+ * @param {string} params.conversationId - Conversation ID
+ * @param {string} params.systemPrompt - System prompt
+ * @param {Object} params.userMessage - Chat completion message for the new user turn
+ * @param {string} params.apiKey - User's OpenAI API key, used to summarize trimmed turns (optional)
+ * @param {Function} params.onUsage - Called with the model and usage of each summary completion (optional)
+ * @param {string} params.ownerId - ID of the user owning the conversation (optional)
+ * @returns {Promise<Array>} Chat completion messages
+ */
+async function buildConversationContext({ conversationId, systemPrompt, userMessage, apiKey, onUsage, ownerId }) {
+  const systemMessage = { role: 'system', content: systemPrompt };
+  const summarize = config.context.summarizeOverflow;
+  let storedSummary = summarize ? await loadSummary(conversationId, ownerId) : null;
+  
+  let loaded = [];
+  let hasOlderMessages = false;
+  try {
+    const page = await conversationStore.listMessages(conversationId, { limit: config.context.maxHistoryMessages, ownerId });
+    loaded = page && Array.isArray(page.messages) ? page.messages : [];
+    hasOlderMessages = Boolean(page && page.hasMore);
+  } catch (error) {
+    logger.warn('Failed to load conversation history, continuing without it', { conversationId, error: error.message });
+  }
+  
+  // Turns the summary covers are only sent as part of it
+  const coveredIndex = storedSummary ? loaded.findIndex(stored => stored.id === storedSummary.throughId) : -1;
+  const loadedUncovered = coveredIndex !== -1 ? loaded.slice(0, coveredIndex) : loaded;
+  
+  // A summary of messages the conversation no longer has is of no use
+  if (storedSummary && coveredIndex === -1 && !hasOlderMessages) {
+    storedSummary = null;
+  }
+  
+  // Keep only completed turns
+  const history = loadedUncovered.filter(isCompletedTurn);
+  
+  let budget = config.context.maxTokens - estimateTokens(systemMessage) - estimateTokens(userMessage);
+  
+  // Leave room for a summary of trimmed turns
+  if (summarize) {
+    budget -= SUMMARY_MAX_TOKENS;
+  }
+  
+  // Walk history newest first, keeping whole turns while they fit in the budget
+  const imageAllowance = { remaining: config.context.maxHistoryImages };
+  const included = [];
+  let trimmedIndex = history.length;
+  
+  for (let index = 0; index < history.length; index++) {
+    const converted = toCompletionMessages(history[index], imageAllowance);
+    const cost = converted.reduce((total, message) => total + estimateTokens(message), 0);
+    
+    if (cost > budget) {
+      trimmedIndex = index;
+      break;
+    }
+    
+    budget -= cost;
+    included.unshift(...converted);
+  }
+  
+  const messages = [systemMessage];
+  
+  // history is newest first, so everything from trimmedIndex on is older than what was kept
+  let trimmed = history.slice(trimmedIndex).reverse();
+  if (trimmed.length > 0) {
+    logger.debug('Trimmed conversation context', { conversationId, trimmedMessages: trimmed.length });
+  }
+  
+  if (summarize) {
+    let summary = storedSummary ? storedSummary.summary : null;
+    try {
+      // Messages before the loaded ones that the summary does not cover yet are summarized too
+      if (hasOlderMessages && coveredIndex === -1) {
+        const older = await conversationStore.listMessagesAfter(conversationId, storedSummary && storedSummary.throughId, { ownerId });
+        const oldestLoadedIndex = older.findIndex(stored => stored.id === loaded[loaded.length - 1].id);
+        trimmed = [...older.slice(0, Math.max(oldestLoadedIndex, 0)).filter(isCompletedTurn), ...trimmed];
+      }
+      
+      if (trimmed.length > 0) {
+        summary = await extendSummary(conversationId, storedSummary, trimmed, { apiKey, onUsage, ownerId });
+      }
+    } catch (error) {
+      logger.warn('Failed to load earlier conversation history, using the summary as it is', { conversationId, error: error.message });
+    }
+    
+    if (summary) {
+      messages.push({ role: 'system', content: `Summary of the earlier conversation: ${summary}` });
+    }
+  }
+  
+  return inlineStoredImages([...messages, ...included, userMessage], ownerId);
+}
+
+module.exports = {
+  buildConversationContext,
+  estimateTokens
+};
\ No newline at end of file
@@ -4,15 +4,23 @@
  */
 
 const openaiService = require('./openai-service');
+const moderationService = require('./moderation-service');
+const presetService = require('./preset-service');
 const { imageProcessor } = require('../utils');
-const { BadRequestError } = require('../utils/error');
+const { imageProviders } = require('../providers');
+const imagesConfig = require('../config').images;
+const { imageStore } = require('../storage');
+const logger = require('../utils/logger');
+const { ApiError, BadRequestError, ValidationError } = require('../utils/error');
 
 /**
  * Process and store an uploaded image
  * @param {Object} file - Uploaded file from multer
+ * @param {Object} options - Upload options
+ * @param {string} options.ownerId - ID of the user uploading the image (optional)
  * @returns {Promise<Object>} Processed image data
  */
-async function processUpload(file) {
+async function processUpload(file, { ownerId } = {}) {
   try {
     // Validate the image file
     imageProcessor.validateImageFile(file);
@@ -20,26 +28,244 @@ async function processUpload(file) {
     // Convert file to base64
     const base64Image = await imageProcessor.fileToBase64(file);
     
-    // Generate a unique ID for the image
-    const id = generateImageId();
+    // Check the actual content, not the type the client declared, and strip EXIF and other metadata
+    const sanitized = await imageProcessor.sanitizeImage(Buffer.from(base64Image, 'base64'), imagesConfig.uploads);
+    
+    // Store the image so it can be served by ID
+    const image = await storeImage({
+      id: imageStore.generateImageId(),
+      base64: sanitized.data.toString('base64')
+    }, 'upload', { filename: file.originalname, ownerId });
     
     // Return image data
     return {
-      id,
-      base64: base64Image,
+      ...image,
       filename: file.originalname,
-      size: file.size,
-      type: file.mimetype,
+      size: sanitized.data.length,
+      type: sanitized.mimeType,
+      width: sanitized.width,
+      height: sanitized.height,
       timestamp: new Date().toISOString()
     };
   } catch (error) {
-    if (error.name === 'BadRequestError') {
+    if (error instanceof ApiError) {
       throw error;
     }
     throw new BadRequestError('Failed to process uploaded image', 'IMAGE_UPLOAD_ERROR');
   }
 }
 
+/**
+ * Persist an image in the image store so it can be served at GET /api/images/:id
+ * Storage failures are logged but never fail the request; the image is still returned as base64
+ * @param {Object} image - Image with id and base64
+ * @param {string} source - Where the image came from ('upload', 'generation', 'edit', 'edit-input' or 'mask')
+ * @param {Object} details - Record details
+ * @param {string} details.filename - Original file name (optional)
+ * @param {Object} details.metadata - Generation metadata (optional)
+ * @param {string} details.ownerId - ID of the user the image belongs to (optional)
+ * @returns {Promise<Object>} The image, with its URL and MIME type once stored
+ */
+async function storeImage(image, source, { filename, metadata, ownerId } = {}) {
+  try {
+    const record = await imageStore.saveImage({ id: image.id, data: image.base64, source, filename, metadata, ownerId });
+    return {
+      ...image,
+      url: imageStore.toImageUrl(record.id),
+      mimeType: record.mimeType
+    };
+  } catch (error) {
+    logger.warn('Failed to store image, returning it inline only', { id: image.id, error: error.message });
+    return image;
+  }
+}
+
+/**
+ * Resolve the provider for a request and check that it supports the requested parameters
+ * @param {Object} params - Request parameters, optionally naming a provider
+ * @param {string} operation - Operation to run ('generate' or 'edit')
+ * @returns {Promise<Object>} Provider, its capabilities and the parameters without the provider name
+ */
+async function resolveProvider(params, operation) {
+  const { provider: providerName, ...providerParams } = params;
+  const provider = imageProviders.getProvider(providerName || undefined);
+  const capabilities = await provider.describe();
+  
+  const unsupported = (field, message) => new ValidationError(
+    `Image provider "${provider.name}" does not support this request`,
+    'UNSUPPORTED_PROVIDER_FEATURE',
+    { [field]: message }
+  );
+  
+  if (operation === 'edit' && !capabilities.edit) {
+    throw unsupported('edit', 'Editing is not supported');
+  }
+  if (operation === 'edit' && providerParams.mask && !capabilities.mask) {
+    throw unsupported('mask', 'Masks are not supported');
+  }
+  if (providerParams.n && providerParams.n > capabilities.maxImages) {
+    throw unsupported('n', `At most ${capabilities.maxImages} image(s) can be requested`);
+  }
+  
+  const listedValues = [
+    ['size', capabilities.sizes],
+    ['quality', capabilities.qualities],
+    ['background', capabilities.backgrounds],
+    // Providers that do not list their output formats only produce PNG
+    ['output_format', capabilities.outputFormats || ['png']]
+  ];
+  for (const [field, supported] of listedValues) {
+    if (providerParams[field] && !supported.includes(providerParams[field])) {
+      throw unsupported(field, `Must be one of: ${supported.join(', ')}`);
+    }
+  }
+  
+  return { provider, capabilities, params: providerParams };
+}
+
+/**
+ * Fill in generation parameters the user did not provide by analyzing the prompt
+ * @param {Object} params - Generation parameters
+ * @param {Array} fields - Parameters that can be filled in (default: size, quality and background)
+ * @param {Object} options - Request options
+ * @param {string} options.apiKey - User's OpenAI API key (optional, defaults to the server key)
+ * @param {Function} options.onUsage - Called with the model and usage of the analysis (optional)
+ * @returns {Promise<Object>} Copy of the parameters with the missing fields filled in
+ */
+async function optimizeGenerationParams(params, fields = ['size', 'quality', 'background'], { apiKey, onUsage } = {}) {
+  // Create a copy of the parameters to avoid modifying the original
+  const enhancedParams = { ...params };
+  
+  // Only analyze the prompt if some of the fields are not explicitly provided
+  const shouldAnalyzePrompt = fields.some(field => !params[field]);
+  
+  if (shouldAnalyzePrompt && params.prompt) {
+    try {
+      // Analyze the prompt to determine optimal parameters
+      const optimizedParams = await openaiService.analyzePromptForImageGeneration(params.prompt, { apiKey, ...(onUsage && { onUsage }) });
+      
+      // Only apply AI-determined parameters if they weren't explicitly provided by the user
+      for (const field of fields) {
+        if (!params[field]) enhancedParams[field] = optimizedParams[field];
+      }
+    } catch (analysisError) {
+      // If analysis fails, continue with user-provided or default parameters
+      console.error('Prompt analysis failed, using default parameters:', analysisError);
+    }
+  }
+  
+  return enhancedParams;
+}
+
+/**
+ * Build the options passed to a provider call
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request (optional)
+ * @param {string} options.apiKey - User's OpenAI API key (optional)
+ * @returns {Object} Provider options ({ signal, apiKey }), leaving out the API key when there is none
+ */
+function toProviderOptions({ signal, apiKey }) {
+  return apiKey ? { signal, apiKey } : { signal };
+}
+
+/**
+ * Resolve an image or mask sent with an edit to its data, loading stored images given by reference
+ * Data sent inline is sanitized like stored images, so masks drawn over what the browser showed fit it
+ * @param {string|Object} input - Base64 data, data URL or reference to a stored image (an image ID, URL or { id })
+ * @param {string} ownerId - ID of the user editing, who must own referenced images
+ * @returns {Promise<Object>} Image data and, for references, the ID of the stored image ({ base64, id })
+ * @throws {NotFoundError} If a referenced image does not exist or belongs to someone else
+ * @throws {BadRequestError} If inline data is not a usable image
+ */
+async function resolveEditInput(input, ownerId) {
+  const stored = await imageStore.loadImageReference(input, { ownerId });
+  if (stored) {
+    return { base64: stored.data.toString('base64'), id: stored.record.id };
+  }
+  
+  const sanitized = await imageStore.sanitizeImageData(input);
+  return { base64: sanitized.data.toString('base64'), id: null };
+}
+
+/**
+ * Store the source images and mask of an edit, so the edited images can refer back to them
+ * Identical bytes are only kept once by the image store, so re-editing the same image is cheap
+ * @param {Array} images - Resolved images ({ base64, id })
+ * @param {Object} mask - Resolved mask ({ base64, id }, optional)
+ * @param {string} ownerId - ID of the user editing (optional)
+ * @returns {Promise<Object>} Parent image IDs and the mask ID (inputs that could not be stored are left out)
+ */
+async function storeEditInputs(images, mask, ownerId) {
+  const storeInput = async (input, source) => {
+    // Images given by reference are already stored, so the edit links to them directly
+    if (input.id) {
+      return input.id;
+    }
+    
+    const stored = await storeImage({ id: imageStore.generateImageId(), base64: input.base64 }, source, { ownerId });
+    return stored.url ? stored.id : null;
+  };
+  
+  const parentIds = await Promise.all(images.map(image => storeInput(image, 'edit-input')));
+  
+  return {
+    parentIds: parentIds.filter(Boolean),
+    maskId: mask ? await storeInput(mask, 'mask') : null
+  };
+}
+
+/**
+ * Build the metadata document recorded with each image of a result
+ * @param {Object} params - Effective request parameters, after prompt analysis
+ * @param {Object} result - Provider result
+ * @param {Object} provider - Provider that produced the result
+ * @param {Object} lineage - Parent image IDs and mask ID (optional, for edits)
+ * @param {string} requestId - ID of the HTTP request that produced the images (optional)
+ * @returns {Object} Prompt, effective parameters, provider, model, usage, lineage and request ID
+ */
+function buildMetadata(params, result, provider, lineage = {}, requestId) {
+  // The prompt and inputs are recorded separately from the parameters
+  const { prompt, image, mask, ...effectiveParams } = params;
+  
+  return {
+    prompt: prompt || null,
+    params: effectiveParams,
+    provider: provider.name,
+    model: result.model || null,
+    usage: result.usage || null,
+    parentIds: lineage.parentIds || [],
+    maskId: lineage.maskId || null,
+    requestId: requestId || null
+  };
+}
+
+/**
+ * Store the images of a provider result and format them as returned to clients
+ * @param {Object} result - Provider result with images ({ base64 }), model, usage and attempts
+ * @param {Object} provider - Provider that produced the result
+ * @param {string} source - Operation that produced the images ('generation' or 'edit')
+ * @param {Object} metadata - Metadata recorded with each image
+ * @param {string} ownerId - ID of the user the images belong to (optional)
+ * @returns {Promise<Object>} Images with IDs, URLs, MIME types and timestamps, model, usage, attempts and the provider name
+ */
+async function formatResult(result, provider, source, metadata, ownerId) {
+  const images = await Promise.all(result.images.map(image => storeImage({
+    id: imageStore.generateImageId(),
+    base64: image.base64,
+    // Kept for images that cannot be stored, so their data can still be labeled
+    mimeType: imageProcessor.getImageMimeType(image.base64, metadata.params.output_format),
+    timestamp: new Date().toISOString()
+  }, source, { metadata, ownerId })));
+  
+  return {
+    images,
+    model: result.model,
+    usage: result.usage,
+    attempts: result.attempts,
+    provider: provider.name
+  };
+}
+
 /**
  * Generate images from a prompt
  * @param {Object} params - Generation parameters
@@ -48,50 +274,86 @@ async function processUpload(file) {
  * @param {string} params.size - Image size (optional, will be determined by AI if not provided)
  * @param {string} params.quality - Image quality (optional, will be determined by AI if not provided)
  * @param {string} params.background - Background type (optional, will be determined by AI if not provided)
- * @returns {Promise<Object>} Generated images
+ * @param {string} params.output_format - Output format: png, jpeg or webp (optional)
+ * @param {number} params.output_compression - Compression level (0-100) for jpeg and webp (optional)
+ * @param {string} params.provider - Image provider (optional, defaults to IMAGE_PROVIDER)
+ * @param {string} params.preset - Style preset whose template and defaults are applied (optional)
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request (optional)
+ * @param {string} options.requestId - ID of the HTTP request, recorded in the image metadata (optional)
+ * @param {string} options.apiKey - User's OpenAI API key (optional, defaults to the server key)
+ * @param {Function} options.onUsage - Called with the model and usage of prompt analysis, which is not part of the result (optional)
+ * @param {string} options.ownerId - ID of the user the images belong to (optional)
+ * @returns {Promise<Object>} Generated images, usage, the number of API attempts and the provider name
+ * @throws {NotFoundError} If the style preset does not exist
  */
-async function generateImages(params) {
+async function generateImages(params, options = {}) {
   try {
-    // Create a copy of the parameters to avoid modifying the original
-    const enhancedParams = { ...params };
-    
-    // Only analyze the prompt if size, quality, or background are not explicitly provided
-    const shouldAnalyzePrompt = !params.size || !params.quality || !params.background;
-    
-    if (shouldAnalyzePrompt && params.prompt) {
-      try {
-        // Analyze the prompt to determine optimal parameters
-        const optimizedParams = await openaiService.analyzePromptForImageGeneration(params.prompt);
-        
-        // Only apply AI-determined parameters if they weren't explicitly provided by the user
-        if (!params.size) enhancedParams.size = optimizedParams.size;
-        if (!params.quality) enhancedParams.quality = optimizedParams.quality;
-        if (!params.background) enhancedParams.background = optimizedParams.background;
-      } catch (analysisError) {
-        // If analysis fails, continue with user-provided or default parameters
-        console.error('Prompt analysis failed, using default parameters:', analysisError);
-      }
+    // The preset's defaults are checked against the provider like any other parameter
+    const presetParams = await presetService.applyPreset(params);
+    const { provider, capabilities, params: providerParams } = await resolveProvider(presetParams, 'generate');
+    
+    // Rejected prompts never reach prompt analysis or the provider
+    await moderationService.moderatePrompt(providerParams.prompt, options);
+    
+    const enhancedParams = capabilities.promptAnalysis
+      ? await optimizeGenerationParams(providerParams, undefined, options)
+      : providerParams;
+    
+    const result = await provider.generate(enhancedParams, toProviderOptions(options));
+    
+    return formatResult(result, provider, 'generation', buildMetadata(enhancedParams, result, provider, {}, options.requestId), options.ownerId);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
     }
+    throw new BadRequestError('Failed to generate images', 'IMAGE_GENERATION_ERROR');
+  }
+}
+
+/**
+ * Generate an image from a prompt, reporting partial previews while it renders
+ * @param {Object} params - Generation parameters (see generateImages; only one image can be streamed)
+ * @param {Object} handlers - Stream handlers
+ * @param {Function} handlers.onPartialImage - Called with { index, partialImageIndex, base64, mimeType } for each preview
+ * @param {AbortSignal} handlers.signal - Signal to cancel the request (optional)
+ * @param {string} handlers.requestId - ID of the HTTP request, recorded in the image metadata (optional)
+ * @param {string} handlers.apiKey - User's OpenAI API key (optional, defaults to the server key)
+ * @param {Function} handlers.onUsage - Called with the model and usage of prompt analysis (optional)
+ * @param {string} handlers.ownerId - ID of the user the images belong to (optional)
+ * @returns {Promise<Object>} Generated images, as returned by generateImages
+ */
+async function generateImagesStream(params, handlers = {}) {
+  try {
+    const presetParams = await presetService.applyPreset(params);
+    const { provider, capabilities, params: providerParams } = await resolveProvider(presetParams, 'generate');
     
-    // Call OpenAI API with enhanced parameters
-    const response = await openaiService.generateImages(enhancedParams);
+    // Rejected prompts never reach prompt analysis or the provider
+    await moderationService.moderatePrompt(providerParams.prompt, handlers);
     
-    // Process and format the response
-    const images = response.data.map(image => {
-      const id = generateImageId();
-      return {
-        id,
-        base64: image.b64_json,
-        timestamp: new Date().toISOString()
-      };
-    });
+    const enhancedParams = capabilities.promptAnalysis
+      ? await optimizeGenerationParams(providerParams, undefined, handlers)
+      : providerParams;
     
-    return {
-      images,
-      usage: response.usage
+    // Previews come in the requested output format
+    const streamHandlers = {
+      ...handlers,
+      ...(handlers.onPartialImage && {
+        onPartialImage: partialImage => handlers.onPartialImage({
+          ...partialImage,
+          mimeType: imageProcessor.getImageMimeType(partialImage.base64, enhancedParams.output_format)
+        })
+      })
     };
+    
+    // Providers that cannot stream still return the final image, just without previews
+    const result = capabilities.streaming
+      ? await provider.generateStream(enhancedParams, streamHandlers)
+      : await provider.generate(enhancedParams, toProviderOptions(handlers));
+    
+    return formatResult(result, provider, 'generation', buildMetadata(enhancedParams, result, provider, {}, handlers.requestId), handlers.ownerId);
   } catch (error) {
-    if (error.name === 'OpenAIError') {
+    if (error instanceof ApiError) {
       throw error;
     }
     throw new BadRequestError('Failed to generate images', 'IMAGE_GENERATION_ERROR');
@@ -101,62 +363,61 @@ async function generateImages(params) {
 /**
  * Edit images with a prompt and mask
  * @param {Object} params - Edit parameters
- * @param {string} params.image - Base64 encoded image or image ID
+ * @param {string|Object|Array} params.image - Base64 encoded image, or reference to a stored image (an image ID, URL or { id }), or a list of them
  * @param {string} params.prompt - Text prompt
- * @param {string} params.mask - Base64 encoded mask (optional)
+ * @param {string|Object} params.mask - Base64 encoded mask, or reference to a stored image (optional)
  * @param {number} params.n - Number of images to generate
  * @param {string} params.size - Image size (optional, will be determined by AI if not provided)
  * @param {string} params.quality - Image quality (optional, will be determined by AI if not provided)
- * @returns {Promise<Object>} Edited images
+ * @param {string} params.output_format - Output format: png, jpeg or webp (optional)
+ * @param {number} params.output_compression - Compression level (0-100) for jpeg and webp (optional)
+ * @param {string} params.provider - Image provider (optional, defaults to IMAGE_PROVIDER)
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request (optional)
+ * @param {string} options.requestId - ID of the HTTP request, recorded in the image metadata (optional)
+ * @param {string} options.apiKey - User's OpenAI API key (optional, defaults to the server key)
+ * @param {Function} options.onUsage - Called with the model and usage of prompt analysis (optional)
+ * @param {string} options.ownerId - ID of the user editing, who must own referenced images and owns the results (optional)
+ * @returns {Promise<Object>} Edited images, usage, the number of API attempts and the provider name
+ * @throws {NotFoundError} If a referenced image does not exist or belongs to someone else
  */
-async function editImages(params) {
+async function editImages(params, options = {}) {
   try {
-    // Create a copy of the parameters to avoid modifying the original
-    const enhancedParams = { ...params };
-    
-    // Only analyze the prompt if size or quality are not explicitly provided
-    const shouldAnalyzePrompt = !params.size || !params.quality;
-    
-    if (shouldAnalyzePrompt && params.prompt) {
-      try {
-        // Analyze the prompt to determine optimal parameters
-        const optimizedParams = await openaiService.analyzePromptForImageGeneration(params.prompt);
-        
-        // Only apply AI-determined parameters if they weren't explicitly provided by the user
-        if (!params.size) enhancedParams.size = optimizedParams.size;
-        if (!params.quality) enhancedParams.quality = optimizedParams.quality;
-        // Note: background parameter is not used in editImages API
-      } catch (analysisError) {
-        // If analysis fails, continue with user-provided or default parameters
-        console.error('Prompt analysis failed, using default parameters:', analysisError);
-      }
-    }
+    const { provider, capabilities, params: providerParams } = await resolveProvider(params, 'edit');
+    
+    // Rejected prompts never reach prompt analysis or the provider
+    await moderationService.moderatePrompt(providerParams.prompt, options);
+    
+    // Images and the mask may be sent as data or as references to stored images,
+    // which are loaded before anything is spent on prompt analysis
+    const images = await Promise.all(
+      (Array.isArray(providerParams.image) ? providerParams.image : [providerParams.image])
+        .map(image => resolveEditInput(image, options.ownerId))
+    );
+    const mask = providerParams.mask ? await resolveEditInput(providerParams.mask, options.ownerId) : null;
     
-    // If image is an array of base64 strings, use it directly
-    // Otherwise, it should be a single base64 string
-    if (!Array.isArray(enhancedParams.image) && typeof enhancedParams.image === 'string') {
-      enhancedParams.image = [enhancedParams.image];
+    // Note: background parameter is not used in editImages API
+    const enhancedParams = capabilities.promptAnalysis
+      ? await optimizeGenerationParams(providerParams, ['size', 'quality'], options)
+      : { ...providerParams };
+    
+    // The provider always receives a list of base64 images
+    enhancedParams.image = images.map(image => image.base64);
+    if (mask) {
+      enhancedParams.mask = mask.base64;
     }
     
-    // Call OpenAI API with enhanced parameters
-    const response = await openaiService.editImages(enhancedParams);
+    // A mask that does not fit the image would be rejected by the provider with a vaguer error
+    if (mask) {
+      imageProcessor.validateMask(enhancedParams.image[0], enhancedParams.mask);
+    }
     
-    // Process and format the response
-    const images = response.data.map(image => {
-      const id = generateImageId();
-      return {
-        id,
-        base64: image.b64_json,
-        timestamp: new Date().toISOString()
-      };
-    });
+    const lineage = await storeEditInputs(images, mask, options.ownerId);
+    const result = await provider.edit(enhancedParams, toProviderOptions(options));
     
-    return {
-      images,
-      usage: response.usage
-    };
+    return formatResult(result, provider, 'edit', buildMetadata(enhancedParams, result, provider, lineage, options.requestId), options.ownerId);
   } catch (error) {
-    if (error.name === 'OpenAIError') {
+    if (error instanceof ApiError) {
       throw error;
     }
     throw new BadRequestError('Failed to edit images', 'IMAGE_EDIT_ERROR');
@@ -164,15 +425,47 @@ async function editImages(params) {
 }
 
 /**
- * Generate a unique ID for an image
- * @returns {string} Unique ID
+ * List the image providers and their capabilities
+ * @returns {Promise<Object>} Default provider name and the providers
+ */
+async function listProviders() {
+  return imageProviders.listProviders();
+}
+
+/**
+ * Get a stored image with its bytes
+ * @param {string} id - Image ID
+ * @param {Object} options - Read options
+ * @param {string} options.ownerId - ID of the user reading the image (optional)
+ * @returns {Promise<Object>} Image record and bytes ({ record, data })
+ * @throws {NotFoundError} If the image does not exist or belongs to someone else
+ */
+async function getImage(id, { ownerId } = {}) {
+  return imageStore.getImage(id, { ownerId });
+}
+
+/**
+ * Get the record of a stored image: its type, size, source and generation metadata
+ * @param {string} id - Image ID
+ * @param {Object} options - Read options
+ * @param {string} options.ownerId - ID of the user reading the image (optional)
+ * @returns {Promise<Object>} Image record with its URL
+ * @throws {NotFoundError} If the image does not exist or belongs to someone else
  */
-function generateImageId() {
-  return `img_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`;
+async function getImageMetadata(id, { ownerId } = {}) {
+  const record = await imageStore.getImageRecord(id, { ownerId });
+  return {
+    ...record,
+    url: imageStore.toImageUrl(record.id)
+  };
 }
 
 module.exports = {
   processUpload,
   generateImages,
-  editImages
+  generateImagesStream,
+  editImages,
+  listProviders,
+  getImage,
+  getImageMetadata
 };
\ No newline at end of file
@@ -6,9 +6,25 @@
 const openaiService = require('./openai-service');
 const chatService = require('./chat-service');
 const imageService = require('./image-service');
+const jobService = require('./job-service');
+const usageService = require('./usage-service');
+const authService = require('./auth-service');
+const apiKeyService = require('./api-key-service');
+const moderationService = require('./moderation-service');
+const presetService = require('./preset-service');
+const promptService = require('./prompt-service');
+const quotaService = require('./quota-service');
 
 module.exports = {
   openaiService,
   chatService,
-  imageService
+  imageService,
+  jobService,
+  usageService,
+  authService,
+  apiKeyService,
+  moderationService,
+  presetService,
+  promptService,
+  quotaService
 };
\ No newline at end of file
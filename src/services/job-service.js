@@ -0,0 +1,230 @@
+/**
+ * Job service
+ * Runs slow operations such as image generation in the background, so that clients
+ * submit a job, get its ID immediately and poll for the result instead of holding
+ * the HTTP connection open (which proxies time out on long renders)
+ */
+
+const crypto = require('crypto');
+const config = require('../config').jobs;
+const logger = require('../utils/logger');
+const { ApiError, NotFoundError } = require('../utils/error');
+
+// Statuses a job can no longer leave
+const FINISHED_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+// All jobs that can still be polled, keyed by ID
+const jobs = new Map();
+
+// Jobs waiting for a free slot, oldest first
+const queue = [];
+
+let runningCount = 0;
+
+/**
+ * Generate a unique ID for a job
+ * The random part comes from a CSPRNG, so job IDs cannot be guessed
+ * @returns {string} Unique ID
+ */
+function generateJobId() {
+  return `job_${Date.now()}_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * Convert a job to the shape returned to clients
+ * @param {Object} job - Job
+ * @returns {Object} Job status, timestamps and result or error
+ */
+function toJobView(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    result: job.result,
+    error: job.error
+  };
+}
+
+/**
+ * Forget finished jobs older than the retention period
+ */
+function pruneFinishedJobs() {
+  const cutoff = Date.now() - config.retention;
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && new Date(job.finishedAt).getTime() < cutoff) {
+      jobs.delete(id);
+    }
+  }
+}
+
+/**
+ * Tell the submitter that a job has finished, once
+ * @param {Object} job - Finished job
+ */
+function notifyFinished(job) {
+  const onFinish = job.onFinish;
+  job.onFinish = null;
+  if (onFinish) {
+    onFinish();
+  }
+}
+
+/**
+ * Run a job and record its outcome, unless it was cancelled meanwhile
+ * @param {Object} job - Job to run
+ * @returns {Promise<void>}
+ */
+async function runJob(job) {
+  runningCount++;
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  
+  try {
+    const result = await job.task(job.controller.signal);
+    if (job.status === 'running') {
+      job.status = 'succeeded';
+      job.result = result;
+    }
+  } catch (error) {
+    if (job.status === 'running') {
+      logger.error(`Job ${job.id} (${job.type}) failed:`, error);
+      job.status = 'failed';
+      job.error = {
+        message: error.message || 'Job failed',
+        code: error.code || 'JOB_FAILED',
+        ...(error.details && { details: error.details }),
+        ...(error.attempts && { attempts: error.attempts }),
+        ...(error.categories && { categories: error.categories })
+      };
+    }
+  } finally {
+    job.finishedAt = job.finishedAt || new Date().toISOString();
+    job.task = null;
+    runningCount--;
+    notifyFinished(job);
+    startQueuedJobs();
+  }
+}
+
+/**
+ * Start queued jobs while there are free slots
+ */
+function startQueuedJobs() {
+  while (runningCount < config.concurrency && queue.length > 0) {
+    runJob(queue.shift());
+  }
+}
+
+/**
+ * Submit a job to run in the background
+ * @param {string} type - Job type, such as "image.generate"
+ * @param {Function} task - Function receiving an AbortSignal and returning a promise of the job result
+ * @param {Object} options - Job options
+ * @param {Function} options.onFinish - Called once the job has stopped, however it ended (optional)
+ * @param {string} options.ownerId - ID of the user submitting the job, the only one who can read or cancel it
+ * @returns {Object} The queued job
+ * @throws {ApiError} If the queue is full
+ */
+function submitJob(type, task, options = {}) {
+  pruneFinishedJobs();
+  
+  if (queue.length >= config.maxQueued) {
+    throw new ApiError('Too many jobs are waiting, please try again later', 503, 'JOB_QUEUE_FULL');
+  }
+  
+  const job = {
+    id: generateJobId(),
+    type,
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    result: null,
+    error: null,
+    task,
+    onFinish: options.onFinish || null,
+    ownerId: options.ownerId || null,
+    controller: new AbortController()
+  };
+  
+  jobs.set(job.id, job);
+  queue.push(job);
+  
+  // Snapshot before starting, so the caller always sees the job as submitted
+  const view = toJobView(job);
+  startQueuedJobs();
+  
+  return view;
+}
+
+/**
+ * Find a job by ID
+ * Jobs of other users are reported as missing, so their IDs are not confirmed
+ * @param {string} id - Job ID
+ * @param {string} ownerId - ID of the user asking for the job
+ * @returns {Object} Job
+ * @throws {NotFoundError} If the job does not exist, has expired or belongs to another user
+ */
+function findJob(id, ownerId) {
+  pruneFinishedJobs();
+  
+  const job = jobs.get(id);
+  if (!job || job.ownerId !== (ownerId || null)) {
+    throw new NotFoundError('Job not found', 'JOB_NOT_FOUND');
+  }
+  return job;
+}
+
+/**
+ * Get the status of a job
+ * @param {string} id - Job ID
+ * @param {Object} options - Options
+ * @param {string} options.ownerId - ID of the user asking for the job
+ * @returns {Object} Job status, with the result once it has succeeded
+ */
+function getJob(id, { ownerId } = {}) {
+  return toJobView(findJob(id, ownerId));
+}
+
+/**
+ * Cancel a queued or running job
+ * Running jobs are aborted; their slot is freed once the underlying request stops
+ * @param {string} id - Job ID
+ * @param {Object} options - Options
+ * @param {string} options.ownerId - ID of the user cancelling the job
+ * @returns {Object} The cancelled job
+ * @throws {ApiError} If the job has already finished
+ */
+function cancelJob(id, { ownerId } = {}) {
+  const job = findJob(id, ownerId);
+  
+  if (FINISHED_STATUSES.includes(job.status)) {
+    throw new ApiError(`Job has already ${job.status}`, 409, 'JOB_ALREADY_FINISHED');
+  }
+  
+  const queueIndex = queue.indexOf(job);
+  if (queueIndex !== -1) {
+    queue.splice(queueIndex, 1);
+    job.task = null;
+  }
+  
+  job.status = 'cancelled';
+  job.finishedAt = new Date().toISOString();
+  job.controller.abort();
+  
+  // Running jobs finish once the aborted request stops; queued ones never start
+  if (queueIndex !== -1) {
+    notifyFinished(job);
+  }
+  
+  return toJobView(job);
+}
+
+module.exports = {
+  submitJob,
+  getJob,
+  cancelJob
+};
\ No newline at end of file
@@ -0,0 +1,413 @@
+/**
+ * Mock OpenAI client
+ * Offline stand-in for the OpenAI SDK client, selected with OPENAI_PROVIDER=mock.
+ * Images are placeholder PNGs of the prompt, chat replies are canned (with an image tool call when an image is
+ * asked for) and usage numbers are estimated, all deterministic so the UI, API and integration tests can run
+ * without an API key.
+ */
+
+const { renderPlaceholderImage, hashString } = require('../utils/placeholder-image');
+const { ATTACHMENT_IDS_LABEL, LATEST_IMAGE_IDS_LABEL } = require('./chat-tools');
+
+const DEFAULT_SIZE = '1024x1024';
+
+// Output tokens gpt-image-1 bills per image, by quality, for square and rectangular sizes
+const IMAGE_OUTPUT_TOKENS = {
+  low: { square: 272, rectangle: 408 },
+  medium: { square: 1056, rectangle: 1584 },
+  high: { square: 4160, rectangle: 6240 }
+};
+
+// Tokens billed for each input image of an edit
+const INPUT_IMAGE_TOKENS = 323;
+
+// Pixelation of each streamed preview, coarsest first
+const PARTIAL_BLOCK_SIZES = [64, 32, 16];
+
+const CANNED_REPLIES = [
+  'This is a mock reply from the offline provider, so no OpenAI API key is needed.',
+  'Mock mode is on: replies are canned, but the conversation flow works end to end.',
+  'The offline provider is answering. Ask me to draw something to get a placeholder image.'
+];
+
+// Reply sent alongside an image tool call
+const TOOL_CALL_REPLY = 'Mock mode is on, so here is a placeholder image.';
+
+// Details added to prompts by the mock prompt enhancement, one set per suggestion
+const ENHANCEMENT_DETAILS = [
+  'highly detailed, soft natural lighting, balanced composition, muted color palette',
+  'cinematic lighting, dramatic angle, rich saturated colors, sharp focus',
+  'studio lighting, clean simple background, crisp detail, centered composition',
+  'golden hour light, wide establishing shot, warm tones, atmospheric depth'
+];
+
+// Wording taken as a request for a new image, or for a change to the attached images
+const GENERATE_PATTERN = /\b(draw|paint|sketch|generate|create|render|illustrate|design)\b|\b(picture|image|photo|illustration) of\b/i;
+const EDIT_PATTERN = /\b(make|change|turn|add|remove|replace|edit)\b/i;
+
+/**
+ * Estimate the token count of a text
+ * @param {string} text - Text
+ * @returns {number} Tokens (roughly four characters each)
+ */
+function countTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Parse an image size parameter
+ * @param {string} size - Size such as "1024x1536" ("auto" and missing sizes are square)
+ * @returns {Object} Width and height
+ */
+function parseSize(size) {
+  const match = /^(\d+)x(\d+)$/.exec(size || '');
+  const [width, height] = match ? [Number(match[1]), Number(match[2])] : DEFAULT_SIZE.split('x').map(Number);
+  return { width, height };
+}
+
+/**
+ * Build fake image usage in the shape gpt-image-1 reports
+ * @param {Object} body - Image request body
+ * @param {number} inputImages - Number of input images (edits only)
+ * @returns {Object} Usage
+ */
+function imageUsage(body, inputImages = 0) {
+  const { width, height } = parseSize(body.size);
+  const quality = IMAGE_OUTPUT_TOKENS[body.quality] ? body.quality : 'high';
+  const outputTokens = IMAGE_OUTPUT_TOKENS[quality][width === height ? 'square' : 'rectangle'] * (body.n || 1);
+  const textTokens = countTokens(body.prompt);
+  const imageTokens = inputImages * INPUT_IMAGE_TOKENS;
+  
+  return {
+    total_tokens: textTokens + imageTokens + outputTokens,
+    input_tokens: textTokens + imageTokens,
+    output_tokens: outputTokens,
+    input_tokens_details: {
+      text_tokens: textTokens,
+      image_tokens: imageTokens
+    }
+  };
+}
+
+/**
+ * Render the placeholder for one image of a request
+ * @param {Object} body - Image request body
+ * @param {string} text - Text to render
+ * @param {number} index - Image index, varied so that n > 1 gives distinct images
+ * @param {number} blockSize - Pixelation for previews (optional)
+ * @returns {string} Base64 PNG
+ */
+function renderImage(body, text, index, blockSize) {
+  const { width, height } = parseSize(body.size);
+  const variant = index > 0 ? ` (${index + 1})` : '';
+  
+  return renderPlaceholderImage({
+    text: `${text}${variant}`,
+    width,
+    height,
+    transparent: body.background === 'transparent',
+    blockSize
+  }).toString('base64');
+}
+
+/**
+ * Turn a list of events into an async iterable, like the SDK's Stream
+ * @param {Array} events - Events to yield
+ * @returns {AsyncIterable} Stream of events
+ */
+function toStream(events) {
+  return {
+    async *[Symbol.asyncIterator]() {
+      for (const event of events) {
+        yield event;
+      }
+    }
+  };
+}
+
+/**
+ * Respond to an image generation or edit request
+ * @param {Object} body - Image request body
+ * @param {string} text - Text to render
+ * @param {number} inputImages - Number of input images (edits only)
+ * @returns {Object|AsyncIterable} Images response, or a stream of events if body.stream is set
+ */
+function respondWithImages(body, text, inputImages) {
+  const count = body.n || 1;
+  const usage = imageUsage(body, inputImages);
+  
+  if (body.stream) {
+    // The finest previews are used when fewer than the maximum are requested
+    const partialCount = Math.min(body.partial_images || 0, PARTIAL_BLOCK_SIZES.length);
+    const partialEvents = (partialCount > 0 ? PARTIAL_BLOCK_SIZES.slice(-partialCount) : [])
+      .map((blockSize, partialIndex) => ({
+        type: 'image_generation.partial_image',
+        partial_image_index: partialIndex,
+        b64_json: renderImage(body, text, 0, blockSize)
+      }));
+    
+    return toStream([
+      ...partialEvents,
+      {
+        type: 'image_generation.completed',
+        b64_json: renderImage(body, text, 0),
+        usage
+      }
+    ]);
+  }
+  
+  return {
+    created: Math.floor(Date.now() / 1000),
+    data: Array.from({ length: count }, (_, index) => ({ b64_json: renderImage(body, text, index) })),
+    usage
+  };
+}
+
+/**
+ * Get the text of the last user message
+ * @param {Array} messages - Chat messages
+ * @returns {Object} Text, number of attached images and the IDs the attachments are listed with
+ */
+function lastUserTurn(messages) {
+  const last = [...(messages || [])].reverse().find(message => message.role === 'user');
+  if (!last) {
+    return { text: '', imageCount: 0, attachmentIds: [] };
+  }
+  
+  if (typeof last.content === 'string') {
+    return { text: last.content, imageCount: 0, attachmentIds: [] };
+  }
+  
+  const parts = last.content || [];
+  const textParts = parts.filter(part => part.type === 'text').map(part => part.text);
+  const idList = textParts.find(text => text.startsWith(ATTACHMENT_IDS_LABEL));
+  return {
+    text: textParts.filter(text => text !== idList).join(' '),
+    imageCount: parts.filter(part => part.type === 'image_url').length,
+    attachmentIds: idList ? idList.slice(ATTACHMENT_IDS_LABEL.length).split(',').map(id => id.trim()).filter(Boolean) : []
+  };
+}
+
+/**
+ * Check whether the system prompt names the latest images of the conversation
+ * @param {Array} messages - Chat messages
+ * @returns {boolean} True if there are images a follow-up request can refine
+ */
+function hasLatestImages(messages) {
+  return (messages || []).some(message => (
+    message.role === 'system' && typeof message.content === 'string' && message.content.includes(LATEST_IMAGE_IDS_LABEL)
+  ));
+}
+
+/**
+ * Pick the image tool call the chat model would make, if any
+ * Requests with attachments become edits of them, requests for a drawing new images,
+ * and other requests for a change refine the latest image
+ * @param {Object} body - Chat completion request body
+ * @returns {Object|null} Tool call ({ id, type, function: { name, arguments } }), or null to reply in text
+ */
+function chooseToolCall(body) {
+  const toolNames = (body.tools || []).map(tool => tool.function && tool.function.name);
+  const { text, attachmentIds } = lastUserTurn(body.messages);
+  
+  let call = null;
+  if (attachmentIds.length > 0 && toolNames.includes('edit_image') && (EDIT_PATTERN.test(text) || GENERATE_PATTERN.test(text))) {
+    call = { name: 'edit_image', args: { prompt: text, image_ids: attachmentIds } };
+  } else if (attachmentIds.length === 0 && toolNames.includes('generate_image') && GENERATE_PATTERN.test(text)) {
+    call = { name: 'generate_image', args: { prompt: text } };
+  } else if (toolNames.includes('edit_image') && EDIT_PATTERN.test(text) && hasLatestImages(body.messages)) {
+    // The image to refine is left for the server to fill in
+    call = { name: 'edit_image', args: { prompt: text } };
+  }
+  
+  if (!call) {
+    return null;
+  }
+  
+  const args = JSON.stringify(call.args);
+  return {
+    id: `call_mock_${hashString(args).toString(36)}`,
+    type: 'function',
+    function: { name: call.name, arguments: args }
+  };
+}
+
+/**
+ * Suggest image parameters for a prompt, as the prompt analysis model would
+ * @param {string} prompt - Image prompt
+ * @returns {Object} Size, quality and background
+ */
+function analyzePrompt(prompt) {
+  const lowerPrompt = (prompt || '').toLowerCase();
+  let size = '1024x1024';
+  if (/\b(portrait|poster|tall|vertical)\b/.test(lowerPrompt)) size = '1024x1536';
+  if (/\b(landscape|panorama|wide|banner)\b/.test(lowerPrompt)) size = '1536x1024';
+  
+  return {
+    size,
+    quality: /\b(sketch|doodle|icon)\b/.test(lowerPrompt) ? 'low' : 'medium',
+    background: /\b(logo|icon|sticker|transparent)\b/.test(lowerPrompt) ? 'transparent' : 'auto'
+  };
+}
+
+/**
+ * Compose the canned reply to a chat request
+ * @param {Object} body - Chat completion request body
+ * @returns {string} Reply content
+ */
+function composeReply(body) {
+  const { text, imageCount } = lastUserTurn(body.messages);
+  
+  if (body.response_format && body.response_format.type === 'json_object') {
+    return JSON.stringify(analyzePrompt(text));
+  }
+  
+  const reply = CANNED_REPLIES[hashString(text) % CANNED_REPLIES.length];
+  const imageNote = imageCount > 0 ? ` I received ${imageCount} image(s) with your message.` : '';
+  const quoted = text.length > 80 ? `${text.slice(0, 77)}...` : text;
+  
+  return `${reply}${imageNote} You said: "${quoted}"`;
+}
+
+/**
+ * Respond to a prompt enhancement request with one suggestion per requested choice
+ * @param {Object} body - Chat completion request body, asking for the enhanced_prompt JSON schema
+ * @returns {Object} Chat completion
+ */
+function respondWithSuggestions(body) {
+  const { text } = lastUserTurn(body.messages);
+  const n = body.n || 1;
+  const offset = hashString(text);
+  const choices = Array.from({ length: n }, (_, index) => ({
+    index,
+    message: {
+      role: 'assistant',
+      content: JSON.stringify({ prompt: `${text}, ${ENHANCEMENT_DETAILS[(offset + index) % ENHANCEMENT_DETAILS.length]}` })
+    },
+    finish_reason: 'stop'
+  }));
+  const promptTokens = (body.messages || []).reduce((total, message) => total + countTokens(message.content), 0);
+  const completionTokens = choices.reduce((total, choice) => total + countTokens(choice.message.content), 0);
+  
+  return {
+    id: `chatcmpl-mock-${offset.toString(36)}`,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: body.model || 'mock',
+    choices,
+    usage: {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    }
+  };
+}
+
+/**
+ * Respond to a chat completion request
+ * @param {Object} body - Chat completion request body
+ * @returns {Object|AsyncIterable} Chat completion, or a stream of chunks if body.stream is set
+ */
+function respondToChat(body) {
+  const schema = body.response_format && body.response_format.json_schema;
+  if (schema && schema.name === 'enhanced_prompt') {
+    return respondWithSuggestions(body);
+  }
+  
+  const toolCall = chooseToolCall(body);
+  const content = toolCall ? TOOL_CALL_REPLY : composeReply(body);
+  const promptTokens = (body.messages || []).reduce((total, message) => {
+    const text = typeof message.content === 'string' ? message.content : JSON.stringify(message.content);
+    return total + countTokens(text);
+  }, 0);
+  const completionTokens = countTokens(content) + (toolCall ? countTokens(toolCall.function.arguments) : 0);
+  const usage = {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens
+  };
+  const id = `chatcmpl-mock-${hashString(content).toString(36)}`;
+  const created = Math.floor(Date.now() / 1000);
+  const model = body.model || 'mock';
+  const finishReason = toolCall ? 'tool_calls' : 'stop';
+  
+  if (body.stream) {
+    // One chunk per word, the tool call in two pieces like the API sends it, then the usage chunk when requested
+    const words = content.split(/(?<= )/);
+    const toolCallDeltas = toolCall
+      ? [
+        { tool_calls: [{ index: 0, id: toolCall.id, type: 'function', function: { name: toolCall.function.name, arguments: '' } }] },
+        { tool_calls: [{ index: 0, function: { arguments: toolCall.function.arguments } }] }
+      ]
+      : [];
+    const chunks = [
+      { id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { role: 'assistant', content: '' } }] },
+      ...words.map(word => ({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: { content: word } }] })),
+      ...toolCallDeltas.map(delta => ({ id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta }] })),
+      { id, object: 'chat.completion.chunk', created, model, choices: [{ index: 0, delta: {}, finish_reason: finishReason }] }
+    ];
+    if (body.stream_options && body.stream_options.include_usage) {
+      chunks.push({ id, object: 'chat.completion.chunk', created, model, choices: [], usage });
+    }
+    return toStream(chunks);
+  }
+  
+  return {
+    id,
+    object: 'chat.completion',
+    created,
+    model,
+    choices: [
+      {
+        index: 0,
+        message: { role: 'assistant', content, ...(toolCall && { tool_calls: [toolCall] }) },
+        finish_reason: finishReason
+      }
+    ],
+    usage
+  };
+}
+
+/**
+ * Respond to a moderation request
+ * Nothing is flagged offline; the "rules" check still applies
+ * @param {Object} body - Moderation request body
+ * @returns {Object} Moderation response with one unflagged result per input
+ */
+function respondToModeration(body) {
+  const inputs = Array.isArray(body.input) ? body.input : [body.input];
+  
+  return {
+    id: `modr-mock-${hashString(JSON.stringify(body.input)).toString(36)}`,
+    model: body.model || 'mock',
+    results: inputs.map(() => ({ flagged: false, categories: {}, category_scores: {} }))
+  };
+}
+
+/**
+ * Create a mock client exposing the parts of the OpenAI SDK this app uses
+ * @returns {Object} Client with images.generate, images.edit, chat.completions.create and moderations.create
+ */
+function createMockOpenAIClient() {
+  return {
+    images: {
+      generate: async (body) => respondWithImages(body, body.prompt),
+      edit: async (body) => {
+        const inputImages = Array.isArray(body.image) ? body.image.length : 1;
+        return respondWithImages(body, `Edited: ${body.prompt}`, inputImages);
+      }
+    },
+    chat: {
+      completions: {
+        create: async (body) => respondToChat(body)
+      }
+    },
+    moderations: {
+      create: async (body) => respondToModeration(body)
+    }
+  };
+}
+
+module.exports = {
+  createMockOpenAIClient
+};
@@ -0,0 +1,70 @@
+/**
+ * Moderation service
+ * Runs the configured moderation checks on prompts before images are generated or edited,
+ * so rejected prompts fail fast with the categories they were flagged for
+ */
+
+const config = require('../config').moderation;
+const { moderationProviders } = require('../providers');
+const logger = require('../utils/logger');
+const { ApiError, PromptRejectedError } = require('../utils/error');
+
+/**
+ * Run one moderation check, deciding what a failed check means under the configured policy
+ * @param {Object} provider - Moderation provider
+ * @param {string} prompt - Prompt
+ * @param {Object} options - Request options passed to the provider
+ * @returns {Promise<Object>} Check result ({ flagged, categories }); unflagged if the check failed open
+ * @throws {ApiError} If the check failed and prompts must not go through unchecked
+ */
+async function runCheck(provider, prompt, options) {
+  try {
+    return await provider.check(prompt, options);
+  } catch (error) {
+    if (config.failOpen) {
+      logger.warn(`Moderation check "${provider.name}" failed, letting the prompt through`, { error: error.message });
+      return { flagged: false, categories: [] };
+    }
+    logger.error(`Moderation check "${provider.name}" failed:`, error);
+    throw new ApiError('The prompt could not be checked right now, please try again later', 503, 'MODERATION_UNAVAILABLE');
+  }
+}
+
+/**
+ * Check a prompt with every configured moderation check
+ * @param {string} prompt - Prompt
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request (optional)
+ * @param {string} options.apiKey - User's OpenAI API key (optional, defaults to the server key)
+ * @returns {Promise<void>} Resolves if the prompt passed every check
+ * @throws {PromptRejectedError} If any check flagged the prompt
+ */
+async function moderatePrompt(prompt, options = {}) {
+  const providers = moderationProviders.getActiveProviders();
+  if (providers.length === 0 || !prompt) {
+    return;
+  }
+  
+  const providerOptions = {
+    ...(options.signal && { signal: options.signal }),
+    ...(options.apiKey && { apiKey: options.apiKey })
+  };
+  
+  const results = await Promise.all(providers.map(provider => runCheck(provider, prompt, providerOptions)));
+  const flagged = results.filter(result => result.flagged);
+  
+  if (flagged.length > 0) {
+    const categories = [...new Set(flagged.flatMap(result => result.categories))];
+    logger.info('Prompt rejected by moderation', { categories });
+    throw new PromptRejectedError(
+      categories.length > 0
+        ? `The prompt was rejected by content moderation (${categories.join(', ')})`
+        : 'The prompt was rejected by content moderation',
+      categories
+    );
+  }
+}
+
+module.exports = {
+  moderatePrompt
+};
\ No newline at end of file
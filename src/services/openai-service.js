@@ -3,11 +3,21 @@
  * Handles communication with the OpenAI API
  */
 
+const crypto = require('crypto');
 const { OpenAI } = require('openai');
 const config = require('../config').openai;
-const { OpenAIError } = require('../utils/error');
+const moderationConfig = require('../config').moderation;
+const { OpenAIError, PromptRejectedError } = require('../utils/error');
+const { withRetry } = require('../utils/retry');
+const { createMockOpenAIClient } = require('./mock-openai-client');
 const logger = require('../utils/logger');
 
+// Fields holding credentials, at any depth of a logged payload
+const SENSITIVE_FIELDS = ['apikey', 'api_key', 'authorization'];
+
+// OpenAI API keys, in case one turns up in a logged string (for example, pasted into a prompt)
+const API_KEY_PATTERN = /sk-[A-Za-z0-9_-]{8,}/g;
+
 /**
  * Redacts sensitive information from an API payload
  * @param {Object} payload - The API payload to redact
@@ -17,32 +27,97 @@ function redactSensitiveInfo(payload) {
   // Create a deep copy of the payload to avoid modifying the original
   const redactedPayload = JSON.parse(JSON.stringify(payload));
   
-  // Redact API key if present
-  if (redactedPayload.apiKey) {
-    redactedPayload.apiKey = '[REDACTED]';
-  }
-  
-  // Redact authorization headers if present
-  if (redactedPayload.headers && redactedPayload.headers.authorization) {
-    redactedPayload.headers.authorization = '[REDACTED]';
-  }
+  // Redact credentials wherever they appear, including users' own API keys
+  const redact = (value) => {
+    if (typeof value === 'string') {
+      return value.replace(API_KEY_PATTERN, '[REDACTED]');
+    }
+    if (value && typeof value === 'object') {
+      for (const key of Object.keys(value)) {
+        value[key] = SENSITIVE_FIELDS.includes(key.toLowerCase()) && value[key] ? '[REDACTED]' : redact(value[key]);
+      }
+    }
+    return value;
+  };
   
-  return redactedPayload;
+  return redact(redactedPayload);
 }
 
 // Check if API key is valid
 const isValidApiKey = config.apiKey && config.apiKey !== 'your_openai_api_key_here';
 
-// Create OpenAI client if API key is valid
-let openai;
-if (isValidApiKey) {
-  openai = new OpenAI({
-    apiKey: config.apiKey
+// Most clients kept for users' own API keys; the least recently used is dropped beyond this
+const MAX_USER_CLIENTS = 100;
+
+// Clients for users' own API keys, keyed by a hash of the key, least recently used first
+const userClients = new Map();
+
+/**
+ * Create an OpenAI client for an API key
+ * @param {string} apiKey - OpenAI API key
+ * @returns {Object} OpenAI client
+ */
+function createClient(apiKey) {
+  return new OpenAI({
+    apiKey,
+    // Retries are handled by requestWithRetry so they follow config.retry and are counted
+    maxRetries: 0
   });
+}
+
+// Create the offline mock client if selected, otherwise an OpenAI client if API key is valid
+let openai;
+if (config.provider === 'mock') {
+  openai = createMockOpenAIClient();
+  logger.info('Using the mock OpenAI provider. No requests will be sent to OpenAI.');
+} else if (isValidApiKey) {
+  openai = createClient(config.apiKey);
 } else {
   logger.warn('Invalid or missing OpenAI API key. API calls will fail.');
 }
 
+/**
+ * Get the client for a user's own API key, reusing it across that user's requests
+ * @param {string} apiKey - User's OpenAI API key
+ * @returns {Object} OpenAI client
+ */
+function getUserClient(apiKey) {
+  const cacheKey = crypto.createHash('sha256').update(apiKey).digest('hex');
+  
+  let client = userClients.get(cacheKey);
+  if (client) {
+    userClients.delete(cacheKey);
+  } else {
+    client = createClient(apiKey);
+    if (userClients.size >= MAX_USER_CLIENTS) {
+      userClients.delete(userClients.keys().next().value);
+    }
+  }
+  
+  userClients.set(cacheKey, client);
+  return client;
+}
+
+/**
+ * Get the client to send a request with
+ * Requests carrying a user's own API key use it; others share the server client
+ * @param {Object} options - Request options
+ * @param {string} options.apiKey - User's OpenAI API key (optional)
+ * @returns {Object} OpenAI client
+ * @throws {Error} If there is no key to send the request with
+ */
+function getClient(options = {}) {
+  // The offline mock serves every request, whoever's key it carries
+  if (options.apiKey && config.provider !== 'mock') {
+    return getUserClient(options.apiKey);
+  }
+  
+  if (!openai) {
+    throw new Error('OpenAI client is not initialized. Please provide a valid API key.');
+  }
+  return openai;
+}
+
 /**
  * Set the OpenAI client (for testing purposes)
  * @param {Object} client - OpenAI client
@@ -51,17 +126,72 @@ function setOpenAIClient(client) {
   openai = client;
 }
 
+/**
+ * Send a request to the OpenAI API, retrying transient failures as configured in config.retry
+ * The attempt count is attached to the result as a non-enumerable attempts property,
+ * like the SDK's own _request_id, so the API response keeps its shape
+ * @param {string} name - Operation name used in logs
+ * @param {Function} request - Function that sends the request
+ * @param {AbortSignal} signal - Signal that cancels pending retries (optional)
+ * @returns {Promise<Object>} API response
+ */
+async function requestWithRetry(name, request, signal) {
+  const { result, attempts } = await withRetry(request, { ...config.retry, name, signal });
+  
+  if (result && typeof result === 'object') {
+    Object.defineProperty(result, 'attempts', { value: attempts, enumerable: false, configurable: true });
+  }
+  
+  return result;
+}
+
+/**
+ * Build the SDK request options for a request
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request (optional)
+ * @returns {Object} SDK request options ({ signal })
+ */
+function toRequestOptions(options = {}) {
+  return { signal: options.signal };
+}
+
+/**
+ * Convert a failed image request to the error reported to clients
+ * Prompts refused by OpenAI's own safety system become PROMPT_REJECTED instead of an opaque server error
+ * @param {Error} error - Error from the OpenAI API
+ * @param {string} message - Message used when the error has none
+ * @param {string} code - Error code for other failures
+ * @returns {ApiError} Error to throw
+ */
+function toImageError(error, message, code) {
+  if (error && error.code === 'moderation_blocked') {
+    return new PromptRejectedError(
+      'The prompt was rejected by the image model\'s safety system',
+      ['provider_policy']
+    );
+  }
+  return new OpenAIError(error.message || message, code, error);
+}
+
+/**
+ * Build the image moderation parameter set by the deployment's policy
+ * @returns {Object} { moderation } when OPENAI_IMAGE_MODERATION is set, otherwise nothing
+ */
+function toModerationParams() {
+  return moderationConfig.imageModeration ? { moderation: moderationConfig.imageModeration } : {};
+}
+
 /**
  * Analyze a prompt using gpt-4.1-nano to determine optimal image generation parameters
  * @param {string} prompt - The user's image generation prompt
+ * @param {Object} options - Request options
+ * @param {string} options.apiKey - User's OpenAI API key (optional, defaults to the server key)
+ * @param {Function} options.onUsage - Called with the model and usage of the analysis, so it can be recorded (optional)
  * @returns {Promise<Object>} Optimized parameters for image generation
  */
-async function analyzePromptForImageGeneration(prompt) {
+async function analyzePromptForImageGeneration(prompt, options = {}) {
   try {
-    // Check if OpenAI client is available
-    if (!openai) {
-      throw new Error('OpenAI client is not initialized. Please provide a valid API key.');
-    }
+    const client = getClient(options);
 
     // Create a system message that instructs the model how to analyze the prompt
     const systemMessage = `
@@ -98,7 +228,10 @@ async function analyzePromptForImageGeneration(prompt) {
     logger.debug('OpenAI API Payload (analyzePromptForImageGeneration):', redactSensitiveInfo(payload));
     
     // Call OpenAI API with the prompt analysis model
-    const response = await openai.chat.completions.create(payload);
+    const response = await requestWithRetry('analyzePromptForImageGeneration', () => client.chat.completions.create(payload));
+    if (options.onUsage) {
+      await options.onUsage({ model: response.model || config.promptAnalysisModel, usage: response.usage });
+    }
 
     // Parse the JSON response
     const content = response.choices[0].message.content;
@@ -129,6 +262,68 @@ async function analyzePromptForImageGeneration(prompt) {
   }
 }
 
+/**
+ * Rewrite a terse image prompt into detailed ones with the prompt analysis model
+ * Each suggestion is a separate choice of the completion, as JSON ({ "prompt": "..." })
+ * @param {string} prompt - The user's image prompt
+ * @param {Object} params - Enhancement parameters
+ * @param {number} params.n - Number of suggestions to ask for
+ * @param {Object} options - Request options
+ * @param {string} options.apiKey - User's OpenAI API key (optional, defaults to the server key)
+ * @returns {Promise<Object>} Chat completion with one choice per suggestion
+ */
+async function enhancePrompt(prompt, { n = 1 } = {}, options = {}) {
+  try {
+    const client = getClient(options);
+
+    const systemMessage = `
+      You write prompts for the gpt-image-1 image model.
+      Rewrite the user's prompt into a detailed one that keeps everything the user asked for and adds
+      the subject's appearance, setting, composition, lighting, color palette and style where the user left them open.
+      Do not change the subject or add text to the image unless the user asked for it.
+      Keep it to one paragraph of at most 80 words.
+      Respond with a JSON object with the rewritten prompt in "prompt" and no other text.
+    `;
+    
+    const payload = {
+      model: config.promptAnalysisModel,
+      messages: [
+        { role: 'system', content: systemMessage },
+        { role: 'user', content: prompt }
+      ],
+      response_format: {
+        type: 'json_schema',
+        json_schema: {
+          name: 'enhanced_prompt',
+          strict: true,
+          schema: {
+            type: 'object',
+            properties: { prompt: { type: 'string' } },
+            required: ['prompt'],
+            additionalProperties: false
+          }
+        }
+      },
+      n,
+      // Varied enough that several suggestions differ from each other
+      temperature: 0.9,
+      max_tokens: config.enhancement.maxTokens
+    };
+    
+    // Log the API payload at debug level
+    logger.debug('OpenAI API Payload (enhancePrompt):', redactSensitiveInfo(payload));
+    
+    return await requestWithRetry('enhancePrompt', () => client.chat.completions.create(payload));
+  } catch (error) {
+    logger.error('OpenAI API Error (enhancePrompt):', error);
+    throw new OpenAIError(
+      error.message || 'Failed to enhance the prompt',
+      'PROMPT_ENHANCEMENT_ERROR',
+      error
+    );
+  }
+}
+
 /**
  * Generate images from a prompt
  * @param {Object} params - Generation parameters
@@ -137,14 +332,16 @@ async function analyzePromptForImageGeneration(prompt) {
  * @param {string} params.size - Image size
  * @param {string} params.quality - Image quality
  * @param {string} params.background - Background type
+ * @param {string} params.output_format - Output format: png, jpeg or webp (optional)
+ * @param {number} params.output_compression - Compression level (0-100) for jpeg and webp (optional)
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request (optional)
+ * @param {string} options.apiKey - User's OpenAI API key (optional, defaults to the server key)
  * @returns {Promise<Object>} Generated images
  */
-async function generateImages(params) {
+async function generateImages(params, options = {}) {
   try {
-    // Check if OpenAI client is available
-    if (!openai) {
-      throw new Error('OpenAI client is not initialized. Please provide a valid API key.');
-    }
+    const client = getClient(options);
 
     // Merge default parameters with provided parameters
     const requestParams = {
@@ -153,23 +350,66 @@ async function generateImages(params) {
       size: config.defaults.size,
       quality: config.defaults.quality,
       background: config.defaults.background,
-      ...params
+      output_format: config.defaults.output_format,
+      ...params,
+      ...toModerationParams()
     };
 
     // Log the API payload at debug level
     logger.debug('OpenAI API Payload (generateImages):', redactSensitiveInfo(requestParams));
 
     // Call OpenAI API
-    const response = await openai.images.generate(requestParams);
+    const response = await requestWithRetry(
+      'generateImages',
+      () => client.images.generate(requestParams, toRequestOptions(options)),
+      options.signal
+    );
     
     return response;
   } catch (error) {
     logger.error('OpenAI API Error (generateImages):', error);
-    throw new OpenAIError(
-      error.message || 'Failed to generate images',
-      'IMAGE_GENERATION_ERROR',
-      error
+    throw toImageError(error, 'Failed to generate images', 'IMAGE_GENERATION_ERROR');
+  }
+}
+
+/**
+ * Generate an image from a prompt, streaming partial previews as they are rendered
+ * @param {Object} params - Generation parameters (see generateImages)
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request (optional)
+ * @param {string} options.apiKey - User's OpenAI API key (optional, defaults to the server key)
+ * @returns {Promise<AsyncIterable>} Stream of image generation events (partial images, then the completed image)
+ */
+async function generateImagesStream(params, options = {}) {
+  try {
+    const client = getClient(options);
+
+    // Merge default parameters with provided parameters
+    const requestParams = {
+      model: config.model,
+      n: config.defaults.n,
+      size: config.defaults.size,
+      quality: config.defaults.quality,
+      background: config.defaults.background,
+      output_format: config.defaults.output_format,
+      partial_images: config.streaming.partialImages,
+      ...params,
+      ...toModerationParams(),
+      stream: true
+    };
+    
+    // Log the API payload at debug level
+    logger.debug('OpenAI API Payload (generateImagesStream):', redactSensitiveInfo(requestParams));
+    
+    // Call OpenAI API
+    return await requestWithRetry(
+      'generateImagesStream',
+      () => client.images.generate(requestParams, { stream: true, signal: options.signal }),
+      options.signal
     );
+  } catch (error) {
+    logger.error('OpenAI API Error (generateImagesStream):', error);
+    throw toImageError(error, 'Failed to generate images', 'IMAGE_GENERATION_ERROR');
   }
 }
 
@@ -182,14 +422,16 @@ async function generateImages(params) {
  * @param {number} params.n - Number of images to generate
  * @param {string} params.size - Image size
  * @param {string} params.quality - Image quality
+ * @param {string} params.output_format - Output format: png, jpeg or webp (optional)
+ * @param {number} params.output_compression - Compression level (0-100) for jpeg and webp (optional)
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request (optional)
+ * @param {string} options.apiKey - User's OpenAI API key (optional, defaults to the server key)
  * @returns {Promise<Object>} Edited images
  */
-async function editImages(params) {
+async function editImages(params, options = {}) {
   try {
-    // Check if OpenAI client is available
-    if (!openai) {
-      throw new Error('OpenAI client is not initialized. Please provide a valid API key.');
-    }
+    const client = getClient(options);
 
     // Merge default parameters with provided parameters
     const requestParams = {
@@ -197,6 +439,7 @@ async function editImages(params) {
       n: config.defaults.n,
       size: config.defaults.size,
       quality: config.defaults.quality,
+      output_format: config.defaults.output_format,
       ...params
     };
 
@@ -204,56 +447,64 @@ async function editImages(params) {
     logger.debug('OpenAI API Payload (editImages):', redactSensitiveInfo(requestParams));
 
     // Call OpenAI API
-    const response = await openai.images.edit(requestParams);
+    const response = await requestWithRetry(
+      'editImages',
+      () => client.images.edit(requestParams, toRequestOptions(options)),
+      options.signal
+    );
     
     return response;
   } catch (error) {
     logger.error('OpenAI API Error (editImages):', error);
-    throw new OpenAIError(
-      error.message || 'Failed to edit images',
-      'IMAGE_EDIT_ERROR',
-      error
-    );
+    throw toImageError(error, 'Failed to edit images', 'IMAGE_EDIT_ERROR');
+  }
+}
+
+/**
+ * Validate a chat messages array before sending it to the API
+ * @param {Array} messages - Chat messages
+ * @throws {Error} If a message is malformed
+ */
+function validateChatMessages(messages) {
+  if (!messages || !Array.isArray(messages)) {
+    throw new Error('Messages must be an array');
   }
+
+  // Validate each message in the array
+  messages.forEach((message, index) => {
+    if (!message.role) {
+      throw new Error(`Message at index ${index} is missing a role`);
+    }
+    
+    if (message.content === null || message.content === undefined) {
+      throw new Error(`Message at index ${index} has null or undefined content`);
+    }
+    
+    // For messages with array content (multimodal messages)
+    if (Array.isArray(message.content)) {
+      message.content.forEach((contentItem, contentIndex) => {
+        if (contentItem.type === 'text' && (contentItem.text === null || contentItem.text === undefined)) {
+          throw new Error(`Text content at index ${index}.${contentIndex} is null or undefined`);
+        }
+      });
+    }
+  });
 }
 
 /**
  * Send a chat message to the model
  * @param {Object} params - Chat parameters
  * @param {Array} params.messages - Chat messages
+ * @param {Object} options - Request options
+ * @param {string} options.apiKey - User's OpenAI API key (optional, defaults to the server key)
  * @returns {Promise<Object>} Chat completion
  */
-async function createChatCompletion(params) {
+async function createChatCompletion(params, options = {}) {
   try {
-    // Check if OpenAI client is available
-    if (!openai) {
-      throw new Error('OpenAI client is not initialized. Please provide a valid API key.');
-    }
+    const client = getClient(options);
 
     // Validate messages array
-    if (!params.messages || !Array.isArray(params.messages)) {
-      throw new Error('Messages must be an array');
-    }
-
-    // Validate each message in the array
-    params.messages.forEach((message, index) => {
-      if (!message.role) {
-        throw new Error(`Message at index ${index} is missing a role`);
-      }
-      
-      if (message.content === null || message.content === undefined) {
-        throw new Error(`Message at index ${index} has null or undefined content`);
-      }
-      
-      // For messages with array content (multimodal messages)
-      if (Array.isArray(message.content)) {
-        message.content.forEach((contentItem, contentIndex) => {
-          if (contentItem.type === 'text' && (contentItem.text === null || contentItem.text === undefined)) {
-            throw new Error(`Text content at index ${index}.${contentIndex} is null or undefined`);
-          }
-        });
-      }
-    });
+    validateChatMessages(params.messages);
 
     // Prepare API payload
     const payload = {
@@ -266,7 +517,7 @@ async function createChatCompletion(params) {
     logger.debug('OpenAI API Payload (createChatCompletion):', redactSensitiveInfo(payload));
     
     // Call OpenAI API
-    const response = await openai.chat.completions.create(payload);
+    const response = await requestWithRetry('createChatCompletion', () => client.chat.completions.create(payload));
     
     return response;
   } catch (error) {
@@ -279,10 +530,96 @@ async function createChatCompletion(params) {
   }
 }
 
+/**
+ * Send a chat message to the model and stream the reply
+ * @param {Object} params - Chat parameters
+ * @param {Array} params.messages - Chat messages
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request (optional)
+ * @param {string} options.apiKey - User's OpenAI API key (optional, defaults to the server key)
+ * @returns {Promise<AsyncIterable>} Stream of chat completion chunks; the last chunk carries usage
+ */
+async function createChatCompletionStream(params, options = {}) {
+  try {
+    const client = getClient(options);
+
+    // Validate messages array
+    validateChatMessages(params.messages);
+    
+    // Prepare API payload
+    const payload = {
+      model: params.model || config.model,
+      ...params,
+      max_tokens: params.max_tokens || 1000,
+      stream: true,
+      stream_options: { include_usage: true }
+    };
+    
+    // Log the API payload at debug level
+    logger.debug('OpenAI API Payload (createChatCompletionStream):', redactSensitiveInfo(payload));
+    
+    // Call OpenAI API
+    return await requestWithRetry(
+      'createChatCompletionStream',
+      () => client.chat.completions.create(payload, { signal: options.signal }),
+      options.signal
+    );
+  } catch (error) {
+    logger.error('OpenAI API Error (createChatCompletionStream):', error);
+    throw new OpenAIError(
+      error.message || 'Failed to create chat completion stream',
+      'CHAT_COMPLETION_ERROR',
+      error
+    );
+  }
+}
+
+/**
+ * Check text against OpenAI's moderation model
+ * @param {Object} params - Moderation parameters
+ * @param {string} params.input - Text to check
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal to cancel the request (optional)
+ * @param {string} options.apiKey - User's OpenAI API key (optional, defaults to the server key)
+ * @returns {Promise<Object>} Moderation response, with one result per input
+ */
+async function createModeration(params, options = {}) {
+  try {
+    const client = getClient(options);
+
+    const payload = {
+      model: moderationConfig.model,
+      ...params
+    };
+    
+    // Log the API payload at debug level
+    logger.debug('OpenAI API Payload (createModeration):', redactSensitiveInfo(payload));
+    
+    // Call OpenAI API
+    return await requestWithRetry(
+      'createModeration',
+      () => client.moderations.create(payload, toRequestOptions(options)),
+      options.signal
+    );
+  } catch (error) {
+    logger.error('OpenAI API Error (createModeration):', error);
+    throw new OpenAIError(
+      error.message || 'Failed to moderate the prompt',
+      'MODERATION_ERROR',
+      error
+    );
+  }
+}
+
 module.exports = {
   generateImages,
+  generateImagesStream,
   editImages,
   createChatCompletion,
+  createChatCompletionStream,
   analyzePromptForImageGeneration,
+  enhancePrompt,
+  createModeration,
+  redactSensitiveInfo,
   setOpenAIClient
 };
\ No newline at end of file
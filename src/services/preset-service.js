@@ -0,0 +1,153 @@
+/**
+ * Preset service
+ * Manages style presets: a prompt template with a {prompt} placeholder and default size, quality
+ * and background, applied to generation requests that name the preset
+ */
+
+const config = require('../config').presets;
+const { presetStore } = require('../storage');
+const { validators } = require('../utils');
+const { ForbiddenError, NotFoundError } = require('../utils/error');
+
+// Parameters a preset can give a default for
+const PRESET_DEFAULTS = ['size', 'quality', 'background'];
+
+/**
+ * Get a built-in preset
+ * @param {string} id - Preset ID
+ * @returns {Object|null} Preset, marked as built in, or null if no built-in preset has the ID
+ */
+function findBuiltinPreset(id) {
+  const preset = config.builtin.find(builtin => builtin.id === id);
+  return preset ? { ...preset, builtin: true } : null;
+}
+
+/**
+ * List the presets users can pick from
+ * @returns {Promise<Array>} Built-in presets, then stored presets, oldest first
+ */
+async function listPresets() {
+  const stored = await presetStore.listPresets();
+  return [
+    ...config.builtin.map(preset => ({ ...preset, builtin: true })),
+    ...stored.map(preset => ({ ...preset, builtin: false }))
+  ];
+}
+
+/**
+ * Get a preset
+ * @param {string} id - Preset ID
+ * @returns {Promise<Object>} Preset
+ * @throws {NotFoundError} If no preset has the ID
+ */
+async function getPreset(id) {
+  const builtin = findBuiltinPreset(id);
+  if (builtin) {
+    return builtin;
+  }
+  
+  const preset = await presetStore.getPreset(id);
+  if (!preset) {
+    throw new NotFoundError(`Style preset "${id}" was not found`, 'PRESET_NOT_FOUND');
+  }
+  return { ...preset, builtin: false };
+}
+
+/**
+ * Create a preset
+ * @param {Object} body - Preset fields (see validators.validatePresetRequest)
+ * @param {Object} user - Signed-in user creating the preset (optional)
+ * @returns {Promise<Object>} Stored preset
+ * @throws {ValidationError} If the fields are invalid
+ */
+async function createPreset(body, user) {
+  const fields = validators.validatePresetRequest(body);
+  const now = new Date().toISOString();
+  const preset = {
+    id: presetStore.generatePresetId(),
+    ...fields,
+    createdBy: user ? user.id : null,
+    createdAt: now,
+    updatedAt: now
+  };
+  
+  await presetStore.savePreset(preset);
+  return { ...preset, builtin: false };
+}
+
+/**
+ * Replace the fields of a stored preset; defaults left out of the body are removed
+ * @param {string} id - Preset ID
+ * @param {Object} body - Preset fields (see validators.validatePresetRequest)
+ * @returns {Promise<Object>} Updated preset
+ * @throws {ForbiddenError} If the preset is built in
+ * @throws {NotFoundError} If no preset has the ID
+ * @throws {ValidationError} If the fields are invalid
+ */
+async function updatePreset(id, body) {
+  const existing = await getPreset(id);
+  if (existing.builtin) {
+    throw new ForbiddenError('Built-in style presets cannot be changed', 'PRESET_READ_ONLY');
+  }
+  
+  const fields = validators.validatePresetRequest(body);
+  const preset = {
+    id,
+    ...fields,
+    createdBy: existing.createdBy,
+    createdAt: existing.createdAt,
+    updatedAt: new Date().toISOString()
+  };
+  
+  await presetStore.savePreset(preset);
+  return { ...preset, builtin: false };
+}
+
+/**
+ * Delete a stored preset
+ * @param {string} id - Preset ID
+ * @returns {Promise<void>}
+ * @throws {ForbiddenError} If the preset is built in
+ * @throws {NotFoundError} If no preset has the ID
+ */
+async function deletePreset(id) {
+  const existing = await getPreset(id);
+  if (existing.builtin) {
+    throw new ForbiddenError('Built-in style presets cannot be deleted', 'PRESET_READ_ONLY');
+  }
+  
+  await presetStore.deletePreset(id);
+}
+
+/**
+ * Apply the preset a generation request names
+ * The prompt is put in the preset's template, and the preset's defaults fill in the parameters
+ * the request leaves out, so prompt analysis only chooses what neither of them sets
+ * @param {Object} params - Generation parameters, optionally naming a preset
+ * @returns {Promise<Object>} Parameters without the preset name, with the preset applied
+ * @throws {NotFoundError} If the named preset does not exist
+ */
+async function applyPreset(params) {
+  const { preset: presetId, ...presetParams } = params;
+  if (!presetId) {
+    return presetParams;
+  }
+  
+  const preset = await getPreset(presetId);
+  presetParams.prompt = preset.template.split(config.placeholder).join(params.prompt);
+  for (const field of PRESET_DEFAULTS) {
+    if (!presetParams[field] && preset[field]) {
+      presetParams[field] = preset[field];
+    }
+  }
+  return presetParams;
+}
+
+module.exports = {
+  listPresets,
+  getPreset,
+  createPreset,
+  updatePreset,
+  deletePreset,
+  applyPreset
+};
\ No newline at end of file
@@ -0,0 +1,60 @@
+/**
+ * Prompt service
+ * Rewrites terse image prompts into detailed suggestions the user can accept, edit or discard
+ */
+
+const config = require('../config').openai;
+const openaiService = require('./openai-service');
+const { validators } = require('../utils');
+const { OpenAIError } = require('../utils/error');
+const logger = require('../utils/logger');
+
+/**
+ * Read the suggested prompt from a choice of the enhancement completion
+ * @param {Object} choice - Completion choice
+ * @returns {string|null} Suggested prompt, or null if the choice holds none
+ */
+function parseSuggestion(choice) {
+  try {
+    const { prompt } = JSON.parse(choice.message.content);
+    return typeof prompt === 'string' && prompt.trim() ? prompt.trim() : null;
+  } catch (error) {
+    logger.warn('Ignoring a prompt suggestion that is not valid JSON');
+    return null;
+  }
+}
+
+/**
+ * Suggest detailed rewrites of an image prompt
+ * @param {Object} body - Request body
+ * @param {string} body.prompt - Prompt to enhance
+ * @param {number} body.n - Number of suggestions (optional, default 1)
+ * @param {Object} options - Request options
+ * @param {string} options.apiKey - User's OpenAI API key (optional, defaults to the server key)
+ * @returns {Promise<Object>} Original prompt, distinct suggestions, and the model, usage and API attempts of the request
+ * @throws {ValidationError} If the request is invalid
+ * @throws {OpenAIError} If the model fails or suggests nothing
+ */
+async function enhancePrompt(body, options = {}) {
+  const { prompt, n } = validators.validateEnhanceRequest(body, { maxSuggestions: config.enhancement.maxSuggestions });
+  const response = await openaiService.enhancePrompt(prompt, { n }, { apiKey: options.apiKey });
+  
+  // Suggestions that repeat the prompt or each other are dropped
+  const suggestions = [...new Set(response.choices.map(parseSuggestion))]
+    .filter(suggestion => suggestion && suggestion !== prompt);
+  if (suggestions.length === 0) {
+    throw new OpenAIError('The model did not suggest a better prompt', 'PROMPT_ENHANCEMENT_ERROR');
+  }
+  
+  return {
+    prompt,
+    suggestions,
+    model: response.model || config.promptAnalysisModel,
+    usage: response.usage,
+    attempts: response.attempts
+  };
+}
+
+module.exports = {
+  enhancePrompt
+};
\ No newline at end of file
@@ -0,0 +1,227 @@
+/**
+ * Quota service
+ * Gives each user a daily budget of estimated cost on the server's OpenAI key. Requests are
+ * estimated from their parameters before they run and admitted while the estimate fits; what they
+ * really cost is taken from the usage ledger once it is recorded
+ */
+
+const config = require('../config').quotas;
+const openaiConfig = require('../config').openai;
+const imagesConfig = require('../config').images;
+const { usageStore } = require('../storage');
+const usageService = require('./usage-service');
+const { QuotaExceededError } = require('../utils/error');
+const { MAX_IMAGES_PER_REQUEST } = require('../utils/validators');
+
+// Estimated cost of admitted requests that are not in the ledger yet, keyed by user
+const reservations = new Map();
+
+/**
+ * Round an amount of US dollars to a millionth, like the usage ledger
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+function roundCost(amount) {
+  return Math.round(amount * 1e6) / 1e6;
+}
+
+/**
+ * Estimate the output tokens of one generated image
+ * @param {string} quality - Requested quality (optional)
+ * @param {string} size - Requested size (optional)
+ * @returns {number} Output tokens
+ */
+function estimateImageTokens(quality, size) {
+  const bySize = config.imageOutputTokens[quality] || config.imageOutputTokens.high;
+  return bySize[size] || Math.max(...Object.values(bySize));
+}
+
+/**
+ * Estimate the cost of an image generation or edit request before it runs
+ * @param {Object} body - Request body
+ * @param {number} inputImages - Source images sent with the request (edits only)
+ * @returns {number} Estimated cost in US dollars (0 for providers without a price)
+ */
+function estimateImageCost(body, inputImages = 0) {
+  const provider = body.provider || imagesConfig.provider;
+  if (provider !== 'openai') {
+    return 0;
+  }
+  
+  // The body is not validated yet, so counts validation will reject are estimated at the nearest it allows
+  const n = Math.min(Math.max(parseInt(body.n) || openaiConfig.defaults.n, 1), MAX_IMAGES_PER_REQUEST);
+  const promptTokens = Math.ceil(String(body.prompt || '').length / 4);
+  const imageInputTokens = inputImages * config.inputImageTokens;
+  
+  return usageService.estimateCost(openaiConfig.model, {
+    inputTokens: promptTokens + imageInputTokens,
+    imageInputTokens,
+    outputTokens: n * estimateImageTokens(body.quality, body.size),
+    images: n
+  }) || 0;
+}
+
+/**
+ * Estimate the cost of a chat message before it runs
+ * Images the reply may generate are not known yet; the ledger counts them once they are made
+ * @returns {number} Estimated cost in US dollars (0 for models without a price)
+ */
+function estimateChatCost() {
+  return usageService.estimateCost(openaiConfig.promptAnalysisModel, {
+    inputTokens: openaiConfig.context.maxTokens,
+    imageInputTokens: 0,
+    outputTokens: config.chatOutputTokens,
+    images: 0
+  }) || 0;
+}
+
+/**
+ * Estimate the cost of a prompt enhancement before it runs
+ * @param {Object} body - Request body
+ * @returns {number} Estimated cost in US dollars (0 for models without a price)
+ */
+function estimateEnhanceCost(body) {
+  // Held to the suggestion counts validation allows, as the body is checked only after admission
+  const n = Math.min(Math.max(parseInt(body.n) || 1, 1), openaiConfig.enhancement.maxSuggestions);
+  
+  return usageService.estimateCost(openaiConfig.promptAnalysisModel, {
+    inputTokens: Math.ceil(String(body.prompt || '').length / 4) + config.enhanceSystemTokens,
+    imageInputTokens: 0,
+    outputTokens: n * openaiConfig.enhancement.maxTokens,
+    images: 0
+  }) || 0;
+}
+
+/**
+ * Estimate the cost of a request before it runs
+ * @param {string} endpoint - Endpoint name, as recorded in the usage ledger ("images.generate", "images.edit", "chat.message" or "prompts.enhance")
+ * @param {Object} body - Request body
+ * @returns {number} Estimated cost in US dollars
+ */
+function estimateRequestCost(endpoint, body = {}) {
+  switch (endpoint) {
+    case 'images.generate':
+      return estimateImageCost(body);
+    case 'images.edit':
+      return estimateImageCost(body, Array.isArray(body.image) ? body.image.length : 1);
+    case 'chat.message':
+      return estimateChatCost();
+    case 'prompts.enhance':
+      return estimateEnhanceCost(body);
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Check whether a request is exempt from quotas
+ * @param {Object} user - Signed-in user (optional)
+ * @param {Object} options - Request options
+ * @param {boolean} options.ownApiKey - Whether the request is made with the user's own OpenAI API key
+ * @returns {boolean} True if quotas are off, the user is an exempt admin or the user pays with their own key
+ */
+function isExempt(user, options = {}) {
+  return config.dailyBudget <= 0
+    || Boolean(options.ownApiKey)
+    || Boolean(config.exemptAdmins && user && user.role === 'admin');
+}
+
+/**
+ * Get the end of the current quota day
+ * @returns {Date} Next midnight (UTC)
+ */
+function getResetTime() {
+  const reset = new Date();
+  reset.setUTCHours(24, 0, 0, 0);
+  return reset;
+}
+
+/**
+ * Get the cost recorded in the ledger for a user today
+ * Requests made with the user's own API key are not counted
+ * @param {string} userId - User ID, as recorded in the ledger
+ * @returns {Promise<number>} Recorded cost in US dollars
+ */
+async function getRecordedCost(userId) {
+  const today = new Date().toISOString().slice(0, 10);
+  const entries = await usageStore.listEntries(today, today);
+  
+  return entries
+    .filter(entry => entry.userId === userId && !entry.ownApiKey)
+    .reduce((sum, entry) => sum + (entry.cost || 0), 0);
+}
+
+/**
+ * Describe a user's quota
+ * @param {number} used - Cost used so far, in US dollars
+ * @param {number} cost - Estimated cost of the request being checked
+ * @returns {Object} Budget, amount used, remaining budget, request cost and reset time
+ */
+function toQuotaStatus(used, cost) {
+  return {
+    limit: config.dailyBudget,
+    used,
+    remaining: roundCost(Math.max(config.dailyBudget - used, 0)),
+    cost: roundCost(cost),
+    resetAt: getResetTime().toISOString()
+  };
+}
+
+/**
+ * Reserve the estimated cost of a request against the user's daily budget
+ * The reservation is held until release is called, which should happen once the request's usage is in the ledger
+ * @param {Object} user - Signed-in user (optional, anonymous requests share one budget)
+ * @param {number} cost - Estimated cost in US dollars
+ * @param {Object} options - Request options
+ * @param {boolean} options.ownApiKey - Whether the request is made with the user's own OpenAI API key
+ * @returns {Promise<Object|null>} Reservation ({ status, release }), or null if the request is exempt
+ * @throws {QuotaExceededError} If the request does not fit in the remaining budget
+ */
+async function reserve(user, cost, options = {}) {
+  if (isExempt(user, options)) {
+    return null;
+  }
+  
+  const userId = user ? user.id : usageService.ANONYMOUS_USER;
+  const recorded = await getRecordedCost(userId);
+  
+  // Reservations are read after the ledger, and the check and the reservation below happen without
+  // awaiting in between, so requests checked at the same time cannot all be admitted on the same budget
+  const used = roundCost(recorded + (reservations.get(userId) || 0));
+  if (used + cost > config.dailyBudget) {
+    const status = toQuotaStatus(used, cost);
+    throw new QuotaExceededError(
+      `This request is estimated at $${cost.toFixed(2)}, but only $${status.remaining.toFixed(2)} of your daily budget of $${config.dailyBudget.toFixed(2)} is left. It resets at ${status.resetAt}.`,
+      status
+    );
+  }
+  
+  reservations.set(userId, (reservations.get(userId) || 0) + cost);
+  
+  let released = false;
+  return {
+    status: toQuotaStatus(roundCost(used + cost), cost),
+    
+    /**
+     * Release the reservation; later calls do nothing
+     */
+    release() {
+      if (released) {
+        return;
+      }
+      released = true;
+      
+      const remaining = roundCost((reservations.get(userId) || 0) - cost);
+      if (remaining > 0) {
+        reservations.set(userId, remaining);
+      } else {
+        reservations.delete(userId);
+      }
+    }
+  };
+}
+
+module.exports = {
+  estimateRequestCost,
+  reserve
+};
\ No newline at end of file
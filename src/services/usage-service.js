@@ -0,0 +1,209 @@
+/**
+ * Usage service
+ * Keeps a ledger of the tokens and images each request used, estimates their cost per model
+ * and rolls the ledger up per day or week, user, endpoint and model
+ */
+
+const config = require('../config').usage;
+const { usageStore } = require('../storage');
+const logger = require('../utils/logger');
+const { validators } = require('../utils');
+
+// User recorded for requests made without signing in
+const ANONYMOUS_USER = 'anonymous';
+
+/**
+ * Read token counts from OpenAI usage, which comes in two shapes:
+ * images report input_tokens/output_tokens, chat completions prompt_tokens/completion_tokens
+ * @param {Object} usage - Usage reported by the provider (optional)
+ * @returns {Object} Input, image input and output token counts
+ */
+function countTokens(usage) {
+  if (!usage) {
+    return { inputTokens: 0, imageInputTokens: 0, outputTokens: 0 };
+  }
+  
+  const details = usage.input_tokens_details || {};
+  return {
+    inputTokens: usage.input_tokens || usage.prompt_tokens || 0,
+    imageInputTokens: details.image_tokens || 0,
+    outputTokens: usage.output_tokens || usage.completion_tokens || 0
+  };
+}
+
+/**
+ * Estimate the cost of a request from the configured prices of its model
+ * @param {string} model - Model that served the request
+ * @param {Object} counts - Token counts (see countTokens) and the number of images produced
+ * @returns {number|null} Estimated cost in US dollars, or null if the model has no price
+ */
+function estimateCost(model, counts) {
+  const price = config.pricing[model];
+  if (!price) {
+    return null;
+  }
+  
+  const perMillion = (tokens, rate) => (tokens * (rate || 0)) / 1e6;
+  const textInputTokens = counts.inputTokens - counts.imageInputTokens;
+  const imageInputRate = price.imageInput !== undefined ? price.imageInput : price.input;
+  
+  const cost = perMillion(textInputTokens, price.input)
+    + perMillion(counts.imageInputTokens, imageInputRate)
+    + perMillion(counts.outputTokens, price.output)
+    + counts.images * (price.perImage || 0);
+  
+  // Keep sums readable; a millionth of a dollar is well below any price
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+/**
+ * Record the usage of a request in the ledger
+ * Recording never fails the request: errors are logged and the request goes on
+ * @param {Object} context - Who made the request and how
+ * @param {string} context.userId - User ID (optional, defaults to anonymous)
+ * @param {string} context.endpoint - Endpoint name, such as "images.generate"
+ * @param {string} context.requestId - Request ID (optional)
+ * @param {boolean} context.ownApiKey - Whether the request was made with the user's own OpenAI API key (optional)
+ * @param {Object} response - Service response with model, usage and images
+ * @returns {Promise<Object|null>} The ledger entry, or null if nothing was recorded
+ */
+async function recordUsage(context, response) {
+  try {
+    if (!response || (!response.usage && !response.model)) {
+      return null;
+    }
+    
+    // Chat responses carry generated images on the assistant message
+    const images = response.images || (response.assistantMessage && response.assistantMessage.images) || [];
+    const counts = { ...countTokens(response.usage), images: images.length };
+    
+    const entry = {
+      timestamp: new Date().toISOString(),
+      userId: context.userId || ANONYMOUS_USER,
+      endpoint: context.endpoint,
+      requestId: context.requestId || null,
+      model: response.model || null,
+      ...counts,
+      cost: estimateCost(response.model, counts),
+      // Billed to the user's own OpenAI account, so it does not count against their quota
+      ...(context.ownApiKey && { ownApiKey: true })
+    };
+    
+    await usageStore.appendEntry(entry);
+    return entry;
+  } catch (error) {
+    logger.error('Failed to record usage', { endpoint: context.endpoint, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Create empty totals
+ * @returns {Object} Request, token, image and cost totals
+ */
+function createTotals() {
+  return {
+    requests: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    images: 0,
+    cost: 0,
+    unpricedRequests: 0
+  };
+}
+
+/**
+ * Add a ledger entry to totals
+ * @param {Object} totals - Totals to update
+ * @param {Object} entry - Ledger entry
+ */
+function addToTotals(totals, entry) {
+  totals.requests++;
+  totals.inputTokens += entry.inputTokens;
+  totals.outputTokens += entry.outputTokens;
+  totals.images += entry.images;
+  if (entry.cost === null) {
+    totals.unpricedRequests++;
+  } else {
+    totals.cost = Math.round((totals.cost + entry.cost) * 1e6) / 1e6;
+  }
+}
+
+/**
+ * Add a ledger entry to the totals of a group, creating them on first use
+ * @param {Object} groups - Totals keyed by group name
+ * @param {string} key - Group name
+ * @param {Object} entry - Ledger entry
+ */
+function addToGroup(groups, key, entry) {
+  if (!groups[key]) {
+    groups[key] = createTotals();
+  }
+  addToTotals(groups[key], entry);
+}
+
+/**
+ * Get the first day of the rollup period a timestamp falls in
+ * Weeks start on Monday (UTC)
+ * @param {string} timestamp - ISO timestamp
+ * @param {string} period - Rollup period ('day' or 'week')
+ * @returns {string} First day of the period (YYYY-MM-DD)
+ */
+function getPeriodStart(timestamp, period) {
+  const day = new Date(timestamp.slice(0, 10));
+  if (period === 'week') {
+    day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  }
+  return day.toISOString().slice(0, 10);
+}
+
+/**
+ * Report usage and estimated cost over a range of days
+ * @param {Object} query - Report query (see validators.validateUsageQuery)
+ * @returns {Promise<Object>} Totals overall, per user, endpoint and model, and per day or week
+ */
+async function getUsageReport(query = {}) {
+  const { period, from, to, userId } = validators.validateUsageQuery(query, { maxDays: config.maxReportDays });
+  
+  const entries = (await usageStore.listEntries(from, to))
+    .filter(entry => !userId || entry.userId === userId);
+  
+  const report = {
+    period,
+    from,
+    to,
+    ...(userId && { userId }),
+    totals: createTotals(),
+    users: {},
+    endpoints: {},
+    models: {},
+    periods: []
+  };
+  
+  const periods = new Map();
+  for (const entry of entries) {
+    const start = getPeriodStart(entry.timestamp, period);
+    if (!periods.has(start)) {
+      periods.set(start, { start, totals: createTotals(), users: {}, endpoints: {} });
+    }
+    const bucket = periods.get(start);
+    
+    addToTotals(report.totals, entry);
+    addToGroup(report.users, entry.userId, entry);
+    addToGroup(report.endpoints, entry.endpoint, entry);
+    addToGroup(report.models, entry.model || 'unknown', entry);
+    addToTotals(bucket.totals, entry);
+    addToGroup(bucket.users, entry.userId, entry);
+    addToGroup(bucket.endpoints, entry.endpoint, entry);
+  }
+  
+  report.periods = [...periods.values()].sort((a, b) => a.start.localeCompare(b.start));
+  return report;
+}
+
+module.exports = {
+  ANONYMOUS_USER,
+  recordUsage,
+  getUsageReport,
+  estimateCost
+};
\ No newline at end of file
@@ -0,0 +1,157 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const conversationStore = require('../conversation-store');
+const createMemoryDriver = require('../drivers/memory-driver');
+const createFileDriver = require('../drivers/file-driver');
+const { ValidationError } = require('../../utils/error');
+
+const makeMessages = (count) => Array.from({ length: count }, (_, index) => ({
+  id: `msg-${index + 1}`,
+  role: index % 2 === 0 ? 'user' : 'assistant',
+  content: `Message ${index + 1}`
+}));
+
+describe('Conversation Store', () => {
+  beforeEach(() => {
+    conversationStore.setDriver(createMemoryDriver());
+  });
+
+  it('should return messages newest first', async () => {
+    await conversationStore.appendMessages('conv-1', makeMessages(3));
+
+    const page = await conversationStore.listMessages('conv-1');
+
+    expect(page.messages.map(message => message.id)).toEqual(['msg-3', 'msg-2', 'msg-1']);
+    expect(page.hasMore).toBe(false);
+    expect(page.nextCursor).toBeNull();
+  });
+
+  it('should paginate with a cursor', async () => {
+    await conversationStore.appendMessages('conv-1', makeMessages(5));
+
+    const firstPage = await conversationStore.listMessages('conv-1', { limit: 2 });
+    expect(firstPage.messages.map(message => message.id)).toEqual(['msg-5', 'msg-4']);
+    expect(firstPage.hasMore).toBe(true);
+    expect(firstPage.nextCursor).toBe('msg-4');
+
+    const secondPage = await conversationStore.listMessages('conv-1', { before: firstPage.nextCursor, limit: 2 });
+    expect(secondPage.messages.map(message => message.id)).toEqual(['msg-3', 'msg-2']);
+
+    const lastPage = await conversationStore.listMessages('conv-1', { before: secondPage.nextCursor, limit: 2 });
+    expect(lastPage.messages.map(message => message.id)).toEqual(['msg-1']);
+    expect(lastPage.hasMore).toBe(false);
+  });
+
+  it('should reject an unknown cursor', async () => {
+    await conversationStore.appendMessages('conv-1', makeMessages(2));
+
+    await expect(conversationStore.listMessages('conv-1', { before: 'missing' }))
+      .rejects
+      .toThrow(ValidationError);
+  });
+
+  it('should keep conversations separate and clear them individually', async () => {
+    await conversationStore.appendMessages('conv-1', makeMessages(2));
+    await conversationStore.appendMessages('conv-2', makeMessages(1));
+
+    await conversationStore.clearConversation('conv-1');
+
+    expect((await conversationStore.listMessages('conv-1')).messages).toEqual([]);
+    expect((await conversationStore.listMessages('conv-2')).messages).toHaveLength(1);
+  });
+
+  it('should keep the conversations of different owners apart, even under the same ID', async () => {
+    const alice = { ownerId: 'usr_alice' };
+    const bob = { ownerId: 'usr_bob' };
+    await conversationStore.appendMessages('default', makeMessages(2), alice);
+    await conversationStore.saveSummary('default', { summary: 'Alice said hello.', throughId: 'msg-2' }, alice);
+
+    expect((await conversationStore.listMessages('default', bob)).messages).toEqual([]);
+    expect((await conversationStore.listMessages('default')).messages).toEqual([]);
+    expect(await conversationStore.listMessagesAfter('default', null, bob)).toEqual([]);
+    expect(await conversationStore.getSummary('default', bob)).toBeNull();
+
+    await conversationStore.clearConversation('default', bob);
+
+    expect((await conversationStore.listMessages('default', alice)).messages).toHaveLength(2);
+    expect(await conversationStore.getSummary('default', alice)).toMatchObject({ summary: 'Alice said hello.' });
+  });
+
+  it('should list the messages after a message, oldest first', async () => {
+    await conversationStore.appendMessages('conv-1', makeMessages(4));
+
+    const after = await conversationStore.listMessagesAfter('conv-1', 'msg-2');
+    const all = await conversationStore.listMessagesAfter('conv-1');
+
+    expect(after.map(message => message.id)).toEqual(['msg-3', 'msg-4']);
+    expect(all.map(message => message.id)).toEqual(['msg-1', 'msg-2', 'msg-3', 'msg-4']);
+  });
+
+  it('should keep the summary of a conversation until it is cleared', async () => {
+    await conversationStore.appendMessages('conv-1', makeMessages(2));
+
+    const stored = await conversationStore.saveSummary('conv-1', { summary: 'They said hello.', throughId: 'msg-2' });
+
+    expect(stored).toEqual({ summary: 'They said hello.', throughId: 'msg-2', updatedAt: expect.any(String) });
+    expect(await conversationStore.getSummary('conv-1')).toEqual(stored);
+    expect(await conversationStore.getSummary('conv-2')).toBeNull();
+
+    await conversationStore.clearConversation('conv-1');
+
+    expect(await conversationStore.getSummary('conv-1')).toBeNull();
+  });
+});
+
+describe('File Driver', () => {
+  let directory;
+  let driver;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'conversations-'));
+    driver = createFileDriver({ directory });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should append and read back messages in order', async () => {
+    const [first, second] = makeMessages(2);
+    await driver.append('conv-1', first);
+    await driver.append('conv-1', second);
+
+    expect(await driver.list('conv-1')).toEqual([first, second]);
+  });
+
+  it('should return an empty list for an unknown conversation', async () => {
+    expect(await driver.list('unknown')).toEqual([]);
+  });
+
+  it('should skip corrupt lines', async () => {
+    const [message] = makeMessages(1);
+    await driver.append('conv-1', message);
+    fs.appendFileSync(path.join(directory, 'conv-1.jsonl'), '{"id": "partial\n');
+
+    expect(await driver.list('conv-1')).toEqual([message]);
+  });
+
+  it('should delete a conversation and tolerate clearing it twice', async () => {
+    await driver.append('conv-1', makeMessages(1)[0]);
+    await driver.saveSummary('conv-1', { summary: 'A greeting.', throughId: 'msg-1' });
+
+    await driver.clear('conv-1');
+    await driver.clear('conv-1');
+
+    expect(await driver.list('conv-1')).toEqual([]);
+    expect(await driver.getSummary('conv-1')).toBeNull();
+  });
+
+  it('should store the summary next to the conversation and replace it', async () => {
+    await driver.saveSummary('conv/1', { summary: 'First.', throughId: 'msg-1' });
+    await driver.saveSummary('conv/1', { summary: 'Second.', throughId: 'msg-3' });
+
+    expect(await driver.getSummary('conv/1')).toEqual({ summary: 'Second.', throughId: 'msg-3' });
+    expect(fs.readdirSync(directory)).toEqual(['conv%2F1.summary.json']);
+  });
+});
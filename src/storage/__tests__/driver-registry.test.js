@@ -0,0 +1,37 @@
+const config = require('../../config').storage;
+const createDriverRegistry = require('../driver-registry');
+
+describe('Storage driver registry', () => {
+  const originalDriver = config.driver;
+  
+  afterEach(() => {
+    config.driver = originalDriver;
+  });
+  
+  it('should create the configured driver once, on first use', () => {
+    const factory = jest.fn(() => ({ name: 'memory' }));
+    config.driver = 'memory';
+    const { getDriver } = createDriverRegistry({ memory: factory });
+    
+    expect(factory).not.toHaveBeenCalled();
+    expect(getDriver()).toBe(getDriver());
+    expect(factory).toHaveBeenCalledTimes(1);
+  });
+  
+  it('should use registered and explicitly set drivers', () => {
+    config.driver = 'custom';
+    const { registerDriver, getDriver, setDriver } = createDriverRegistry({});
+    registerDriver('custom', () => ({ name: 'custom' }));
+    
+    expect(getDriver()).toEqual({ name: 'custom' });
+    setDriver({ name: 'test' });
+    expect(getDriver()).toEqual({ name: 'test' });
+  });
+  
+  it('should reject unknown driver names, including prototype properties', () => {
+    for (const name of ['postgres', 'constructor', '__proto__']) {
+      config.driver = name;
+      expect(() => createDriverRegistry({ memory: () => ({}) }).getDriver()).toThrow(`Unknown storage driver: ${name}`);
+    }
+  });
+});
\ No newline at end of file
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const imageStore = require('../image-store');
+const createImageMemoryDriver = require('../drivers/image-memory-driver');
+const createImageFileDriver = require('../drivers/image-file-driver');
+const { encodePng, pngChunk } = require('../../utils/placeholder-image');
+
+// A 2x2 PNG, and a JPEG with just enough structure (JFIF, frame and scan) to be sanitized
+const PNG_BYTES = encodePng(2, 2, Buffer.alloc(16));
+const JPEG_BYTES = Buffer.from(
+  'ffd8ffe000104a46494600010100000100010000ffc0001108012c01f403012200021101031101ffda000c03010002110311003f00d2cf20ffd9',
+  'hex'
+);
+
+describe('Image Store', () => {
+  beforeEach(() => {
+    imageStore.setDriver(createImageMemoryDriver());
+  });
+  
+  it('should store an image and return it by ID', async () => {
+    const record = await imageStore.saveImage({ data: PNG_BYTES.toString('base64'), source: 'generation' });
+    
+    expect(record).toMatchObject({
+      id: expect.stringMatching(/^img_/),
+      mimeType: 'image/png',
+      size: PNG_BYTES.length,
+      source: 'generation',
+      createdAt: expect.any(String)
+    });
+    
+    const { record: stored, data } = await imageStore.getImage(record.id);
+    expect(stored).toEqual(record);
+    expect(data.equals(PNG_BYTES)).toBe(true);
+  });
+  
+  it('should detect the type from the bytes rather than trust the data URL', async () => {
+    const record = await imageStore.saveImage({ data: `data:image/png;base64,${JPEG_BYTES.toString('base64')}`, source: 'chat' });
+    
+    expect(record.mimeType).toBe('image/jpeg');
+  });
+  
+  it('should reject bytes that are not a known image type, whatever the data URL declares', async () => {
+    const svg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" onload="alert(1)"/>').toString('base64');
+    const driver = createImageMemoryDriver();
+    jest.spyOn(driver, 'putBlob');
+    jest.spyOn(driver, 'putRecord');
+    imageStore.setDriver(driver);
+    
+    await expect(imageStore.saveImage({ data: `data:image/svg+xml;base64,${svg}`, source: 'chat' })).rejects.toMatchObject({
+      name: 'ValidationError',
+      code: 'UNSUPPORTED_IMAGE_TYPE'
+    });
+    expect(driver.putBlob).not.toHaveBeenCalled();
+    expect(driver.putRecord).not.toHaveBeenCalled();
+  });
+  
+  it('should strip metadata from images before storing them, whatever their source', async () => {
+    const tagged = Buffer.concat([PNG_BYTES.subarray(0, 33), pngChunk('tEXt', Buffer.from('GPS\u000051.5007N', 'binary')), PNG_BYTES.subarray(33)]);
+    
+    const record = await imageStore.saveImage({ data: tagged.toString('base64'), source: 'edit-input' });
+    
+    const { data } = await imageStore.getImage(record.id);
+    expect(data.equals(PNG_BYTES)).toBe(true);
+    expect(record.size).toBe(PNG_BYTES.length);
+  });
+  
+  it('should store identical bytes once', async () => {
+    const driver = createImageMemoryDriver();
+    jest.spyOn(driver, 'putBlob');
+    imageStore.setDriver(driver);
+    
+    const first = await imageStore.saveImage({ data: PNG_BYTES, source: 'upload', filename: 'a.png' });
+    const second = await imageStore.saveImage({ data: PNG_BYTES, source: 'upload', filename: 'b.png' });
+    
+    expect(first.id).not.toBe(second.id);
+    expect(first.sha256).toBe(second.sha256);
+    expect(driver.putBlob).toHaveBeenCalledTimes(1);
+  });
+  
+  it('should report missing and malformed IDs as not found', async () => {
+    await expect(imageStore.getImage('img_missing')).rejects.toMatchObject({ code: 'IMAGE_NOT_FOUND', statusCode: 404 });
+    await expect(imageStore.getImage('../../etc/passwd')).rejects.toMatchObject({ code: 'IMAGE_NOT_FOUND' });
+  });
+  
+  it('should round-trip image URLs and data URLs', async () => {
+    const record = await imageStore.saveImage({ data: PNG_BYTES, source: 'upload' });
+    const url = imageStore.toImageUrl(record.id);
+    
+    expect(url).toBe(`/api/images/${record.id}`);
+    expect(imageStore.parseImageUrl(url)).toBe(record.id);
+    expect(imageStore.parseImageUrl('https://example.com/api/images/x')).toBeNull();
+    expect(await imageStore.toDataUrl(record.id)).toBe(`data:image/png;base64,${PNG_BYTES.toString('base64')}`);
+  });
+  
+  it('should tell image references apart from image data', () => {
+    expect(imageStore.parseImageReference('img_1700000000000_abc123')).toBe('img_1700000000000_abc123');
+    expect(imageStore.parseImageReference('/api/images/img_1')).toBe('img_1');
+    expect(imageStore.parseImageReference({ id: 'upload1' })).toBe('upload1');
+    expect(imageStore.parseImageReference({ url: '/api/images/img_1' })).toBe('img_1');
+    
+    // Base64 never contains underscores or hyphens, and objects carrying data are not references
+    expect(imageStore.parseImageReference(PNG_BYTES.toString('base64'))).toBeNull();
+    expect(imageStore.parseImageReference('c2Vjb25k')).toBeNull();
+    expect(imageStore.parseImageReference({ id: 'upload1', base64Data: 'data:image/png;base64,AAAA' })).toBeNull();
+    expect(imageStore.parseImageReference({ url: 'https://example.com/cat.png' })).toBeNull();
+  });
+  
+  it('should load referenced images and report unknown ones as not found', async () => {
+    const record = await imageStore.saveImage({ data: PNG_BYTES, source: 'upload' });
+    
+    const { data } = await imageStore.loadImageReference(record.id);
+    expect(data.equals(PNG_BYTES)).toBe(true);
+    expect(await imageStore.loadImageReference(PNG_BYTES.toString('base64'))).toBeNull();
+    await expect(imageStore.loadImageReference('img_expired')).rejects.toMatchObject({
+      statusCode: 404,
+      code: 'IMAGE_NOT_FOUND',
+      message: expect.stringContaining('img_expired')
+    });
+  });
+  
+  it('should only let the owner of an image read it', async () => {
+    const record = await imageStore.saveImage({ data: PNG_BYTES, source: 'upload', ownerId: 'usr_alice' });
+    
+    expect(record.ownerId).toBe('usr_alice');
+    expect((await imageStore.getImage(record.id, { ownerId: 'usr_alice' })).record).toEqual(record);
+    await expect(imageStore.getImageRecord(record.id, { ownerId: 'usr_bob' })).rejects.toMatchObject({ code: 'IMAGE_NOT_FOUND' });
+    await expect(imageStore.getImageRecord(record.id)).rejects.toMatchObject({ code: 'IMAGE_NOT_FOUND' });
+    await expect(imageStore.loadImageReference(record.id, { ownerId: 'usr_bob' })).rejects.toMatchObject({ code: 'IMAGE_NOT_FOUND' });
+    await expect(imageStore.toDataUrl(record.id, { ownerId: 'usr_bob' })).rejects.toMatchObject({ code: 'IMAGE_NOT_FOUND' });
+  });
+  
+  it('should generate image IDs that cannot be guessed', () => {
+    const ids = new Set(Array.from({ length: 100 }, () => imageStore.generateImageId()));
+    
+    expect(ids.size).toBe(100);
+    ids.forEach(id => expect(id).toMatch(/^img_\d+_[0-9a-f]{24}$/));
+  });
+  
+  describe('file driver', () => {
+    let directory;
+    
+    beforeEach(async () => {
+      directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'image-store-'));
+      imageStore.setDriver(createImageFileDriver({ directory }));
+    });
+    
+    afterEach(async () => {
+      await fs.promises.rm(directory, { recursive: true, force: true });
+    });
+    
+    it('should persist records and bytes across driver instances', async () => {
+      const record = await imageStore.saveImage({ data: PNG_BYTES, source: 'upload', filename: 'photo.png' });
+      
+      imageStore.setDriver(createImageFileDriver({ directory }));
+      const { record: stored, data } = await imageStore.getImage(record.id);
+      
+      expect(stored).toEqual(record);
+      expect(data.equals(PNG_BYTES)).toBe(true);
+      expect(fs.readdirSync(path.join(directory, 'blobs'))).toEqual([record.sha256]);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const presetStore = require('../preset-store');
+const createPresetMemoryDriver = require('../drivers/preset-memory-driver');
+const createPresetFileDriver = require('../drivers/preset-file-driver');
+
+const preset = {
+  id: 'preset_1',
+  name: 'Blueprint',
+  template: '{prompt}, blueprint drawing',
+  size: '1536x1024',
+  createdAt: '2026-10-19T00:00:00.000Z'
+};
+
+/**
+ * Run the same tests against each driver
+ * @param {string} name - Driver name
+ * @param {Function} createDriver - Function returning a driver, given a temporary directory
+ */
+function describeDriver(name, createDriver) {
+  describe(`${name} driver`, () => {
+    let directory;
+    
+    beforeEach(async () => {
+      directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'preset-store-'));
+      presetStore.setDriver(createDriver(directory));
+    });
+    
+    afterEach(async () => {
+      await fs.promises.rm(directory, { recursive: true, force: true });
+    });
+    
+    it('should store, replace and list presets, oldest first', async () => {
+      await presetStore.savePreset({ ...preset, id: 'preset_2', createdAt: '2026-10-19T01:00:00.000Z' });
+      await presetStore.savePreset(preset);
+      await presetStore.savePreset({ ...preset, name: 'Blueprint sketch' });
+      
+      expect(await presetStore.getPreset('preset_1')).toMatchObject({ name: 'Blueprint sketch', size: '1536x1024' });
+      expect((await presetStore.listPresets()).map(stored => stored.id)).toEqual(['preset_1', 'preset_2']);
+    });
+    
+    it('should delete presets and ignore IDs that are not safe keys', async () => {
+      await presetStore.savePreset(preset);
+      
+      await presetStore.deletePreset('preset_1');
+      await presetStore.deletePreset('preset_1');
+      await presetStore.deletePreset('../preset_1');
+      
+      expect(await presetStore.getPreset('preset_1')).toBeNull();
+      expect(await presetStore.getPreset('../preset_1')).toBeNull();
+      expect(await presetStore.listPresets()).toEqual([]);
+    });
+  });
+}
+
+describe('Preset Store', () => {
+  it('should generate unique preset IDs', () => {
+    expect(presetStore.generatePresetId()).toMatch(/^preset_\d+_[a-z0-9]+$/);
+    expect(presetStore.generatePresetId()).not.toBe(presetStore.generatePresetId());
+  });
+  
+  describeDriver('memory', () => createPresetMemoryDriver());
+  describeDriver('file', directory => createPresetFileDriver({ directory }));
+});
\ No newline at end of file
@@ -0,0 +1,37 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const usageStore = require('../usage-store');
+const createUsageFileDriver = require('../drivers/usage-file-driver');
+
+describe('Usage Store', () => {
+  describe('file driver', () => {
+    let directory;
+    
+    beforeEach(async () => {
+      directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'usage-store-'));
+      usageStore.setDriver(createUsageFileDriver({ directory }));
+    });
+    
+    afterEach(async () => {
+      await fs.promises.rm(directory, { recursive: true, force: true });
+    });
+    
+    it('should keep one file per day and list entries in a range of days', async () => {
+      await usageStore.appendEntry({ timestamp: '2026-10-12T23:59:00.000Z', endpoint: 'chat.message' });
+      await usageStore.appendEntry({ timestamp: '2026-10-13T00:01:00.000Z', endpoint: 'images.generate' });
+      await usageStore.appendEntry({ timestamp: '2026-10-15T12:00:00.000Z', endpoint: 'images.edit' });
+      
+      expect(fs.readdirSync(directory).sort()).toEqual(['2026-10-12.jsonl', '2026-10-13.jsonl', '2026-10-15.jsonl']);
+      
+      const entries = await usageStore.listEntries('2026-10-13', '2026-10-15');
+      expect(entries.map(entry => entry.endpoint)).toEqual(['images.generate', 'images.edit']);
+    });
+    
+    it('should skip unreadable lines', async () => {
+      fs.writeFileSync(path.join(directory, '2026-10-12.jsonl'), '{"timestamp":"2026-10-12T01:00:00.000Z"}\n{"timest');
+      
+      expect(await usageStore.listEntries('2026-10-12', '2026-10-12')).toHaveLength(1);
+    });
+  });
+});
\ No newline at end of file
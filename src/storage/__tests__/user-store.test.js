@@ -0,0 +1,60 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const userStore = require('../user-store');
+const createUserMemoryDriver = require('../drivers/user-memory-driver');
+const createUserFileDriver = require('../drivers/user-file-driver');
+
+const user = { id: 'usr_1', username: 'Alice', role: 'admin', passwordHash: 'hash', createdAt: '2026-10-19T00:00:00.000Z' };
+
+/**
+ * Run the same tests against each driver
+ * @param {string} name - Driver name
+ * @param {Function} createDriver - Function returning a driver, given a temporary directory
+ */
+function describeDriver(name, createDriver) {
+  describe(`${name} driver`, () => {
+    let directory;
+    
+    beforeEach(async () => {
+      directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'user-store-'));
+      userStore.setDriver(createDriver(directory));
+    });
+    
+    afterEach(async () => {
+      await fs.promises.rm(directory, { recursive: true, force: true });
+    });
+    
+    it('should store accounts and find them by ID or username, ignoring case', async () => {
+      expect(await userStore.createUser(user)).toBe(true);
+      
+      expect(await userStore.getUser('usr_1')).toMatchObject({ username: 'Alice', passwordHash: 'hash' });
+      expect(await userStore.findUserByUsername('alice')).toMatchObject({ id: 'usr_1' });
+      expect(await userStore.findUserByUsername('bob')).toBeNull();
+      expect(await userStore.countUsers()).toBe(1);
+    });
+    
+    it('should not store two accounts with the same username', async () => {
+      await userStore.createUser(user);
+      
+      expect(await userStore.createUser({ ...user, id: 'usr_2', username: 'ALICE' })).toBe(false);
+      expect(await userStore.getUser('usr_2')).toBeNull();
+      expect(await userStore.countUsers()).toBe(1);
+    });
+    
+    it('should store and delete sessions', async () => {
+      await userStore.saveSession({ id: 'abc', userId: 'usr_1', expiresAt: '2026-10-26T00:00:00.000Z' });
+      
+      expect(await userStore.getSession('abc')).toMatchObject({ userId: 'usr_1' });
+      
+      await userStore.deleteSession('abc');
+      await userStore.deleteSession('abc');
+      expect(await userStore.getSession('abc')).toBeNull();
+    });
+  });
+}
+
+describe('User Store', () => {
+  describeDriver('memory', () => createUserMemoryDriver());
+  describeDriver('file', directory => createUserFileDriver({ directory }));
+});
\ No newline at end of file
@@ -0,0 +1,148 @@
+/**
+ * Conversation store
+ * Persists chat messages per conversation behind a pluggable storage driver
+ */
+
+const path = require('path');
+const config = require('../config').storage;
+const { ValidationError } = require('../utils/error');
+const createMemoryDriver = require('./drivers/memory-driver');
+const createFileDriver = require('./drivers/file-driver');
+const createDriverRegistry = require('./driver-registry');
+
+// Conversation used when the client does not provide one
+const DEFAULT_CONVERSATION_ID = 'default';
+
+// Owner of conversations written without a signed-in user
+const ANONYMOUS_OWNER = 'anonymous';
+
+const { registerDriver, getDriver, setDriver } = createDriverRegistry({
+  memory: () => createMemoryDriver(),
+  file: () => createFileDriver({ directory: path.join(config.dataDir, 'conversations') })
+});
+
+/**
+ * Build the key a conversation is stored under, so each owner has their own
+ * conversations and cannot read or write another owner's by guessing its ID
+ * @param {string} conversationId - Conversation ID
+ * @param {string} ownerId - ID of the user owning the conversation
+ * @returns {string} Storage key
+ */
+function toStorageKey(conversationId, ownerId) {
+  return `${ownerId || ANONYMOUS_OWNER}:${conversationId}`;
+}
+
+/**
+ * Append messages to a conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {Array} messages - Messages to append, in chronological order
+ * @param {Object} options - Options
+ * @param {string} options.ownerId - ID of the user owning the conversation
+ * @returns {Promise<void>}
+ */
+async function appendMessages(conversationId, messages, { ownerId } = {}) {
+  const activeDriver = getDriver();
+  const key = toStorageKey(conversationId, ownerId);
+  for (const message of messages) {
+    await activeDriver.append(key, message);
+  }
+}
+
+/**
+ * List messages of a conversation, newest first, using cursor pagination
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} options - Pagination options
+ * @param {string} options.before - ID of the message to start after (exclusive)
+ * @param {number} options.limit - Maximum number of messages to return
+ * @param {string} options.ownerId - ID of the user owning the conversation
+ * @returns {Promise<Object>} Page of messages with hasMore and nextCursor
+ */
+async function listMessages(conversationId, options = {}) {
+  const { before, limit = config.history.defaultPageSize, ownerId } = options;
+  
+  const messages = (await getDriver().list(toStorageKey(conversationId, ownerId))).reverse();
+  
+  let start = 0;
+  if (before) {
+    const cursorIndex = messages.findIndex(message => message.id === before);
+    if (cursorIndex === -1) {
+      throw new ValidationError('Unknown history cursor', 'INVALID_CURSOR', { before: 'No message with this ID' });
+    }
+    start = cursorIndex + 1;
+  }
+  
+  const page = messages.slice(start, start + limit);
+  const hasMore = start + limit < messages.length;
+  
+  return {
+    messages: page,
+    hasMore,
+    nextCursor: hasMore && page.length > 0 ? page[page.length - 1].id : null
+  };
+}
+
+/**
+ * List the messages of a conversation that came after a message, oldest first
+ * @param {string} conversationId - Conversation ID
+ * @param {string} afterId - ID of the message to start after (exclusive; omit or pass an unknown ID for all messages)
+ * @param {Object} options - Options
+ * @param {string} options.ownerId - ID of the user owning the conversation
+ * @returns {Promise<Array>} Messages, oldest first
+ */
+async function listMessagesAfter(conversationId, afterId, { ownerId } = {}) {
+  const messages = await getDriver().list(toStorageKey(conversationId, ownerId));
+  const afterIndex = afterId ? messages.findIndex(message => message.id === afterId) : -1;
+  return messages.slice(afterIndex + 1);
+}
+
+/**
+ * Read the summary of a conversation's earlier turns
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} options - Options
+ * @param {string} options.ownerId - ID of the user owning the conversation
+ * @returns {Promise<Object|null>} Summary text, the ID of the newest message it covers and when it was written
+ * ({ summary, throughId, updatedAt }), or null if there is none
+ */
+async function getSummary(conversationId, { ownerId } = {}) {
+  return getDriver().getSummary(toStorageKey(conversationId, ownerId));
+}
+
+/**
+ * Store the summary of a conversation's earlier turns, replacing the previous one
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} summary - Summary
+ * @param {string} summary.summary - Summary text
+ * @param {string} summary.throughId - ID of the newest message the summary covers
+ * @param {Object} options - Options
+ * @param {string} options.ownerId - ID of the user owning the conversation
+ * @returns {Promise<Object>} The stored summary
+ */
+async function saveSummary(conversationId, { summary, throughId }, { ownerId } = {}) {
+  const stored = { summary, throughId, updatedAt: new Date().toISOString() };
+  await getDriver().saveSummary(toStorageKey(conversationId, ownerId), stored);
+  return stored;
+}
+
+/**
+ * Delete all messages of a conversation and their summary
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} options - Options
+ * @param {string} options.ownerId - ID of the user owning the conversation
+ * @returns {Promise<void>}
+ */
+async function clearConversation(conversationId, { ownerId } = {}) {
+  await getDriver().clear(toStorageKey(conversationId, ownerId));
+}
+
+module.exports = {
+  DEFAULT_CONVERSATION_ID,
+  appendMessages,
+  listMessages,
+  listMessagesAfter,
+  getSummary,
+  saveSummary,
+  clearConversation,
+  registerDriver,
+  setDriver,
+  getDriver
+};
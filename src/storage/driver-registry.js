@@ -0,0 +1,53 @@
+/**
+ * Storage driver registry
+ * Picks the driver of a store from the STORAGE_DRIVER setting and lets custom backends be plugged in
+ */
+
+const config = require('../config').storage;
+
+/**
+ * Create the driver registry of a store
+ * @param {Object} factories - Built-in driver factories, keyed by the name used in STORAGE_DRIVER
+ * @returns {Object} Registry with registerDriver, getDriver and setDriver functions
+ */
+function createDriverRegistry(factories) {
+  // A Map, so driver names such as "constructor" are not resolved through the prototype
+  const driverFactories = new Map(Object.entries(factories));
+  let driver = null;
+  
+  /**
+   * Register a custom storage driver factory
+   * @param {string} name - Driver name, as used in the STORAGE_DRIVER setting
+   * @param {Function} factory - Function returning a driver with the methods the store uses
+   */
+  const registerDriver = (name, factory) => {
+    driverFactories.set(name, factory);
+  };
+  
+  /**
+   * Get the active storage driver, creating it from configuration on first use
+   * @returns {Object} Storage driver
+   */
+  const getDriver = () => {
+    if (!driver) {
+      const factory = driverFactories.get(config.driver);
+      if (!factory) {
+        throw new Error(`Unknown storage driver: ${config.driver}`);
+      }
+      driver = factory();
+    }
+    return driver;
+  };
+  
+  /**
+   * Set the storage driver (for testing purposes or custom backends)
+   * @param {Object} customDriver - Storage driver
+   */
+  const setDriver = (customDriver) => {
+    driver = customDriver;
+  };
+  
+  return { registerDriver, getDriver, setDriver };
+}
+
+module.exports = createDriverRegistry;
\ No newline at end of file
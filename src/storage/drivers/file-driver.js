@@ -0,0 +1,90 @@
+/**
+ * File-backed conversation storage driver
+ * Stores each conversation as a JSON Lines file (one message per line), next to a JSON file with the summary of its earlier turns
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+const { createDirectoryInitializer, readJson, readJsonLines, writeAtomically, removeIfExists } = require('./file-helpers');
+
+/**
+ * Map a conversation ID to a safe file name
+ * @param {string} conversationId - Conversation ID
+ * @returns {string} File name
+ */
+function toFileName(conversationId) {
+  return `${encodeURIComponent(conversationId)}.jsonl`;
+}
+
+/**
+ * Create a file-backed conversation driver
+ * @param {Object} options - Driver options
+ * @param {string} options.directory - Directory holding the conversation files
+ * @returns {Object} Conversation storage driver
+ */
+function createFileDriver({ directory }) {
+  // Create the directory lazily on first use
+  const ensureDirectory = createDirectoryInitializer(directory);
+  
+  const filePath = (conversationId) => path.join(directory, toFileName(conversationId));
+  const summaryPath = (conversationId) => path.join(directory, `${encodeURIComponent(conversationId)}.summary.json`);
+  
+  return {
+    name: 'file',
+    
+    /**
+     * Append a message to a conversation
+     * @param {string} conversationId - Conversation ID
+     * @param {Object} message - Message to store
+     * @returns {Promise<void>}
+     */
+    async append(conversationId, message) {
+      await ensureDirectory();
+      await fs.promises.appendFile(filePath(conversationId), `${JSON.stringify(message)}\n`, 'utf8');
+    },
+    
+    /**
+     * Read all messages of a conversation, oldest first
+     * @param {string} conversationId - Conversation ID
+     * @returns {Promise<Array>} Stored messages
+     */
+    async list(conversationId) {
+      return readJsonLines(filePath(conversationId), (line) => {
+        logger.warn('Skipping unreadable conversation entry', { conversationId, line });
+      });
+    },
+    
+    /**
+     * Read the summary of a conversation's earlier turns
+     * @param {string} conversationId - Conversation ID
+     * @returns {Promise<Object|null>} Stored summary, or null if there is none
+     */
+    async getSummary(conversationId) {
+      return readJson(summaryPath(conversationId));
+    },
+    
+    /**
+     * Store the summary of a conversation's earlier turns, replacing the previous one
+     * @param {string} conversationId - Conversation ID
+     * @param {Object} summary - Summary to store
+     * @returns {Promise<void>}
+     */
+    async saveSummary(conversationId, summary) {
+      await ensureDirectory();
+      await writeAtomically(summaryPath(conversationId), JSON.stringify(summary));
+    },
+    
+    /**
+     * Delete all messages of a conversation and their summary
+     * @param {string} conversationId - Conversation ID
+     * @returns {Promise<void>}
+     */
+    async clear(conversationId) {
+      await removeIfExists(filePath(conversationId));
+      await removeIfExists(summaryPath(conversationId));
+    }
+  };
+}
+
+module.exports = createFileDriver;
@@ -0,0 +1,104 @@
+/**
+ * File storage helpers
+ * Shared file access of the file-backed storage drivers
+ */
+
+const fs = require('fs');
+
+/**
+ * Create a function that creates directories once, on first use
+ * @param {...string} directories - Directories to create
+ * @returns {Function} Function returning a promise that resolves once the directories exist
+ */
+function createDirectoryInitializer(...directories) {
+  let ready = null;
+  return () => {
+    if (!ready) {
+      ready = Promise.all(directories.map(directory => fs.promises.mkdir(directory, { recursive: true })));
+    }
+    return ready;
+  };
+}
+
+/**
+ * Read a file, returning null if it does not exist
+ * @param {string} filePath - File path
+ * @param {string} encoding - Encoding (omit for a Buffer)
+ * @returns {Promise<Buffer|string|null>} File contents, or null if missing
+ */
+async function readIfExists(filePath, encoding) {
+  try {
+    return await fs.promises.readFile(filePath, encoding);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Read and parse a JSON file, returning null if it does not exist
+ * @param {string} filePath - File path
+ * @returns {Promise<Object|null>} Parsed contents, or null if missing
+ */
+async function readJson(filePath) {
+  const data = await readIfExists(filePath, 'utf8');
+  return data === null ? null : JSON.parse(data);
+}
+
+/**
+ * Read a JSON Lines file, skipping corrupt lines (e.g. a partial write) rather than losing the whole file
+ * @param {string} filePath - File path
+ * @param {Function} onCorruptLine - Called with the 1-based number of each line that cannot be parsed
+ * @returns {Promise<Array>} Parsed entries, in file order; empty if the file is missing
+ */
+async function readJsonLines(filePath, onCorruptLine) {
+  const data = await readIfExists(filePath, 'utf8');
+  const entries = [];
+  (data || '').split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (parseError) {
+      onCorruptLine(index + 1);
+    }
+  });
+  return entries;
+}
+
+/**
+ * Write a file atomically, so readers never see a partial file
+ * @param {string} filePath - File path
+ * @param {Buffer|string} data - File contents
+ * @returns {Promise<void>}
+ */
+async function writeAtomically(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  await fs.promises.writeFile(tempPath, data);
+  await fs.promises.rename(tempPath, filePath);
+}
+
+/**
+ * Delete a file, ignoring a file that does not exist
+ * @param {string} filePath - File path
+ * @returns {Promise<void>}
+ */
+async function removeIfExists(filePath) {
+  try {
+    await fs.promises.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  createDirectoryInitializer,
+  readIfExists,
+  readJson,
+  readJsonLines,
+  writeAtomically,
+  removeIfExists
+};
\ No newline at end of file
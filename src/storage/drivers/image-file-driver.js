@@ -0,0 +1,86 @@
+/**
+ * File-backed image storage driver
+ * Stores image bytes once per content hash (blobs/<sha256>) and one JSON record per image ID (records/<id>.json),
+ * so the same image uploaded or re-sent several times takes up space only once
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createDirectoryInitializer, readIfExists, readJson, writeAtomically } = require('./file-helpers');
+
+/**
+ * Create a file-backed image driver
+ * @param {Object} options - Driver options
+ * @param {string} options.directory - Directory holding the blobs and records
+ * @returns {Object} Image storage driver
+ */
+function createImageFileDriver({ directory }) {
+  const blobDirectory = path.join(directory, 'blobs');
+  const recordDirectory = path.join(directory, 'records');
+  
+  // Create the directories lazily on first write
+  const ensureDirectories = createDirectoryInitializer(blobDirectory, recordDirectory);
+  
+  // Hashes and IDs are checked by the image store, so they are safe file names
+  const blobPath = (hash) => path.join(blobDirectory, hash);
+  const recordPath = (id) => path.join(recordDirectory, `${id}.json`);
+  
+  return {
+    name: 'file',
+    
+    /**
+     * Store the bytes of an image under their content hash
+     * @param {string} hash - SHA-256 of the bytes
+     * @param {Buffer} data - Image bytes
+     * @returns {Promise<void>}
+     */
+    async putBlob(hash, data) {
+      await ensureDirectories();
+      await writeAtomically(blobPath(hash), data);
+    },
+    
+    /**
+     * Check whether bytes with a content hash are stored
+     * @param {string} hash - SHA-256 of the bytes
+     * @returns {Promise<boolean>} True if stored
+     */
+    async hasBlob(hash) {
+      try {
+        await fs.promises.access(blobPath(hash));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+    
+    /**
+     * Read the bytes stored under a content hash
+     * @param {string} hash - SHA-256 of the bytes
+     * @returns {Promise<Buffer|null>} Image bytes, or null if missing
+     */
+    async getBlob(hash) {
+      return readIfExists(blobPath(hash));
+    },
+    
+    /**
+     * Store the record of an image
+     * @param {Object} record - Image record
+     * @returns {Promise<void>}
+     */
+    async putRecord(record) {
+      await ensureDirectories();
+      await writeAtomically(recordPath(record.id), JSON.stringify(record));
+    },
+    
+    /**
+     * Read the record of an image
+     * @param {string} id - Image ID
+     * @returns {Promise<Object|null>} Image record, or null if missing
+     */
+    async getRecord(id) {
+      return readJson(recordPath(id));
+    }
+  };
+}
+
+module.exports = createImageFileDriver;
\ No newline at end of file
@@ -0,0 +1,67 @@
+/**
+ * In-memory image storage driver
+ * Keeps image records and bytes in process memory; useful for tests and ephemeral deployments
+ */
+
+const createRecordMap = require('./record-map');
+
+/**
+ * Create an in-memory image driver
+ * @returns {Object} Image storage driver
+ */
+function createImageMemoryDriver() {
+  const records = createRecordMap();
+  const blobs = new Map();
+  
+  return {
+    name: 'memory',
+    
+    /**
+     * Store the bytes of an image under their content hash
+     * @param {string} hash - SHA-256 of the bytes
+     * @param {Buffer} data - Image bytes
+     * @returns {Promise<void>}
+     */
+    async putBlob(hash, data) {
+      blobs.set(hash, Buffer.from(data));
+    },
+    
+    /**
+     * Check whether bytes with a content hash are stored
+     * @param {string} hash - SHA-256 of the bytes
+     * @returns {Promise<boolean>} True if stored
+     */
+    async hasBlob(hash) {
+      return blobs.has(hash);
+    },
+    
+    /**
+     * Read the bytes stored under a content hash
+     * @param {string} hash - SHA-256 of the bytes
+     * @returns {Promise<Buffer|null>} Image bytes, or null if missing
+     */
+    async getBlob(hash) {
+      return blobs.get(hash) || null;
+    },
+    
+    /**
+     * Store the record of an image
+     * @param {Object} record - Image record
+     * @returns {Promise<void>}
+     */
+    async putRecord(record) {
+      records.put(record);
+    },
+    
+    /**
+     * Read the record of an image
+     * @param {string} id - Image ID
+     * @returns {Promise<Object|null>} Image record, or null if missing
+     */
+    async getRecord(id) {
+      return records.get(id);
+    }
+  };
+}
+
+module.exports = createImageMemoryDriver;
\ No newline at end of file
@@ -0,0 +1,71 @@
+/**
+ * In-memory conversation storage driver
+ * Keeps messages in process memory; useful for tests and ephemeral deployments
+ */
+
+/**
+ * Create an in-memory conversation driver
+ * @returns {Object} Conversation storage driver
+ */
+function createMemoryDriver() {
+  const conversations = new Map();
+  const summaries = new Map();
+  
+  return {
+    name: 'memory',
+    
+    /**
+     * Append a message to a conversation
+     * @param {string} conversationId - Conversation ID
+     * @param {Object} message - Message to store
+     * @returns {Promise<void>}
+     */
+    async append(conversationId, message) {
+      if (!conversations.has(conversationId)) {
+        conversations.set(conversationId, []);
+      }
+      conversations.get(conversationId).push(message);
+    },
+    
+    /**
+     * Read all messages of a conversation, oldest first
+     * @param {string} conversationId - Conversation ID
+     * @returns {Promise<Array>} Stored messages
+     */
+    async list(conversationId) {
+      return [...(conversations.get(conversationId) || [])];
+    },
+    
+    /**
+     * Read the summary of a conversation's earlier turns
+     * @param {string} conversationId - Conversation ID
+     * @returns {Promise<Object|null>} Stored summary, or null if there is none
+     */
+    async getSummary(conversationId) {
+      const summary = summaries.get(conversationId);
+      return summary ? { ...summary } : null;
+    },
+    
+    /**
+     * Store the summary of a conversation's earlier turns, replacing the previous one
+     * @param {string} conversationId - Conversation ID
+     * @param {Object} summary - Summary to store
+     * @returns {Promise<void>}
+     */
+    async saveSummary(conversationId, summary) {
+      summaries.set(conversationId, { ...summary });
+    },
+    
+    /**
+     * Delete all messages of a conversation and their summary
+     * @param {string} conversationId - Conversation ID
+     * @returns {Promise<void>}
+     */
+    async clear(conversationId) {
+      conversations.delete(conversationId);
+      summaries.delete(conversationId);
+    }
+  };
+}
+
+module.exports = createMemoryDriver;
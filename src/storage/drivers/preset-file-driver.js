@@ -0,0 +1,69 @@
+/**
+ * File-backed style preset storage driver
+ * Stores one JSON file per preset (<id>.json)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createDirectoryInitializer, readJson, writeAtomically, removeIfExists } = require('./file-helpers');
+
+/**
+ * Create a file-backed preset driver
+ * @param {Object} options - Driver options
+ * @param {string} options.directory - Directory holding the presets
+ * @returns {Object} Preset storage driver
+ */
+function createPresetFileDriver({ directory }) {
+  // Create the directory lazily on first use
+  const ensureDirectory = createDirectoryInitializer(directory);
+  
+  // Preset IDs are generated by the server, so they are safe file names
+  const presetPath = (id) => path.join(directory, `${id}.json`);
+  
+  return {
+    name: 'file',
+    
+    /**
+     * Store a preset, replacing any preset with the same ID
+     * @param {Object} preset - Preset with id
+     * @returns {Promise<void>}
+     */
+    async putPreset(preset) {
+      await ensureDirectory();
+      await writeAtomically(presetPath(preset.id), JSON.stringify(preset));
+    },
+    
+    /**
+     * Read a preset
+     * @param {string} id - Preset ID
+     * @returns {Promise<Object|null>} Preset, or null if missing
+     */
+    async getPreset(id) {
+      return readJson(presetPath(id));
+    },
+    
+    /**
+     * Read all presets
+     * @returns {Promise<Array>} Presets, in no particular order
+     */
+    async listPresets() {
+      await ensureDirectory();
+      const files = await fs.promises.readdir(directory);
+      const presets = await Promise.all(files
+        .filter(file => file.endsWith('.json'))
+        .map(file => readJson(path.join(directory, file))));
+      return presets.filter(Boolean);
+    },
+    
+    /**
+     * Delete a preset
+     * @param {string} id - Preset ID
+     * @returns {Promise<void>}
+     */
+    async deletePreset(id) {
+      await removeIfExists(presetPath(id));
+    }
+  };
+}
+
+module.exports = createPresetFileDriver;
\ No newline at end of file
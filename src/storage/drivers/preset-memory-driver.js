@@ -0,0 +1,55 @@
+/**
+ * In-memory style preset storage driver
+ * Keeps presets in process memory; useful for tests and ephemeral deployments
+ */
+
+const createRecordMap = require('./record-map');
+
+/**
+ * Create an in-memory preset driver
+ * @returns {Object} Preset storage driver
+ */
+function createPresetMemoryDriver() {
+  const presets = createRecordMap();
+  
+  return {
+    name: 'memory',
+    
+    /**
+     * Store a preset, replacing any preset with the same ID
+     * @param {Object} preset - Preset with id
+     * @returns {Promise<void>}
+     */
+    async putPreset(preset) {
+      presets.put(preset);
+    },
+    
+    /**
+     * Read a preset
+     * @param {string} id - Preset ID
+     * @returns {Promise<Object|null>} Preset, or null if missing
+     */
+    async getPreset(id) {
+      return presets.get(id);
+    },
+    
+    /**
+     * Read all presets
+     * @returns {Promise<Array>} Presets, in no particular order
+     */
+    async listPresets() {
+      return presets.values();
+    },
+    
+    /**
+     * Delete a preset
+     * @param {string} id - Preset ID
+     * @returns {Promise<void>}
+     */
+    async deletePreset(id) {
+      presets.delete(id);
+    }
+  };
+}
+
+module.exports = createPresetMemoryDriver;
\ No newline at end of file
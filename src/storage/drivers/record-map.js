@@ -0,0 +1,59 @@
+/**
+ * In-memory record map
+ * Shared record keeping of the in-memory storage drivers
+ */
+
+/**
+ * Create a map of records keyed by their id that stores and hands out copies,
+ * so callers cannot change stored records in place
+ * @returns {Object} Record map
+ */
+function createRecordMap() {
+  const records = new Map();
+  
+  return {
+    /**
+     * Store a record, replacing any record with the same ID
+     * @param {Object} record - Record with id
+     */
+    put(record) {
+      records.set(record.id, { ...record });
+    },
+    
+    /**
+     * Read a record
+     * @param {string} id - Record ID
+     * @returns {Object|null} Record, or null if missing
+     */
+    get(id) {
+      const record = records.get(id);
+      return record ? { ...record } : null;
+    },
+    
+    /**
+     * Read all records
+     * @returns {Array} Records, in insertion order
+     */
+    values() {
+      return [...records.values()].map(record => ({ ...record }));
+    },
+    
+    /**
+     * Delete a record
+     * @param {string} id - Record ID
+     */
+    delete(id) {
+      records.delete(id);
+    },
+    
+    /**
+     * Count the stored records
+     * @returns {number} Number of records
+     */
+    count() {
+      return records.size;
+    }
+  };
+}
+
+module.exports = createRecordMap;
\ No newline at end of file
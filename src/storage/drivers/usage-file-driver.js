@@ -0,0 +1,64 @@
+/**
+ * File-backed usage storage driver
+ * Stores the usage entries of each day as a JSON Lines file (one entry per line)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+const { createDirectoryInitializer, readJsonLines } = require('./file-helpers');
+
+// Milliseconds in a day
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create a file-backed usage driver
+ * @param {Object} options - Driver options
+ * @param {string} options.directory - Directory holding the daily usage files
+ * @returns {Object} Usage storage driver
+ */
+function createUsageFileDriver({ directory }) {
+  // Create the directory lazily on first use
+  const ensureDirectory = createDirectoryInitializer(directory);
+  
+  const filePath = (day) => path.join(directory, `${day}.jsonl`);
+  
+  /**
+   * Read the entries of one day
+   * @param {string} day - Day (YYYY-MM-DD)
+   * @returns {Promise<Array>} Usage entries
+   */
+  const readDay = (day) => readJsonLines(filePath(day), (line) => {
+    logger.warn('Skipping unreadable usage entry', { day, line });
+  });
+  
+  return {
+    name: 'file',
+    
+    /**
+     * Append a usage entry to the file of the day it was recorded
+     * @param {Object} entry - Usage entry with an ISO timestamp
+     * @returns {Promise<void>}
+     */
+    async append(entry) {
+      await ensureDirectory();
+      await fs.promises.appendFile(filePath(entry.timestamp.slice(0, 10)), `${JSON.stringify(entry)}\n`, 'utf8');
+    },
+    
+    /**
+     * Read the usage entries recorded on a range of days
+     * @param {string} fromDay - First day (YYYY-MM-DD, UTC)
+     * @param {string} toDay - Last day (YYYY-MM-DD, UTC), inclusive
+     * @returns {Promise<Array>} Usage entries, oldest first
+     */
+    async list(fromDay, toDay) {
+      const entries = [];
+      for (let time = Date.parse(fromDay); time <= Date.parse(toDay); time += DAY_MS) {
+        entries.push(...(await readDay(new Date(time).toISOString().slice(0, 10))));
+      }
+      return entries;
+    }
+  };
+}
+
+module.exports = createUsageFileDriver;
\ No newline at end of file
@@ -0,0 +1,42 @@
+/**
+ * In-memory usage storage driver
+ * Keeps usage entries in process memory; useful for tests and ephemeral deployments
+ */
+
+/**
+ * Create an in-memory usage driver
+ * @returns {Object} Usage storage driver
+ */
+function createUsageMemoryDriver() {
+  const entries = [];
+  
+  return {
+    name: 'memory',
+    
+    /**
+     * Append a usage entry
+     * @param {Object} entry - Usage entry with an ISO timestamp
+     * @returns {Promise<void>}
+     */
+    async append(entry) {
+      entries.push({ ...entry });
+    },
+    
+    /**
+     * Read the usage entries recorded on a range of days
+     * @param {string} fromDay - First day (YYYY-MM-DD, UTC)
+     * @param {string} toDay - Last day (YYYY-MM-DD, UTC), inclusive
+     * @returns {Promise<Array>} Usage entries, oldest first
+     */
+    async list(fromDay, toDay) {
+      return entries
+        .filter(entry => {
+          const day = entry.timestamp.slice(0, 10);
+          return day >= fromDay && day <= toDay;
+        })
+        .map(entry => ({ ...entry }));
+    }
+  };
+}
+
+module.exports = createUsageMemoryDriver;
\ No newline at end of file
@@ -0,0 +1,123 @@
+/**
+ * File-backed user storage driver
+ * Stores one JSON file per account (users/<id>.json), per username (usernames/<username>.json,
+ * pointing at the account) and per session (sessions/<id>.json)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createDirectoryInitializer, readJson, writeAtomically, removeIfExists } = require('./file-helpers');
+
+/**
+ * Create a file-backed user driver
+ * @param {Object} options - Driver options
+ * @param {string} options.directory - Directory holding accounts and sessions
+ * @returns {Object} User storage driver
+ */
+function createUserFileDriver({ directory }) {
+  const userDirectory = path.join(directory, 'users');
+  const usernameDirectory = path.join(directory, 'usernames');
+  const sessionDirectory = path.join(directory, 'sessions');
+  
+  // Create the directories lazily on first use
+  const ensureDirectories = createDirectoryInitializer(userDirectory, usernameDirectory, sessionDirectory);
+  
+  // User and session IDs are generated by the server; usernames are encoded
+  const userPath = (id) => path.join(userDirectory, `${id}.json`);
+  const usernamePath = (usernameKey) => path.join(usernameDirectory, `${encodeURIComponent(usernameKey)}.json`);
+  const sessionPath = (id) => path.join(sessionDirectory, `${id}.json`);
+  
+  return {
+    name: 'file',
+    
+    /**
+     * Store a new account
+     * The username file is created exclusively, so two registrations cannot claim the same name
+     * @param {Object} user - Account with id, username and normalized usernameKey
+     * @returns {Promise<boolean>} False if the username is already taken
+     */
+    async createUser(user) {
+      await ensureDirectories();
+      await writeAtomically(userPath(user.id), JSON.stringify(user));
+      try {
+        await fs.promises.writeFile(usernamePath(user.usernameKey), JSON.stringify({ id: user.id }), { flag: 'wx' });
+      } catch (error) {
+        await fs.promises.unlink(userPath(user.id));
+        if (error.code === 'EEXIST') {
+          return false;
+        }
+        throw error;
+      }
+      return true;
+    },
+    
+    /**
+     * Replace an existing account; the username cannot change
+     * @param {Object} user - Account
+     * @returns {Promise<void>}
+     */
+    async updateUser(user) {
+      await ensureDirectories();
+      await writeAtomically(userPath(user.id), JSON.stringify(user));
+    },
+    
+    /**
+     * Read an account by ID
+     * @param {string} id - User ID
+     * @returns {Promise<Object|null>} Account, or null if missing
+     */
+    async getUser(id) {
+      return readJson(userPath(id));
+    },
+    
+    /**
+     * Read an account by normalized username
+     * @param {string} usernameKey - Normalized username
+     * @returns {Promise<Object|null>} Account, or null if missing
+     */
+    async findUserByUsername(usernameKey) {
+      const entry = await readJson(usernamePath(usernameKey));
+      return entry ? readJson(userPath(entry.id)) : null;
+    },
+    
+    /**
+     * Count the stored accounts
+     * @returns {Promise<number>} Number of accounts
+     */
+    async countUsers() {
+      await ensureDirectories();
+      const files = await fs.promises.readdir(usernameDirectory);
+      return files.filter(file => file.endsWith('.json')).length;
+    },
+    
+    /**
+     * Store a session
+     * @param {Object} session - Session keyed by the hash of its token
+     * @returns {Promise<void>}
+     */
+    async putSession(session) {
+      await ensureDirectories();
+      await writeAtomically(sessionPath(session.id), JSON.stringify(session));
+    },
+    
+    /**
+     * Read a session
+     * @param {string} id - Session ID (hash of the token)
+     * @returns {Promise<Object|null>} Session, or null if missing
+     */
+    async getSession(id) {
+      return readJson(sessionPath(id));
+    },
+    
+    /**
+     * Delete a session
+     * @param {string} id - Session ID (hash of the token)
+     * @returns {Promise<void>}
+     */
+    async deleteSession(id) {
+      await removeIfExists(sessionPath(id));
+    }
+  };
+}
+
+module.exports = createUserFileDriver;
\ No newline at end of file
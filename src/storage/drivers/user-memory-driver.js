@@ -0,0 +1,99 @@
+/**
+ * In-memory user storage driver
+ * Keeps accounts and sessions in process memory; useful for tests and ephemeral deployments
+ */
+
+const createRecordMap = require('./record-map');
+
+/**
+ * Create an in-memory user driver
+ * @returns {Object} User storage driver
+ */
+function createUserMemoryDriver() {
+  const users = createRecordMap();
+  const usernames = new Map();
+  const sessions = createRecordMap();
+  
+  return {
+    name: 'memory',
+    
+    /**
+     * Store a new account
+     * @param {Object} user - Account with id, username and normalized usernameKey
+     * @returns {Promise<boolean>} False if the username is already taken
+     */
+    async createUser(user) {
+      if (usernames.has(user.usernameKey)) {
+        return false;
+      }
+      usernames.set(user.usernameKey, user.id);
+      users.put(user);
+      return true;
+    },
+    
+    /**
+     * Replace an existing account; the username cannot change
+     * @param {Object} user - Account
+     * @returns {Promise<void>}
+     */
+    async updateUser(user) {
+      users.put(user);
+    },
+    
+    /**
+     * Read an account by ID
+     * @param {string} id - User ID
+     * @returns {Promise<Object|null>} Account, or null if missing
+     */
+    async getUser(id) {
+      return users.get(id);
+    },
+    
+    /**
+     * Read an account by normalized username
+     * @param {string} usernameKey - Normalized username
+     * @returns {Promise<Object|null>} Account, or null if missing
+     */
+    async findUserByUsername(usernameKey) {
+      const id = usernames.get(usernameKey);
+      return id ? users.get(id) : null;
+    },
+    
+    /**
+     * Count the stored accounts
+     * @returns {Promise<number>} Number of accounts
+     */
+    async countUsers() {
+      return users.count();
+    },
+    
+    /**
+     * Store a session
+     * @param {Object} session - Session keyed by the hash of its token
+     * @returns {Promise<void>}
+     */
+    async putSession(session) {
+      sessions.put(session);
+    },
+    
+    /**
+     * Read a session
+     * @param {string} id - Session ID (hash of the token)
+     * @returns {Promise<Object|null>} Session, or null if missing
+     */
+    async getSession(id) {
+      return sessions.get(id);
+    },
+    
+    /**
+     * Delete a session
+     * @param {string} id - Session ID (hash of the token)
+     * @returns {Promise<void>}
+     */
+    async deleteSession(id) {
+      sessions.delete(id);
+    }
+  };
+}
+
+module.exports = createUserMemoryDriver;
\ No newline at end of file
@@ -0,0 +1,265 @@
+/**
+ * Image store
+ * Persists uploaded and generated images with their metadata behind a pluggable storage driver,
+ * so they can be served by ID instead of being passed around as base64
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const config = require('../config').storage;
+const serverConfig = require('../config').server;
+const imagesConfig = require('../config').images;
+const { NotFoundError, ValidationError } = require('../utils/error');
+const { detectImageType, sanitizeImage } = require('../utils/image-processor');
+const createImageMemoryDriver = require('./drivers/image-memory-driver');
+const createImageFileDriver = require('./drivers/image-file-driver');
+const createDriverRegistry = require('./driver-registry');
+
+// Image IDs are used as storage keys, so keep them to a safe character set
+const IMAGE_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+// Characters that never appear in standard base64 but always do in generated image IDs,
+// so a bare string can be told apart from image data
+const NON_BASE64_PATTERN = /[_-]/;
+
+// Types that can be stored; GIFs carry no EXIF data, so they are kept as they are
+const STORABLE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+
+const { registerDriver, getDriver, setDriver } = createDriverRegistry({
+  memory: () => createImageMemoryDriver(),
+  file: () => createImageFileDriver({ directory: path.join(config.dataDir, 'images') })
+});
+
+/**
+ * Generate a unique ID for an image
+ * The random part comes from a CSPRNG, so IDs cannot be guessed from ones a user has seen
+ * @returns {string} Unique ID
+ */
+function generateImageId() {
+  return `img_${Date.now()}_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * Check whether an image belongs to a user
+ * Images stored without signing in belong to no one and are only shared between such requests
+ * @param {Object} record - Image record
+ * @param {string} ownerId - User ID (null or omitted without signing in)
+ * @returns {boolean} True if the user owns the image
+ */
+function isOwnedBy(record, ownerId) {
+  return (record.ownerId || null) === (ownerId || null);
+}
+
+/**
+ * Decode image data given as a Buffer, base64 string or data URL
+ * The type a data URL declares is ignored; stored images are typed from their bytes
+ * @param {Buffer|string} data - Image data
+ * @returns {Buffer} Image bytes
+ */
+function decodeImageData(data) {
+  if (Buffer.isBuffer(data)) {
+    return data;
+  }
+  
+  const match = /^data:[^,]*,/.exec(data);
+  return Buffer.from(match ? data.slice(match[0].length) : data, 'base64');
+}
+
+/**
+ * Check an image against the upload limits, strip its metadata and turn it upright, as is done for every stored image
+ * Images sent inline are passed through this before they reach a model or provider, so what is sent matches what is stored
+ * @param {Buffer|string} data - Image bytes, base64 string or data URL
+ * @returns {Promise<Object>} Image bytes without metadata, MIME type, width and height
+ * @throws {BadRequestError} If the data is not a PNG, JPEG, WebP or GIF image, is damaged or is too large
+ */
+async function sanitizeImageData(data) {
+  return sanitizeImage(decodeImageData(data), { ...imagesConfig.uploads, allowedTypes: STORABLE_TYPES });
+}
+
+/**
+ * Store an image
+ * @param {Object} image - Image to store
+ * @param {Buffer|string} image.data - Image bytes, base64 string or data URL
+ * @param {string} image.source - Where the image came from ('upload', 'generation', 'edit', 'chat')
+ * @param {string} image.id - Image ID (optional, generated if missing)
+ * @param {string} image.filename - Original file name (optional)
+ * @param {Object} image.metadata - How the image was made, such as its prompt, parameters and parent images (optional)
+ * @param {string} image.ownerId - ID of the user the image belongs to (omit without signing in)
+ * @returns {Promise<Object>} Stored image record, typed from the bytes
+ * @throws {ValidationError} If the ID is invalid, or the bytes are empty or not a PNG, JPEG, WebP or GIF image
+ * @throws {BadRequestError} If the image is damaged or larger than the upload pixel limits
+ */
+async function saveImage({ data, source, id = generateImageId(), filename, metadata, ownerId }) {
+  if (!IMAGE_ID_PATTERN.test(id)) {
+    throw new ValidationError('Invalid image ID', 'INVALID_IMAGE_ID', { id: 'Image IDs must be 1-128 letters, digits, underscores or hyphens' });
+  }
+  
+  const buffer = decodeImageData(data);
+  if (buffer.length === 0) {
+    throw new ValidationError('Image is empty', 'INVALID_IMAGE', { data: 'Image data is required' });
+  }
+  
+  // Images are served from the app's own origin, so only store types that cannot carry scripts
+  const mimeType = detectImageType(buffer);
+  if (!mimeType) {
+    throw new ValidationError('Unsupported image type', 'UNSUPPORTED_IMAGE_TYPE', { data: 'Images must be PNG, JPEG, WebP or GIF' });
+  }
+  
+  // Whatever the source, metadata such as GPS positions is stripped and the pixels are turned upright
+  const sanitized = await sanitizeImageData(buffer);
+  
+  const sha256 = crypto.createHash('sha256').update(sanitized.data).digest('hex');
+  const activeDriver = getDriver();
+  
+  // Identical bytes are stored once, however many images refer to them
+  if (!(await activeDriver.hasBlob(sha256))) {
+    await activeDriver.putBlob(sha256, sanitized.data);
+  }
+  
+  const record = {
+    id,
+    mimeType,
+    size: sanitized.data.length,
+    sha256,
+    source,
+    ownerId: ownerId || null,
+    ...(filename && { filename }),
+    ...(metadata && { metadata }),
+    createdAt: new Date().toISOString()
+  };
+  
+  await activeDriver.putRecord(record);
+  return record;
+}
+
+/**
+ * Get the record of a stored image
+ * Images of other users are reported as missing, so their IDs reveal nothing
+ * @param {string} id - Image ID
+ * @param {Object} options - Read options
+ * @param {string} options.ownerId - ID of the user reading the image (omit without signing in)
+ * @returns {Promise<Object>} Image record
+ * @throws {NotFoundError} If the image does not exist or belongs to someone else
+ */
+async function getImageRecord(id, { ownerId } = {}) {
+  const record = IMAGE_ID_PATTERN.test(id || '') ? await getDriver().getRecord(id) : null;
+  if (!record || !isOwnedBy(record, ownerId)) {
+    throw new NotFoundError('Image not found', 'IMAGE_NOT_FOUND');
+  }
+  return record;
+}
+
+/**
+ * Get a stored image with its bytes
+ * @param {string} id - Image ID
+ * @param {Object} options - Read options (see getImageRecord)
+ * @returns {Promise<Object>} Image record and bytes ({ record, data })
+ * @throws {NotFoundError} If the image does not exist or belongs to someone else
+ */
+async function getImage(id, options = {}) {
+  const record = await getImageRecord(id, options);
+  const data = await getDriver().getBlob(record.sha256);
+  if (!data) {
+    throw new NotFoundError('Image not found', 'IMAGE_NOT_FOUND');
+  }
+  return { record, data };
+}
+
+/**
+ * Get the URL a stored image is served at
+ * @param {string} id - Image ID
+ * @returns {string} URL relative to the server root
+ */
+function toImageUrl(id) {
+  return `${serverConfig.basePath}/images/${id}`;
+}
+
+/**
+ * Get the image ID from a URL returned by toImageUrl
+ * @param {string} url - URL
+ * @returns {string|null} Image ID, or null if the URL does not point at a stored image
+ */
+function parseImageUrl(url) {
+  const prefix = `${serverConfig.basePath}/images/`;
+  if (typeof url !== 'string' || !url.startsWith(prefix)) {
+    return null;
+  }
+  
+  const id = url.slice(prefix.length);
+  return IMAGE_ID_PATTERN.test(id) ? id : null;
+}
+
+/**
+ * Get the ID of the stored image a request refers to in place of image data
+ * A reference is a stored image URL, a generated image ID (img_...), or an object without image
+ * data of its own that holds the ID or URL of a stored image ({ id } or { url })
+ * @param {string|Object} value - Image reference or image data
+ * @returns {string|null} Image ID, or null if the value is image data rather than a reference
+ */
+function parseImageReference(value) {
+  if (typeof value === 'string') {
+    if (parseImageUrl(value)) {
+      return parseImageUrl(value);
+    }
+    return IMAGE_ID_PATTERN.test(value) && NON_BASE64_PATTERN.test(value) ? value : null;
+  }
+  
+  if (!value || typeof value !== 'object' || value.base64 || value.base64Data) {
+    return null;
+  }
+  if (value.url) {
+    return parseImageUrl(value.url);
+  }
+  return typeof value.id === 'string' && IMAGE_ID_PATTERN.test(value.id) ? value.id : null;
+}
+
+/**
+ * Load the stored image a request refers to in place of image data
+ * @param {string|Object} reference - Image reference (see parseImageReference)
+ * @param {Object} options - Read options (see getImageRecord)
+ * @returns {Promise<Object|null>} Image record and bytes ({ record, data }), or null if the value is image data rather than a reference
+ * @throws {NotFoundError} If no stored image of the user has the referenced ID
+ */
+async function loadImageReference(reference, options = {}) {
+  const id = parseImageReference(reference);
+  if (!id) {
+    return null;
+  }
+  
+  try {
+    return await getImage(id, options);
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      throw new NotFoundError(`Image "${id}" was not found; it may have expired or never been stored`, 'IMAGE_NOT_FOUND');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get a stored image as a data URL, for APIs that cannot fetch our URLs
+ * @param {string} id - Image ID
+ * @param {Object} options - Read options (see getImageRecord)
+ * @returns {Promise<string>} Data URL
+ * @throws {NotFoundError} If the image does not exist or belongs to someone else
+ */
+async function toDataUrl(id, options = {}) {
+  const { record, data } = await getImage(id, options);
+  return `data:${record.mimeType};base64,${data.toString('base64')}`;
+}
+
+module.exports = {
+  saveImage,
+  getImage,
+  getImageRecord,
+  generateImageId,
+  toImageUrl,
+  parseImageUrl,
+  parseImageReference,
+  loadImageReference,
+  toDataUrl,
+  sanitizeImageData,
+  registerDriver,
+  setDriver,
+  getDriver
+};
\ No newline at end of file
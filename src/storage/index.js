@@ -0,0 +1,18 @@
+/**
+ * Storage index file
+ * Exports all persistent store modules
+ */
+
+const conversationStore = require('./conversation-store');
+const imageStore = require('./image-store');
+const presetStore = require('./preset-store');
+const usageStore = require('./usage-store');
+const userStore = require('./user-store');
+
+module.exports = {
+  conversationStore,
+  imageStore,
+  presetStore,
+  usageStore,
+  userStore
+};
\ No newline at end of file
@@ -0,0 +1,75 @@
+/**
+ * Preset store
+ * Persists the style presets managed through the API behind a pluggable storage driver
+ */
+
+const path = require('path');
+const config = require('../config').storage;
+const createPresetMemoryDriver = require('./drivers/preset-memory-driver');
+const createPresetFileDriver = require('./drivers/preset-file-driver');
+const createDriverRegistry = require('./driver-registry');
+
+// Preset IDs are used as storage keys, so keep them to a safe character set
+const PRESET_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const { registerDriver, getDriver, setDriver } = createDriverRegistry({
+  memory: () => createPresetMemoryDriver(),
+  file: () => createPresetFileDriver({ directory: path.join(config.dataDir, 'presets') })
+});
+
+/**
+ * Generate a unique ID for a preset
+ * @returns {string} Unique ID
+ */
+function generatePresetId() {
+  return `preset_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`;
+}
+
+/**
+ * Store a preset, replacing any preset with the same ID
+ * @param {Object} preset - Preset with id
+ * @returns {Promise<void>}
+ */
+async function savePreset(preset) {
+  await getDriver().putPreset(preset);
+}
+
+/**
+ * Get a preset by ID
+ * @param {string} id - Preset ID
+ * @returns {Promise<Object|null>} Preset, or null if missing
+ */
+async function getPreset(id) {
+  return PRESET_ID_PATTERN.test(id || '') ? getDriver().getPreset(id) : null;
+}
+
+/**
+ * List the stored presets
+ * @returns {Promise<Array>} Presets, oldest first
+ */
+async function listPresets() {
+  const presets = await getDriver().listPresets();
+  return presets.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Delete a preset
+ * @param {string} id - Preset ID
+ * @returns {Promise<void>}
+ */
+async function deletePreset(id) {
+  if (PRESET_ID_PATTERN.test(id || '')) {
+    await getDriver().deletePreset(id);
+  }
+}
+
+module.exports = {
+  generatePresetId,
+  savePreset,
+  getPreset,
+  listPresets,
+  deletePreset,
+  registerDriver,
+  setDriver,
+  getDriver
+};
\ No newline at end of file
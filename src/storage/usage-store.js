@@ -0,0 +1,42 @@
+/**
+ * Usage store
+ * Persists the usage ledger (one entry per billable request) behind a pluggable storage driver
+ */
+
+const path = require('path');
+const config = require('../config').storage;
+const createUsageMemoryDriver = require('./drivers/usage-memory-driver');
+const createUsageFileDriver = require('./drivers/usage-file-driver');
+const createDriverRegistry = require('./driver-registry');
+
+const { registerDriver, getDriver, setDriver } = createDriverRegistry({
+  memory: () => createUsageMemoryDriver(),
+  file: () => createUsageFileDriver({ directory: path.join(config.dataDir, 'usage') })
+});
+
+/**
+ * Add an entry to the ledger
+ * @param {Object} entry - Usage entry with an ISO timestamp
+ * @returns {Promise<void>}
+ */
+async function appendEntry(entry) {
+  await getDriver().append(entry);
+}
+
+/**
+ * List the ledger entries recorded on a range of days
+ * @param {string} fromDay - First day (YYYY-MM-DD, UTC)
+ * @param {string} toDay - Last day (YYYY-MM-DD, UTC), inclusive
+ * @returns {Promise<Array>} Usage entries, oldest first
+ */
+async function listEntries(fromDay, toDay) {
+  return getDriver().list(fromDay, toDay);
+}
+
+module.exports = {
+  appendEntry,
+  listEntries,
+  registerDriver,
+  setDriver,
+  getDriver
+};
\ No newline at end of file
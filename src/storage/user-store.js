@@ -0,0 +1,109 @@
+/**
+ * User store
+ * Persists accounts and login sessions behind a pluggable storage driver
+ */
+
+const path = require('path');
+const config = require('../config').storage;
+const createUserMemoryDriver = require('./drivers/user-memory-driver');
+const createUserFileDriver = require('./drivers/user-file-driver');
+const createDriverRegistry = require('./driver-registry');
+
+const { registerDriver, getDriver, setDriver } = createDriverRegistry({
+  memory: () => createUserMemoryDriver(),
+  file: () => createUserFileDriver({ directory: path.join(config.dataDir, 'accounts') })
+});
+
+/**
+ * Normalize a username for lookups, so that "Alice" and "alice" are the same account
+ * @param {string} username - Username
+ * @returns {string} Normalized username
+ */
+function toUsernameKey(username) {
+  return username.toLowerCase();
+}
+
+/**
+ * Store a new account
+ * @param {Object} user - Account with id and username
+ * @returns {Promise<boolean>} False if the username is already taken
+ */
+async function createUser(user) {
+  return getDriver().createUser({ ...user, usernameKey: toUsernameKey(user.username) });
+}
+
+/**
+ * Save changes to an existing account; the username cannot change
+ * @param {Object} user - Account, as returned by getUser
+ * @returns {Promise<void>}
+ */
+async function updateUser(user) {
+  await getDriver().updateUser(user);
+}
+
+/**
+ * Get an account by ID
+ * @param {string} id - User ID
+ * @returns {Promise<Object|null>} Account, or null if missing
+ */
+async function getUser(id) {
+  return getDriver().getUser(id);
+}
+
+/**
+ * Get an account by username (case-insensitive)
+ * @param {string} username - Username
+ * @returns {Promise<Object|null>} Account, or null if missing
+ */
+async function findUserByUsername(username) {
+  return getDriver().findUserByUsername(toUsernameKey(username));
+}
+
+/**
+ * Count the stored accounts
+ * @returns {Promise<number>} Number of accounts
+ */
+async function countUsers() {
+  return getDriver().countUsers();
+}
+
+/**
+ * Store a session
+ * @param {Object} session - Session with id, userId and expiresAt
+ * @returns {Promise<void>}
+ */
+async function saveSession(session) {
+  await getDriver().putSession(session);
+}
+
+/**
+ * Get a session by ID
+ * @param {string} id - Session ID
+ * @returns {Promise<Object|null>} Session, or null if missing
+ */
+async function getSession(id) {
+  return getDriver().getSession(id);
+}
+
+/**
+ * Delete a session
+ * @param {string} id - Session ID
+ * @returns {Promise<void>}
+ */
+async function deleteSession(id) {
+  await getDriver().deleteSession(id);
+}
+
+module.exports = {
+  createUser,
+  updateUser,
+  getUser,
+  findUserByUsername,
+  countUsers,
+  saveSession,
+  getSession,
+  deleteSession,
+  registerDriver,
+  setDriver,
+  getDriver
+};
\ No newline at end of file
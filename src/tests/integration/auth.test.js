@@ -0,0 +1,91 @@
+/**
+ * Integration tests for accounts, sessions and protected routes
+ */
+
+// Select the mock provider and in-memory storage before anything reads the configuration
+process.env.OPENAI_PROVIDER = 'mock';
+process.env.STORAGE_DRIVER = 'memory';
+delete process.env.AUTH_REQUIRED;
+
+const request = require('supertest');
+const express = require('express');
+const routes = require('../../routes');
+const { errorHandler } = require('../../middleware');
+
+describe('Auth Integration Tests', () => {
+  let app;
+  
+  beforeAll(() => {
+    app = express();
+    app.use(express.json({ limit: '10mb' }));
+    app.use('/api', routes);
+    app.use(errorHandler);
+  });
+  
+  it('should keep health and auth status public', async () => {
+    const health = await request(app).get('/api/health');
+    const status = await request(app).get('/api/auth/status');
+    
+    expect(health.status).toBe(200);
+    expect(status.status).toBe(200);
+    expect(status.body).toEqual({ authenticated: false, authRequired: true, registrationOpen: true, user: null });
+  });
+  
+  it('should reject anonymous requests to protected routes', async () => {
+    const response = await request(app)
+      .post('/api/images/generate')
+      .send({ prompt: 'A lighthouse at dusk' });
+    
+    expect(response.status).toBe(401);
+    expect(response.body.error.code).toBe('UNAUTHORIZED');
+  });
+  
+  it('should register, use and end a session', async () => {
+    const registered = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'alice', password: 'correct horse' });
+    
+    expect(registered.status).toBe(201);
+    expect(registered.body.user).toMatchObject({ username: 'alice', role: 'admin' });
+    expect(registered.headers['set-cookie'][0]).toMatch(/^gpt_image_ui_session=.+HttpOnly/);
+    
+    const auth = `Bearer ${registered.body.token}`;
+    const generated = await request(app)
+      .post('/api/images/generate')
+      .set('Authorization', auth)
+      .send({ prompt: 'A lighthouse at dusk', size: '1024x1024', quality: 'low', background: 'auto' });
+    expect(generated.status).toBe(200);
+    
+    // Stored images load with the session cookie, as <img> tags send no Authorization header
+    const image = await request(app)
+      .get(generated.body.images[0].url)
+      .set('Cookie', `gpt_image_ui_session=${registered.body.token}`);
+    expect(image.status).toBe(200);
+    
+    // Usage is recorded under the signed-in user
+    const usage = await request(app).get('/api/usage').set('Authorization', auth);
+    expect(Object.keys(usage.body.users)).toEqual([registered.body.user.id]);
+    
+    const loggedOut = await request(app).post('/api/auth/logout').set('Authorization', auth);
+    expect(loggedOut.status).toBe(200);
+    
+    const afterLogout = await request(app).get('/api/auth/status').set('Authorization', auth);
+    expect(afterLogout.body.authenticated).toBe(false);
+  });
+  
+  it('should sign in with the right password only', async () => {
+    const wrong = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'alice', password: 'wrong password' });
+    expect(wrong.status).toBe(401);
+    expect(wrong.body.error.code).toBe('INVALID_CREDENTIALS');
+    
+    const right = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'alice', password: 'correct horse' });
+    expect(right.status).toBe(200);
+    
+    const status = await request(app).get('/api/auth/status').set('Authorization', `Bearer ${right.body.token}`);
+    expect(status.body).toMatchObject({ authenticated: true, user: { username: 'alice', role: 'admin' } });
+  });
+});
\ No newline at end of file
@@ -11,8 +11,12 @@ const { errorHandler } = require('../../middleware');
 jest.mock('../../services', () => ({
   chatService: {
     processMessage: jest.fn(),
+    processMessageStream: jest.fn(),
     getChatHistory: jest.fn(),
     clearChatHistory: jest.fn()
+  },
+  usageService: {
+    recordUsage: jest.fn()
   }
 }));
 
@@ -194,6 +198,59 @@ describe('Chat Routes Integration Tests', () => {
     });
   });
   
+  describe('POST /api/chat/message/stream', () => {
+    it('should stream start, token and done events', async () => {
+      chatService.processMessageStream.mockImplementation(async (body, handlers) => {
+        handlers.onStart({ userMessage: { id: 'user-msg-id' }, assistantMessageId: 'assistant-msg-id' });
+        handlers.onToken('Hi ');
+        handlers.onToken('there');
+        return {
+          userMessage: { id: 'user-msg-id' },
+          assistantMessage: { id: 'assistant-msg-id', content: 'Hi there' },
+          usage: { total_tokens: 12 }
+        };
+      });
+      
+      const response = await request(app)
+        .post('/api/chat/message/stream')
+        .send({ content: 'Hello, world!' })
+        .expect('Content-Type', /text\/event-stream/)
+        .expect(200);
+      
+      expect(response.text).toBe([
+        'event: start\ndata: {"userMessage":{"id":"user-msg-id"},"assistantMessageId":"assistant-msg-id"}\n\n',
+        'event: token\ndata: {"content":"Hi "}\n\n',
+        'event: token\ndata: {"content":"there"}\n\n',
+        'event: done\ndata: {"userMessage":{"id":"user-msg-id"},"assistantMessage":{"id":"assistant-msg-id","content":"Hi there"},"usage":{"total_tokens":12}}\n\n'
+      ].join(''));
+    });
+    
+    it('should return a regular 400 response for an invalid request', async () => {
+      const response = await request(app)
+        .post('/api/chat/message/stream')
+        .send({ images: [] })
+        .expect('Content-Type', /json/)
+        .expect(400);
+      
+      expect(response.body.error).toHaveProperty('code', 'INVALID_CHAT_REQUEST');
+      expect(chatService.processMessageStream).not.toHaveBeenCalled();
+    });
+    
+    it('should report service errors as an error event', async () => {
+      const serviceError = new Error('Upstream failure');
+      serviceError.statusCode = 500;
+      serviceError.code = 'CHAT_COMPLETION_ERROR';
+      chatService.processMessageStream.mockRejectedValue(serviceError);
+      
+      const response = await request(app)
+        .post('/api/chat/message/stream')
+        .send({ content: 'Hello, world!' })
+        .expect(200);
+      
+      expect(response.text).toBe('event: error\ndata: {"message":"Internal Server Error","code":"CHAT_COMPLETION_ERROR"}\n\n');
+    });
+  });
+  
   describe('GET /api/chat/history', () => {
     it('should return chat history', async () => {
       const response = await request(app)
@@ -202,7 +259,7 @@ describe('Chat Routes Integration Tests', () => {
         .expect(200);
       
       // Check that the service was called
-      expect(chatService.getChatHistory).toHaveBeenCalledWith({});
+      expect(chatService.getChatHistory).toHaveBeenCalledWith({}, { ownerId: undefined });
       
       // Check the response body
       expect(response.body).toEqual({
@@ -231,7 +288,7 @@ describe('Chat Routes Integration Tests', () => {
       expect(chatService.getChatHistory).toHaveBeenCalledWith({
         before: 'msg-id',
         limit: '10'
-      });
+      }, { ownerId: undefined });
     });
     
     it('should handle service errors', async () => {
@@ -0,0 +1,257 @@
+/**
+ * Integration tests running the real services against the offline mock provider
+ */
+
+// Select the mock provider and in-memory storage before anything reads the configuration
+process.env.OPENAI_PROVIDER = 'mock';
+process.env.STORAGE_DRIVER = 'memory';
+
+// Signing in is covered by auth.test.js
+process.env.AUTH_REQUIRED = 'false';
+
+const request = require('supertest');
+const express = require('express');
+const routes = require('../../routes');
+const { errorHandler } = require('../../middleware');
+
+describe('Mock Provider Integration Tests', () => {
+  let app;
+  
+  beforeAll(() => {
+    app = express();
+    app.use(express.json({ limit: '10mb' }));
+    app.use('/api', routes);
+    app.use(errorHandler);
+  });
+  
+  it('should generate placeholder images without an API key', async () => {
+    const response = await request(app)
+      .post('/api/images/generate')
+      .send({ prompt: 'A lighthouse at dusk', size: '1024x1024', quality: 'low', background: 'auto' });
+    
+    expect(response.status).toBe(200);
+    expect(response.body.images).toHaveLength(1);
+    expect(Buffer.from(response.body.images[0].base64, 'base64').subarray(1, 4).toString('ascii')).toBe('PNG');
+    expect(response.body.usage).toHaveProperty('output_tokens', 272);
+    expect(response.body.attempts).toBe(1);
+    
+    // The image is stored and served by ID
+    const image = await request(app).get(response.body.images[0].url);
+    expect(image.status).toBe(200);
+    expect(image.headers['content-type']).toBe('image/png');
+    expect(image.body.equals(Buffer.from(response.body.images[0].base64, 'base64'))).toBe(true);
+  });
+  
+  it('should stream partial previews of a generated image', async () => {
+    const response = await request(app)
+      .post('/api/images/generate/stream')
+      .send({ prompt: 'A lighthouse at dusk', size: '1024x1024', quality: 'low', background: 'auto' });
+    
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/text\/event-stream/);
+    expect(response.text).toContain('event: partial_image');
+    expect(response.text).toContain('event: done');
+  });
+  
+  it('should generate images as a background job and report the result when polled', async () => {
+    const submitted = await request(app)
+      .post('/api/images/generate')
+      .query({ async: 'true' })
+      .send({ prompt: 'A lighthouse at dusk', size: '1024x1024', quality: 'low', background: 'auto' });
+    
+    expect(submitted.status).toBe(202);
+    expect(submitted.headers.location).toBe(`/api/jobs/${submitted.body.id}`);
+    expect(submitted.body).toMatchObject({ type: 'image.generate', status: 'queued' });
+    
+    let job = submitted.body;
+    for (let poll = 0; poll < 50 && !['succeeded', 'failed'].includes(job.status); poll++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      job = (await request(app).get(submitted.headers.location)).body;
+    }
+    
+    expect(job.status).toBe('succeeded');
+    expect(job.result.images).toHaveLength(1);
+    
+    const cancelled = await request(app).post(`${submitted.headers.location}/cancel`);
+    expect(cancelled.status).toBe(409);
+    expect(cancelled.body.error.code).toBe('JOB_ALREADY_FINISHED');
+  });
+  
+  it('should record how generated images were made', async () => {
+    const response = await request(app)
+      .post('/api/images/generate')
+      .send({ prompt: 'A lighthouse at dusk', size: '1024x1024', quality: 'low', background: 'opaque' });
+    
+    const metadata = await request(app).get(`${response.body.images[0].url}/metadata`);
+    
+    expect(metadata.status).toBe(200);
+    expect(metadata.body).toMatchObject({
+      source: 'generation',
+      mimeType: 'image/png',
+      metadata: {
+        prompt: 'A lighthouse at dusk',
+        params: { size: '1024x1024', quality: 'low', background: 'opaque' },
+        provider: 'openai',
+        parentIds: []
+      }
+    });
+  });
+  
+  it('should account for the usage and estimated cost of each request', async () => {
+    const before = await request(app).get('/api/usage');
+    const generated = before.body.endpoints['images.generate'] || { requests: 0 };
+    
+    await request(app).post('/api/images/generate').send({ prompt: 'A lighthouse at dusk', size: '1024x1024', quality: 'low', background: 'opaque' });
+    const response = await request(app).get('/api/usage').query({ period: 'week' });
+    
+    expect(response.status).toBe(200);
+    expect(response.body.period).toBe('week');
+    expect(response.body.endpoints['images.generate'].requests).toBe(generated.requests + 1);
+    expect(response.body.users.anonymous.cost).toBeGreaterThan(0);
+    expect(response.body.models['gpt-image-1'].images).toBeGreaterThan(0);
+  });
+  
+  it('should reject invalid usage queries', async () => {
+    const response = await request(app).get('/api/usage').query({ period: 'month' });
+    
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('INVALID_USAGE_REQUEST');
+  });
+  
+  it('should report unknown images as not found', async () => {
+    const response = await request(app).get('/api/images/img_missing');
+    
+    expect(response.status).toBe(404);
+    expect(response.body.error.code).toBe('IMAGE_NOT_FOUND');
+  });
+  
+  it('should edit a stored image by ID and add the edit to the conversation', async () => {
+    const generated = await request(app)
+      .post('/api/images/generate')
+      .send({ prompt: 'A lighthouse at dusk', size: '1024x1024', quality: 'low', background: 'auto' });
+    const sourceId = generated.body.images[0].id;
+    
+    const response = await request(app)
+      .post('/api/images/edit')
+      .send({ image: sourceId, prompt: 'Add a boat', size: '1024x1024', quality: 'low', conversationId: 'mock-edits' });
+    
+    expect(response.status).toBe(200);
+    expect(response.body.images).toHaveLength(1);
+    expect(response.body.userMessage.images).toEqual([{ id: sourceId, url: `/api/images/${sourceId}` }]);
+    expect(response.body.assistantMessage.images[0]).toMatchObject({
+      id: response.body.images[0].id,
+      sourceImageId: sourceId
+    });
+    
+    const history = await request(app)
+      .get('/api/chat/history')
+      .query({ conversationId: 'mock-edits' });
+    expect(history.body.messages.map(message => message.id)).toEqual([
+      response.body.assistantMessage.id,
+      response.body.userMessage.id
+    ]);
+  });
+  
+  it('should report unknown image IDs sent for editing or chat as not found', async () => {
+    const edit = await request(app)
+      .post('/api/images/edit')
+      .send({ image: 'img_expired', prompt: 'Add a boat' });
+    
+    expect(edit.status).toBe(404);
+    expect(edit.body.error.code).toBe('IMAGE_NOT_FOUND');
+    
+    const chat = await request(app)
+      .post('/api/chat/message')
+      .send({ message: 'What is in this picture?', images: [{ id: 'img_expired' }] });
+    
+    expect(chat.status).toBe(404);
+    expect(chat.body.error.code).toBe('IMAGE_NOT_FOUND');
+  });
+  
+  it('should answer chat messages and keep the history', async () => {
+    const response = await request(app)
+      .post('/api/chat/message')
+      .send({ message: 'Hello there', conversationId: 'mock-conversation' });
+    
+    expect(response.status).toBe(200);
+    expect(response.body.assistantMessage.content).toContain('You said: "Hello there"');
+    
+    const history = await request(app)
+      .get('/api/chat/history')
+      .query({ conversationId: 'mock-conversation' });
+    
+    expect(history.status).toBe(200);
+    expect(history.body.messages.map(message => message.role)).toEqual(['assistant', 'user']);
+  });
+  
+  it('should reply to image requests in chat with a placeholder image', async () => {
+    const response = await request(app)
+      .post('/api/chat/message')
+      .send({ message: 'draw a red fox', conversationId: 'mock-images' });
+    
+    expect(response.status).toBe(200);
+    expect(response.body.assistantMessage.images).toHaveLength(1);
+    expect(response.body.assistantMessage.images[0].url).toMatch(/^\/api\/images\/img_/);
+  });
+  
+  it('should edit an image attached in chat when asked for a change', async () => {
+    const generated = await request(app)
+      .post('/api/images/generate')
+      .send({ prompt: 'A lighthouse at dusk', size: '1024x1024', quality: 'low', background: 'auto' });
+    const sourceId = generated.body.images[0].id;
+    
+    const response = await request(app)
+      .post('/api/chat/message')
+      .send({ message: 'make the sky purple', images: [sourceId], conversationId: 'mock-chat-edits' });
+    
+    expect(response.status).toBe(200);
+    expect(response.body.assistantMessage.images).toHaveLength(1);
+    expect(response.body.assistantMessage.images[0]).toMatchObject({
+      alt: 'Edited image based on your instruction',
+      sourceImageId: sourceId
+    });
+    expect(response.body.imageResults[0]).toMatchObject({ tool: 'edit_image', model: 'gpt-image-1' });
+  });
+  
+  it('should refine the latest generated image with follow-up messages', async () => {
+    const drawn = await request(app)
+      .post('/api/chat/message')
+      .send({ message: 'draw a lighthouse', conversationId: 'mock-refinements' });
+    const drawnId = drawn.body.assistantMessage.images[0].id;
+    
+    const darker = await request(app)
+      .post('/api/chat/message')
+      .send({ message: 'now make it darker', conversationId: 'mock-refinements' });
+    const darkerId = darker.body.assistantMessage.images[0].id;
+    expect(darker.body.assistantMessage.images[0]).toMatchObject({ sourceImageId: drawnId });
+    
+    // Each refinement builds on the one before
+    const stormy = await request(app)
+      .post('/api/chat/message')
+      .send({ message: 'add a storm', conversationId: 'mock-refinements' });
+    expect(stormy.body.assistantMessage.images[0]).toMatchObject({ sourceImageId: darkerId });
+  });
+  
+  it('should suggest detailed rewrites of a prompt and account for them', async () => {
+    const response = await request(app)
+      .post('/api/prompts/enhance')
+      .send({ prompt: 'a fox', n: 3 });
+    
+    expect(response.status).toBe(200);
+    expect(response.body.prompt).toBe('a fox');
+    expect(response.body.suggestions).toHaveLength(3);
+    expect(new Set(response.body.suggestions).size).toBe(3);
+    
+    const usage = await request(app).get('/api/usage');
+    expect(usage.body.endpoints['prompts.enhance'].requests).toBeGreaterThan(0);
+  });
+  
+  it('should reject prompt enhancements asking for too many suggestions', async () => {
+    const response = await request(app)
+      .post('/api/prompts/enhance')
+      .send({ prompt: 'a fox', n: 10 });
+    
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('INVALID_ENHANCE_REQUEST');
+  });
+});
\ No newline at end of file
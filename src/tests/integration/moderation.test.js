@@ -0,0 +1,89 @@
+/**
+ * Integration tests for prompt moderation
+ */
+
+// Select the mock provider, in-memory storage and both moderation checks before anything reads the configuration
+process.env.OPENAI_PROVIDER = 'mock';
+process.env.STORAGE_DRIVER = 'memory';
+process.env.MODERATION_CHECKS = 'openai,rules';
+process.env.MODERATION_BLOCKLIST = 'forbidden, secret recipe';
+process.env.MODERATION_RULES = JSON.stringify([{ category: 'weapons', pattern: '\\bbazookas?\\b' }]);
+
+// Signing in is covered by auth.test.js
+process.env.AUTH_REQUIRED = 'false';
+
+const request = require('supertest');
+const express = require('express');
+const routes = require('../../routes');
+const { errorHandler } = require('../../middleware');
+
+describe('Moderation Integration Tests', () => {
+  let app;
+  
+  beforeAll(() => {
+    app = express();
+    app.use(express.json({ limit: '10mb' }));
+    app.use('/api', routes);
+    app.use(errorHandler);
+  });
+  
+  afterAll(() => {
+    delete process.env.MODERATION_CHECKS;
+    delete process.env.MODERATION_BLOCKLIST;
+    delete process.env.MODERATION_RULES;
+  });
+  
+  it('should generate images from prompts that pass every check', async () => {
+    const response = await request(app)
+      .post('/api/images/generate')
+      .send({ prompt: 'A lighthouse at dusk', size: '1024x1024', quality: 'low', background: 'auto' });
+    
+    expect(response.status).toBe(200);
+    expect(response.body.images).toHaveLength(1);
+  });
+  
+  it('should reject flagged prompts with their categories', async () => {
+    const response = await request(app)
+      .post('/api/images/generate')
+      .send({ prompt: 'The Secret  Recipe next to a bazooka', size: '1024x1024', quality: 'low', background: 'auto' });
+    
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatchObject({
+      code: 'PROMPT_REJECTED',
+      categories: ['blocklist', 'weapons']
+    });
+  });
+  
+  it('should report rejected prompts on the stream and in background jobs', async () => {
+    const streamed = await request(app)
+      .post('/api/images/generate/stream')
+      .send({ prompt: 'A forbidden lighthouse', size: '1024x1024', quality: 'low', background: 'auto' });
+    
+    expect(streamed.text).toContain('event: error');
+    expect(streamed.text).toContain('"code":"PROMPT_REJECTED"');
+    
+    const submitted = await request(app)
+      .post('/api/images/generate')
+      .query({ async: 'true' })
+      .send({ prompt: 'A forbidden lighthouse', size: '1024x1024', quality: 'low', background: 'auto' });
+    expect(submitted.status).toBe(202);
+    
+    let job = submitted.body;
+    while (job.status === 'queued' || job.status === 'running') {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      job = (await request(app).get(`/api/jobs/${job.id}`)).body;
+    }
+    
+    expect(job.status).toBe('failed');
+    expect(job.error).toMatchObject({ code: 'PROMPT_REJECTED', categories: ['blocklist'] });
+  });
+  
+  it('should reject image requests made in chat instead of answering them in text', async () => {
+    const response = await request(app)
+      .post('/api/chat/message')
+      .send({ content: 'Generate an image of a forbidden castle' });
+    
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatchObject({ code: 'PROMPT_REJECTED', categories: ['blocklist'] });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,98 @@
+/**
+ * Integration tests for style presets
+ */
+
+// Select the mock provider and in-memory storage before anything reads the configuration
+process.env.OPENAI_PROVIDER = 'mock';
+process.env.STORAGE_DRIVER = 'memory';
+delete process.env.AUTH_REQUIRED;
+
+const request = require('supertest');
+const express = require('express');
+const routes = require('../../routes');
+const { errorHandler } = require('../../middleware');
+
+describe('Style Preset Integration Tests', () => {
+  const blueprint = { name: 'Blueprint', template: '{prompt}, blueprint drawing, white lines on blue', size: '1536x1024', background: 'opaque' };
+  let app;
+  let adminAuth;
+  let userAuth;
+  
+  beforeAll(async () => {
+    app = express();
+    app.use(express.json({ limit: '10mb' }));
+    app.use('/api', routes);
+    app.use(errorHandler);
+    
+    // The first account is an admin
+    const admin = await request(app).post('/api/auth/register').send({ username: 'root', password: 'correct horse' });
+    const user = await request(app).post('/api/auth/register').send({ username: 'alice', password: 'correct horse' });
+    adminAuth = `Bearer ${admin.body.token}`;
+    userAuth = `Bearer ${user.body.token}`;
+  });
+  
+  it('should let admins manage presets and everyone list them', async () => {
+    const refused = await request(app).post('/api/presets').set('Authorization', userAuth).send(blueprint);
+    expect(refused.status).toBe(403);
+    
+    const created = await request(app).post('/api/presets').set('Authorization', adminAuth).send(blueprint);
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ ...blueprint, builtin: false });
+    
+    const listed = await request(app).get('/api/presets').set('Authorization', userAuth);
+    expect(listed.status).toBe(200);
+    expect(listed.body.presets.map(preset => preset.id)).toEqual(expect.arrayContaining(['flat-vector', created.body.id]));
+    
+    const updated = await request(app)
+      .put(`/api/presets/${created.body.id}`)
+      .set('Authorization', adminAuth)
+      .send({ ...blueprint, name: 'Blueprint drawing' });
+    expect(updated.status).toBe(200);
+    expect(updated.body.name).toBe('Blueprint drawing');
+    
+    const readOnly = await request(app).delete('/api/presets/flat-vector').set('Authorization', adminAuth);
+    expect(readOnly.status).toBe(403);
+    expect(readOnly.body.error.code).toBe('PRESET_READ_ONLY');
+    
+    const deleted = await request(app).delete(`/api/presets/${created.body.id}`).set('Authorization', adminAuth);
+    expect(deleted.status).toBe(204);
+    
+    const missing = await request(app).get(`/api/presets/${created.body.id}`).set('Authorization', userAuth);
+    expect(missing.status).toBe(404);
+    expect(missing.body.error.code).toBe('PRESET_NOT_FOUND');
+  });
+  
+  it('should apply the preset to generated images', async () => {
+    const created = await request(app).post('/api/presets').set('Authorization', adminAuth).send(blueprint);
+    
+    const response = await request(app)
+      .post('/api/images/generate')
+      .set('Authorization', userAuth)
+      .send({ prompt: 'A lighthouse', preset: created.body.id, quality: 'low' });
+    expect(response.status).toBe(200);
+    
+    const metadata = await request(app).get(`${response.body.images[0].url}/metadata`).set('Authorization', userAuth);
+    expect(metadata.body.metadata).toMatchObject({
+      prompt: 'A lighthouse, blueprint drawing, white lines on blue',
+      params: { size: '1536x1024', quality: 'low', background: 'opaque' }
+    });
+  });
+  
+  it('should apply the preset to images made in chat and reject unknown presets', async () => {
+    const response = await request(app)
+      .post('/api/chat/message')
+      .set('Authorization', userAuth)
+      .send({ message: 'draw a red fox', conversationId: 'presets', preset: 'watercolor' });
+    expect(response.status).toBe(200);
+    
+    const metadata = await request(app).get(`${response.body.assistantMessage.images[0].url}/metadata`).set('Authorization', userAuth);
+    expect(metadata.body.metadata.prompt).toBe('draw a red fox, loose watercolor painting on textured paper');
+    
+    const unknown = await request(app)
+      .post('/api/images/generate')
+      .set('Authorization', userAuth)
+      .send({ prompt: 'A lighthouse', preset: 'missing' });
+    expect(unknown.status).toBe(404);
+    expect(unknown.body.error.code).toBe('PRESET_NOT_FOUND');
+  });
+});
\ No newline at end of file
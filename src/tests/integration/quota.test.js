@@ -0,0 +1,90 @@
+/**
+ * Integration tests for per-user quotas
+ */
+
+// Select the mock provider, in-memory storage and a small budget before anything reads the configuration
+process.env.OPENAI_PROVIDER = 'mock';
+process.env.STORAGE_DRIVER = 'memory';
+process.env.QUOTA_DAILY_BUDGET_USD = '0.2';
+delete process.env.AUTH_REQUIRED;
+
+const request = require('supertest');
+const express = require('express');
+const routes = require('../../routes');
+const { errorHandler } = require('../../middleware');
+
+describe('Quota Integration Tests', () => {
+  let app;
+  let userAuth;
+  let adminAuth;
+  
+  beforeAll(async () => {
+    app = express();
+    app.use(express.json({ limit: '10mb' }));
+    app.use('/api', routes);
+    app.use(errorHandler);
+    
+    // The first account is an admin, exempt from quotas by default
+    const admin = await request(app).post('/api/auth/register').send({ username: 'root', password: 'correct horse' });
+    const user = await request(app).post('/api/auth/register').send({ username: 'alice', password: 'correct horse' });
+    adminAuth = `Bearer ${admin.body.token}`;
+    userAuth = `Bearer ${user.body.token}`;
+  });
+  
+  it('should report the remaining budget and refuse requests that do not fit', async () => {
+    const cheap = await request(app)
+      .post('/api/images/generate')
+      .set('Authorization', userAuth)
+      .send({ prompt: 'A lighthouse at dusk', size: '1024x1024', quality: 'low', background: 'auto' });
+    
+    expect(cheap.status).toBe(200);
+    expect(cheap.headers['x-quota-limit']).toBe('0.2');
+    expect(Number(cheap.headers['x-quota-remaining'])).toBeLessThan(0.2);
+    expect(Number(cheap.headers['x-quota-cost'])).toBeGreaterThan(0);
+    
+    const expensive = await request(app)
+      .post('/api/images/generate')
+      .set('Authorization', userAuth)
+      .send({ prompt: 'A lighthouse at dusk', n: 2, size: '1024x1024', quality: 'high', background: 'auto' });
+    
+    expect(expensive.status).toBe(429);
+    expect(expensive.body.error).toMatchObject({
+      code: 'QUOTA_EXCEEDED',
+      message: expect.stringContaining('daily budget'),
+      quota: { limit: 0.2, remaining: expect.any(Number), cost: expect.any(Number), resetAt: expect.any(String) }
+    });
+    expect(expensive.headers['x-quota-reset']).toBe(expensive.body.error.quota.resetAt);
+  });
+  
+  it('should refuse a chat message whose image does not fit in the budget', async () => {
+    const registered = await request(app).post('/api/auth/register').send({ username: 'carol', password: 'correct horse' });
+    const carolAuth = `Bearer ${registered.body.token}`;
+    
+    // Leaves less than the cost of another high-quality image
+    const first = await request(app)
+      .post('/api/images/generate')
+      .set('Authorization', carolAuth)
+      .send({ prompt: 'A lighthouse at dusk', size: '1024x1024', quality: 'high', background: 'auto' });
+    expect(first.status).toBe(200);
+    
+    const response = await request(app)
+      .post('/api/chat/message')
+      .set('Authorization', carolAuth)
+      .send({ message: 'Draw a lighthouse at dusk' });
+    
+    expect(response.status).toBe(429);
+    expect(response.body.error).toMatchObject({ code: 'QUOTA_EXCEEDED', message: expect.stringContaining('daily budget') });
+  });
+  
+  it('should not charge admins or free endpoints', async () => {
+    const admin = await request(app)
+      .post('/api/images/generate')
+      .set('Authorization', adminAuth)
+      .send({ prompt: 'A lighthouse at dusk', n: 2, size: '1024x1024', quality: 'high', background: 'auto' });
+    const history = await request(app).get('/api/chat/history').set('Authorization', userAuth);
+    
+    expect(admin.status).toBe(200);
+    expect(admin.headers['x-quota-limit']).toBeUndefined();
+    expect(history.headers['x-quota-limit']).toBeUndefined();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,70 @@
+/**
+ * Integration tests for per-user settings
+ */
+
+// Select the mock provider and in-memory storage before anything reads the configuration
+process.env.OPENAI_PROVIDER = 'mock';
+process.env.STORAGE_DRIVER = 'memory';
+process.env.API_KEY_ENCRYPTION_SECRET = 'integration test secret';
+delete process.env.AUTH_REQUIRED;
+
+const request = require('supertest');
+const express = require('express');
+const routes = require('../../routes');
+const { errorHandler } = require('../../middleware');
+
+describe('Settings Integration Tests', () => {
+  const apiKey = 'sk-proj-abcdefghijklmnop1234';
+  let app;
+  let auth;
+  
+  beforeAll(async () => {
+    app = express();
+    app.use(express.json({ limit: '10mb' }));
+    app.use('/api', routes);
+    app.use(errorHandler);
+    
+    const registered = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'alice', password: 'correct horse' });
+    auth = `Bearer ${registered.body.token}`;
+  });
+  
+  it('should require signing in', async () => {
+    const response = await request(app).get('/api/settings/api-key');
+    
+    expect(response.status).toBe(401);
+  });
+  
+  it('should store, describe and remove the user\'s own API key without returning it', async () => {
+    const initial = await request(app).get('/api/settings/api-key').set('Authorization', auth);
+    expect(initial.status).toBe(200);
+    expect(initial.body).toMatchObject({ configured: false, storageEnabled: true, serverKeyAllowed: true });
+    
+    const saved = await request(app).put('/api/settings/api-key').set('Authorization', auth).send({ apiKey });
+    expect(saved.status).toBe(200);
+    expect(saved.body).toMatchObject({ configured: true, last4: '1234' });
+    expect(JSON.stringify(saved.body)).not.toContain(apiKey);
+    
+    // Generations keep working with a stored key
+    const generated = await request(app)
+      .post('/api/images/generate')
+      .set('Authorization', auth)
+      .send({ prompt: 'A lighthouse at dusk', size: '1024x1024', quality: 'low', background: 'auto' });
+    expect(generated.status).toBe(200);
+    
+    const removed = await request(app).delete('/api/settings/api-key').set('Authorization', auth);
+    expect(removed.status).toBe(200);
+    expect(removed.body).toMatchObject({ configured: false, last4: null });
+  });
+  
+  it('should reject malformed keys', async () => {
+    const response = await request(app)
+      .put('/api/settings/api-key')
+      .set('Authorization', auth)
+      .send({ apiKey: 'not-a-key' });
+    
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('INVALID_API_KEY_REQUEST');
+  });
+});
\ No newline at end of file
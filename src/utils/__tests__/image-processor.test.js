@@ -1,7 +1,35 @@
 const fs = require('fs');
-const { fileToBase64, validateImageFile, createDataURL } = require('../image-processor');
+const sharp = require('sharp');
+const { fileToBase64, validateImageFile, createDataURL, readImageDimensions, validateMask, sanitizeImage } = require('../image-processor');
+const { encodePng, pngChunk } = require('../placeholder-image');
 const { BadRequestError } = require('../error');
 
+// Build little-endian EXIF data with an orientation tag and a GPS position
+const createExif = (orientation) => {
+  const gps = Buffer.from('GPS 51.5007N 0.1246W', 'ascii');
+  const tiff = Buffer.alloc(38);
+  tiff.write('II', 0, 'ascii');
+  tiff.writeUInt16LE(42, 2);
+  tiff.writeUInt32LE(8, 4);
+  tiff.writeUInt16LE(2, 8);
+  tiff.writeUInt16LE(0x0112, 10);
+  tiff.writeUInt16LE(3, 12);
+  tiff.writeUInt32LE(1, 14);
+  tiff.writeUInt16LE(orientation, 18);
+  tiff.writeUInt16LE(0x8825, 22);
+  tiff.writeUInt16LE(4, 24);
+  tiff.writeUInt32LE(1, 26);
+  tiff.writeUInt32LE(38, 30);
+  return Buffer.concat([tiff, gps]);
+};
+
+// Build a JPEG segment
+const jpegSegment = (marker, payload) => {
+  const header = Buffer.from([0xFF, marker, 0, 0]);
+  header.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([header, payload]);
+};
+
 // Mock fs module
 jest.mock('fs', () => ({
   readFile: jest.fn(),
@@ -187,4 +215,160 @@ describe('Image Processor Utility', () => {
       expect(result).toBe('data:image/png;base64,dGVzdC1pbWFnZS1jb250ZW50');
     });
   });
+  
+  describe('readImageDimensions', () => {
+    it('should read the size of PNG, JPEG, WebP and GIF images', () => {
+      const jpeg = Buffer.from('ffd8ffe000104a46494600010100000100010000ffc0001108012c01f403012200021101031101', 'hex');
+      const webp = Buffer.concat([Buffer.from('RIFF\0\0\0\0WEBPVP8X', 'ascii'), Buffer.alloc(8), Buffer.from([0xFF, 0x03, 0x00, 0x7F, 0x02, 0x00])]);
+      const gif = Buffer.concat([Buffer.from('GIF89a', 'ascii'), Buffer.from([0x40, 0x00, 0x20, 0x00]), Buffer.alloc(4)]);
+      
+      expect(readImageDimensions(encodePng(3, 2, Buffer.alloc(24)))).toEqual({ width: 3, height: 2 });
+      expect(readImageDimensions(jpeg)).toEqual({ width: 500, height: 300 });
+      expect(readImageDimensions(webp)).toEqual({ width: 1024, height: 640 });
+      expect(readImageDimensions(gif)).toEqual({ width: 64, height: 32 });
+      expect(readImageDimensions(Buffer.from('not an image at all'))).toBeNull();
+    });
+  });
+  
+  describe('sanitizeImage', () => {
+    const png = encodePng(3, 2, Buffer.alloc(24));
+    
+    it('should reject files by their content rather than their declared type', async () => {
+      const gif = Buffer.concat([Buffer.from('GIF89a', 'ascii'), Buffer.from([0x40, 0x00, 0x20, 0x00]), Buffer.alloc(4)]);
+      
+      await expect(sanitizeImage(Buffer.from('<svg onload="alert(1)"></svg>'))).rejects.toMatchObject({ code: 'UNRECOGNIZED_IMAGE_CONTENT' });
+      await expect(sanitizeImage(gif)).rejects.toMatchObject({ code: 'INVALID_FILE_TYPE' });
+      await expect(sanitizeImage(png.subarray(0, 30))).rejects.toMatchObject({ code: 'CORRUPT_IMAGE' });
+      await expect(sanitizeImage(png)).resolves.toEqual({ data: png, mimeType: 'image/png', width: 3, height: 2 });
+    });
+    
+    it('should reject images larger than the pixel limits', async () => {
+      await expect(sanitizeImage(png, { maxDimension: 2 })).rejects.toMatchObject({
+        statusCode: 400,
+        code: 'IMAGE_DIMENSIONS_TOO_LARGE'
+      });
+      await expect(sanitizeImage(png, { maxPixels: 5 })).rejects.toMatchObject({ code: 'IMAGE_DIMENSIONS_TOO_LARGE' });
+    });
+    
+    it('should strip all JPEG metadata of an upright image without touching its pixels', async () => {
+      const jfif = jpegSegment(0xE0, Buffer.from('4a46494600010100000100010000', 'hex'));
+      const frame = jpegSegment(0xC0, Buffer.from('08012c01f403012200021101031101', 'hex'));
+      const scan = Buffer.from('ffda000c03010002110311003f00d2cf20ffd9', 'hex');
+      const jpeg = Buffer.concat([
+        Buffer.from([0xFF, 0xD8]),
+        jfif,
+        jpegSegment(0xE1, Buffer.concat([Buffer.from('Exif\0\0', 'binary'), createExif(1)])),
+        jpegSegment(0xE1, Buffer.from('http://ns.adobe.com/xap/1.0/\0<x:xmpmeta/>', 'binary')),
+        jpegSegment(0xFE, Buffer.from('Taken at home', 'ascii')),
+        frame,
+        scan
+      ]);
+      
+      const result = await sanitizeImage(jpeg);
+      
+      expect(result).toMatchObject({ mimeType: 'image/jpeg', width: 500, height: 300 });
+      expect(result.data).toEqual(Buffer.concat([Buffer.from([0xFF, 0xD8]), jfif, frame, scan]));
+    });
+    
+    it('should strip PNG metadata and anything after the end of the image', async () => {
+      const iend = png.subarray(-12);
+      const tagged = Buffer.concat([
+        png.subarray(0, 33),
+        pngChunk('eXIf', createExif(1)),
+        pngChunk('tEXt', Buffer.from('Comment\0GPS 51.5007N', 'binary')),
+        png.subarray(33),
+        Buffer.from('<?php echo "hidden"; ?>', 'ascii')
+      ]);
+      
+      const result = await sanitizeImage(tagged);
+      expect(result.data).toEqual(png);
+      expect(result.data.subarray(-12)).toEqual(iend);
+    });
+    
+    it('should rotate the pixels of images that are not upright and drop the orientation tag', async () => {
+      // Red on the left half and blue on the right, shown turned a quarter clockwise (orientation 6)
+      const pixels = Buffer.alloc(4 * 2 * 4);
+      for (let index = 0; index < 8; index++) {
+        pixels[index * 4 + (index % 4 < 2 ? 0 : 2)] = 255;
+        pixels[index * 4 + 3] = 255;
+      }
+      const stored = encodePng(4, 2, pixels);
+      const rotated = Buffer.concat([stored.subarray(0, 33), pngChunk('eXIf', createExif(6)), stored.subarray(33)]);
+      
+      const result = await sanitizeImage(rotated);
+      
+      expect(result).toMatchObject({ mimeType: 'image/png', width: 2, height: 4 });
+      expect(readImageDimensions(result.data)).toEqual({ width: 2, height: 4 });
+      expect(result.data.toString('binary')).not.toMatch(/eXIf|GPS/);
+      
+      // What was the left half is now the top half
+      const upright = await sharp(result.data).raw().toBuffer();
+      expect([...upright.subarray(0, 4)]).toEqual([255, 0, 0, 255]);
+      expect([...upright.subarray(-4)]).toEqual([0, 0, 255, 255]);
+    });
+    
+    it('should reject images that are not upright and whose pixels cannot be decoded', async () => {
+      const rotated = Buffer.concat([
+        png.subarray(0, 33),
+        pngChunk('eXIf', createExif(8)),
+        pngChunk('IDAT', Buffer.from('not compressed pixels', 'ascii')),
+        png.subarray(-12)
+      ]);
+      
+      await expect(sanitizeImage(rotated)).rejects.toMatchObject({ code: 'CORRUPT_IMAGE' });
+    });
+    
+    it('should strip WebP metadata and update the header flags', async () => {
+      const chunk = (fourcc, payload) => {
+        const header = Buffer.alloc(8);
+        header.write(fourcc, 0, 'ascii');
+        header.writeUInt32LE(payload.length, 4);
+        return Buffer.concat([header, payload, Buffer.alloc(payload.length % 2)]);
+      };
+      const vp8x = Buffer.concat([Buffer.from([0x0C, 0, 0, 0]), Buffer.from([0xFF, 0x03, 0x00, 0x7F, 0x02, 0x00])]);
+      const body = Buffer.concat([
+        Buffer.from('WEBP', 'ascii'),
+        chunk('VP8X', vp8x),
+        chunk('VP8L', Buffer.from([0x2F, 0, 0, 0, 0])),
+        chunk('EXIF', createExif(1)),
+        chunk('XMP ', Buffer.from('<x:xmpmeta/>', 'ascii'))
+      ]);
+      const header = Buffer.from('RIFF\0\0\0\0', 'binary');
+      header.writeUInt32LE(body.length, 4);
+      
+      const result = await sanitizeImage(Buffer.concat([header, body]));
+      
+      expect(result).toMatchObject({ mimeType: 'image/webp', width: 1024, height: 640 });
+      expect(result.data.toString('binary')).not.toMatch(/EXIF|GPS|xmpmeta/);
+      expect(result.data.readUInt32LE(4)).toBe(result.data.length - 8);
+      expect(result.data[20]).toBe(0x00);
+      expect(readImageDimensions(result.data)).toEqual({ width: 1024, height: 640 });
+    });
+  });
+  
+  describe('validateMask', () => {
+    const image = encodePng(4, 4, Buffer.alloc(64));
+    
+    it('should accept a PNG mask with an alpha channel at the image size', () => {
+      expect(validateMask(image.toString('base64'), `data:image/png;base64,${encodePng(4, 4, Buffer.alloc(64)).toString('base64')}`)).toBe(true);
+    });
+    
+    it('should reject masks without an alpha channel', () => {
+      // Same PNG, with the color type changed from RGBA (6) to RGB (2)
+      const opaque = Buffer.from(encodePng(4, 4, Buffer.alloc(64)));
+      opaque[25] = 2;
+      
+      expect(() => validateMask(image, opaque)).toThrow(expect.objectContaining({
+        code: 'INVALID_MASK',
+        details: { mask: 'Mask must have an alpha channel; its transparent areas mark what to replace' }
+      }));
+    });
+    
+    it('should reject masks of a different size than the image', () => {
+      expect(() => validateMask(image, encodePng(2, 4, Buffer.alloc(32)))).toThrow(expect.objectContaining({
+        code: 'INVALID_MASK',
+        details: { mask: 'Mask is 2x4 but the image is 4x4' }
+      }));
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,79 @@
+const zlib = require('zlib');
+const { renderPlaceholderImage, encodePng } = require('../placeholder-image');
+
+/**
+ * Decode a PNG written by encodePng (RGBA, 8-bit, no filtering)
+ * @param {Buffer} png - PNG file
+ * @returns {Object} Width, height and RGBA pixels
+ */
+function decodePng(png) {
+  let offset = 8;
+  let width;
+  let height;
+  const idat = [];
+  
+  while (offset < png.length) {
+    const length = png.readUInt32BE(offset);
+    const type = png.toString('ascii', offset + 4, offset + 8);
+    const data = png.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      width = data.readUInt32BE(0);
+      height = data.readUInt32BE(4);
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    }
+    offset += length + 12;
+  }
+  
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const pixels = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    raw.copy(pixels, y * width * 4, y * (width * 4 + 1) + 1, (y + 1) * (width * 4 + 1));
+  }
+  
+  return { width, height, pixels };
+}
+
+describe('Placeholder Image Utility', () => {
+  it('should encode pixels as a valid PNG', () => {
+    const pixels = Buffer.from([255, 0, 0, 255, 0, 255, 0, 128]);
+    
+    const png = encodePng(2, 1, pixels);
+    
+    expect(png.subarray(0, 8)).toEqual(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]));
+    expect(decodePng(png)).toEqual({ width: 2, height: 1, pixels });
+  });
+  
+  it('should render the requested size', () => {
+    const { width, height } = decodePng(renderPlaceholderImage({ text: 'A tall tower', width: 64, height: 96 }));
+    
+    expect(width).toBe(64);
+    expect(height).toBe(96);
+  });
+  
+  it('should be deterministic for the same text and differ for other text', () => {
+    const first = renderPlaceholderImage({ text: 'A red fox', width: 64, height: 64 });
+    const second = renderPlaceholderImage({ text: 'A red fox', width: 64, height: 64 });
+    const other = renderPlaceholderImage({ text: 'A blue whale', width: 64, height: 64 });
+    
+    expect(first.equals(second)).toBe(true);
+    expect(first.equals(other)).toBe(false);
+  });
+  
+  it('should leave the corners transparent for transparent backgrounds', () => {
+    const { pixels } = decodePng(renderPlaceholderImage({ text: 'A logo', width: 64, height: 64, transparent: true }));
+    const center = ((32 * 64) + 32) * 4;
+    
+    expect(pixels[3]).toBe(0);
+    expect(pixels[center + 3]).toBe(255);
+  });
+  
+  it('should pixelate previews into blocks', () => {
+    const { pixels } = decodePng(renderPlaceholderImage({ text: 'A red fox', width: 64, height: 64, blockSize: 16 }));
+    
+    // Every pixel in a block matches the block's top-left pixel
+    const topLeft = pixels.subarray(0, 4);
+    expect(pixels.subarray(15 * 4, 16 * 4)).toEqual(topLeft);
+    expect(pixels.subarray((15 * 64) * 4, (15 * 64 + 1) * 4)).toEqual(topLeft);
+  });
+});
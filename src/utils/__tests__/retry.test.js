@@ -0,0 +1,123 @@
+const { withRetry, isRetryableError, getRetryAfterDelay, getBackoffDelay } = require('../retry');
+
+// Silence retry logs
+jest.mock('../logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn()
+}));
+
+// Build an error shaped like the OpenAI SDK's APIError
+const apiError = (status, headers = {}, extra = {}) => Object.assign(new Error(`${status} error`), { status, headers, ...extra });
+
+describe('Retry Utility', () => {
+  const fastRetry = { maxRetries: 3, initialDelay: 1, maxDelay: 20 };
+  
+  describe('isRetryableError', () => {
+    it('should retry rate limits, timeouts, server errors and connection errors', () => {
+      expect(isRetryableError(apiError(429))).toBe(true);
+      expect(isRetryableError(apiError(408))).toBe(true);
+      expect(isRetryableError(apiError(500))).toBe(true);
+      expect(isRetryableError(apiError(503))).toBe(true);
+      expect(isRetryableError(Object.assign(new Error('socket hang up'), { name: 'APIConnectionError' }))).toBe(true);
+    });
+    
+    it('should not retry client errors, exhausted quotas or aborted requests', () => {
+      expect(isRetryableError(apiError(400))).toBe(false);
+      expect(isRetryableError(apiError(401))).toBe(false);
+      expect(isRetryableError(apiError(429, {}, { code: 'insufficient_quota' }))).toBe(false);
+      expect(isRetryableError(Object.assign(new Error('aborted'), { name: 'APIUserAbortError' }))).toBe(false);
+      expect(isRetryableError(new Error('Unknown'))).toBe(false);
+    });
+  });
+  
+  describe('getRetryAfterDelay', () => {
+    it('should read retry-after-ms, retry-after seconds and HTTP dates', () => {
+      expect(getRetryAfterDelay(apiError(429, { 'retry-after-ms': '250' }))).toBe(250);
+      expect(getRetryAfterDelay(apiError(429, { 'retry-after': '2' }))).toBe(2000);
+      
+      const date = new Date(Date.now() + 5000).toUTCString();
+      const delay = getRetryAfterDelay(apiError(429, { 'retry-after': date }));
+      expect(delay).toBeGreaterThan(3000);
+      expect(delay).toBeLessThanOrEqual(5000);
+    });
+    
+    it('should return null without a usable header', () => {
+      expect(getRetryAfterDelay(apiError(429))).toBeNull();
+      expect(getRetryAfterDelay(apiError(429, { 'retry-after': 'soon' }))).toBeNull();
+      expect(getRetryAfterDelay(new Error('No headers'))).toBeNull();
+    });
+  });
+  
+  describe('getBackoffDelay', () => {
+    it('should grow exponentially with jitter and stay within maxDelay', () => {
+      for (let retry = 1; retry <= 6; retry++) {
+        const expected = Math.min(1000 * 2 ** (retry - 1), 10000);
+        const delay = getBackoffDelay(retry, { initialDelay: 1000, maxDelay: 10000 });
+        expect(delay).toBeGreaterThanOrEqual(expected / 2);
+        expect(delay).toBeLessThanOrEqual(expected);
+      }
+    });
+  });
+  
+  describe('withRetry', () => {
+    it('should return the result and a single attempt when the first call succeeds', async () => {
+      const operation = jest.fn().mockResolvedValue('ok');
+      
+      await expect(withRetry(operation, fastRetry)).resolves.toEqual({ result: 'ok', attempts: 1 });
+      expect(operation).toHaveBeenCalledWith(1);
+    });
+    
+    it('should retry transient failures and count the attempts', async () => {
+      const operation = jest.fn()
+        .mockRejectedValueOnce(apiError(429))
+        .mockRejectedValueOnce(apiError(502))
+        .mockResolvedValue('ok');
+      
+      await expect(withRetry(operation, fastRetry)).resolves.toEqual({ result: 'ok', attempts: 3 });
+      expect(operation).toHaveBeenCalledTimes(3);
+    });
+    
+    it('should give up after maxRetries and report the attempts on the error', async () => {
+      const operation = jest.fn().mockRejectedValue(apiError(500));
+      
+      await expect(withRetry(operation, fastRetry)).rejects.toMatchObject({ status: 500, attempts: 4 });
+      expect(operation).toHaveBeenCalledTimes(4);
+    });
+    
+    it('should not retry errors that are not transient', async () => {
+      const operation = jest.fn().mockRejectedValue(apiError(400));
+      
+      await expect(withRetry(operation, fastRetry)).rejects.toMatchObject({ status: 400, attempts: 1 });
+      expect(operation).toHaveBeenCalledTimes(1);
+    });
+    
+    it('should not wait longer than maxDelay for a Retry-After header', async () => {
+      const operation = jest.fn().mockRejectedValue(apiError(429, { 'retry-after': '60' }));
+      
+      await expect(withRetry(operation, fastRetry)).rejects.toMatchObject({ attempts: 1 });
+      expect(operation).toHaveBeenCalledTimes(1);
+    });
+    
+    it('should wait for the delay from a Retry-After header', async () => {
+      const operation = jest.fn()
+        .mockRejectedValueOnce(apiError(429, { 'retry-after-ms': '15' }))
+        .mockResolvedValue('ok');
+      
+      const start = Date.now();
+      await withRetry(operation, fastRetry);
+      
+      expect(Date.now() - start).toBeGreaterThanOrEqual(10);
+    });
+    
+    it('should stop retrying once the signal aborts', async () => {
+      const controller = new AbortController();
+      const operation = jest.fn().mockImplementation(async () => {
+        controller.abort();
+        throw apiError(503);
+      });
+      
+      await expect(withRetry(operation, { ...fastRetry, signal: controller.signal })).rejects.toMatchObject({ status: 503 });
+      expect(operation).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -1,7 +1,10 @@
 const { 
   validateChatRequest, 
   validateGenerateRequest, 
-  validateEditRequest 
+  validateEditRequest,
+  validateUsageQuery,
+  validatePresetRequest,
+  validateEnhanceRequest
 } = require('../validators');
 const { ValidationError } = require('../error');
 
@@ -123,6 +126,21 @@ describe('Validators', () => {
         });
       }
     });
+    
+    it('should throw ValidationError if the output format of generated images is invalid', () => {
+      expect(() => validateChatRequest({ message: 'Draw a cat', output_format: 'bmp' })).toThrow(expect.objectContaining({
+        code: 'INVALID_CHAT_REQUEST',
+        details: { output_format: 'output_format must be one of: png, jpeg, webp' }
+      }));
+    });
+    
+    it('should throw ValidationError if the style preset of generated images is malformed', () => {
+      expect(validateChatRequest({ message: 'Draw a cat', preset: 'flat-vector' }).preset).toBe('flat-vector');
+      expect(() => validateChatRequest({ message: 'Draw a cat', preset: '../flat' })).toThrow(expect.objectContaining({
+        code: 'INVALID_CHAT_REQUEST',
+        details: { preset: 'preset must be 1-64 letters, digits, underscores or hyphens' }
+      }));
+    });
   });
   
   describe('validateGenerateRequest', () => {
@@ -257,6 +275,32 @@ describe('Validators', () => {
       }
     });
     
+    it('should accept an output format with a compression level for jpeg and webp', () => {
+      const validRequest = { prompt: 'A beautiful landscape', output_format: 'webp', output_compression: 75 };
+      
+      expect(validateGenerateRequest(validRequest)).toEqual(validRequest);
+      expect(validateGenerateRequest({ prompt: 'A beautiful landscape', output_format: 'png' })).toBeTruthy();
+    });
+    
+    it('should throw ValidationError if the output format or compression is invalid', () => {
+      expect(() => validateGenerateRequest({ prompt: 'A landscape', output_format: 'gif' })).toThrow(expect.objectContaining({
+        details: { output_format: 'output_format must be one of: png, jpeg, webp' }
+      }));
+      expect(() => validateGenerateRequest({ prompt: 'A landscape', output_format: 'jpeg', output_compression: 101 })).toThrow(expect.objectContaining({
+        details: { output_compression: 'output_compression must be an integer between 0 and 100' }
+      }));
+      expect(() => validateGenerateRequest({ prompt: 'A landscape', output_compression: 50 })).toThrow(expect.objectContaining({
+        details: { output_compression: 'output_compression requires an output_format of jpeg or webp' }
+      }));
+    });
+    
+    it('should accept a style preset ID and reject malformed ones', () => {
+      expect(validateGenerateRequest({ prompt: 'A landscape', preset: 'preset_1_abc' })).toBeTruthy();
+      expect(() => validateGenerateRequest({ prompt: 'A landscape', preset: 42 })).toThrow(expect.objectContaining({
+        details: { preset: 'preset must be 1-64 letters, digits, underscores or hyphens' }
+      }));
+    });
+    
     it('should throw ValidationError with multiple errors', () => {
       const invalidRequest = {
         prompt: 123,
@@ -278,6 +322,45 @@ describe('Validators', () => {
     });
   });
   
+  describe('validatePresetRequest', () => {
+    it('should keep the preset fields, trimming the name', () => {
+      expect(validatePresetRequest({ name: ' Blueprint ', template: '{prompt}, blueprint', quality: 'low', extra: true }))
+        .toEqual({ name: 'Blueprint', template: '{prompt}, blueprint', quality: 'low' });
+    });
+    
+    it('should reject missing names, templates without a placeholder and unknown defaults', () => {
+      try {
+        validatePresetRequest({ name: ' ', template: 'blueprint', size: '512x512', background: 'none' });
+        throw new Error('Expected a validation error');
+      } catch (error) {
+        expect(error).toBeInstanceOf(ValidationError);
+        expect(error.code).toBe('INVALID_PRESET_REQUEST');
+        expect(Object.keys(error.details)).toEqual(['name', 'template', 'size', 'background']);
+      }
+    });
+  });
+  
+  describe('validateEnhanceRequest', () => {
+    it('should trim the prompt and default to one suggestion', () => {
+      expect(validateEnhanceRequest({ prompt: ' a fox ' }, { maxSuggestions: 4 })).toEqual({ prompt: 'a fox', n: 1 });
+      expect(validateEnhanceRequest({ prompt: 'a fox', n: 4 }, { maxSuggestions: 4 })).toEqual({ prompt: 'a fox', n: 4 });
+    });
+    
+    it('should reject missing prompts and too many suggestions', () => {
+      try {
+        validateEnhanceRequest({ prompt: ' ', n: 5 }, { maxSuggestions: 4 });
+        throw new Error('Expected a validation error');
+      } catch (error) {
+        expect(error).toBeInstanceOf(ValidationError);
+        expect(error.code).toBe('INVALID_ENHANCE_REQUEST');
+        expect(error.details).toEqual({
+          prompt: 'Prompt is required',
+          n: 'n must be an integer between 1 and 4'
+        });
+      }
+    });
+  });
+  
   describe('validateEditRequest', () => {
     it('should validate a valid edit request', () => {
       const validRequest = {
@@ -415,6 +498,54 @@ describe('Validators', () => {
       }
     });
     
+    it('should check size, quality and background as generation requests do', () => {
+      const options = { size: '512x512', quality: 'hd', background: 'none' };
+      
+      const generateErrors = (() => {
+        try {
+          validateGenerateRequest({ prompt: 'A cat', ...options });
+        } catch (error) {
+          return error.details;
+        }
+      })();
+      
+      try {
+        validateEditRequest({ image: 'image-id', prompt: 'A cat', ...options });
+        throw new Error('Expected a validation error');
+      } catch (error) {
+        expect(error.code).toBe('INVALID_EDIT_REQUEST');
+        expect(error.details).toEqual(generateErrors);
+      }
+    });
+    
+    it('should throw ValidationError if conversationId is invalid', () => {
+      const invalidRequest = {
+        image: 'image-id',
+        prompt: 'Add mountains in the background',
+        conversationId: 'not a valid id!'
+      };
+      
+      expect(() => validateEditRequest(invalidRequest)).toThrow(ValidationError);
+      
+      try {
+        validateEditRequest(invalidRequest);
+      } catch (error) {
+        expect(error.details).toEqual({ conversationId: 'conversationId must be 1-128 letters, digits, underscores or hyphens' });
+      }
+    });
+    
+    it('should throw ValidationError if the output compression does not fit the output format', () => {
+      expect(() => validateEditRequest({
+        image: 'image-id',
+        prompt: 'Add mountains in the background',
+        output_format: 'png',
+        output_compression: 80
+      })).toThrow(expect.objectContaining({
+        code: 'INVALID_EDIT_REQUEST',
+        details: { output_compression: 'output_compression requires an output_format of jpeg or webp' }
+      }));
+    });
+    
     it('should throw ValidationError with multiple errors', () => {
       const invalidRequest = {
         prompt: 123,
@@ -436,4 +567,34 @@ describe('Validators', () => {
       }
     });
   });
+  
+  describe('validateUsageQuery', () => {
+    it('should default to the last seven days', () => {
+      const today = new Date().toISOString().slice(0, 10);
+      const result = validateUsageQuery({}, { maxDays: 366 });
+      
+      expect(result.period).toBe('day');
+      expect(result.to).toBe(today);
+      expect((Date.parse(result.to) - Date.parse(result.from)) / 86400000).toBe(6);
+    });
+    
+    it('should accept a week period with an explicit range', () => {
+      expect(validateUsageQuery({ period: 'week', from: '2026-09-01', to: '2026-10-19', userId: 'alice' }, { maxDays: 366 }))
+        .toEqual({ period: 'week', from: '2026-09-01', to: '2026-10-19', userId: 'alice' });
+    });
+    
+    it('should reject invalid periods, dates and ranges', () => {
+      try {
+        validateUsageQuery({ period: 'month', from: '2026-13-45', to: 'yesterday' }, { maxDays: 366 });
+        throw new Error('Expected a validation error');
+      } catch (error) {
+        expect(error).toBeInstanceOf(ValidationError);
+        expect(error.code).toBe('INVALID_USAGE_REQUEST');
+        expect(Object.keys(error.details)).toEqual(['period', 'to', 'from']);
+      }
+      
+      expect(() => validateUsageQuery({ from: '2026-10-19', to: '2026-10-01' }, { maxDays: 366 })).toThrow(ValidationError);
+      expect(() => validateUsageQuery({ from: '2024-01-01', to: '2026-10-01' }, { maxDays: 366 })).toThrow(ValidationError);
+    });
+  });
 });
\ No newline at end of file
@@ -49,6 +49,34 @@ class NotFoundError extends ApiError {
   }
 }
 
+/**
+ * Unauthorized Error
+ */
+class UnauthorizedError extends ApiError {
+  /**
+   * Create a new unauthorized error
+   * @param {string} message - Error message
+   * @param {string} code - Error code
+   */
+  constructor(message = 'Authentication required', code = 'UNAUTHORIZED') {
+    super(message, 401, code);
+  }
+}
+
+/**
+ * Forbidden Error
+ */
+class ForbiddenError extends ApiError {
+  /**
+   * Create a new forbidden error
+   * @param {string} message - Error message
+   * @param {string} code - Error code
+   */
+  constructor(message = 'Forbidden', code = 'FORBIDDEN') {
+    super(message, 403, code);
+  }
+}
+
 /**
  * Validation Error
  */
@@ -78,6 +106,62 @@ class OpenAIError extends ApiError {
   constructor(message = 'OpenAI API Error', code = 'OPENAI_ERROR', originalError = null) {
     super(message, 500, code);
     this.originalError = originalError;
+    
+    // Number of requests made before giving up, when the call was retried
+    if (originalError && originalError.attempts) {
+      this.attempts = originalError.attempts;
+    }
+  }
+}
+
+/**
+ * Image provider Error
+ */
+class ProviderError extends ApiError {
+  /**
+   * Create a new image provider error
+   * @param {string} message - Error message
+   * @param {string} code - Error code
+   * @param {Object} originalError - Original error from the provider
+   */
+  constructor(message = 'Image provider error', code = 'PROVIDER_ERROR', originalError = null) {
+    super(message, 502, code);
+    this.originalError = originalError;
+    
+    // Number of requests made before giving up, when the call was retried
+    if (originalError && originalError.attempts) {
+      this.attempts = originalError.attempts;
+    }
+  }
+}
+
+/**
+ * Quota Exceeded Error
+ */
+class QuotaExceededError extends ApiError {
+  /**
+   * Create a new quota exceeded error
+   * @param {string} message - Error message
+   * @param {Object} quota - Budget, amount used, remaining budget, cost of the refused request and reset time
+   */
+  constructor(message = 'Usage quota exceeded', quota = null) {
+    super(message, 429, 'QUOTA_EXCEEDED');
+    this.quota = quota;
+  }
+}
+
+/**
+ * Prompt Rejected Error
+ */
+class PromptRejectedError extends ApiError {
+  /**
+   * Create a new prompt rejected error
+   * @param {string} message - Error message
+   * @param {Array} categories - Moderation categories the prompt was flagged for
+   */
+  constructor(message = 'The prompt was rejected by content moderation', categories = []) {
+    super(message, 400, 'PROMPT_REJECTED');
+    this.categories = categories;
   }
 }
 
@@ -85,6 +169,11 @@ module.exports = {
   ApiError,
   BadRequestError,
   NotFoundError,
+  UnauthorizedError,
+  ForbiddenError,
   ValidationError,
-  OpenAIError
+  OpenAIError,
+  ProviderError,
+  QuotaExceededError,
+  PromptRejectedError
 };
\ No newline at end of file
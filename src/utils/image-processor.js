@@ -4,11 +4,40 @@
 
 const fs = require('fs');
 const { promisify } = require('util');
-const { BadRequestError } = require('./error');
+const sharp = require('sharp');
+const { BadRequestError, ValidationError } = require('./error');
+const { pngChunk } = require('./placeholder-image');
 
 // Promisify fs functions
 const readFile = promisify(fs.readFile);
 
+// Default limits on the pixel size of uploaded images
+const DEFAULT_MAX_DIMENSION = 8192;
+const DEFAULT_MAX_PIXELS = 40 * 1000 * 1000;
+
+// EXIF tag holding how the camera was held, which viewers apply when displaying the image
+const ORIENTATION_TAG = 0x0112;
+
+// EXIF orientations that turn the image a quarter, so its width and height swap once it is upright
+const TRANSPOSING_ORIENTATIONS = [5, 6, 7, 8];
+
+// Header in front of the TIFF data of JPEG APP1 segments (and some WebP EXIF chunks)
+const EXIF_HEADER = Buffer.from('Exif\0\0', 'binary');
+
+// PNG chunks that only carry metadata: EXIF, text and the modification time
+const PNG_METADATA_CHUNKS = ['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME'];
+
+// MIME types of the formats images can be generated in, keyed by the output_format parameter
+const OUTPUT_MIME_TYPES = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp'
+};
+
+// VP8X header flags of the WebP EXIF and XMP chunks
+const WEBP_EXIF_FLAG = 0x08;
+const WEBP_XMP_FLAG = 0x04;
+
 /**
  * Convert image file to base64
  * @param {Object} file - File object from multer
@@ -67,8 +96,488 @@ function createDataURL(base64, mimeType) {
   return `data:${mimeType};base64,${base64}`;
 }
 
+/**
+ * Detect the type of an image from its leading bytes
+ * @param {Buffer} data - Image bytes
+ * @returns {string|null} MIME type (PNG, JPEG, WebP or GIF), or null if unrecognized
+ */
+function detectImageType(data) {
+  if (!data || data.length < 12) {
+    return null;
+  }
+  
+  if (data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (data.toString('ascii', 0, 4) === 'RIFF' && data.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  if (/^GIF8[79]a$/.test(data.toString('ascii', 0, 6))) {
+    return 'image/gif';
+  }
+  
+  return null;
+}
+
+/**
+ * Decode an image given as a Buffer, base64 string or data URL
+ * @param {Buffer|string} data - Image data
+ * @returns {Buffer} Image bytes
+ */
+function decodeImageData(data) {
+  if (Buffer.isBuffer(data)) {
+    return data;
+  }
+  
+  const text = String(data || '');
+  const match = /^data:[^,]*,/.exec(text);
+  return Buffer.from(match ? text.slice(match[0].length) : text, 'base64');
+}
+
+/**
+ * Get the MIME type of a generated or edited image
+ * The type is read from the bytes, so it is right whatever the provider produced; the requested output
+ * format is only used for data that is not recognized
+ * @param {Buffer|string} data - Image bytes, base64 string or data URL
+ * @param {string} outputFormat - Requested output format ('png', 'jpeg' or 'webp', optional)
+ * @returns {string} MIME type (image/png if neither tells)
+ */
+function getImageMimeType(data, outputFormat) {
+  return detectImageType(decodeImageData(data)) || OUTPUT_MIME_TYPES[outputFormat] || 'image/png';
+}
+
+/**
+ * Read the pixel dimensions of an image from its header
+ * @param {Buffer} data - Image bytes
+ * @returns {Object|null} Width and height, or null if the format is unrecognized or the header is truncated
+ */
+function readImageDimensions(data) {
+  const type = detectImageType(data);
+  
+  if (type === 'image/png' && data.length >= 24) {
+    return { width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+  }
+  
+  if (type === 'image/gif') {
+    return { width: data.readUInt16LE(6), height: data.readUInt16LE(8) };
+  }
+  
+  if (type === 'image/webp' && data.length >= 30) {
+    const chunk = data.toString('ascii', 12, 16);
+    if (chunk === 'VP8X') {
+      return { width: data.readUIntLE(24, 3) + 1, height: data.readUIntLE(27, 3) + 1 };
+    }
+    if (chunk === 'VP8L') {
+      const bits = data.readUInt32LE(21);
+      return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+    }
+    if (chunk === 'VP8 ') {
+      return { width: data.readUInt16LE(26) & 0x3FFF, height: data.readUInt16LE(28) & 0x3FFF };
+    }
+    return null;
+  }
+  
+  if (type === 'image/jpeg') {
+    // Walk the marker segments up to the start-of-frame, which holds the dimensions
+    let offset = 2;
+    while (offset + 9 < data.length) {
+      if (data[offset] !== 0xFF) {
+        return null;
+      }
+      const marker = data[offset + 1];
+      const isStartOfFrame = marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker);
+      if (isStartOfFrame) {
+        return { width: data.readUInt16BE(offset + 7), height: data.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + data.readUInt16BE(offset + 2);
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Check whether a PNG image has an alpha channel (RGBA, grayscale with alpha or a tRNS chunk)
+ * @param {Buffer} data - PNG bytes
+ * @returns {boolean} True if the image can have transparent pixels
+ */
+function hasAlphaChannel(data) {
+  if (detectImageType(data) !== 'image/png' || data.length < 26) {
+    return false;
+  }
+  
+  // Color types 4 and 6 carry alpha; others can still declare transparency in a tRNS chunk
+  const colorType = data[25];
+  return colorType === 4 || colorType === 6 || data.indexOf('tRNS', 33, 'ascii') !== -1;
+}
+
+/**
+ * Check that an edit mask can be used with its source image
+ * Masks must be PNGs with an alpha channel, whose transparent pixels mark the areas to replace,
+ * at the same pixel dimensions as the image
+ * @param {Buffer|string} image - Source image (Buffer, base64 string or data URL)
+ * @param {Buffer|string} mask - Mask (Buffer, base64 string or data URL)
+ * @returns {boolean} True if valid, throws error if invalid
+ * @throws {ValidationError} If the mask is not a PNG, has no alpha channel or does not match the image size
+ */
+function validateMask(image, mask) {
+  const maskData = decodeImageData(mask);
+  const invalid = (message) => new ValidationError('Invalid mask', 'INVALID_MASK', { mask: message });
+  
+  if (detectImageType(maskData) !== 'image/png') {
+    throw invalid('Mask must be a PNG image');
+  }
+  if (!hasAlphaChannel(maskData)) {
+    throw invalid('Mask must have an alpha channel; its transparent areas mark what to replace');
+  }
+  
+  // Images in formats whose size cannot be read are left for the provider to check
+  const imageSize = readImageDimensions(decodeImageData(image));
+  const maskSize = readImageDimensions(maskData);
+  if (imageSize && (imageSize.width !== maskSize.width || imageSize.height !== maskSize.height)) {
+    throw invalid(`Mask is ${maskSize.width}x${maskSize.height} but the image is ${imageSize.width}x${imageSize.height}`);
+  }
+  
+  return true;
+}
+
+/**
+ * Read the orientation tag from EXIF data
+ * @param {Buffer} exif - EXIF data, starting at its TIFF header or at an "Exif" header
+ * @returns {number} Orientation (1-8), or 1 (upright) if there is none or it is invalid
+ */
+function readExifOrientation(exif) {
+  const tiff = exif.subarray(0, 6).equals(EXIF_HEADER) ? exif.subarray(6) : exif;
+  const byteOrder = tiff.toString('ascii', 0, 2);
+  if (byteOrder !== 'II' && byteOrder !== 'MM') {
+    return 1;
+  }
+  
+  const littleEndian = byteOrder === 'II';
+  const readUInt16 = offset => (littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+  const readUInt32 = offset => (littleEndian ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+  
+  try {
+    const directory = readUInt32(4);
+    const entries = readUInt16(directory);
+    for (let index = 0; index < entries; index++) {
+      const entry = directory + 2 + index * 12;
+      if (readUInt16(entry) === ORIENTATION_TAG) {
+        const orientation = readUInt16(entry + 8);
+        return orientation >= 1 && orientation <= 8 ? orientation : 1;
+      }
+    }
+  } catch (error) {
+    // Truncated EXIF data is dropped like the rest of the metadata
+  }
+  
+  return 1;
+}
+
+/**
+ * Build EXIF data holding nothing but an orientation tag
+ * @param {number} orientation - Orientation (2-8)
+ * @returns {Buffer} Big-endian TIFF header with a single-entry directory
+ */
+function createOrientationExif(orientation) {
+  const tiff = Buffer.alloc(26);
+  tiff.write('MM', 0, 'ascii');
+  tiff.writeUInt16BE(42, 2);
+  tiff.writeUInt32BE(8, 4);
+  tiff.writeUInt16BE(1, 8);
+  tiff.writeUInt16BE(ORIENTATION_TAG, 10);
+  tiff.writeUInt16BE(3, 12); // SHORT
+  tiff.writeUInt32BE(1, 14);
+  tiff.writeUInt16BE(orientation, 18);
+  return tiff;
+}
+
+/**
+ * Check whether a JPEG segment is kept when stripping metadata
+ * Only the APP segments that affect how the image is decoded are kept: JFIF, ICC color profiles and
+ * Adobe color transforms. EXIF, XMP, IPTC and comments are dropped
+ * @param {number} marker - Segment marker
+ * @param {Buffer} segment - Whole segment, from its marker
+ * @returns {boolean} True if the segment is kept
+ */
+function isKeptJpegSegment(marker, segment) {
+  const identifier = segment.toString('binary', 4, 16);
+  switch (marker) {
+    case 0xE0:
+      return identifier.startsWith('JFIF');
+    case 0xE2:
+      return identifier.startsWith('ICC_PROFILE');
+    case 0xEE:
+      return identifier.startsWith('Adobe');
+    case 0xFE:
+      return false;
+    default:
+      return marker < 0xE0 || marker > 0xEF;
+  }
+}
+
+/**
+ * Strip the metadata segments of a JPEG image
+ * @param {Buffer} data - JPEG bytes
+ * @param {Function} corrupt - Returns the error thrown for malformed images
+ * @returns {Object} Bytes without metadata and the orientation read from the EXIF data ({ data, orientation })
+ */
+function stripJpegMetadata(data, corrupt) {
+  const segments = [];
+  let orientation = 1;
+  let offset = 2;
+  
+  for (;;) {
+    if (offset + 4 > data.length || data[offset] !== 0xFF) {
+      throw corrupt();
+    }
+    
+    // Markers may be padded with fill bytes
+    while (data[offset + 1] === 0xFF && offset + 5 < data.length) {
+      offset++;
+    }
+    const marker = data[offset + 1];
+    
+    // Compressed image data follows the start of scan, up to the end of the file
+    if (marker === 0xDA) {
+      segments.push(data.subarray(offset));
+      break;
+    }
+    if (marker === 0xD9) {
+      throw corrupt();
+    }
+    
+    const end = offset + 2 + data.readUInt16BE(offset + 2);
+    if (end > data.length) {
+      throw corrupt();
+    }
+    
+    const segment = data.subarray(offset, end);
+    if (marker === 0xE1 && segment.subarray(4, 10).equals(EXIF_HEADER)) {
+      orientation = readExifOrientation(segment.subarray(10));
+    } else if (isKeptJpegSegment(marker, segment)) {
+      segments.push(segment);
+    }
+    offset = end;
+  }
+  
+  if (orientation !== 1) {
+    const exif = Buffer.concat([EXIF_HEADER, createOrientationExif(orientation)]);
+    const header = Buffer.from([0xFF, 0xE1, 0, 0]);
+    header.writeUInt16BE(exif.length + 2, 2);
+    
+    // JFIF requires its segment to come first
+    const position = segments[0] && segments[0][1] === 0xE0 ? 1 : 0;
+    segments.splice(position, 0, Buffer.concat([header, exif]));
+  }
+  
+  return { data: Buffer.concat([data.subarray(0, 2), ...segments]), orientation };
+}
+
+/**
+ * Strip the metadata chunks of a PNG image, along with anything after its end
+ * @param {Buffer} data - PNG bytes
+ * @param {Function} corrupt - Returns the error thrown for malformed images
+ * @returns {Object} Bytes without metadata and the orientation read from the eXIf chunk ({ data, orientation })
+ */
+function stripPngMetadata(data, corrupt) {
+  const chunks = [];
+  let orientation = 1;
+  let offset = 8;
+  let type = null;
+  
+  while (type !== 'IEND') {
+    if (offset + 12 > data.length) {
+      throw corrupt();
+    }
+    
+    const length = data.readUInt32BE(offset);
+    type = data.toString('ascii', offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (end > data.length || (chunks.length === 0 && type !== 'IHDR')) {
+      throw corrupt();
+    }
+    
+    if (type === 'eXIf') {
+      orientation = readExifOrientation(data.subarray(offset + 8, offset + 8 + length));
+    } else if (!PNG_METADATA_CHUNKS.includes(type)) {
+      chunks.push(data.subarray(offset, end));
+    }
+    offset = end;
+  }
+  
+  // eXIf has to come before the image data, so it goes right after the header
+  if (orientation !== 1) {
+    chunks.splice(1, 0, pngChunk('eXIf', createOrientationExif(orientation)));
+  }
+  
+  return { data: Buffer.concat([data.subarray(0, 8), ...chunks]), orientation };
+}
+
+/**
+ * Build a WebP (RIFF) chunk
+ * @param {string} fourcc - Four-letter chunk type
+ * @param {Buffer} payload - Chunk data
+ * @returns {Buffer} Type, size, data and padding to an even length
+ */
+function webpChunk(fourcc, payload) {
+  const header = Buffer.alloc(8);
+  header.write(fourcc, 0, 'ascii');
+  header.writeUInt32LE(payload.length, 4);
+  return Buffer.concat([header, payload, Buffer.alloc(payload.length % 2)]);
+}
+
+/**
+ * Strip the EXIF and XMP chunks of a WebP image
+ * @param {Buffer} data - WebP bytes
+ * @param {Function} corrupt - Returns the error thrown for malformed images
+ * @returns {Object} Bytes without metadata and the orientation read from the EXIF chunk ({ data, orientation })
+ */
+function stripWebpMetadata(data, corrupt) {
+  const riffEnd = 8 + data.readUInt32LE(4);
+  if (riffEnd > data.length) {
+    throw corrupt();
+  }
+  
+  const chunks = [];
+  let orientation = 1;
+  let offset = 12;
+  
+  while (offset + 8 <= riffEnd) {
+    const fourcc = data.toString('ascii', offset, offset + 4);
+    const size = data.readUInt32LE(offset + 4);
+    if (offset + 8 + size > riffEnd) {
+      throw corrupt();
+    }
+    
+    const payload = data.subarray(offset + 8, offset + 8 + size);
+    if (fourcc === 'EXIF') {
+      orientation = readExifOrientation(payload);
+    } else if (fourcc !== 'XMP ') {
+      // Copied, since the VP8X flags are rewritten below
+      chunks.push({ fourcc, payload: Buffer.from(payload) });
+    }
+    offset += 8 + size + (size % 2);
+  }
+  
+  // Metadata chunks are only allowed in the extended format, whose header flags which ones are present
+  const extendedHeader = chunks.find(chunk => chunk.fourcc === 'VP8X');
+  if (extendedHeader) {
+    extendedHeader.payload[0] &= ~(WEBP_EXIF_FLAG | WEBP_XMP_FLAG);
+    if (orientation !== 1) {
+      extendedHeader.payload[0] |= WEBP_EXIF_FLAG;
+      chunks.push({ fourcc: 'EXIF', payload: createOrientationExif(orientation) });
+    }
+  } else {
+    orientation = 1;
+  }
+  
+  const body = Buffer.concat([Buffer.from('WEBP', 'ascii'), ...chunks.map(chunk => webpChunk(chunk.fourcc, chunk.payload))]);
+  const header = Buffer.alloc(8);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(body.length, 4);
+  
+  return { data: Buffer.concat([header, body]), orientation };
+}
+
+/**
+ * Rotate and flip the pixels of an image the way its EXIF orientation tells viewers to
+ * @param {Buffer} data - Image bytes whose only metadata is the orientation tag
+ * @param {string} mimeType - MIME type, which the upright image is encoded in again
+ * @returns {Promise<Buffer>} Upright image bytes, without the orientation tag
+ */
+async function applyOrientation(data, mimeType) {
+  // sharp reads the tag when rotating and writes no metadata of its own
+  return sharp(data).rotate().toFormat(mimeType.replace('image/', '')).toBuffer();
+}
+
+/**
+ * Check an image against its actual content and strip its metadata
+ * The type is sniffed from the bytes instead of taken from the client, the pixel size is limited, and
+ * EXIF (including GPS), XMP, IPTC, comments and text chunks are removed, as is anything appended after
+ * the image. Images that are not upright are rotated, so their pixels match what browsers display and
+ * masks drawn over them line up; all other images keep their pixels as they are
+ * @param {Buffer} data - Image bytes
+ * @param {Object} options - Validation options
+ * @param {string[]} options.allowedTypes - Allowed MIME types (default: PNG, JPEG and WebP)
+ * @param {number} options.maxDimension - Largest allowed width or height, in pixels
+ * @param {number} options.maxPixels - Largest allowed number of pixels (width × height)
+ * @returns {Promise<Object>} Image bytes without metadata, detected MIME type, and width and height once upright
+ * @throws {BadRequestError} If the content is not a recognized image (UNRECOGNIZED_IMAGE_CONTENT), is of a type
+ * that is not allowed (INVALID_FILE_TYPE), is malformed (CORRUPT_IMAGE) or is too large (IMAGE_DIMENSIONS_TOO_LARGE)
+ */
+async function sanitizeImage(data, options = {}) {
+  const allowedTypes = options.allowedTypes || ['image/jpeg', 'image/png', 'image/webp'];
+  const maxDimension = options.maxDimension || DEFAULT_MAX_DIMENSION;
+  const maxPixels = options.maxPixels || DEFAULT_MAX_PIXELS;
+  const corrupt = () => new BadRequestError('The image file is damaged or incomplete', 'CORRUPT_IMAGE');
+  
+  const mimeType = detectImageType(data);
+  if (!mimeType) {
+    throw new BadRequestError('The file is not a PNG, JPEG or WebP image', 'UNRECOGNIZED_IMAGE_CONTENT');
+  }
+  if (!allowedTypes.includes(mimeType)) {
+    throw new BadRequestError(`Invalid file type ${mimeType}. Allowed types: ${allowedTypes.join(', ')}`, 'INVALID_FILE_TYPE');
+  }
+  
+  const size = readImageDimensions(data);
+  if (!size || size.width === 0 || size.height === 0) {
+    throw corrupt();
+  }
+  if (size.width > maxDimension || size.height > maxDimension || size.width * size.height > maxPixels) {
+    throw new BadRequestError(
+      `Image is ${size.width}x${size.height} pixels. The largest allowed is ${maxDimension} pixels per side and ${maxPixels} pixels in total`,
+      'IMAGE_DIMENSIONS_TOO_LARGE'
+    );
+  }
+  
+  const stripMetadata = {
+    'image/jpeg': stripJpegMetadata,
+    'image/png': stripPngMetadata,
+    'image/webp': stripWebpMetadata
+  }[mimeType];
+  
+  let stripped;
+  try {
+    stripped = stripMetadata ? stripMetadata(data, corrupt) : { data, orientation: 1 };
+  } catch (error) {
+    // Reads past the end of a truncated file
+    throw error instanceof BadRequestError ? error : corrupt();
+  }
+  
+  if (stripped.orientation === 1) {
+    return { data: stripped.data, mimeType, width: size.width, height: size.height };
+  }
+  
+  let upright;
+  try {
+    upright = await applyOrientation(stripped.data, mimeType);
+  } catch (error) {
+    // The headers were readable but the pixel data is not
+    throw corrupt();
+  }
+  
+  const transposed = TRANSPOSING_ORIENTATIONS.includes(stripped.orientation);
+  return {
+    data: upright,
+    mimeType,
+    width: transposed ? size.height : size.width,
+    height: transposed ? size.width : size.height
+  };
+}
+
 module.exports = {
   fileToBase64,
   validateImageFile,
-  createDataURL
+  createDataURL,
+  detectImageType,
+  decodeImageData,
+  getImageMimeType,
+  readImageDimensions,
+  hasAlphaChannel,
+  validateMask,
+  sanitizeImage
 };
\ No newline at end of file
@@ -6,9 +6,11 @@
 const errors = require('./error');
 const imageProcessor = require('./image-processor');
 const validators = require('./validators');
+const sse = require('./sse');
 
 module.exports = {
   errors,
   imageProcessor,
-  validators
+  validators,
+  sse
 };
\ No newline at end of file
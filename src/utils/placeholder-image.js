@@ -0,0 +1,340 @@
+/**
+ * Placeholder image utility
+ * Renders deterministic placeholder PNGs (text on a colored canvas) without native dependencies
+ */
+
+const zlib = require('zlib');
+
+// 5x7 bitmap font; each row is 5 bits, most significant bit on the left
+const FONT = {
+  A: [0x0E, 0x11, 0x11, 0x1F, 0x11, 0x11, 0x11],
+  B: [0x1E, 0x11, 0x11, 0x1E, 0x11, 0x11, 0x1E],
+  C: [0x0E, 0x11, 0x10, 0x10, 0x10, 0x11, 0x0E],
+  D: [0x1C, 0x12, 0x11, 0x11, 0x11, 0x12, 0x1C],
+  E: [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x1F],
+  F: [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x10],
+  G: [0x0E, 0x11, 0x10, 0x17, 0x11, 0x11, 0x0F],
+  H: [0x11, 0x11, 0x11, 0x1F, 0x11, 0x11, 0x11],
+  I: [0x0E, 0x04, 0x04, 0x04, 0x04, 0x04, 0x0E],
+  J: [0x07, 0x02, 0x02, 0x02, 0x02, 0x12, 0x0C],
+  K: [0x11, 0x12, 0x14, 0x18, 0x14, 0x12, 0x11],
+  L: [0x10, 0x10, 0x10, 0x10, 0x10, 0x10, 0x1F],
+  M: [0x11, 0x1B, 0x15, 0x15, 0x11, 0x11, 0x11],
+  N: [0x11, 0x11, 0x19, 0x15, 0x13, 0x11, 0x11],
+  O: [0x0E, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E],
+  P: [0x1E, 0x11, 0x11, 0x1E, 0x10, 0x10, 0x10],
+  Q: [0x0E, 0x11, 0x11, 0x11, 0x15, 0x12, 0x0D],
+  R: [0x1E, 0x11, 0x11, 0x1E, 0x14, 0x12, 0x11],
+  S: [0x0F, 0x10, 0x10, 0x0E, 0x01, 0x01, 0x1E],
+  T: [0x1F, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04],
+  U: [0x11, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E],
+  V: [0x11, 0x11, 0x11, 0x11, 0x11, 0x0A, 0x04],
+  W: [0x11, 0x11, 0x11, 0x15, 0x15, 0x15, 0x0A],
+  X: [0x11, 0x11, 0x0A, 0x04, 0x0A, 0x11, 0x11],
+  Y: [0x11, 0x11, 0x11, 0x0A, 0x04, 0x04, 0x04],
+  Z: [0x1F, 0x01, 0x02, 0x04, 0x08, 0x10, 0x1F],
+  0: [0x0E, 0x11, 0x13, 0x15, 0x19, 0x11, 0x0E],
+  1: [0x04, 0x0C, 0x04, 0x04, 0x04, 0x04, 0x0E],
+  2: [0x0E, 0x11, 0x01, 0x02, 0x04, 0x08, 0x1F],
+  3: [0x1F, 0x02, 0x04, 0x02, 0x01, 0x11, 0x0E],
+  4: [0x02, 0x06, 0x0A, 0x12, 0x1F, 0x02, 0x02],
+  5: [0x1F, 0x10, 0x1E, 0x01, 0x01, 0x11, 0x0E],
+  6: [0x06, 0x08, 0x10, 0x1E, 0x11, 0x11, 0x0E],
+  7: [0x1F, 0x01, 0x02, 0x04, 0x08, 0x08, 0x08],
+  8: [0x0E, 0x11, 0x11, 0x0E, 0x11, 0x11, 0x0E],
+  9: [0x0E, 0x11, 0x11, 0x0F, 0x01, 0x02, 0x0C],
+  ' ': [0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00],
+  '.': [0x00, 0x00, 0x00, 0x00, 0x00, 0x0C, 0x0C],
+  ',': [0x00, 0x00, 0x00, 0x00, 0x0C, 0x04, 0x08],
+  '!': [0x04, 0x04, 0x04, 0x04, 0x04, 0x00, 0x04],
+  '?': [0x0E, 0x11, 0x01, 0x02, 0x04, 0x00, 0x04],
+  '-': [0x00, 0x00, 0x00, 0x1F, 0x00, 0x00, 0x00],
+  '+': [0x00, 0x04, 0x04, 0x1F, 0x04, 0x04, 0x00],
+  ':': [0x00, 0x0C, 0x0C, 0x00, 0x0C, 0x0C, 0x00],
+  '/': [0x00, 0x01, 0x02, 0x04, 0x08, 0x10, 0x00],
+  '(': [0x02, 0x04, 0x08, 0x08, 0x08, 0x04, 0x02],
+  ')': [0x08, 0x04, 0x02, 0x02, 0x02, 0x04, 0x08],
+  '&': [0x0C, 0x12, 0x14, 0x08, 0x15, 0x12, 0x0D],
+  '\'': [0x0C, 0x04, 0x08, 0x00, 0x00, 0x00, 0x00],
+  '"': [0x0A, 0x0A, 0x0A, 0x00, 0x00, 0x00, 0x00]
+};
+
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 7;
+// Glyph plus one column (or two rows) of spacing
+const CELL_WIDTH = GLYPH_WIDTH + 1;
+const CELL_HEIGHT = GLYPH_HEIGHT + 2;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+// CRC-32 lookup table for PNG chunk checksums
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Compute the CRC-32 of a buffer
+ * @param {Buffer} buffer - Data
+ * @returns {number} Unsigned CRC-32
+ */
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Build a PNG chunk
+ * @param {string} type - Four-letter chunk type
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer} Length, type, data and CRC
+ */
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Encode RGBA pixels as a PNG
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Buffer} pixels - RGBA pixels, row by row
+ * @returns {Buffer} PNG file
+ */
+function encodePng(width, height, pixels) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // Bit depth
+  header[9] = 6; // Color type: RGBA
+  header[10] = 0; // Compression
+  header[11] = 0; // Filter
+  header[12] = 0; // Interlace
+  
+  // Every scanline starts with a filter type byte (0 = none)
+  const rowLength = width * 4;
+  const raw = Buffer.alloc((rowLength + 1) * height);
+  for (let y = 0; y < height; y++) {
+    pixels.copy(raw, y * (rowLength + 1) + 1, y * rowLength, (y + 1) * rowLength);
+  }
+  
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Hash a string to a 32-bit number (FNV-1a)
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned hash
+ */
+function hashString(text) {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Convert a hue to an RGB color with fixed saturation and lightness
+ * @param {number} hue - Hue in degrees
+ * @param {number} lightness - Lightness between 0 and 1
+ * @returns {Array<number>} RGB components
+ */
+function hueToRgb(hue, lightness) {
+  const saturation = 0.55;
+  const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+  const segment = (hue % 360) / 60;
+  const x = chroma * (1 - Math.abs((segment % 2) - 1));
+  const [r, g, b] = [
+    [chroma, x, 0], [x, chroma, 0], [0, chroma, x],
+    [0, x, chroma], [x, 0, chroma], [chroma, 0, x]
+  ][Math.floor(segment) % 6];
+  const m = lightness - chroma / 2;
+  return [r, g, b].map(component => Math.round((component + m) * 255));
+}
+
+/**
+ * Word-wrap text into lines of at most maxChars characters
+ * @param {string} text - Text to wrap
+ * @param {number} maxChars - Characters per line
+ * @param {number} maxLines - Maximum number of lines; overflow is replaced with an ellipsis
+ * @returns {Array<string>} Lines
+ */
+function wrapText(text, maxChars, maxLines) {
+  const words = text.split(/\s+/).filter(Boolean);
+  const lines = [];
+  let line = '';
+  
+  for (const word of words) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (candidate.length <= maxChars) {
+      line = candidate;
+    } else {
+      if (line) lines.push(line);
+      line = word.slice(0, maxChars);
+    }
+  }
+  if (line) lines.push(line);
+  
+  if (lines.length > maxLines) {
+    const kept = lines.slice(0, maxLines);
+    kept[maxLines - 1] = `${kept[maxLines - 1].slice(0, maxChars - 3)}...`;
+    return kept;
+  }
+  
+  return lines;
+}
+
+/**
+ * Draw a line of text onto RGBA pixels
+ * @param {Buffer} pixels - RGBA pixels
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {string} text - Text (rendered in upper case)
+ * @param {number} left - X position of the first glyph
+ * @param {number} top - Y position of the glyph tops
+ * @param {number} scale - Pixels per font dot
+ * @param {Array<number>} color - RGBA color; translucent colors are blended
+ */
+function drawText(pixels, width, height, text, left, top, scale, color) {
+  [...text.toUpperCase()].forEach((char, index) => {
+    const glyph = FONT[char] || FONT['?'];
+    const glyphLeft = left + index * CELL_WIDTH * scale;
+    
+    for (let row = 0; row < GLYPH_HEIGHT; row++) {
+      for (let col = 0; col < GLYPH_WIDTH; col++) {
+        if (!(glyph[row] & (1 << (GLYPH_WIDTH - 1 - col)))) continue;
+        
+        for (let dy = 0; dy < scale; dy++) {
+          const y = top + row * scale + dy;
+          if (y < 0 || y >= height) continue;
+          
+          for (let dx = 0; dx < scale; dx++) {
+            const x = glyphLeft + col * scale + dx;
+            if (x < 0 || x >= width) continue;
+            
+            // Blend translucent colors over what is already drawn
+            const offset = (y * width + x) * 4;
+            const alpha = color[3] / 255;
+            pixels[offset] = Math.round(color[0] * alpha + pixels[offset] * (1 - alpha));
+            pixels[offset + 1] = Math.round(color[1] * alpha + pixels[offset + 1] * (1 - alpha));
+            pixels[offset + 2] = Math.round(color[2] * alpha + pixels[offset + 2] * (1 - alpha));
+            pixels[offset + 3] = Math.max(pixels[offset + 3], color[3]);
+          }
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Coarsen pixels into square blocks, keeping the top-left pixel of each block
+ * @param {Buffer} pixels - RGBA pixels
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} blockSize - Block edge length in pixels
+ * @returns {Buffer} Pixelated copy
+ */
+function pixelate(pixels, width, height, blockSize) {
+  const result = Buffer.alloc(pixels.length);
+  
+  for (let y = 0; y < height; y++) {
+    const sourceY = y - (y % blockSize);
+    for (let x = 0; x < width; x++) {
+      const sourceX = x - (x % blockSize);
+      pixels.copy(result, (y * width + x) * 4, (sourceY * width + sourceX) * 4, (sourceY * width + sourceX) * 4 + 4);
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Render a placeholder image: the text on a gradient derived from the text, so equal input gives equal output
+ * @param {Object} options - Rendering options
+ * @param {string} options.text - Text to render
+ * @param {number} options.width - Image width (default: 1024)
+ * @param {number} options.height - Image height (default: 1024)
+ * @param {boolean} options.transparent - Draw the gradient in a circle on a transparent background
+ * @param {string} options.label - Small caption at the bottom (default: "MOCK IMAGE")
+ * @param {number} options.blockSize - Pixelate the result into blocks of this size, for previews (optional)
+ * @returns {Buffer} PNG file
+ */
+function renderPlaceholderImage({ text = '', width = 1024, height = 1024, transparent = false, label = 'MOCK IMAGE', blockSize } = {}) {
+  const pixels = Buffer.alloc(width * height * 4);
+  
+  const hash = hashString(text);
+  const startColor = hueToRgb(hash % 360, 0.35);
+  const endColor = hueToRgb((hash >>> 9) % 360, 0.6);
+  
+  const centerX = width / 2;
+  const centerY = height / 2;
+  const radius = Math.min(width, height) * 0.48;
+  
+  // Diagonal gradient background
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const offset = (y * width + x) * 4;
+      const t = (x / width + y / height) / 2;
+      
+      pixels[offset] = Math.round(startColor[0] + (endColor[0] - startColor[0]) * t);
+      pixels[offset + 1] = Math.round(startColor[1] + (endColor[1] - startColor[1]) * t);
+      pixels[offset + 2] = Math.round(startColor[2] + (endColor[2] - startColor[2]) * t);
+      
+      const inside = (x - centerX) ** 2 + (y - centerY) ** 2 <= radius ** 2;
+      pixels[offset + 3] = transparent && !inside ? 0 : 255;
+    }
+  }
+  
+  // Size the text so a short prompt fills the width
+  const scale = Math.max(1, Math.floor(Math.min(width, height) / 160));
+  const margin = Math.round(Math.min(width, height) * (transparent ? 0.18 : 0.08));
+  const maxChars = Math.max(1, Math.floor((width - margin * 2) / (CELL_WIDTH * scale)));
+  const maxLines = Math.max(1, Math.floor((height - margin * 2) / (CELL_HEIGHT * scale)) - 2);
+  const lines = wrapText(text, maxChars, maxLines);
+  
+  const textTop = Math.round((height - lines.length * CELL_HEIGHT * scale) / 2);
+  lines.forEach((line, index) => {
+    const lineLeft = Math.round((width - line.length * CELL_WIDTH * scale) / 2);
+    const lineTop = textTop + index * CELL_HEIGHT * scale;
+    
+    // A dark offset copy keeps the text readable on light gradients
+    drawText(pixels, width, height, line, lineLeft + scale, lineTop + scale, scale, [0, 0, 0, 160]);
+    drawText(pixels, width, height, line, lineLeft, lineTop, scale, [255, 255, 255, 255]);
+  });
+  
+  if (label) {
+    const labelScale = Math.max(1, Math.floor(scale / 2));
+    const labelLeft = Math.round((width - label.length * CELL_WIDTH * labelScale) / 2);
+    const labelTop = height - margin - GLYPH_HEIGHT * labelScale;
+    drawText(pixels, width, height, label, labelLeft, labelTop, labelScale, [255, 255, 255, 200]);
+  }
+  
+  const output = blockSize && blockSize > 1 ? pixelate(pixels, width, height, blockSize) : pixels;
+  return encodePng(width, height, output);
+}
+
+module.exports = {
+  renderPlaceholderImage,
+  encodePng,
+  pngChunk,
+  hashString
+};
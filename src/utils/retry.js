@@ -0,0 +1,188 @@
+/**
+ * Retry utility
+ * Retries transient API failures with exponential backoff and jitter
+ */
+
+const logger = require('./logger');
+
+// Used when a caller does not pass its own settings
+const DEFAULT_RETRY_OPTIONS = {
+  maxRetries: 3,
+  initialDelay: 1000,
+  maxDelay: 10000
+};
+
+// Timeouts, conflicts and rate limits are worth retrying, as are all server errors
+const RETRYABLE_STATUSES = [408, 409, 429];
+
+/**
+ * Check whether a failed request is worth retrying
+ * @param {Error} error - Error thrown by the request
+ * @returns {boolean} True if the error is transient
+ */
+function isRetryableError(error) {
+  if (!error) {
+    return false;
+  }
+  
+  // Requests cancelled by the caller are never retried
+  if (error.name === 'APIUserAbortError' || error.name === 'AbortError') {
+    return false;
+  }
+  
+  // An exhausted quota is reported as a 429 but will not clear up by waiting
+  if (error.code === 'insufficient_quota') {
+    return false;
+  }
+  
+  if (error.name === 'APIConnectionError' || error.name === 'APIConnectionTimeoutError') {
+    return true;
+  }
+  
+  return RETRYABLE_STATUSES.includes(error.status) || error.status >= 500;
+}
+
+/**
+ * Read the delay requested by the server through Retry-After headers
+ * @param {Error} error - Error thrown by the request
+ * @returns {number|null} Delay in milliseconds, or null if the server did not ask for one
+ */
+function getRetryAfterDelay(error) {
+  const headers = error && error.headers;
+  if (!headers) {
+    return null;
+  }
+  
+  const getHeader = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+  
+  // Non-standard, but sent by OpenAI with millisecond precision
+  const retryAfterMs = parseFloat(getHeader('retry-after-ms'));
+  if (!Number.isNaN(retryAfterMs)) {
+    return Math.max(retryAfterMs, 0);
+  }
+  
+  const retryAfter = getHeader('retry-after');
+  if (!retryAfter) {
+    return null;
+  }
+  
+  // Retry-After is either a number of seconds or an HTTP date
+  const seconds = parseFloat(retryAfter);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(seconds * 1000, 0);
+  }
+  
+  const date = Date.parse(retryAfter);
+  if (!Number.isNaN(date)) {
+    return Math.max(date - Date.now(), 0);
+  }
+  
+  return null;
+}
+
+/**
+ * Compute the backoff delay before a retry
+ * Uses "equal jitter": half of the exponential delay is fixed and half is random,
+ * so concurrent clients spread out without retrying immediately
+ * @param {number} retryNumber - Retry about to be made (1 for the first retry)
+ * @param {Object} options - Retry options
+ * @param {number} options.initialDelay - Delay before the first retry in milliseconds
+ * @param {number} options.maxDelay - Upper bound for any delay in milliseconds
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelay(retryNumber, { initialDelay, maxDelay }) {
+  const exponentialDelay = Math.min(initialDelay * 2 ** (retryNumber - 1), maxDelay);
+  return exponentialDelay / 2 + Math.random() * (exponentialDelay / 2);
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} signal - Signal that cancels the wait (optional)
+ * @returns {Promise<void>} Resolves after the delay; rejects if the signal aborts
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason || new Error('Aborted'));
+      return;
+    }
+    
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason || new Error('Aborted'));
+    };
+    
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, ms);
+    
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+/**
+ * Run an operation, retrying transient failures with exponential backoff
+ * A Retry-After header from the server replaces the computed delay; if it asks
+ * for longer than maxDelay the error is thrown instead of keeping the user waiting
+ * @param {Function} operation - Async function to run; receives the attempt number (starting at 1)
+ * @param {Object} options - Retry options
+ * @param {string} options.name - Operation name used in logs
+ * @param {number} options.maxRetries - Retries after the first attempt
+ * @param {number} options.initialDelay - Delay before the first retry in milliseconds
+ * @param {number} options.maxDelay - Upper bound for any delay in milliseconds
+ * @param {AbortSignal} options.signal - Signal that cancels pending retries (optional)
+ * @returns {Promise<Object>} The operation's result and the number of attempts made ({ result, attempts })
+ * @throws {Error} The last error, with an attempts property
+ */
+async function withRetry(operation, options = {}) {
+  const { name = 'operation', signal, ...settings } = options;
+  const { maxRetries, initialDelay, maxDelay } = { ...DEFAULT_RETRY_OPTIONS, ...settings };
+  
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const result = await operation(attempt);
+      
+      if (attempt > 1) {
+        logger.info(`${name} succeeded after ${attempt} attempts`);
+      }
+      
+      return { result, attempts: attempt };
+    } catch (error) {
+      const retryAfterDelay = getRetryAfterDelay(error);
+      const canRetry = attempt <= maxRetries
+        && isRetryableError(error)
+        && (retryAfterDelay === null || retryAfterDelay <= maxDelay)
+        && !(signal && signal.aborted);
+      
+      if (!canRetry) {
+        error.attempts = attempt;
+        throw error;
+      }
+      
+      const delay = retryAfterDelay !== null ? retryAfterDelay : getBackoffDelay(attempt, { initialDelay, maxDelay });
+      
+      logger.warn(`${name} failed, retrying`, {
+        attempt,
+        maxRetries,
+        delayMs: Math.round(delay),
+        status: error.status,
+        error: error.message
+      });
+      
+      await sleep(delay, signal);
+    }
+  }
+}
+
+module.exports = {
+  withRetry,
+  isRetryableError,
+  getRetryAfterDelay,
+  getBackoffDelay
+};
@@ -0,0 +1,60 @@
+/**
+ * Server-Sent Events utilities
+ */
+
+/**
+ * Start a Server-Sent Events response
+ * @param {Object} res - Express response object
+ * @returns {Object} Stream with send, sendError and close methods
+ */
+function openEventStream(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Tell nginx not to buffer the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  return {
+    /**
+     * Send an event to the client
+     * @param {string} event - Event name
+     * @param {Object} data - JSON-serializable event payload
+     */
+    send(event, data) {
+      if (res.writableEnded) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    
+    /**
+     * Send an error event, using the same masking rules as the error handler middleware
+     * @param {Error} error - Error to report
+     */
+    sendError(error) {
+      const statusCode = error.statusCode || 500;
+      this.send('error', {
+        message: statusCode === 500 ? 'Internal Server Error' : error.message,
+        code: error.code || 'INTERNAL_ERROR',
+        ...(error.details ? { details: error.details } : {}),
+        ...(error.attempts ? { attempts: error.attempts } : {}),
+        ...(error.categories ? { categories: error.categories } : {})
+      });
+    },
+    
+    /**
+     * End the stream
+     */
+    close() {
+      if (!res.writableEnded) {
+        res.end();
+      }
+    }
+  };
+}
+
+module.exports = {
+  openEventStream
+};
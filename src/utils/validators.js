@@ -4,6 +4,123 @@
 
 const { ValidationError } = require('./error');
 
+// Conversation IDs are used as storage keys, so keep them to a safe character set
+const CONVERSATION_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+// Image provider names, as registered in the provider registry
+const PROVIDER_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Style preset IDs, as generated by the preset store or given to built-in presets
+const PRESET_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Values images can be generated with
+const IMAGE_SIZES = ['1024x1024', '1536x1024', '1024x1536', 'auto'];
+const IMAGE_QUALITIES = ['high', 'medium', 'low', 'auto'];
+const IMAGE_BACKGROUNDS = ['transparent', 'opaque', 'auto'];
+
+// Most images one generation or edit request can ask for
+const MAX_IMAGES_PER_REQUEST = 10;
+
+// Placeholder a style preset template puts the user's prompt in
+const PRESET_PLACEHOLDER = '{prompt}';
+
+// Calendar days in usage queries (UTC)
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Formats images can be generated in
+const OUTPUT_FORMATS = ['png', 'jpeg', 'webp'];
+
+// Output formats that take a compression level
+const COMPRESSED_OUTPUT_FORMATS = ['jpeg', 'webp'];
+
+// Usage report periods
+const USAGE_PERIODS = ['day', 'week'];
+
+// Milliseconds in a day
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Usernames are shown in the UI and used in lookups, so keep them to a safe character set
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,64}$/;
+
+// OpenAI API keys start with "sk-" (including project keys, "sk-proj-...")
+const API_KEY_PATTERN = /^sk-[A-Za-z0-9_-]{16,256}$/;
+
+/**
+ * Check a conversation ID and return an error message if it is invalid
+ * @param {*} conversationId - Conversation ID to check
+ * @returns {string|null} Error message, or null if valid
+ */
+function getConversationIdError(conversationId) {
+  if (typeof conversationId !== 'string' || !CONVERSATION_ID_PATTERN.test(conversationId)) {
+    return 'conversationId must be 1-128 letters, digits, underscores or hyphens';
+  }
+  return null;
+}
+
+/**
+ * Check an image provider name and return an error message if it is invalid
+ * Whether the provider exists is checked when the request is served
+ * @param {*} provider - Provider name to check
+ * @returns {string|null} Error message, or null if valid
+ */
+function getProviderError(provider) {
+  if (typeof provider !== 'string' || !PROVIDER_PATTERN.test(provider)) {
+    return 'provider must be 1-64 letters, digits, underscores or hyphens';
+  }
+  return null;
+}
+
+/**
+ * Check a style preset ID and return an error message if it is invalid
+ * Whether the preset exists is checked when the request is served
+ * @param {*} preset - Preset ID to check
+ * @returns {string|null} Error message, or null if valid
+ */
+function getPresetIdError(preset) {
+  if (typeof preset !== 'string' || !PRESET_ID_PATTERN.test(preset)) {
+    return 'preset must be 1-64 letters, digits, underscores or hyphens';
+  }
+  return null;
+}
+
+/**
+ * Check the size, quality and background of an image request and record any errors
+ * @param {Object} body - Request body
+ * @param {Object} errors - Validation errors, keyed by field, to add to
+ */
+function checkImageOptions(body, errors) {
+  if (body.size !== undefined && !IMAGE_SIZES.includes(body.size)) {
+    errors.size = `Size must be one of: ${IMAGE_SIZES.join(', ')}`;
+  }
+  
+  if (body.quality !== undefined && !IMAGE_QUALITIES.includes(body.quality)) {
+    errors.quality = `Quality must be one of: ${IMAGE_QUALITIES.join(', ')}`;
+  }
+  
+  if (body.background !== undefined && !IMAGE_BACKGROUNDS.includes(body.background)) {
+    errors.background = `Background must be one of: ${IMAGE_BACKGROUNDS.join(', ')}`;
+  }
+}
+
+/**
+ * Check the output format and compression of an image request and record any errors
+ * @param {Object} body - Request body
+ * @param {Object} errors - Validation errors, keyed by field, to add to
+ */
+function checkOutputOptions(body, errors) {
+  if (body.output_format !== undefined && !OUTPUT_FORMATS.includes(body.output_format)) {
+    errors.output_format = `output_format must be one of: ${OUTPUT_FORMATS.join(', ')}`;
+  }
+  
+  if (body.output_compression !== undefined) {
+    if (!Number.isInteger(body.output_compression) || body.output_compression < 0 || body.output_compression > 100) {
+      errors.output_compression = 'output_compression must be an integer between 0 and 100';
+    } else if (!COMPRESSED_OUTPUT_FORMATS.includes(body.output_format)) {
+      errors.output_compression = `output_compression requires an output_format of ${COMPRESSED_OUTPUT_FORMATS.join(' or ')}`;
+    }
+  }
+}
+
 /**
  * Validate chat message request
  * @param {Object} body - Request body
@@ -31,6 +148,23 @@ function validateChatRequest(body) {
     errors.images = 'Maximum of 16 images allowed';
   }
   
+  // Validate conversation ID if present
+  if (body.conversationId !== undefined) {
+    const conversationIdError = getConversationIdError(body.conversationId);
+    if (conversationIdError) {
+      errors.conversationId = conversationIdError;
+    }
+  }
+  
+  // Validate the output format and style preset of images the reply generates
+  checkOutputOptions(body, errors);
+  if (body.preset !== undefined) {
+    const presetError = getPresetIdError(body.preset);
+    if (presetError) {
+      errors.preset = presetError;
+    }
+  }
+  
   // If there are validation errors, throw a ValidationError
   if (Object.keys(errors).length > 0) {
     throw new ValidationError('Invalid chat request', 'INVALID_CHAT_REQUEST', errors);
@@ -69,29 +203,33 @@ function validateGenerateRequest(body) {
   
   // Validate n (number of images)
   if (body.n !== undefined) {
-    if (typeof body.n !== 'number' || body.n < 1 || body.n > 10) {
-      errors.n = 'n must be a number between 1 and 10';
+    if (typeof body.n !== 'number' || body.n < 1 || body.n > MAX_IMAGES_PER_REQUEST) {
+      errors.n = `n must be a number between 1 and ${MAX_IMAGES_PER_REQUEST}`;
     }
   }
   
-  // Validate size
-  const validSizes = ['1024x1024', '1536x1024', '1024x1536', 'auto'];
-  if (body.size !== undefined && !validSizes.includes(body.size)) {
-    errors.size = `Size must be one of: ${validSizes.join(', ')}`;
-  }
+  // Validate size, quality and background
+  checkImageOptions(body, errors);
   
-  // Validate quality
-  const validQualities = ['high', 'medium', 'low', 'auto'];
-  if (body.quality !== undefined && !validQualities.includes(body.quality)) {
-    errors.quality = `Quality must be one of: ${validQualities.join(', ')}`;
+  // Validate style preset
+  if (body.preset !== undefined) {
+    const presetError = getPresetIdError(body.preset);
+    if (presetError) {
+      errors.preset = presetError;
+    }
   }
   
-  // Validate background
-  const validBackgrounds = ['transparent', 'opaque', 'auto'];
-  if (body.background !== undefined && !validBackgrounds.includes(body.background)) {
-    errors.background = `Background must be one of: ${validBackgrounds.join(', ')}`;
+  // Validate provider
+  if (body.provider !== undefined) {
+    const providerError = getProviderError(body.provider);
+    if (providerError) {
+      errors.provider = providerError;
+    }
   }
   
+  // Validate output format and compression
+  checkOutputOptions(body, errors);
+  
   // If there are validation errors, throw a ValidationError
   if (Object.keys(errors).length > 0) {
     throw new ValidationError('Invalid image generation request', 'INVALID_GENERATE_REQUEST', errors);
@@ -100,6 +238,25 @@ function validateGenerateRequest(body) {
   return body;
 }
 
+/**
+ * Validate streaming image generation request
+ * @param {Object} body - Request body
+ * @returns {Object} Validated request body
+ * @throws {ValidationError} If validation fails
+ */
+function validateGenerateStreamRequest(body) {
+  const validatedBody = validateGenerateRequest(body);
+  
+  // Partial images are reported for a single image, so only one can be streamed
+  if (validatedBody.n !== undefined && validatedBody.n !== 1) {
+    throw new ValidationError('Invalid image generation request', 'INVALID_GENERATE_REQUEST', {
+      n: 'n must be 1 when streaming'
+    });
+  }
+  
+  return validatedBody;
+}
+
 /**
  * Validate image edit request
  * @param {Object} body - Request body
@@ -124,21 +281,31 @@ function validateEditRequest(body) {
   
   // Validate n (number of images)
   if (body.n !== undefined) {
-    if (typeof body.n !== 'number' || body.n < 1 || body.n > 10) {
-      errors.n = 'n must be a number between 1 and 10';
+    if (typeof body.n !== 'number' || body.n < 1 || body.n > MAX_IMAGES_PER_REQUEST) {
+      errors.n = `n must be a number between 1 and ${MAX_IMAGES_PER_REQUEST}`;
     }
   }
   
-  // Validate size
-  const validSizes = ['1024x1024', '1536x1024', '1024x1536', 'auto'];
-  if (body.size !== undefined && !validSizes.includes(body.size)) {
-    errors.size = `Size must be one of: ${validSizes.join(', ')}`;
+  // Validate size, quality and background
+  checkImageOptions(body, errors);
+  
+  // Validate provider
+  if (body.provider !== undefined) {
+    const providerError = getProviderError(body.provider);
+    if (providerError) {
+      errors.provider = providerError;
+    }
   }
   
-  // Validate quality
-  const validQualities = ['high', 'medium', 'low', 'auto'];
-  if (body.quality !== undefined && !validQualities.includes(body.quality)) {
-    errors.quality = `Quality must be one of: ${validQualities.join(', ')}`;
+  // Validate output format and compression
+  checkOutputOptions(body, errors);
+  
+  // Validate conversation ID if present (edits made from the chat are added to its history)
+  if (body.conversationId !== undefined) {
+    const conversationIdError = getConversationIdError(body.conversationId);
+    if (conversationIdError) {
+      errors.conversationId = conversationIdError;
+    }
   }
   
   // If there are validation errors, throw a ValidationError
@@ -149,8 +316,243 @@ function validateEditRequest(body) {
   return body;
 }
 
+/**
+ * Validate chat history query parameters
+ * @param {Object} query - Query parameters
+ * @param {Object} options - Validation options
+ * @param {string} options.defaultConversationId - Conversation used when none is given
+ * @param {number} options.defaultLimit - Page size used when none is given
+ * @param {number} options.maxLimit - Largest allowed page size
+ * @returns {Object} Normalized query with conversationId, before and limit
+ */
+function validateHistoryQuery(query = {}, options = {}) {
+  const errors = {};
+  const conversationId = query.conversationId !== undefined ? query.conversationId : options.defaultConversationId;
+  
+  const conversationIdError = getConversationIdError(conversationId);
+  if (conversationIdError) {
+    errors.conversationId = conversationIdError;
+  }
+  
+  // Validate limit (query strings arrive as text)
+  let limit = options.defaultLimit;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > options.maxLimit) {
+      errors.limit = `limit must be an integer between 1 and ${options.maxLimit}`;
+    }
+  }
+  
+  // Validate cursor
+  if (query.before !== undefined && (typeof query.before !== 'string' || !query.before)) {
+    errors.before = 'before must be a message ID';
+  }
+  
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError('Invalid chat history request', 'INVALID_HISTORY_REQUEST', errors);
+  }
+  
+  return {
+    conversationId,
+    before: query.before,
+    limit
+  };
+}
+
+/**
+ * Validate a usage report query, filling in the default date range
+ * @param {Object} query - Query string parameters
+ * @param {string} query.period - Rollup period ('day' or 'week', default: 'day')
+ * @param {string} query.from - First day (YYYY-MM-DD, default: 7 days or 4 weeks before to)
+ * @param {string} query.to - Last day, inclusive (YYYY-MM-DD, default: today)
+ * @param {string} query.userId - Only report this user (optional)
+ * @param {Object} options - Validation options
+ * @param {number} options.maxDays - Longest range that can be requested
+ * @returns {Object} Validated period, from, to and userId
+ * @throws {ValidationError} If validation fails
+ */
+function validateUsageQuery(query = {}, options = {}) {
+  const errors = {};
+  const period = query.period || 'day';
+  
+  if (!USAGE_PERIODS.includes(period)) {
+    errors.period = `period must be one of: ${USAGE_PERIODS.join(', ')}`;
+  }
+  
+  // Check a day and return it as a timestamp, or null if invalid
+  const parseDay = (field) => {
+    const time = DAY_PATTERN.test(query[field]) ? Date.parse(query[field]) : NaN;
+    if (Number.isNaN(time)) {
+      errors[field] = `${field} must be a date (YYYY-MM-DD)`;
+      return null;
+    }
+    return time;
+  };
+  
+  const to = query.to !== undefined ? parseDay('to') : Date.parse(new Date().toISOString().slice(0, 10));
+  const from = query.from !== undefined
+    ? parseDay('from')
+    : to - (period === 'week' ? 27 : 6) * DAY_MS;
+  
+  if (from !== null && to !== null) {
+    if (from > to) {
+      errors.from = 'from must not be after to';
+    } else if ((to - from) / DAY_MS + 1 > options.maxDays) {
+      errors.from = `Reports can cover at most ${options.maxDays} days`;
+    }
+  }
+  
+  if (query.userId !== undefined && (typeof query.userId !== 'string' || !query.userId)) {
+    errors.userId = 'userId must be a user ID';
+  }
+  
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError('Invalid usage request', 'INVALID_USAGE_REQUEST', errors);
+  }
+  
+  return {
+    period,
+    from: new Date(from).toISOString().slice(0, 10),
+    to: new Date(to).toISOString().slice(0, 10),
+    userId: query.userId
+  };
+}
+
+/**
+ * Validate register and login requests
+ * @param {Object} body - Request body
+ * @param {string} body.username - Username
+ * @param {string} body.password - Password
+ * @param {Object} options - Validation options
+ * @param {number} options.minPasswordLength - Shortest allowed password
+ * @param {number} options.maxPasswordLength - Longest allowed password
+ * @returns {Object} Validated username and password
+ * @throws {ValidationError} If validation fails
+ */
+function validateCredentials(body = {}, options = {}) {
+  const errors = {};
+  const { username, password } = body;
+  
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    errors.username = 'username must be 3-64 letters, digits, dots, underscores or hyphens';
+  }
+  
+  if (typeof password !== 'string' || !password) {
+    errors.password = 'password is required';
+  } else if (password.length < options.minPasswordLength) {
+    errors.password = `password must be at least ${options.minPasswordLength} characters`;
+  } else if (password.length > options.maxPasswordLength) {
+    errors.password = `password must be at most ${options.maxPasswordLength} characters`;
+  }
+  
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError('Invalid credentials', 'INVALID_AUTH_REQUEST', errors);
+  }
+  
+  return { username, password };
+}
+
+/**
+ * Validate requests to store a user's own OpenAI API key
+ * @param {Object} body - Request body
+ * @param {string} body.apiKey - OpenAI API key
+ * @returns {Object} Validated API key, with surrounding whitespace removed
+ * @throws {ValidationError} If validation fails
+ */
+function validateApiKeyRequest(body = {}) {
+  const apiKey = typeof body.apiKey === 'string' ? body.apiKey.trim() : '';
+  
+  if (!API_KEY_PATTERN.test(apiKey)) {
+    throw new ValidationError('Invalid API key', 'INVALID_API_KEY_REQUEST', {
+      apiKey: 'apiKey must be an OpenAI API key starting with "sk-"'
+    });
+  }
+  
+  return { apiKey };
+}
+
+/**
+ * Validate requests to create or replace a style preset
+ * @param {Object} body - Request body
+ * @param {string} body.name - Name shown in the style picker
+ * @param {string} body.template - Prompt template containing the {prompt} placeholder
+ * @param {string} body.size - Default image size (optional)
+ * @param {string} body.quality - Default image quality (optional)
+ * @param {string} body.background - Default background (optional)
+ * @returns {Object} Validated preset fields, with the name trimmed
+ * @throws {ValidationError} If validation fails
+ */
+function validatePresetRequest(body = {}) {
+  const errors = {};
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  
+  if (!name || name.length > 64) {
+    errors.name = 'name must be 1-64 characters';
+  }
+  
+  if (typeof body.template !== 'string' || !body.template.includes(PRESET_PLACEHOLDER)) {
+    errors.template = `template must be a string containing ${PRESET_PLACEHOLDER}`;
+  } else if (body.template.length > 4000) {
+    errors.template = 'template exceeds maximum length of 4000 characters';
+  }
+  
+  checkImageOptions(body, errors);
+  
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError('Invalid style preset', 'INVALID_PRESET_REQUEST', errors);
+  }
+  
+  return {
+    name,
+    template: body.template,
+    ...(body.size !== undefined && { size: body.size }),
+    ...(body.quality !== undefined && { quality: body.quality }),
+    ...(body.background !== undefined && { background: body.background })
+  };
+}
+
+/**
+ * Validate prompt enhancement requests
+ * @param {Object} body - Request body
+ * @param {string} body.prompt - Prompt to enhance
+ * @param {number} body.n - Number of suggestions (optional, default 1)
+ * @param {Object} options - Validation options
+ * @param {number} options.maxSuggestions - Most suggestions one request can ask for
+ * @returns {Object} Validated prompt, trimmed, and number of suggestions
+ * @throws {ValidationError} If validation fails
+ */
+function validateEnhanceRequest(body = {}, options = {}) {
+  const errors = {};
+  const prompt = typeof body.prompt === 'string' ? body.prompt.trim() : '';
+  const n = body.n === undefined ? 1 : body.n;
+  
+  if (!prompt) {
+    errors.prompt = 'Prompt is required';
+  } else if (prompt.length > 32000) {
+    errors.prompt = 'Prompt exceeds maximum length of 32000 characters';
+  }
+  
+  if (!Number.isInteger(n) || n < 1 || n > options.maxSuggestions) {
+    errors.n = `n must be an integer between 1 and ${options.maxSuggestions}`;
+  }
+  
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError('Invalid prompt enhancement request', 'INVALID_ENHANCE_REQUEST', errors);
+  }
+  
+  return { prompt, n };
+}
+
 module.exports = {
+  MAX_IMAGES_PER_REQUEST,
   validateChatRequest,
+  validateHistoryQuery,
+  validateUsageQuery,
+  validateCredentials,
+  validateApiKeyRequest,
+  validatePresetRequest,
+  validateEnhanceRequest,
   validateGenerateRequest,
+  validateGenerateStreamRequest,
   validateEditRequest
 };
\ No newline at end of file